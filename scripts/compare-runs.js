@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Cross-run comparison: aggregates runs per condition from experiment summaries, run summaries and all-logs bundles
+// (files or whole output directories), with bootstrap CIs and pairwise Mann-Whitney U tests, and writes an HTML report.
+//
+//   node scripts/compare-runs.js <summary.json|run_summary.json|all_logs.json|dir>... [--out <report.html>] [--json <file>]
+//                                [--baseline <conditionId>] [--iterations <n>] [--confidence <c>] [--seed <n>]
+//
+// Telemetry-based metrics (staleness, loop rate, exact captures/min) need the all-logs bundles (or browser telemetry
+// files) next to the summaries; without them the run summary metrics are used.
+import { readdir, readFile, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { buildComparisonReportHtml } from "../src/services/analysisService.js";
+import { DEFAULT_BOOTSTRAP_ITERATIONS, DEFAULT_COMPARISON_CONFIDENCE, buildRunComparison, collectComparisonRuns } from "../src/services/runComparison.js";
+import { DEFAULT_EXPERIMENT_SEED, normalizeSeed } from "../src/services/seededRandom.js";
+
+const USAGE = [
+    "Usage: node scripts/compare-runs.js <summary.json|run_summary.json|all_logs.json|dir>... [--out <report.html>] [--json <file>]",
+    "                                    [--baseline <conditionId>] [--iterations <n>] [--confidence <c>] [--seed <n>]"
+].join("\n");
+
+function parseArgs(argv) {
+    const args = { inputs: [], out: null, json: null, baseline: null, iterations: DEFAULT_BOOTSTRAP_ITERATIONS, confidence: DEFAULT_COMPARISON_CONFIDENCE, seed: DEFAULT_EXPERIMENT_SEED };
+    for (let i = 0; i < argv.length; i += 1) {
+        const token = argv[i];
+        if (token === "--out") args.out = argv[++i];
+        else if (token === "--json") args.json = argv[++i];
+        else if (token === "--baseline") args.baseline = argv[++i];
+        else if (token === "--iterations") args.iterations = Math.round(Number(argv[++i]));
+        else if (token === "--confidence") args.confidence = Number(argv[++i]);
+        else if (token === "--seed") args.seed = normalizeSeed(argv[++i], DEFAULT_EXPERIMENT_SEED);
+        else if (token === "--help" || token === "-h") args.help = true;
+        else if (token.startsWith("--")) throw new Error(`Unexpected argument: ${token}`);
+        else args.inputs.push(token);
+    }
+    return args;
+}
+
+// Directories contribute their *.json files (not recursive).
+async function listInputFiles(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        const info = await stat(input);
+        if (info.isDirectory()) {
+            const names = (await readdir(input)).filter((name) => name.toLowerCase().endsWith(".json")).sort();
+            names.forEach((name) => files.push(path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+const formatCell = (value) => (Number.isFinite(value) ? String(Number(value.toFixed(3))) : "-");
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || args.inputs.length === 0) {
+        console.log(USAGE);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+    if (!(args.iterations >= 100 && args.iterations <= 100000)) throw new Error("--iterations must be between 100 and 100000.");
+    if (!(args.confidence > 0.5 && args.confidence < 1)) throw new Error("--confidence must be between 0.5 and 1 (exclusive).");
+
+    const documents = [];
+    for (const file of await listInputFiles(args.inputs)) {
+        try {
+            documents.push({ name: path.basename(file), data: JSON.parse(await readFile(file, "utf8")) });
+        } catch (err) {
+            console.warn(`Skipping ${file}: ${err.message}`);
+        }
+    }
+    const { runs, skipped } = collectComparisonRuns(documents);
+    if (skipped.length > 0) console.warn(`Not a summary, bundle or telemetry file (ignored): ${skipped.join(", ")}`);
+    if (runs.length === 0) throw new Error("No runs found in the inputs.");
+
+    const comparison = buildRunComparison(runs, {
+        baselineConditionId: args.baseline,
+        iterations: args.iterations,
+        confidence: args.confidence,
+        seed: args.seed
+    });
+    if (!comparison.ok) throw new Error(comparison.error);
+
+    console.log(`${runs.length} run(s), ${comparison.conditions.length} condition(s); ${runs.filter((run) => run.source === "telemetry").length} with telemetry.`);
+    for (const condition of comparison.conditions) {
+        const cells = comparison.metrics.map(({ key, label }) => {
+            const metric = condition.metrics[key];
+            return `${label} ${formatCell(metric.mean)} [${formatCell(metric.ciLow)}, ${formatCell(metric.ciHigh)}]`;
+        });
+        console.log(`  ${condition.conditionId} (n=${condition.runs}): ${cells.join(" | ")}`);
+    }
+    const significant = comparison.pairs.filter((pair) => pair.winner);
+    console.log(significant.length > 0 ? "Significant differences (Holm-adjusted):" : `No significant differences at p < ${comparison.alpha} (Holm-adjusted).`);
+    significant.forEach((pair) => {
+        console.log(`  ${pair.metric}: ${pair.a} vs ${pair.b} diff ${formatCell(pair.diff)}, p=${pair.pHolm} -> ${pair.winner} better`);
+    });
+
+    if (args.out) {
+        await writeFile(args.out, buildComparisonReportHtml(comparison));
+        console.log(`Comparison report: ${path.resolve(args.out)}`);
+    }
+    if (args.json) {
+        await writeFile(args.json, JSON.stringify({ exportedAt: new Date().toISOString(), ...comparison }, null, 2));
+        console.log(`Comparison JSON: ${path.resolve(args.json)}`);
+    }
+}
+
+main().catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+});
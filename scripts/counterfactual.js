@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Counterfactual re-decision: re-runs logged decisions from an all-logs bundle with another model / temperature /
+// backend on the exact logged inputs, and prints what would have changed.
+//
+//   node scripts/counterfactual.js <all_logs.json> [--decision <n>[,<n>...]] [--model <name>] [--temperature <t>]
+//                                  [--prompt <id@version>] [--provider <id>] [--base-url <url>] [--out <file>]
+//
+// Decisions are numbered from 1 in log order (as in the replay viewer). Without --decision every record is re-run.
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { runCounterfactualDecision } from "../src/services/counterfactual.js";
+import { DEFAULT_LLM_BACKEND, describeLlmBackend, normalizeLlmBackend } from "../src/services/llmProviders.js";
+import { PROMPT_TEMPLATE_OPTIONS, isPromptTemplateKey } from "../src/services/promptTemplates.js";
+
+const USAGE = [
+    "Usage: node scripts/counterfactual.js <all_logs.json> [--decision <n>[,<n>...]] [--model <name>] [--temperature <t>]",
+    "                                      [--prompt <id@version>] [--provider <id>] [--base-url <url>] [--out <file>]"
+].join("\n");
+
+function parseArgs(argv) {
+    const args = { bundlePath: null, decisions: null, model: null, temperature: null, prompt: null, provider: null, baseUrl: null, out: null };
+    for (let i = 0; i < argv.length; i += 1) {
+        const token = argv[i];
+        if (token === "--decision") args.decisions = String(argv[++i] || "").split(",").map((value) => Math.round(Number(value)));
+        else if (token === "--model") args.model = argv[++i];
+        else if (token === "--temperature") args.temperature = Number(argv[++i]);
+        else if (token === "--prompt") args.prompt = argv[++i];
+        else if (token === "--provider") args.provider = argv[++i];
+        else if (token === "--base-url") args.baseUrl = argv[++i];
+        else if (token === "--out") args.out = argv[++i];
+        else if (token === "--help" || token === "-h") args.help = true;
+        else if (!args.bundlePath) args.bundlePath = token;
+        else throw new Error(`Unexpected argument: ${token}`);
+    }
+    return args;
+}
+
+const formatValue = (value) => (typeof value === "number" && !Number.isInteger(value) ? value.toFixed(2) : String(value));
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.bundlePath) {
+        console.log(USAGE);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+    if (args.temperature !== null && !(args.temperature >= 0 && args.temperature <= 2)) {
+        throw new Error("--temperature must be between 0 and 2.");
+    }
+    if (args.prompt !== null && !isPromptTemplateKey(args.prompt)) {
+        throw new Error(`Unknown prompt template "${args.prompt}". Templates: ${PROMPT_TEMPLATE_OPTIONS.map((option) => option.key).join(", ")}`);
+    }
+
+    const bundle = JSON.parse(await readFile(args.bundlePath, "utf8"));
+    const driveLog = Array.isArray(bundle?.files?.driveLog) ? bundle.files.driveLog : [];
+    if (driveLog.length === 0) throw new Error(`No decision records in ${args.bundlePath}.`);
+    const numbers = args.decisions || driveLog.map((_, index) => index + 1);
+    const invalid = numbers.filter((n) => !Number.isInteger(n) || n < 1 || n > driveLog.length);
+    if (invalid.length > 0) throw new Error(`Decision numbers must be 1..${driveLog.length} (got ${invalid.join(", ")}).`);
+
+    // The bundle's backend is the default so "same model, other temperature" needs no extra flags.
+    const backend = normalizeLlmBackend(
+        { provider: args.provider ?? undefined, baseUrl: args.baseUrl ?? undefined },
+        normalizeLlmBackend(bundle.llmBackend, DEFAULT_LLM_BACKEND)
+    );
+    const llmOptions = {
+        backend,
+        ...(args.temperature !== null ? { temperature: args.temperature } : {}),
+        ...(args.prompt !== null ? { promptTemplate: args.prompt } : {})
+    };
+    console.log(`Re-deciding ${numbers.length} record(s) from ${path.basename(args.bundlePath)} with ${args.model || "the logged model"} on ${describeLlmBackend(backend)}`);
+
+    const results = [];
+    for (const n of numbers) {
+        const result = await runCounterfactualDecision(driveLog[n - 1], {
+            model: args.model,
+            llmOptions,
+            previousRecord: driveLog[n - 2] || null,
+            frames: bundle.files.observationFrames || null
+        });
+        if (!result.ok) {
+            console.warn(`#${n}: skipped (${result.error})`);
+            results.push({ decision: n, ...result });
+            continue;
+        }
+        const changes = result.diff.map((change) => `${change.field} ${formatValue(change.original)} -> ${formatValue(change.counterfactual)}`);
+        const outcome = result.outcome?.label ? ` [outcome ${result.outcome.label}]` : "";
+        console.log(`#${n}${outcome}: ${changes.length > 0 ? changes.join(", ") : "no change"}`);
+        results.push({ decision: n, ...result });
+    }
+
+    const changedCount = results.filter((result) => result.changed).length;
+    const promptDrift = results.filter((result) => result.promptMatchesLog === false).length;
+    console.log(`${changedCount}/${results.length} decision(s) changed.${promptDrift > 0 ? ` Prompt differs from the log in ${promptDrift} record(s).` : ""}`);
+
+    if (args.out) {
+        await writeFile(path.resolve(args.out), JSON.stringify({
+            bundle: path.basename(args.bundlePath),
+            createdAt: new Date().toISOString(),
+            model: args.model || null,
+            llmOptions,
+            changedCount,
+            results
+        }, null, 2));
+        console.log(`Wrote ${args.out}`);
+    }
+}
+
+main().catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+});
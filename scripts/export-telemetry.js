@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Tabular telemetry export: converts the telemetry of all-logs bundles or telemetry JSON files into flat CSV or
+// NDJSON tables (one row per sample, fixed columns) and writes the versioned column dictionary next to them.
+//
+//   node scripts/export-telemetry.js <all_logs.json|telemetry.json>... [--format csv|ndjson] [--out <dir>]
+//                                    [--run-tag <tag>] [--condition <id>]
+//
+// Each input becomes <input name>.<csv|ndjson> in --out (default: next to the input). --run-tag / --condition fill the
+// run columns of every row; experiment runs with --tabular get them from the runner.
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import {
+    TELEMETRY_COLUMNS,
+    TELEMETRY_COLUMNS_VERSION,
+    TELEMETRY_TABLE_FORMATS,
+    buildTelemetryDataDictionary,
+    buildTelemetryTable
+} from "../src/services/telemetryExport.js";
+
+const USAGE = [
+    "Usage: node scripts/export-telemetry.js <all_logs.json|telemetry.json>... [--format csv|ndjson] [--out <dir>]",
+    "                                        [--run-tag <tag>] [--condition <id>]"
+].join("\n");
+
+function parseArgs(argv) {
+    const args = { inputs: [], format: "csv", outDir: null, runTag: null, conditionId: null };
+    for (let i = 0; i < argv.length; i += 1) {
+        const token = argv[i];
+        if (token === "--format") args.format = String(argv[++i] || "").toLowerCase();
+        else if (token === "--out") args.outDir = argv[++i];
+        else if (token === "--run-tag") args.runTag = argv[++i];
+        else if (token === "--condition") args.conditionId = argv[++i];
+        else if (token === "--help" || token === "-h") args.help = true;
+        else if (token.startsWith("--")) throw new Error(`Unexpected argument: ${token}`);
+        else args.inputs.push(token);
+    }
+    return args;
+}
+
+// All-logs bundles keep telemetry in files.telemetry; DOWNLOAD TELEMETRY files are the bare array.
+const extractTelemetry = (data) => {
+    if (Array.isArray(data?.files?.telemetry)) return data.files.telemetry;
+    if (Array.isArray(data)) return data;
+    return null;
+};
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || args.inputs.length === 0) {
+        console.log(USAGE);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+    if (!TELEMETRY_TABLE_FORMATS.includes(args.format)) {
+        throw new Error(`--format must be one of ${TELEMETRY_TABLE_FORMATS.join(", ")}.`);
+    }
+    if (args.outDir) await mkdir(args.outDir, { recursive: true });
+
+    const runInfo = { runTag: args.runTag, conditionId: args.conditionId };
+    const dictionaryDirs = new Set();
+    let exported = 0;
+    for (const input of args.inputs) {
+        const telemetry = extractTelemetry(JSON.parse(await readFile(input, "utf8")));
+        if (!telemetry) {
+            console.warn(`Skipping ${input}: no telemetry (expected an all-logs bundle or a telemetry array).`);
+            continue;
+        }
+        const table = buildTelemetryTable(telemetry, args.format, runInfo);
+        if (!table.ok) throw new Error(table.error);
+        const outDir = args.outDir || path.dirname(input);
+        const outFile = path.join(outDir, `${path.basename(input, path.extname(input))}.${table.extension}`);
+        await writeFile(outFile, table.content);
+        dictionaryDirs.add(outDir);
+        exported += 1;
+        console.log(`${path.basename(input)}: ${telemetry.length} row(s) -> ${outFile}`);
+    }
+    if (exported === 0) throw new Error("No telemetry found in the inputs.");
+
+    const dictionaryName = `telemetry_columns_v${TELEMETRY_COLUMNS_VERSION}.json`;
+    for (const dir of dictionaryDirs) {
+        await writeFile(path.join(dir, dictionaryName), JSON.stringify(buildTelemetryDataDictionary(), null, 2));
+    }
+    console.log(`${TELEMETRY_COLUMNS.length} columns, dictionary: ${dictionaryName}`);
+}
+
+main().catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+});
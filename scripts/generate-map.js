@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// Procedural track map generator: writes solvable track map JSON files with difficulty metrics.
+//
+//   node scripts/generate-map.js [--style pillars|maze|mixed] [--seed <n>] [--count <n>] [--size <m>] [--out <dir>]
+//   node scripts/generate-map.js --analyze <id|map.json>
+//
+// Every written map passed the reachability check (spawn pose -> all target zones for the 2x4 car footprint).
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { MAP_GENERATOR_DEFAULTS, MAP_GENERATOR_STYLES, generateTrackMap, summarizeMapDifficulty } from "../src/services/mapGenerator.js";
+import { analyzeTrackMap } from "../src/services/mapAnalysis.js";
+import { generateSeed, normalizeSeed } from "../src/services/seededRandom.js";
+import { buildTrackMapPayload, getTrackMap, parseTrackMapPayload } from "../src/services/trackMaps.js";
+
+const USAGE = [
+    "Usage: node scripts/generate-map.js [--style pillars|maze|mixed] [--seed <n>] [--count <n>] [--size <m>] [--out <dir>]",
+    "       node scripts/generate-map.js --analyze <id|map.json>"
+].join("\n");
+
+function parseArgs(argv) {
+    const args = { style: MAP_GENERATOR_DEFAULTS.style, seed: null, count: 1, size: MAP_GENERATOR_DEFAULTS.arenaSize, outDir: "generated_maps", analyze: null };
+    for (let i = 0; i < argv.length; i += 1) {
+        const token = argv[i];
+        if (token === "--style") args.style = argv[++i];
+        else if (token === "--seed") args.seed = argv[++i];
+        else if (token === "--count") args.count = Math.max(1, Math.round(Number(argv[++i]) || 1));
+        else if (token === "--size") args.size = Number(argv[++i]);
+        else if (token === "--out") args.outDir = argv[++i];
+        else if (token === "--analyze") args.analyze = argv[++i];
+        else if (token === "--help" || token === "-h") args.help = true;
+        else throw new Error(`Unexpected argument: ${token}`);
+    }
+    return args;
+}
+
+const formatDifficulty = (difficulty) =>
+    `${difficulty.tier} (score ${difficulty.score}) free ${difficulty.freeSpaceRatio}, reachable ${difficulty.reachableRatio}, ` +
+    `min width ${difficulty.minCorridorWidthM}m, dead ends ${difficulty.deadEndCount}`;
+
+async function analyzeOnly(mapArg) {
+    let map = getTrackMap(mapArg);
+    if (!map) {
+        const parsed = parseTrackMapPayload(JSON.parse(await readFile(mapArg, "utf8")));
+        if (!parsed.ok) throw new Error(`Invalid track map (${mapArg}): ${parsed.error}`);
+        map = parsed.map;
+    }
+    const analysis = analyzeTrackMap(map);
+    console.log(`${map.id} (${map.fingerprint}): ${analysis.solvable ? "solvable" : "NOT solvable"}${analysis.spawnValid ? "" : ", spawn pose blocked"}`);
+    console.log(`    ${formatDifficulty(summarizeMapDifficulty(analysis))}`);
+    analysis.zones.forEach((zone) => {
+        console.log(`    zone ${zone.id}: ${zone.reachable ? "reachable" : "UNREACHABLE"}, coverage ${zone.coverage}, bottleneck ${zone.bottleneckClearanceM}m`);
+    });
+    if (!analysis.solvable) process.exitCode = 2;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (args.analyze) {
+        await analyzeOnly(args.analyze);
+        return;
+    }
+    if (!MAP_GENERATOR_STYLES.includes(args.style)) {
+        throw new Error(`Unknown style "${args.style}". Styles: ${MAP_GENERATOR_STYLES.join(", ")}`);
+    }
+
+    const outDir = path.resolve(args.outDir);
+    await mkdir(outDir, { recursive: true });
+    const baseSeed = args.seed !== null ? normalizeSeed(args.seed, 0) : generateSeed();
+    for (let index = 0; index < args.count; index += 1) {
+        const seed = (baseSeed + index) >>> 0;
+        const result = generateTrackMap({ style: args.style, seed, arenaSize: args.size });
+        if (!result.ok) {
+            console.warn(result.error);
+            process.exitCode = 2;
+            continue;
+        }
+        const fileName = `track_map_${result.map.id}.json`;
+        await writeFile(path.join(outDir, fileName), JSON.stringify(buildTrackMapPayload(result.map), null, 2));
+        console.log(`${fileName} (${result.attempts} attempt(s)): ${formatDifficulty(result.map.difficulty)}`);
+    }
+}
+
+main().catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+});
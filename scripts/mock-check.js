@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Mock-driver regression check: short headless runs with the built-in mock models, no LLM server needed.
+//
+//   node scripts/mock-check.js [--seconds <n>] [--seed <n>]
+//
+// Each mock model drives the default map twice with the same seed (stop_think loop). The check fails when a run
+// throws, makes no decisions, records no telemetry, or the two runs of one model diverge (the headless loop is
+// expected to be deterministic for a fixed seed). Exits non-zero on failure so it can gate changes.
+import process from "node:process";
+import { DEFAULT_PHYSICS_SETTINGS } from "../src/services/experimentConfig.js";
+import { runHeadlessSession } from "../src/services/headlessRunner.js";
+import { MOCK_MODELS } from "../src/services/mockDriver.js";
+import { normalizeSeed } from "../src/services/seededRandom.js";
+
+const USAGE = "Usage: node scripts/mock-check.js [--seconds <n>] [--seed <n>]";
+
+const DEFAULT_RUN_SECONDS = 20;
+const DEFAULT_SEED = 7;
+
+function parseArgs(argv) {
+    const args = { seconds: DEFAULT_RUN_SECONDS, seed: DEFAULT_SEED };
+    for (let i = 0; i < argv.length; i += 1) {
+        const token = argv[i];
+        if (token === "--seconds") args.seconds = Number(argv[++i]);
+        else if (token === "--seed") args.seed = argv[++i];
+        else if (token === "--help" || token === "-h") {
+            console.log(USAGE);
+            process.exit(0);
+        } else throw new Error(`Unknown argument: ${token}\n${USAGE}`);
+    }
+    if (!Number.isFinite(args.seconds) || args.seconds <= 0) throw new Error(`--seconds must be a positive number.\n${USAGE}`);
+    args.seed = normalizeSeed(args.seed, DEFAULT_SEED);
+    return args;
+}
+
+// Fields that must match between two runs with the same seed; wall-clock values are left out.
+const fingerprintSession = (session) => JSON.stringify({
+    decisions: session.decisionCount,
+    targets: session.targetsReached,
+    collisions: session.collisionSummary?.totalCount ?? null,
+    plans: session.driveLog.map((entry) => entry.action_plan_executed)
+});
+
+const runOnce = (model, args) => runHeadlessSession({
+    model,
+    physicsSettings: { ...DEFAULT_PHYSICS_SETTINGS },
+    runSeconds: args.seconds,
+    seed: args.seed,
+    startEpochMs: 0
+});
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const failures = [];
+    for (const model of Object.values(MOCK_MODELS)) {
+        let first;
+        let second;
+        try {
+            first = await runOnce(model, args);
+            second = await runOnce(model, args);
+        } catch (err) {
+            failures.push(`${model}: run failed (${err?.message || err})`);
+            continue;
+        }
+        if (first.decisionCount === 0) failures.push(`${model}: no decisions were made`);
+        if (first.telemetry.length === 0) failures.push(`${model}: no telemetry was recorded`);
+        if (fingerprintSession(first) !== fingerprintSession(second)) failures.push(`${model}: runs with seed ${args.seed} diverged`);
+        console.log(`${model}: ${first.decisionCount} decisions, ${first.targetsReached} targets, ${first.collisionSummary?.totalCount ?? 0} collisions, ${first.telemetry.length} telemetry rows`);
+    }
+    if (failures.length) {
+        for (const failure of failures) console.error(`FAIL ${failure}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`OK ${Object.keys(MOCK_MODELS).length} mock models, ${args.seconds}s, seed ${args.seed}`);
+}
+
+main().catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+// Headless experiment runner: executes an exported experiment config JSON without the browser.
+//
+//   node scripts/run-experiment.js <experiment_config.json> [--out <dir>] [--ai-review] [--model <name>] [--seed <n>] [--map <id|map.json>]
+//                                  [--prior-map <memory.json|all_logs.json>] [--tabular <csv|ndjson>]
+//
+// Writes per run: the all-logs bundle (with the final exploration memory and, for image observation conditions, the
+// camera frames), a run summary JSON and the HTML report, plus one experiment summary. --tabular adds a flat
+// telemetry table per run and the column dictionary (src/services/telemetryExport.js).
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import {
+    DEFAULT_PHYSICS_SETTINGS,
+    buildExperimentPlan,
+    parseExperimentConfigPayload,
+    applyConditionPhysicsPatch,
+    groupCoverageByModel,
+    groupParsingByModelAndFormat,
+    groupResultsByDecisionLoop,
+    groupResultsByLatencyCompensation,
+    groupResultsByMapDifficulty,
+    groupResultsByMemoryStart,
+    groupResultsByObservation,
+    groupResultsBySensorFaults,
+    resolveExperimentConditions,
+    resolveRunPriorMemory,
+    summarizeCoverage,
+    summarizeDecisionParsing,
+    summarizeDecisionPipeline,
+    summarizeLatencyPrediction,
+    summarizeMemoryStart,
+    summarizeSensorFaults,
+    summarizeTelemetryForExperiment
+} from "../src/services/experimentConfig.js";
+import { DEFAULT_DECISION_LOOP_MODE } from "../src/services/decisionPipeline.js";
+import {
+    DEFAULT_EXPLORATION_MEMORY_START,
+    DEFAULT_EXPLORATION_MODE,
+    EXPLORATION_MEMORY_STARTS,
+    parseExplorationMemoryPayload
+} from "../src/services/explorationMemory.js";
+import { DEFAULT_LATENCY_COMPENSATION } from "../src/services/statePrediction.js";
+import { DEFAULT_OBSERVATION_MODE, DEFAULT_OBSERVATION_VIEW, observationUsesImage } from "../src/services/observationFrames.js";
+import { DEFAULT_LLM_BACKEND, describeLlmBackend, normalizeLlmBackend } from "../src/services/llmProviders.js";
+import { isMockModel } from "../src/services/mockDriver.js";
+import { runHeadlessSession } from "../src/services/headlessRunner.js";
+import { rateTrackMap, resolveTrackMapId } from "../src/services/mapGenerator.js";
+import { normalizeSeed } from "../src/services/seededRandom.js";
+import { describeSensorFaults } from "../src/services/sensorFaults.js";
+import {
+    TELEMETRY_COLUMNS_VERSION,
+    TELEMETRY_TABLE_FORMATS,
+    buildTelemetryDataDictionary,
+    buildTelemetryTable
+} from "../src/services/telemetryExport.js";
+import {
+    DEFAULT_TARGET_SPAWN_POLICY,
+    DEFAULT_TRACK_MAP,
+    TRACK_MAP_OPTIONS,
+    buildTrackMapPayload,
+    describeTrackMap,
+    parseTrackMapPayload
+} from "../src/services/trackMaps.js";
+import { buildHTMLReportContent, generateAIReview } from "../src/services/analysisService.js";
+
+const USAGE = "Usage: node scripts/run-experiment.js <experiment_config.json> [--out <dir>] [--ai-review] [--model <name>] [--seed <n>] [--map <id|map.json>] [--prior-map <memory.json|all_logs.json>] [--tabular <csv|ndjson>]";
+
+const formatStamp = (ts) => new Date(ts).toISOString().replace(/[:.]/g, "-");
+
+function parseArgs(argv) {
+    const args = { configPath: null, outDir: "auto_experiment_results", aiReview: false, model: null, seed: null, map: null, priorMap: null, tabular: null };
+    for (let i = 0; i < argv.length; i += 1) {
+        const token = argv[i];
+        if (token === "--out") args.outDir = argv[++i];
+        else if (token === "--ai-review") args.aiReview = true;
+        else if (token === "--model") args.model = argv[++i];
+        else if (token === "--seed") args.seed = argv[++i];
+        else if (token === "--map") args.map = argv[++i];
+        else if (token === "--prior-map") args.priorMap = argv[++i];
+        else if (token === "--tabular") args.tabular = String(argv[++i] || "").toLowerCase();
+        else if (token === "--help" || token === "-h") args.help = true;
+        else if (!args.configPath) args.configPath = token;
+        else throw new Error(`Unexpected argument: ${token}`);
+    }
+    return args;
+}
+
+// --map takes a built-in map id, a generated map id (gen_<style>_<seed>) or a path to a track map JSON file.
+async function resolveTrackMap(mapArg) {
+    if (!mapArg) return DEFAULT_TRACK_MAP;
+    const known = resolveTrackMapId(mapArg);
+    if (known) return known;
+    if (!mapArg.endsWith(".json")) {
+        throw new Error(`Unknown track map "${mapArg}". Built-in maps: ${TRACK_MAP_OPTIONS.map((option) => option.id).join(", ")}`);
+    }
+    const parsed = parseTrackMapPayload(JSON.parse(await readFile(mapArg, "utf8")));
+    if (!parsed.ok) throw new Error(`Invalid track map (${mapArg}): ${parsed.error}`);
+    return parsed.map;
+}
+
+// --prior-map takes a saved exploration memory or an all-logs bundle carrying one (files.explorationMemory).
+async function loadPriorMap(priorMapArg) {
+    if (!priorMapArg) return null;
+    const parsed = parseExplorationMemoryPayload(JSON.parse(await readFile(priorMapArg, "utf8")));
+    if (!parsed.ok) throw new Error(`Invalid prior map (${priorMapArg}): ${parsed.error}`);
+    return parsed.snapshot;
+}
+
+async function buildReport(history, model, llmBackend, wantAiReview) {
+    if (!Array.isArray(history) || history.length < 10) {
+        return {
+            reportStatus: "insufficient_data",
+            aiReview: "",
+            reportHtml: "<html><body><h1>Not enough telemetry to generate report.</h1></body></html>"
+        };
+    }
+    let aiReview = "";
+    if (wantAiReview && !isMockModel(model)) {
+        try {
+            aiReview = await generateAIReview(history, model, { backend: llmBackend });
+        } catch (err) {
+            console.warn(`AI review failed: ${err?.message || err}`);
+        }
+    }
+    try {
+        const reportHtml = buildHTMLReportContent(history, aiReview) || "";
+        return { reportStatus: reportHtml ? "ok" : "empty", aiReview, reportHtml };
+    } catch (err) {
+        console.error("HTML report generation failed:", err);
+        return { reportStatus: "error", aiReview, reportHtml: "<html><body><h1>Report generation failed.</h1></body></html>" };
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.configPath) {
+        console.log(USAGE);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+    if (args.tabular !== null && !TELEMETRY_TABLE_FORMATS.includes(args.tabular)) {
+        throw new Error(`--tabular must be one of ${TELEMETRY_TABLE_FORMATS.join(", ")}.`);
+    }
+
+    const payload = JSON.parse(await readFile(args.configPath, "utf8"));
+    const parsed = parseExperimentConfigPayload(payload);
+    if (!parsed.ok) throw new Error(`Invalid experiment config (${args.configPath}): ${parsed.error}`);
+    if (parsed.invalidConditionIds.length > 0) {
+        console.warn(`Dropped unknown condition IDs: ${parsed.invalidConditionIds.join(", ")}`);
+    }
+
+    const config = args.seed !== null ? { ...parsed.config, seed: normalizeSeed(args.seed, parsed.config.seed) } : parsed.config;
+    const baseLlmBackend = parsed.llmBackend || { ...DEFAULT_LLM_BACKEND };
+    const basePhysics = parsed.physicsSettings || { ...DEFAULT_PHYSICS_SETTINGS };
+    // --map is the layout for conditions without their own mapId.
+    const defaultTrackMap = rateTrackMap(await resolveTrackMap(args.map));
+    const runs = buildExperimentPlan(config);
+    if (runs.length === 0) throw new Error("Experiment plan is empty. Select at least one AB condition.");
+    const priorMap = await loadPriorMap(args.priorMap);
+    if (!priorMap && runs.some((run) => run.memoryStart === EXPLORATION_MEMORY_STARTS.PRIOR)) {
+        throw new Error(`Conditions with memoryStart "prior" need --prior-map.\n${USAGE}`);
+    }
+    // Final memory of each condition's latest successful run, for memoryStart "carry".
+    const carriedMemory = new Map();
+
+    const outDir = path.resolve(args.outDir);
+    await mkdir(outDir, { recursive: true });
+    const telemetryColumnsFile = args.tabular ? `telemetry_columns_v${TELEMETRY_COLUMNS_VERSION}.json` : null;
+    if (telemetryColumnsFile) {
+        await writeFile(path.join(outDir, telemetryColumnsFile), JSON.stringify(buildTelemetryDataDictionary(), null, 2));
+    }
+    const startedAt = Date.now();
+    const sessionPrefix = `session_${formatStamp(startedAt)}`;
+    const results = [];
+    const runArtifacts = [];
+    console.log(`Running ${runs.length} run(s), default track map ${defaultTrackMap.id} (${defaultTrackMap.fingerprint}, ${defaultTrackMap.difficulty.tier}) -> ${outDir}`);
+
+    for (let index = 0; index < runs.length; index += 1) {
+        const run = runs[index];
+        const model = args.model || run.model || parsed.selectedModel;
+        const llmBackend = normalizeLlmBackend(run.llmBackend, baseLlmBackend);
+        const physicsSettings = applyConditionPhysicsPatch(basePhysics, run.physicsPatch);
+        const trackMap = run.mapId ? rateTrackMap(resolveTrackMapId(run.mapId)) : defaultTrackMap;
+        const targetPolicy = run.targetPolicy || DEFAULT_TARGET_SPAWN_POLICY;
+        const decisionLoop = run.decisionLoop || DEFAULT_DECISION_LOOP_MODE;
+        const latencyCompensation = run.latencyCompensation || DEFAULT_LATENCY_COMPENSATION;
+        const memoryStart = run.memoryStart || DEFAULT_EXPLORATION_MEMORY_START;
+        const explorationMode = run.explorationMode || DEFAULT_EXPLORATION_MODE;
+        const observation = run.observation || DEFAULT_OBSERVATION_MODE;
+        const observationView = run.observationView || DEFAULT_OBSERVATION_VIEW;
+        const priorMemory = resolveRunPriorMemory(run, { carried: carriedMemory, priorMap });
+        const runStartMs = Date.now();
+        const runTag = `${run.runTag}_${formatStamp(runStartMs)}`;
+        const runStamp = formatStamp(runStartMs);
+        console.log(`[${index + 1}/${runs.length}] ${run.id} (${run.label}) repeat ${run.repeat} (seed ${run.seed}): ${model} via ${describeLlmBackend(llmBackend)} on ${trackMap.id}, ${decisionLoop}, latency ${latencyCompensation}, memory ${memoryStart}${priorMemory ? ` (${priorMemory.cells.length} prior cells)` : ""}, ${explorationMode} exploration, observation ${observation}${observationUsesImage(observation) ? ` (${observationView})` : ""}, sensor faults ${describeSensorFaults(physicsSettings)}, ${run.runSeconds}s sim`);
+
+        let status = "DONE";
+        let reason = "Completed";
+        let session;
+        try {
+            session = await runHeadlessSession({
+                model,
+                llmBackend,
+                llmOptions: run.llmOptions || null,
+                physicsSettings,
+                runSeconds: run.runSeconds,
+                seed: run.seed,
+                trackMap,
+                targetPolicy,
+                decisionLoop,
+                latencyCompensation,
+                memoryStart,
+                priorMemory,
+                explorationMode,
+                observation,
+                observationView,
+                startEpochMs: runStartMs
+            });
+            carriedMemory.set(run.id, session.explorationMemory);
+        } catch (err) {
+            console.error(`Run ${run.id} failed:`, err);
+            status = "ERROR";
+            reason = err?.message || "Headless run failed.";
+            session = { seed: run.seed, spawnPose: null, trackMap: describeTrackMap(trackMap), telemetry: [], driveLog: [], collisionEvents: [], collisionSummary: undefined, decisionCount: 0, simTimeMs: 0, wallTimeMs: 0 };
+        }
+
+        const report = await buildReport(session.telemetry, model, llmBackend, args.aiReview);
+        const metrics = {
+            ...summarizeTelemetryForExperiment(session.telemetry, session.decisionCount, session.collisionSummary),
+            parsing: summarizeDecisionParsing(session.driveLog),
+            pipeline: summarizeDecisionPipeline(session.driveLog),
+            latencyPrediction: summarizeLatencyPrediction(session.driveLog),
+            occupancy: session.occupancyAccuracy || null,
+            coverage: summarizeCoverage(session.telemetry),
+            memory: summarizeMemoryStart(
+                session.memoryStart || { mode: memoryStart },
+                session.telemetry,
+                session.explorationMemory ? session.explorationMemory.cells.length : null
+            ),
+            sensorFaults: summarizeSensorFaults(session.telemetry, session.driveLog)
+        };
+        const fileNames = {
+            allLogs: `${sessionPrefix}_all_logs_${runStamp}_${runTag}.json`,
+            summary: `${sessionPrefix}_run_summary_${runStamp}_${runTag}.json`,
+            reportHtml: `${sessionPrefix}_report_driver_limit_report_${runStamp}_${runTag}.html`
+        };
+        if (args.tabular) fileNames.telemetryTable = `${sessionPrefix}_telemetry_${runStamp}_${runTag}.${args.tabular}`;
+        const allLogs = {
+            sessionPrefix,
+            exportedAt: new Date().toISOString(),
+            model,
+            llmBackend,
+            runner: "headless",
+            seed: session.seed,
+            spawnPose: session.spawnPose,
+            // Full layout (as in browser bundles) so the replay viewer can rebuild the run.
+            trackMap: buildTrackMapPayload(trackMap),
+            telemetrySamples: session.telemetry.length,
+            decisionLogRecords: session.driveLog.length,
+            collisionEvents: session.collisionEvents.length,
+            collisionSummary: session.collisionSummary || null,
+            preflight: null,
+            reportStatus: report.reportStatus,
+            aiReview: report.aiReview,
+            memoryStart: session.memoryStart || null,
+            files: {
+                driveLog: session.driveLog,
+                telemetry: session.telemetry,
+                collisionEvents: session.collisionEvents,
+                explorationMemory: session.explorationMemory || null,
+                // Base64 PNGs keyed by the hash in each decision record's `observation`.
+                observationFrames: session.observationFrames || {},
+                reportHtml: report.reportHtml
+            }
+        };
+        const result = {
+            conditionId: run.id,
+            label: run.label,
+            repeat: run.repeat,
+            model,
+            llmBackend,
+            llmOptions: run.llmOptions || null,
+            physicsSettings,
+            runSeconds: run.runSeconds,
+            seed: session.seed,
+            trackMap: session.trackMap,
+            targetPolicy,
+            decisionLoop,
+            latencyCompensation,
+            memoryStart,
+            explorationMode,
+            observation,
+            observationView: observationUsesImage(observation) ? observationView : null,
+            factors: run.factors || null,
+            runTag,
+            startedAt: new Date(runStartMs).toISOString(),
+            finishedAt: new Date().toISOString(),
+            simTimeMs: session.simTimeMs,
+            wallTimeMs: session.wallTimeMs,
+            status,
+            reason,
+            metrics
+        };
+
+        await writeFile(path.join(outDir, fileNames.allLogs), JSON.stringify(allLogs, null, 2));
+        await writeFile(path.join(outDir, fileNames.summary), JSON.stringify(result, null, 2));
+        await writeFile(path.join(outDir, fileNames.reportHtml), report.reportHtml);
+        if (fileNames.telemetryTable) {
+            const table = buildTelemetryTable(session.telemetry, args.tabular, { runTag, conditionId: run.id });
+            await writeFile(path.join(outDir, fileNames.telemetryTable), table.content);
+        }
+        results.push(result);
+        runArtifacts.push({ conditionId: run.id, label: run.label, repeat: run.repeat, runTag, fileNames });
+        console.log(`    ${status}: ${metrics.decisionCount} decisions, ${metrics.maxTargetHitCount} target(s), ${metrics.collisionCount} collision(s) in ${session.wallTimeMs}ms wall`);
+    }
+
+    const summaryPayload = {
+        exportedAt: new Date().toISOString(),
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        aborted: false,
+        runner: "headless",
+        configSource: path.basename(args.configPath),
+        config,
+        trackMap: buildTrackMapPayload(defaultTrackMap),
+        saveMode: config.saveMode,
+        selectedConditionIds: config.selectedConditionIds,
+        conditionMatrix: resolveExperimentConditions(config),
+        totalRunsPlanned: runs.length,
+        totalRunsCompleted: results.length,
+        results,
+        byMapDifficulty: groupResultsByMapDifficulty(results),
+        parsingByModel: groupParsingByModelAndFormat(results),
+        byDecisionLoop: groupResultsByDecisionLoop(results),
+        byLatencyCompensation: groupResultsByLatencyCompensation(results),
+        byMemoryStart: groupResultsByMemoryStart(results),
+        coverageByModel: groupCoverageByModel(results),
+        byObservation: groupResultsByObservation(results),
+        bySensorFaults: groupResultsBySensorFaults(results),
+        telemetryColumnsFile,
+        runArtifacts
+    };
+    const summaryFile = `${sessionPrefix}_experiment_automation_summary_${formatStamp(Date.now())}.json`;
+    await writeFile(path.join(outDir, summaryFile), JSON.stringify(summaryPayload, null, 2));
+    console.log(`Experiment summary: ${path.join(outDir, summaryFile)}`);
+}
+
+main().catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+});
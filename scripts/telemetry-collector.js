@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Reference collector for the live telemetry sink (src/services/telemetrySink.js): accepts WebSocket connections and
+// appends every NDJSON record to <out>/<session>.ndjson as it arrives. GET / returns the per-session counts as JSON.
+//
+//   node scripts/telemetry-collector.js [--port <n>] [--host <addr>] [--out <dir>]
+//
+// Dependency-free: implements just the server side of RFC 6455 the sink needs (text frames, ping, close).
+import { createHash } from "node:crypto";
+import { createWriteStream } from "node:fs";
+import { mkdir } from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import process from "node:process";
+
+const USAGE = "Usage: node scripts/telemetry-collector.js [--port <n>] [--host <addr>] [--out <dir>]";
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+// Larger frames are refused (the sink batches at most a few MB when flushing its buffer).
+const MAX_FRAME_BYTES = 64 * 1024 * 1024;
+
+function parseArgs(argv) {
+    const args = { port: 8787, host: "127.0.0.1", outDir: "telemetry_stream" };
+    for (let i = 0; i < argv.length; i += 1) {
+        const token = argv[i];
+        if (token === "--port") args.port = Math.round(Number(argv[++i]));
+        else if (token === "--host") args.host = argv[++i];
+        else if (token === "--out") args.outDir = argv[++i];
+        else if (token === "--help" || token === "-h") args.help = true;
+        else throw new Error(`Unexpected argument: ${token}`);
+    }
+    return args;
+}
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+    const length = payload.length;
+    const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    if (length < 126) {
+        header[1] = length;
+    } else if (length < 65536) {
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+// Splits complete frames off the front of `buffer`; returns { frames, rest } or { error }.
+const decodeFrames = (buffer) => {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7f;
+        let cursor = offset + 2;
+        if (length === 126) {
+            if (buffer.length - cursor < 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length - cursor < 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        if (length > MAX_FRAME_BYTES) return { error: `frame of ${length} bytes exceeds ${MAX_FRAME_BYTES}` };
+        if (!(second & 0x80)) return { error: "client frames must be masked" };
+        if (buffer.length - cursor < 4 + length) break;
+        const mask = buffer.subarray(cursor, cursor + 4);
+        const payload = Buffer.from(buffer.subarray(cursor + 4, cursor + 4 + length));
+        for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+        frames.push({ fin: !!(first & 0x80), opcode: first & 0x0f, payload });
+        offset = cursor + 4 + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+};
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!Number.isInteger(args.port) || args.port < 1 || args.port > 65535) throw new Error("--port must be 1..65535.");
+    const outDir = path.resolve(args.outDir);
+    await mkdir(outDir, { recursive: true });
+
+    const sessions = new Map();
+    const sessionFor = (name) => {
+        const safeName = String(name || "unknown_session").replace(/[^A-Za-z0-9_.-]/g, "_");
+        if (!sessions.has(safeName)) {
+            const file = path.join(outDir, `${safeName}.ndjson`);
+            sessions.set(safeName, { file, stream: createWriteStream(file, { flags: "a" }), counts: {} });
+            console.log(`Session ${safeName} -> ${file}`);
+        }
+        return sessions.get(safeName);
+    };
+
+    const handleLine = (line) => {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            console.warn(`Skipping a malformed line (${line.length} chars).`);
+            return;
+        }
+        const session = sessionFor(record.session);
+        session.stream.write(`${line}\n`);
+        session.counts[record.type] = (session.counts[record.type] || 0) + 1;
+        if (record.type === "run_start" || record.type === "run_end") {
+            console.log(`  ${record.type} ${record.runTag || "manual"}${record.type === "run_end" ? ` (${session.counts.telemetry || 0} samples, ${session.counts.decision || 0} decisions so far)` : ""}`);
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        const summary = Object.fromEntries([...sessions].map(([name, session]) => [name, { file: session.file, counts: session.counts }]));
+        res.writeHead(200, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+        res.end(JSON.stringify({ sessions: summary }, null, 2));
+    });
+
+    server.on("upgrade", (req, socket) => {
+        const key = req.headers["sec-websocket-key"];
+        if (!key || String(req.headers.upgrade || "").toLowerCase() !== "websocket") {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+            return;
+        }
+        const accept = createHash("sha1").update(`${key}${WEBSOCKET_GUID}`).digest("base64");
+        socket.write(["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n"));
+        const peer = `${req.socket.remoteAddress}:${req.socket.remotePort}`;
+        console.log(`Connected ${peer}`);
+
+        let pending = Buffer.alloc(0);
+        let message = [];
+        let partialLine = "";
+        socket.on("data", (chunk) => {
+            const decoded = decodeFrames(Buffer.concat([pending, chunk]));
+            if (decoded.error) {
+                console.warn(`Closing ${peer}: ${decoded.error}`);
+                socket.end(encodeFrame(0x8));
+                return;
+            }
+            pending = decoded.rest;
+            for (const frame of decoded.frames) {
+                if (frame.opcode === 0x8) {
+                    socket.end(encodeFrame(0x8));
+                    return;
+                }
+                if (frame.opcode === 0x9) {
+                    socket.write(encodeFrame(0xa, frame.payload));
+                    continue;
+                }
+                if (frame.opcode !== 0x1 && frame.opcode !== 0x0) continue;
+                message.push(frame.payload);
+                if (!frame.fin) continue;
+                // A message holds one or more complete lines; a line split across messages is joined.
+                const lines = `${partialLine}${Buffer.concat(message).toString("utf8")}`.split("\n");
+                message = [];
+                partialLine = lines.pop();
+                lines.filter((line) => line.trim()).forEach(handleLine);
+            }
+        });
+        socket.on("close", () => {
+            if (partialLine.trim()) handleLine(partialLine);
+            console.log(`Disconnected ${peer}`);
+        });
+        socket.on("error", (err) => console.warn(`Socket error from ${peer}: ${err.message}`));
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(args.port, args.host, resolve);
+    });
+    console.log(`Telemetry collector on ws://${args.host}:${args.port} -> ${outDir} (Ctrl+C to stop)`);
+
+    process.on("SIGINT", () => {
+        server.close();
+        for (const session of sessions.values()) session.stream.end();
+        process.exit(0);
+    });
+}
+
+main().catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+});
@@ -1,22 +1,126 @@
 import { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import GameScene from "./components/GameScene";
 import AutoAnalyst from "./components/AutoAnalyst"; // New Module
+import ReplayPanel from "./components/ReplayPanel";
 import { getDrivingDecision } from "./services/ollamaService"; // Removed getAvailableModels
-import { createExplorationMemory } from "./services/explorationMemory";
-import { generateAIReview, buildHTMLReportContent } from "./services/analysisService";
-
-const TRACK_WORLD_BOUNDS = Object.freeze({
-  minX: -19,
-  maxX: 19,
-  minZ: -19,
-  maxZ: 19,
-  softMargin: 3.5
-});
-const DEFAULT_CAR_SPAWN = Object.freeze({
-  position: [0, 0.65, -10],
-  rotation: [0, 0, 0]
-});
-const DEFAULT_TARGET_POSITION = Object.freeze([0, 1, 15]);
+import {
+  DEFAULT_EXPLORATION_MODE,
+  EXPLORATION_MEMORY_STARTS,
+  createExplorationMemory,
+  parseExplorationMemoryPayload
+} from "./services/explorationMemory";
+import { computeReachableArea, evaluateOccupancyAccuracy, measureCoverage } from "./services/occupancyGrid";
+import { generateAIReview, buildHTMLReportContent, buildComparisonReportHtml } from "./services/analysisService";
+import { DEFAULT_LLM_BACKEND, LLM_PROVIDER_OPTIONS, defaultBaseUrlForProvider, normalizeLlmBackend } from "./services/llmProviders";
+import { MOCK_MODELS } from "./services/mockDriver";
+import { createReplayCursor, parseReplayBundle } from "./services/replay";
+import { runCounterfactualDecision } from "./services/counterfactual";
+import { createInitialCollisionStats, recordCollisionStats, snapshotCollisionStats } from "./services/collisionStats";
+import {
+  FRONT_GUARD_DIST,
+  normalizeReasonEnvelope,
+  createInitialReasonValidationStats,
+  reasonValidationPassRate,
+  minFrontDistance,
+  normalizeActionPlan,
+  createDirectionFlipState,
+  guardFirstPlanStep,
+  runGuardedActionPlan,
+  buildHeatmapDecisionDiagnostics,
+  buildDecisionOutcome,
+  snapshotSmoothingState
+} from "./services/decisionRuntime";
+import {
+  DECISION_LOOP_MODES,
+  DEFAULT_DECISION_LOOP_MODE,
+  PIPELINE_LATENCY_WINDOW,
+  PIPELINE_STATUSES,
+  applyPipelineTiming,
+  buildPredictedSensorSnapshot,
+  describePipelinePose,
+  estimatePipelineHorizonMs,
+  predictPoseAlongPlan,
+  resolvePipelineTiming,
+  splitPlanForPipeline
+} from "./services/decisionPipeline";
+import {
+  DEFAULT_LATENCY_COMPENSATION,
+  LATENCY_COMPENSATION_MODES,
+  buildActuationView,
+  collectTelemetryLatencies,
+  predictActuationState,
+  resolveCompensatedLlmOptions,
+  scoreActuationPrediction,
+  summarizeLatencyDistribution
+} from "./services/statePrediction";
+import {
+  DEFAULT_OBSERVATION_MODE,
+  DEFAULT_OBSERVATION_VIEW,
+  buildObservationFrame,
+  observationSceneFromSensor,
+  observationUsesImage,
+  renderObservationFrame,
+  resolveObservationLlmOptions
+} from "./services/observationFrames";
+import {
+  CONDITION_VALUE_LIMITS,
+  DEFAULT_PHYSICS_SETTINGS,
+  EXPERIMENT_SAVE_MODES,
+  EXPERIMENT_START_MAX_ATTEMPTS,
+  applyConditionPhysicsPatch,
+  buildExperimentConfigPayload,
+  buildExperimentPlan,
+  createInitialExperimentConfig,
+  groupCoverageByModel,
+  groupParsingByModelAndFormat,
+  groupResultsByDecisionLoop,
+  groupResultsByLatencyCompensation,
+  groupResultsByMapDifficulty,
+  groupResultsByMemoryStart,
+  groupResultsByObservation,
+  groupResultsBySensorFaults,
+  parseExperimentConfigPayload,
+  resolveExperimentConditions,
+  resolveRunPriorMemory,
+  summarizeCoverage,
+  summarizeDecisionParsing,
+  summarizeDecisionPipeline,
+  summarizeLatencyPrediction,
+  summarizeMemoryStart,
+  summarizeSensorFaults,
+  summarizeTelemetryForExperiment
+} from "./services/experimentConfig";
+import { TELEMETRY_SAMPLE_INTERVAL_MS, buildTelemetryPoint, createInitialAiMeta } from "./services/telemetry";
+import { TELEMETRY_COLUMNS_VERSION, buildTelemetryDataDictionary, buildTelemetryTable } from "./services/telemetryExport";
+import { SESSION_LIBRARY_MAX_ENTRIES, createSessionLibrary } from "./services/sessionLibrary";
+import { TELEMETRY_SINK_DEFAULT_URL, createTelemetrySink, normalizeTelemetrySinkUrl } from "./services/telemetrySink";
+import {
+  DEFAULT_EXPERIMENT_SEED,
+  createRunRandomStreams,
+  generateSeed,
+  normalizeSeed,
+  sampleSpawnPose
+} from "./services/seededRandom";
+import { buildRunComparison, collectComparisonRuns } from "./services/runComparison";
+import { SENSOR_FAULT_PRESETS, createSensorFaultInjector, describeSensorFaults, normalizeSensorFaults } from "./services/sensorFaults";
+import {
+  DEFAULT_TARGET_SPAWN_POLICY,
+  DEFAULT_TRACK_MAP,
+  TRACK_MAP_OPTIONS,
+  buildTrackMapPayload,
+  describeTrackMap,
+  getTrackMap,
+  parseTrackMapPayload,
+  pickSpawnPose,
+  sampleTrackTarget
+} from "./services/trackMaps";
+import {
+  MAP_GENERATOR_DEFAULTS,
+  MAP_GENERATOR_STYLES,
+  generateTrackMap,
+  rateTrackMap,
+  resolveTrackMapId
+} from "./services/mapGenerator";
 
 const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
 const clamp01 = (value) => Math.max(0, Math.min(1, asFiniteNumber(value, 0)));
@@ -40,9 +144,6 @@ const circularMeanDeg = (angles) => {
   if (Math.abs(sumSin) < 1e-6 && Math.abs(sumCos) < 1e-6) return 0;
   return wrapAngleDeg(Math.atan2(sumSin, sumCos) * (180 / Math.PI));
 };
-const THROTTLE_SIGN_DEADZONE = 0.08;
-const ACTION_REASON_SIGN_DEADZONE = 0.08;
-const DIRECTION_FLIP_COOLDOWN_MS = 1000;
 const CALIBRATION_UPDATE_INTERVAL_MS = 600;
 const CALIBRATION_MIN_MOTION_SAMPLES = 20;
 const CALIBRATION_MIN_STEER_SAMPLES = 10;
@@ -57,23 +158,7 @@ const PREFLIGHT_AI_SCENARIOS = Object.freeze([
   "ESCAPE_FRONT_BLOCKED",
   "EXPLORE_NO_TARGET"
 ]);
-const COLLISION_REGIONS = Object.freeze([
-  "OUTER_NORTH",
-  "OUTER_SOUTH",
-  "OUTER_EAST",
-  "OUTER_WEST",
-  "INNER_OBSTACLE",
-  "OUTSIDE_BOUNDS",
-  "UNKNOWN"
-]);
-const MODEL_OPTIONS = Object.freeze(["gemma3:4b", "gemma3:12b"]);
-const EXPERIMENT_SAVE_MODES = Object.freeze({
-  SINGLE_BUNDLE_END: "single_bundle_end",
-  SPLIT_PER_RUN: "split_per_run"
-});
-const EXPERIMENT_START_MAX_ATTEMPTS = 2;
-const EXPERIMENT_CONFIG_SCHEMA_ID = "gemma-autodrive-experiment-config";
-const EXPERIMENT_CONFIG_SCHEMA_VERSION = 1;
+const MODEL_OPTIONS = Object.freeze(["gemma3:4b", "gemma3:12b", MOCK_MODELS.RULE_POLICY, MOCK_MODELS.FAULT_INJECTION]);
 const PREFLIGHT_BLOCK_RETRY_COOLDOWN_MS = 5000;
 const EXPERIMENT_PRECHECK_BLOCK_STREAK_ABORT_THRESHOLD = 2;
 const RUN_START_SPAWN_TOLERANCE_M = 3.0;
@@ -81,42 +166,6 @@ const RUN_START_MAX_SPEED = 0.8;
 const RUN_START_MIN_WORLD_Y = 0.2;
 const RUN_START_MAX_WORLD_Y = 2.2;
 const RUN_START_MAX_VERTICAL_SPEED = 1.5;
-const EXPERIMENT_CONDITION_MATRIX = Object.freeze([
-  {
-    id: "AB-1",
-    label: "4b / adaptive sensor",
-    model: "gemma3:4b",
-    physicsPatch: { sensorDynamic: true, sensorRangeMin: 7, sensorRangeMax: 14 }
-  },
-  {
-    id: "AB-2",
-    label: "12b / adaptive sensor",
-    model: "gemma3:12b",
-    physicsPatch: { sensorDynamic: true, sensorRangeMin: 7, sensorRangeMax: 14 }
-  },
-  {
-    id: "AB-3",
-    label: "4b / fixed 10m sensor",
-    model: "gemma3:4b",
-    physicsPatch: { sensorDynamic: false, sensorRangeMin: 10, sensorRangeMax: 10.5 }
-  },
-  {
-    id: "AB-4",
-    label: "4b / wide adaptive sensor",
-    model: "gemma3:4b",
-    physicsPatch: { sensorDynamic: true, sensorRangeMin: 6, sensorRangeMax: 16 }
-  }
-]);
-
-const createInitialExperimentConfig = () => ({
-  repeats: 1,
-  runSeconds: 75,
-  selectedConditionIds: EXPERIMENT_CONDITION_MATRIX.map((condition) => condition.id),
-  saveMode: EXPERIMENT_SAVE_MODES.SINGLE_BUNDLE_END,
-  startAttemptsPerRun: EXPERIMENT_START_MAX_ATTEMPTS,
-  includeHtmlReport: false,
-  includeAllLogsBundle: false
-});
 
 const createInitialExperimentRunnerState = () => ({
   running: false,
@@ -132,102 +181,6 @@ const createInitialExperimentRunnerState = () => ({
   results: []
 });
 
-const buildExperimentPlan = (config = {}) => {
-  const repeats = Math.max(1, Math.min(6, Math.round(asFiniteNumber(config.repeats, 1))));
-  const runSeconds = Math.max(20, Math.min(240, Math.round(asFiniteNumber(config.runSeconds, 75))));
-  const selectedConditionIds = Array.isArray(config.selectedConditionIds)
-    ? config.selectedConditionIds.map((id) => String(id || "").trim()).filter(Boolean)
-    : [];
-  const selectedSet = new Set(selectedConditionIds);
-  const activeConditions = EXPERIMENT_CONDITION_MATRIX.filter((condition) => selectedSet.has(condition.id));
-  const runs = [];
-
-  for (let repeat = 1; repeat <= repeats; repeat += 1) {
-    for (const condition of activeConditions) {
-      const safeId = String(condition.id || "EXP").toUpperCase().replace(/[^A-Z0-9_-]/g, "_");
-      runs.push({
-        ...condition,
-        repeat,
-        runSeconds,
-        runMs: runSeconds * 1000,
-        runTag: `exp_${safeId.toLowerCase()}_r${repeat}`
-      });
-    }
-  }
-
-  return runs;
-};
-
-const summarizeTelemetryForExperiment = (
-  history = [],
-  decisionCount = 0,
-  collisionSnapshot = createInitialCollisionStats()
-) => {
-  const points = Array.isArray(history) ? history : [];
-  if (points.length === 0) {
-    return {
-      telemetrySamples: 0,
-      decisionCount: asFiniteNumber(decisionCount, 0),
-      startDistance: null,
-      endDistance: null,
-      minDistance: null,
-      avgLatencyMs: null,
-      minObstacleDist: null,
-      maxTargetHitCount: 0,
-      collisionCount: collisionSnapshot.totalCount || 0,
-      sameWallCollisionCount: collisionSnapshot.sameWallRepeatCount || 0
-    };
-  }
-
-  let minDistance = Number.POSITIVE_INFINITY;
-  let minObstacleDist = Number.POSITIVE_INFINITY;
-  let maxTargetHitCount = 0;
-  let latencySum = 0;
-  let latencyCount = 0;
-
-  points.forEach((point) => {
-    const distance = asFiniteNumber(point?.distanceToTarget, Number.POSITIVE_INFINITY);
-    if (distance < minDistance) minDistance = distance;
-    const minObstacle = asFiniteNumber(point?.minObstacleDist, Number.POSITIVE_INFINITY);
-    if (minObstacle < minObstacleDist) minObstacleDist = minObstacle;
-    const hits = Math.max(
-      asFiniteNumber(point?.targetHitCount, 0),
-      asFiniteNumber(point?.targetsReached, 0)
-    );
-    if (hits > maxTargetHitCount) maxTargetHitCount = hits;
-    const latency = asFiniteNumber(point?.aiLatencyMs, 0);
-    if (latency > 0) {
-      latencySum += latency;
-      latencyCount += 1;
-    }
-  });
-
-  const first = points[0] || {};
-  const last = points[points.length - 1] || {};
-
-  return {
-    telemetrySamples: points.length,
-    decisionCount: asFiniteNumber(decisionCount, 0),
-    startDistance: asFiniteNumber(first.distanceToTarget, null),
-    endDistance: asFiniteNumber(last.distanceToTarget, null),
-    minDistance: Number.isFinite(minDistance) ? Number(minDistance.toFixed(3)) : null,
-    avgLatencyMs: latencyCount > 0 ? Number((latencySum / latencyCount).toFixed(1)) : null,
-    minObstacleDist: Number.isFinite(minObstacleDist) ? Number(minObstacleDist.toFixed(3)) : null,
-    maxTargetHitCount,
-    collisionCount: collisionSnapshot.totalCount || 0,
-    sameWallCollisionCount: collisionSnapshot.sameWallRepeatCount || 0
-  };
-};
-
-const createInitialCollisionStats = () => ({
-  totalCount: 0,
-  sameWallRepeatCount: 0,
-  sameWallConsecutiveRepeatCount: 0,
-  byRegion: COLLISION_REGIONS.reduce((acc, region) => ({ ...acc, [region]: 0 }), {}),
-  lastRegion: "NONE",
-  lastCollisionAt: 0
-});
-
 const createInitialDirectionCalibrationProfile = () => ({
   headingSign: 1,
   headingOffsetDeg: 0,
@@ -278,153 +231,6 @@ const applyDirectionCalibrationToSensor = (sensor, profile) => {
   return result;
 };
 
-const snapshotCollisionStats = (stats) => {
-  const source = stats || createInitialCollisionStats();
-  return {
-    totalCount: source.totalCount || 0,
-    sameWallRepeatCount: source.sameWallRepeatCount || 0,
-    sameWallConsecutiveRepeatCount: source.sameWallConsecutiveRepeatCount || 0,
-    byRegion: COLLISION_REGIONS.reduce((acc, region) => ({ ...acc, [region]: source.byRegion?.[region] || 0 }), {}),
-    lastRegion: source.lastRegion || "NONE",
-    lastCollisionAt: source.lastCollisionAt || 0
-  };
-};
-
-const regionForCollisionCounting = (region) => {
-  const normalized = typeof region === "string" ? region.trim().toUpperCase() : "UNKNOWN";
-  return COLLISION_REGIONS.includes(normalized) ? normalized : "UNKNOWN";
-};
-
-const throttleToSign = (throttle) => {
-  const t = asFiniteNumber(throttle, 0);
-  if (t > THROTTLE_SIGN_DEADZONE) return 1;
-  if (t < -THROTTLE_SIGN_DEADZONE) return -1;
-  return 0;
-};
-
-const controlValueToSign = (value, deadzone = ACTION_REASON_SIGN_DEADZONE) => {
-  const v = asFiniteNumber(value, 0);
-  if (v > deadzone) return 1;
-  if (v < -deadzone) return -1;
-  return 0;
-};
-
-const normalizeReasonCode = (raw, fallback = "UNSPECIFIED_REASON") => {
-  const token = typeof raw === "string"
-    ? raw.trim().toUpperCase().replace(/[\s-]+/g, "_").replace(/[^A-Z0-9_]/g, "")
-    : "";
-  return token ? token.slice(0, 48) : fallback;
-};
-
-const normalizeReasonSign = (raw, fallback = null) => {
-  if (raw === null || raw === undefined) return fallback;
-  if (typeof raw === "number" && Number.isFinite(raw)) {
-    if (raw > 0.2) return 1;
-    if (raw < -0.2) return -1;
-    return 0;
-  }
-  if (typeof raw === "string") {
-    const token = raw.trim().toUpperCase();
-    if (!token || token === "ANY" || token === "AUTO") return fallback;
-    if (token === "1" || token === "+1" || token === "FORWARD" || token === "LEFT" || token === "POSITIVE") return 1;
-    if (token === "-1" || token === "REVERSE" || token === "RIGHT" || token === "NEGATIVE") return -1;
-    if (token === "0" || token === "HOLD" || token === "NEUTRAL" || token === "STRAIGHT" || token === "CENTER") return 0;
-  }
-  return fallback;
-};
-
-const inferFallbackReason = (step, fallbackReason = null) => {
-  const throttleSign = controlValueToSign(step?.throttle);
-  const steeringSign = controlValueToSign(step?.steering);
-  const fallbackCode = normalizeReasonCode(fallbackReason?.code, "UNSPECIFIED_REASON");
-  const fallbackSummary = typeof fallbackReason?.summary === "string" ? fallbackReason.summary.trim() : "";
-  if (fallbackSummary) {
-    return {
-      code: fallbackCode,
-      summary: fallbackSummary.slice(0, 180),
-      expectedThrottleSign: normalizeReasonSign(fallbackReason?.expectedThrottleSign, throttleSign),
-      expectedSteeringSign: normalizeReasonSign(fallbackReason?.expectedSteeringSign, steeringSign),
-      source: fallbackReason?.source || "fallback"
-    };
-  }
-  if (throttleSign > 0 && steeringSign === 0) {
-    return {
-      code: "FORWARD_PROBE",
-      summary: "Advance straight toward target/frontier.",
-      expectedThrottleSign: 1,
-      expectedSteeringSign: 0,
-      source: "fallback"
-    };
-  }
-  if (throttleSign > 0 && steeringSign !== 0) {
-    return {
-      code: "FORWARD_TURN_APPROACH",
-      summary: "Advance while turning toward safer direction.",
-      expectedThrottleSign: 1,
-      expectedSteeringSign: steeringSign,
-      source: "fallback"
-    };
-  }
-  if (throttleSign < 0) {
-    return {
-      code: "REVERSE_ESCAPE",
-      summary: "Reverse to reduce obstacle pressure.",
-      expectedThrottleSign: -1,
-      expectedSteeringSign: steeringSign,
-      source: "fallback"
-    };
-  }
-  if (steeringSign !== 0) {
-    return {
-      code: "PIVOT_SCAN",
-      summary: "Pivot in place to scan safer heading.",
-      expectedThrottleSign: 0,
-      expectedSteeringSign: steeringSign,
-      source: "fallback"
-    };
-  }
-  return {
-    code: "HOLD_AND_REASSESS",
-    summary: "Hold and request next decision.",
-    expectedThrottleSign: 0,
-    expectedSteeringSign: 0,
-    source: "fallback"
-  };
-};
-
-const normalizeReasonEnvelope = (rawReason, fallbackReason = null, step = {}) => {
-  const fallback = inferFallbackReason(step, fallbackReason);
-  const reasonObj = (typeof rawReason === "string")
-    ? { summary: rawReason }
-    : (rawReason && typeof rawReason === "object")
-      ? rawReason
-      : {};
-  const hasModelCode = typeof reasonObj.code === "string" && reasonObj.code.trim().length > 0;
-  const hasModelSummary = typeof reasonObj.summary === "string" && reasonObj.summary.trim().length > 0;
-  const code = normalizeReasonCode(reasonObj.code || reasonObj.reasonCode || reasonObj.label || fallback.code, fallback.code);
-  const summaryRaw = reasonObj.summary || reasonObj.reason || reasonObj.text || reasonObj.rationale || fallback.summary;
-  const summary = typeof summaryRaw === "string" && summaryRaw.trim().length > 0
-    ? summaryRaw.trim().replace(/\s+/g, " ").slice(0, 180)
-    : fallback.summary;
-  const expectedThrottleSign = normalizeReasonSign(
-    reasonObj.expectedThrottleSign ?? reasonObj.throttleSign ?? reasonObj.expected?.throttleSign,
-    fallback.expectedThrottleSign
-  );
-  const expectedSteeringSign = normalizeReasonSign(
-    reasonObj.expectedSteeringSign ?? reasonObj.steeringSign ?? reasonObj.expected?.steeringSign,
-    fallback.expectedSteeringSign
-  );
-  const sourceRaw = typeof reasonObj.source === "string" ? reasonObj.source.trim().toLowerCase() : "";
-  const source = sourceRaw || ((hasModelCode || hasModelSummary) ? "model" : fallback.source || "fallback");
-  return {
-    code,
-    summary,
-    expectedThrottleSign,
-    expectedSteeringSign,
-    source
-  };
-};
-
 const didAllPreflightChecksPass = (report) => {
   const checks = Array.isArray(report?.checks) ? report.checks : [];
   return checks.length > 0 && checks.every((check) => check.status === "PASS");
@@ -456,161 +262,6 @@ const isGroundGravityPreflightFailure = (report) => {
   return detail.includes("grounded") || detail.includes("gravitystable") || detail.includes("worldy") || detail.includes("verticalspeed");
 };
 
-const createInitialReasonValidationStats = () => ({
-  totalSteps: 0,
-  passedSteps: 0,
-  blockedSteps: 0,
-  missingModelReasonSteps: 0,
-  signMismatchSteps: 0
-});
-
-const validateReasonedActionStep = ({ step, reason, minFrontDist, requireModelReason = true, bypass = false }) => {
-  const issues = [];
-  const normalizedReason = normalizeReasonEnvelope(reason, null, step);
-  const throttleSign = controlValueToSign(step?.throttle);
-  const steeringSign = controlValueToSign(step?.steering);
-
-  if (!bypass && requireModelReason && normalizedReason.source !== "model") {
-    issues.push("REASON_NOT_FROM_MODEL");
-  }
-  if (!normalizedReason.code || !normalizedReason.summary) {
-    issues.push("REASON_EMPTY");
-  }
-  if (!bypass && normalizedReason.expectedThrottleSign !== null && normalizedReason.expectedThrottleSign !== throttleSign) {
-    issues.push("THROTTLE_SIGN_MISMATCH");
-  }
-  if (!bypass && normalizedReason.expectedSteeringSign !== null && normalizedReason.expectedSteeringSign !== steeringSign) {
-    issues.push("STEERING_SIGN_MISMATCH");
-  }
-  if (!bypass && minFrontDist < 2.5 && throttleSign > 0) {
-    issues.push("FORWARD_INTO_FRONT_RISK");
-  }
-
-  return {
-    ok: issues.length === 0,
-    issues,
-    primaryIssue: issues[0] || "",
-    throttleSign,
-    steeringSign,
-    reason: normalizedReason,
-    bypassed: !!bypass
-  };
-};
-
-const buildHeatmapDecisionDiagnostics = (explorationContext, strategy, sensorSnapshot, latestSensor) => {
-  const diagnostics = explorationContext?.diagnostics || {};
-  const chosenSector = strategy?.chosenSector || explorationContext?.preferredSector || "F";
-  const topCandidates = Array.isArray(diagnostics.topCandidates) ? diagnostics.topCandidates : [];
-  const topSafeCandidates = Array.isArray(diagnostics.topSafeCandidates) ? diagnostics.topSafeCandidates : [];
-
-  const preferredSafe = topSafeCandidates.find((c) => c.sector === chosenSector) || null;
-  const fallbackSafe = topSafeCandidates[0] || null;
-  const fallbackBySector = topCandidates.find((c) => c.sector === chosenSector) || null;
-  const selectedCandidate = preferredSafe || fallbackSafe || fallbackBySector || topCandidates[0] || null;
-
-  const selectedSource = preferredSafe
-    ? "chosen_sector_safe"
-    : fallbackSafe
-      ? "fallback_best_safe"
-      : fallbackBySector
-        ? "chosen_sector_nogo"
-        : selectedCandidate
-          ? "fallback_top_candidate"
-          : "none";
-
-  return {
-    chosenSector,
-    selectedSource,
-    currentCellWeight: explorationContext?.currentCell?.weightScore ?? null,
-    selectedCellWeight: selectedCandidate?.score ?? null,
-    selectedCellNoGo: !!selectedCandidate?.isNoGo,
-    selectedCellNoGoReasons: selectedCandidate?.noGoReasons || [],
-    selectedCell: selectedCandidate ? {
-      ix: selectedCandidate.ix,
-      iz: selectedCandidate.iz,
-      sector: selectedCandidate.sector,
-      score: selectedCandidate.score,
-      risk: selectedCandidate.risk
-    } : null,
-    noGoRatio: diagnostics.noGoRatio ?? null,
-    revisitRate: diagnostics.revisitRate ?? explorationContext?.loopRate ?? null,
-    topCandidates,
-    topSafeCandidates,
-    sectorSafety: diagnostics.sectorSafety || [],
-    targetBearingDeg: asFiniteNumber(sensorSnapshot?.angleToTarget, 0),
-    targetDistance: asFiniteNumber(sensorSnapshot?.distanceToTarget, 0),
-    targetHitCount: Object.values(sensorSnapshot?.targetHits || {}).filter(Boolean).length,
-    minObstacleDistNow: Math.min(
-      asFiniteNumber(latestSensor?.front, 10),
-      asFiniteNumber(latestSensor?.leftDiag, 10),
-      asFiniteNumber(latestSensor?.rightDiag, 10),
-      asFiniteNumber(latestSensor?.left, 10),
-      asFiniteNumber(latestSensor?.right, 10),
-      asFiniteNumber(latestSensor?.back, 10),
-      asFiniteNumber(latestSensor?.backLeft, 10),
-      asFiniteNumber(latestSensor?.backRight, 10)
-    )
-  };
-};
-
-const countTargetHits = (snapshot) => Object.values(snapshot?.targetHits || {}).filter(Boolean).length;
-
-const minObstacleDistance = (snapshot) => Math.min(
-  asFiniteNumber(snapshot?.front, 10),
-  asFiniteNumber(snapshot?.leftDiag, 10),
-  asFiniteNumber(snapshot?.rightDiag, 10),
-  asFiniteNumber(snapshot?.left, 10),
-  asFiniteNumber(snapshot?.right, 10),
-  asFiniteNumber(snapshot?.back, 10),
-  asFiniteNumber(snapshot?.backLeft, 10),
-  asFiniteNumber(snapshot?.backRight, 10)
-);
-
-const buildDecisionOutcome = (entry, endSensor, endExploration, nowMs = Date.now()) => {
-  if (!entry?.sensor_snapshot || !endSensor) return null;
-
-  const startSensor = entry.sensor_snapshot;
-  const startDistance = asFiniteNumber(startSensor.distanceToTarget, 0);
-  const endDistance = asFiniteNumber(endSensor.distanceToTarget, startDistance);
-  const progressDelta = startDistance - endDistance;
-  const startMinObstacle = minObstacleDistance(startSensor);
-  const endMinObstacle = minObstacleDistance(endSensor);
-  const minObstacleDelta = endMinObstacle - startMinObstacle;
-  const startLoopRate = asFiniteNumber(entry?.exploration?.loopRate, 0);
-  const endLoopRate = asFiniteNumber(endExploration?.loopRate, startLoopRate);
-  const loopRateDelta = endLoopRate - startLoopRate;
-  const targetHitDelta = countTargetHits(endSensor) - countTargetHits(startSensor);
-  const elapsedMs = Math.max(0, nowMs - asFiniteNumber(entry?.decision_started_at_ms, nowMs));
-  const safetyOverride = !!entry?.direction_cooldown?.applied || !!entry?.runtime_safety_override || !!entry?.safety_guard?.guardApplied;
-
-  let label = "MIXED";
-  if (targetHitDelta > 0) label = "TARGET_REACQUIRED";
-  else if (progressDelta > 0.55 && endMinObstacle >= 2.4) label = "GOOD_PROGRESS";
-  else if (progressDelta < -0.55 && endMinObstacle < 2.5) label = "RISKY_REGRESSION";
-  else if (Math.abs(progressDelta) < 0.25 && loopRateDelta > 0.08) label = "LOOP_RISK";
-  else if (Math.abs(progressDelta) < 0.2 && endMinObstacle < 2.4) label = "CAUTIOUS_HOLD";
-
-  const skillName = entry?.ai_skill?.name || "UNKNOWN";
-  const summary = `${label}: skill=${skillName}, progress=${progressDelta.toFixed(2)}m, minObs=${endMinObstacle.toFixed(2)}m, loopDelta=${loopRateDelta.toFixed(3)}, hitsDelta=${targetHitDelta}`;
-
-  return {
-    label,
-    summary,
-    elapsedMs,
-    progressDeltaM: Number(progressDelta.toFixed(3)),
-    startDistanceM: Number(startDistance.toFixed(3)),
-    endDistanceM: Number(endDistance.toFixed(3)),
-    startMinObstacleM: Number(startMinObstacle.toFixed(3)),
-    endMinObstacleM: Number(endMinObstacle.toFixed(3)),
-    minObstacleDeltaM: Number(minObstacleDelta.toFixed(3)),
-    targetHitDelta,
-    loopRateStart: Number(startLoopRate.toFixed(3)),
-    loopRateEnd: Number(endLoopRate.toFixed(3)),
-    loopRateDelta: Number(loopRateDelta.toFixed(3)),
-    safetyOverride
-  };
-};
-
 export default function App() {
   const [sensorData, setSensorData] = useState({
     left: 0,
@@ -636,6 +287,7 @@ export default function App() {
   });
 
   const [selectedModel, setSelectedModel] = useState("gemma3:4b");
+  const [llmBackend, setLlmBackend] = useState(() => ({ ...DEFAULT_LLM_BACKEND }));
 
   const [controls, setControls] = useState({ throttle: 0, steering: 0 }); // Analog Control State (0-1, -1 to 1)
   const controlRef = useRef({ throttle: 0, steering: 0 });
@@ -652,50 +304,46 @@ export default function App() {
     calibration: true,
     preflight: true,
     experiment: true,
+    library: false,
     hud: true,
     controls: true,
     logs: true,
     branding: true
   });
   const [errorMsg, setErrorMsg] = useState(null);
-  const aiMetaRef = useRef({
-    latency: 0,
-    thought: "",
-    analysis: "",
-    reasonCode: "",
-    reasonSummary: "",
-    reasonSource: "none",
-    reasonValidationLast: "NONE",
-    reasonBlockedTotal: 0,
-    reasonPassRate: 1,
-    strategyMode: "UNKNOWN",
-    strategyTransition: "HOLD",
-    strategySector: "F",
-    strategyConfidence: 0,
-    skillName: "UNKNOWN",
-    skillIntensity: 0,
-    reflectionAdjustment: "",
-    parseMethod: "",
-    parseRecovered: false,
-    model: "",
-    source: "IDLE",
-    isThinking: false,
-    safetyOverride: false,
-    overrideReason: "",
-    lastDecisionAt: 0,
-    memoryNoGoRatio: 0,
-    memoryRevisitRate: 0,
-    memoryCurrentWeight: 0,
-    memorySelectedWeight: 0,
-    memorySelectedNoGo: false,
-    memorySelectedSector: "F",
-    memorySelectionReason: "",
-    directionCooldownApplied: false,
-    directionCooldownRemainingMs: 0,
-    directionLastSign: 0
-  });
+  const aiMetaRef = useRef(createInitialAiMeta());
   const targetCaptureRef = useRef({ count: 0, lastCaptureAt: 0 });
   const sessionRef = useRef({ startAt: Date.now(), lastDistance: null });
+  // Seeded streams for target respawns, recovery turns and spawn jitter; re-seeded on every session start.
+  const sessionRngRef = useRef(createRunRandomStreams(generateSeed()));
+  // Injected sensor faults (physicsSettings sensor* fault keys): stuck rays and the delay queue, reset with the streams.
+  const sensorFaultsRef = useRef(createSensorFaultInjector(sessionRngRef.current.sensor));
+  const experimentRunSeedRef = useRef(null);
+  // Per-condition overrides set by experiment automation; cleared when the experiment ends.
+  const targetSpawnPolicyRef = useRef(DEFAULT_TARGET_SPAWN_POLICY);
+  const conditionLlmOptionsRef = useRef(null);
+  const decisionLoopRef = useRef(DEFAULT_DECISION_LOOP_MODE);
+  const latencyCompensationRef = useRef(DEFAULT_LATENCY_COMPENSATION);
+  const observationRef = useRef(DEFAULT_OBSERVATION_MODE);
+  const observationViewRef = useRef(DEFAULT_OBSERVATION_VIEW);
+  // Camera observation: GameScene installs the WebGL capture here; frames sent this session, base64 PNG by hash.
+  const observationCaptureRef = useRef(null);
+  const observationFramesRef = useRef({});
+  // Pipelined decision loop: plan tail handed over to the next think window, recent latencies for its horizon.
+  const pipelineRef = useRef({ carryPlan: [], recentLatenciesMs: [] });
+  const physicsSettingsRef = useRef({ ...DEFAULT_PHYSICS_SETTINGS });
+  const [trackMap, setTrackMap] = useState(DEFAULT_TRACK_MAP);
+  const trackMapRef = useRef(DEFAULT_TRACK_MAP);
+  const [trackMapJsonStatus, setTrackMapJsonStatus] = useState(`Built-in map: ${DEFAULT_TRACK_MAP.id}.`);
+  const [mapGeneratorStyle, setMapGeneratorStyle] = useState(MAP_GENERATOR_DEFAULTS.style);
+  const trackMapFileInputRef = useRef(null);
+  // Replay mode: a parsed all-logs bundle, the scrub cursor and the view of the selected frame.
+  const [replay, setReplay] = useState(null);
+  const [replayView, setReplayView] = useState(null);
+  const replayCursorRef = useRef(null);
+  const replayFileInputRef = useRef(null);
+  const carSpawnRef = useRef(pickSpawnPose(DEFAULT_TRACK_MAP));
+  const [carSpawn, setCarSpawn] = useState(() => pickSpawnPose(DEFAULT_TRACK_MAP));
   const collisionEventsRef = useRef([]);
   const collisionStatsRef = useRef(createInitialCollisionStats());
   const directionCalibrationRef = useRef({
@@ -709,9 +357,18 @@ export default function App() {
   const explorationMemoryRef = useRef(createExplorationMemory({
     cellSize: 2.0,
     sensorRange: 10.0,
-    worldBounds: TRACK_WORLD_BOUNDS
+    worldBounds: DEFAULT_TRACK_MAP.bounds
   }));
   const [memoryViz, setMemoryViz] = useState(null);
+  // Saved exploration memory loaded as the prior map: manual runs start from it, experiments use it for
+  // memoryStart "prior". Experiment runs set memoryStartPlanRef ({ mode, snapshot }) before each start.
+  const priorMapRef = useRef(null);
+  const [priorMapStatus, setPriorMapStatus] = useState("No prior map: runs start with an empty memory.");
+  const priorMapFileInputRef = useRef(null);
+  const memoryStartPlanRef = useRef(null);
+  // Free space reachable from the spawn (coverage denominator), rebuilt on every session start.
+  const reachableAreaRef = useRef(null);
+  const memoryStartRef = useRef({ mode: EXPLORATION_MEMORY_STARTS.COLD, priorCells: 0, priorOccupancyCells: 0 });
   const [isPreflightRunning, setIsPreflightRunning] = useState(false);
   const [preflightReport, setPreflightReport] = useState(createInitialPreflightState());
   const preflightGateLogsRef = useRef([]);
@@ -720,13 +377,28 @@ export default function App() {
   const [experimentConfig, setExperimentConfig] = useState(createInitialExperimentConfig());
   const [experimentRunner, setExperimentRunner] = useState(createInitialExperimentRunnerState());
   const experimentConfigFileInputRef = useRef(null);
+  const comparisonFileInputRef = useRef(null);
   const [experimentConfigJsonStatus, setExperimentConfigJsonStatus] = useState("No JSON config loaded.");
+  const [comparisonStatus, setComparisonStatus] = useState("Pick summaries and all-logs bundles of several runs.");
+  // Every finished run is kept in IndexedDB (sessionLibrary.js); libraryEntries is the index shown in the Library panel.
+  const sessionLibraryRef = useRef(null);
+  if (!sessionLibraryRef.current) sessionLibraryRef.current = createSessionLibrary();
+  const [libraryEntries, setLibraryEntries] = useState([]);
+  // Optional live NDJSON stream to a local collector (telemetrySink.js); streamRunRef tags records with the experiment run.
+  const telemetrySinkRef = useRef(null);
+  const streamRunRef = useRef(null);
+  const [telemetryStreamUrl, setTelemetryStreamUrl] = useState(TELEMETRY_SINK_DEFAULT_URL);
+  const [telemetryStreamStatus, setTelemetryStreamStatus] = useState(null);
+  const [libraryStatus, setLibraryStatus] = useState(sessionLibraryRef.current.available
+    ? "Finished runs are saved here automatically."
+    : "IndexedDB is not available: runs are not kept across reloads.");
   const experimentAbortRef = useRef(false);
   const autoDriveRef = useRef(false);
   const isAnalyzingRef = useRef(false);
   const isPreflightRunningRef = useRef(false);
   const telemetryRef = useRef([]);
   const selectedModelRef = useRef("gemma3:4b");
+  const llmBackendRef = useRef({ ...DEFAULT_LLM_BACKEND });
   const errorMsgRef = useRef(null);
   const preflightReportRef = useRef(createInitialPreflightState());
   const preflightBlockGuardRef = useRef({
@@ -751,6 +423,10 @@ export default function App() {
     selectedModelRef.current = selectedModel;
   }, [selectedModel]);
 
+  useEffect(() => {
+    llmBackendRef.current = llmBackend;
+  }, [llmBackend]);
+
   useEffect(() => {
     errorMsgRef.current = errorMsg;
   }, [errorMsg]);
@@ -760,24 +436,18 @@ export default function App() {
   }, [preflightReport]);
 
   const recordCollisionEvent = useCallback((evt) => {
-    const region = regionForCollisionCounting(evt?.region);
-    const stats = collisionStatsRef.current;
-    const previousCount = stats.byRegion[region] || 0;
-    stats.byRegion[region] = previousCount + 1;
-    stats.totalCount += 1;
-    if (previousCount > 0) stats.sameWallRepeatCount += 1;
-    if (stats.lastRegion === region) stats.sameWallConsecutiveRepeatCount += 1;
-    stats.lastRegion = region;
-    stats.lastCollisionAt = Date.now();
-
-    collisionEventsRef.current.push({
+    const region = recordCollisionStats(collisionStatsRef.current, evt?.region, Date.now());
+
+    const collisionEvent = {
       time: evt?.time || new Date().toISOString(),
       region,
       impactVelocity: asFiniteNumber(evt?.impactVelocity, 0),
       worldX: asFiniteNumber(evt?.worldX, 0),
       worldZ: asFiniteNumber(evt?.worldZ, 0),
       otherBodyId: Number.isFinite(evt?.otherBodyId) ? evt.otherBodyId : null
-    });
+    };
+    collisionEventsRef.current.push(collisionEvent);
+    telemetrySinkRef.current?.send("collision", collisionEvent);
   }, []);
 
   const recomputeDirectionCalibration = useCallback(() => {
@@ -910,14 +580,42 @@ export default function App() {
   const prepareSessionForStart = useCallback(() => {
     setTelemetry([]);
     decisionLog.current = [];
+    observationFramesRef.current = {};
     collisionEventsRef.current = [];
     collisionStatsRef.current = createInitialCollisionStats();
     targetCaptureRef.current = { count: 0, lastCaptureAt: 0 };
     sessionRef.current = { startAt: Date.now(), lastDistance: null };
-    setTargetPosition([...DEFAULT_TARGET_POSITION]);
+    const map = trackMapRef.current;
+    const rng = createRunRandomStreams(experimentRunSeedRef.current ?? generateSeed());
+    const basePose = pickSpawnPose(map, rng.spawn);
+    const spawnPose = sampleSpawnPose(rng.spawn, basePose.position, basePose.rotation);
+    sessionRngRef.current = rng;
+    sensorFaultsRef.current = createSensorFaultInjector(rng.sensor);
+    carSpawnRef.current = spawnPose;
+    reachableAreaRef.current = computeReachableArea(explorationMemoryRef.current.getOccupancyGrid(), map, {
+      x: spawnPose.position[0],
+      z: spawnPose.position[2]
+    });
+    setCarSpawn(spawnPose);
+    setTargetPosition([...map.initialTarget]);
     setCarResetNonce((prev) => prev + 1);
     explorationMemoryRef.current.reset();
-    directionFlipRef.current = { lastSign: 0, lastSignAt: 0 };
+    const memoryPlan = memoryStartPlanRef.current || (priorMapRef.current
+      ? { mode: EXPLORATION_MEMORY_STARTS.PRIOR, snapshot: priorMapRef.current }
+      : { mode: EXPLORATION_MEMORY_STARTS.COLD, snapshot: null });
+    memoryStartRef.current = { mode: memoryPlan.mode, priorCells: 0, priorOccupancyCells: 0 };
+    if (memoryPlan.snapshot) {
+      const loaded = explorationMemoryRef.current.deserialize(memoryPlan.snapshot, { trackMapFingerprint: map.fingerprint });
+      if (loaded.ok) {
+        memoryStartRef.current = { mode: memoryPlan.mode, priorCells: loaded.cells, priorOccupancyCells: loaded.occupancyCells };
+      } else {
+        // The run still starts, cold; the reason is kept with the run's memory start record.
+        console.warn(`Prior exploration memory not loaded: ${loaded.error}`);
+        memoryStartRef.current.error = loaded.error;
+      }
+    }
+    directionFlipRef.current = createDirectionFlipState();
+    pipelineRef.current = { carryPlan: [], recentLatenciesMs: [] };
     smoothingRef.current = {
       lastSteering: 0,
       lastStrategyMode: "",
@@ -936,45 +634,29 @@ export default function App() {
     };
     reasonValidationStatsRef.current = createInitialReasonValidationStats();
     setMemoryViz(null);
-    aiMetaRef.current = {
-      latency: 0,
-      thought: "",
-      analysis: "",
-      reasonCode: "",
-      reasonSummary: "",
-      reasonSource: "none",
-      reasonValidationLast: "NONE",
-      reasonBlockedTotal: 0,
-      reasonPassRate: 1,
-      strategyMode: "UNKNOWN",
-      strategyTransition: "HOLD",
-      strategySector: "F",
-      strategyConfidence: 0,
-      skillName: "UNKNOWN",
-      skillIntensity: 0,
-      reflectionAdjustment: "",
-      parseMethod: "",
-      parseRecovered: false,
-      model: "",
-      source: "IDLE",
-      isThinking: false,
-      safetyOverride: false,
-      overrideReason: "",
-      lastDecisionAt: 0,
-      memoryNoGoRatio: 0,
-      memoryRevisitRate: 0,
-      memoryCurrentWeight: 0,
-      memorySelectedWeight: 0,
-      memorySelectedNoGo: false,
-      memorySelectedSector: "F",
-      memorySelectionReason: "",
-      directionCooldownApplied: false,
-      directionCooldownRemainingMs: 0,
-      directionLastSign: 0
-    };
+    aiMetaRef.current = createInitialAiMeta();
     setPreflightReport(createInitialPreflightState());
   }, []);
 
+  // The live scene when the canvas is mounted, the software render of the track map otherwise.
+  const captureObservationFrame = useCallback((sensor) => {
+    const view = observationViewRef.current;
+    const scene = observationSceneFromSensor(sensor);
+    let pixels = null;
+    try {
+      pixels = observationCaptureRef.current ? observationCaptureRef.current({ view, pose: scene.pose }) : null;
+    } catch (err) {
+      console.warn("WebGL observation capture failed, using the software frame:", err);
+    }
+    const frame = buildObservationFrame({
+      view,
+      source: pixels ? "webgl" : "software",
+      ...(pixels || renderObservationFrame({ view, trackMap: trackMapRef.current, ...scene }))
+    });
+    observationFramesRef.current[frame.hash] = frame.png;
+    return frame;
+  }, []);
+
   const runStartupPreflight = useCallback(async (trigger = "manual", modelOverride = null) => {
     const preflightModel = (typeof modelOverride === "string" && modelOverride.trim())
       ? modelOverride.trim()
@@ -1009,7 +691,8 @@ export default function App() {
 
     const x = asFiniteNumber(sensor.worldX, 0);
     const z = asFiniteNumber(sensor.worldZ, 0);
-    const inBounds = x >= TRACK_WORLD_BOUNDS.minX && x <= TRACK_WORLD_BOUNDS.maxX && z >= TRACK_WORLD_BOUNDS.minZ && z <= TRACK_WORLD_BOUNDS.maxZ;
+    const bounds = trackMapRef.current.bounds;
+    const inBounds = x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ;
     if (inBounds) {
       updateCheck("CAR_POSE_BOUNDS", "PASS", `Pose in bounds (x=${x.toFixed(1)}, z=${z.toFixed(1)}).`, { x, z });
     } else {
@@ -1020,7 +703,7 @@ export default function App() {
     const speedAbs = Math.abs(asFiniteNumber(sensor.speed, Number.NaN));
     const verticalSpeedAbs = Math.abs(asFiniteNumber(sensor.verticalSpeed, Number.NaN));
     const distanceFromSpawn = Number.isFinite(x) && Number.isFinite(z)
-      ? Math.hypot(x - asFiniteNumber(DEFAULT_CAR_SPAWN.position?.[0], 0), z - asFiniteNumber(DEFAULT_CAR_SPAWN.position?.[2], -10))
+      ? Math.hypot(x - asFiniteNumber(carSpawnRef.current.position?.[0], 0), z - asFiniteNumber(carSpawnRef.current.position?.[2], -10))
       : Number.POSITIVE_INFINITY;
     const physicsChecks = {
       finitePose: Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z),
@@ -1154,7 +837,9 @@ export default function App() {
             ["PREFLIGHT"],
             preflightModel,
             makePreflightSmoothingState(),
-            null
+            null,
+            null,
+            { backend: llmBackendRef.current, ...conditionLlmOptionsRef.current }
           );
           lastParseMethod = String(decision?.parseMethod || "");
           const parseOk = decision?.action !== "ERROR" && !lastParseMethod.startsWith("api_") && !lastParseMethod.startsWith("unparseable_");
@@ -1245,6 +930,16 @@ export default function App() {
         cooldownMsRemaining: 0
       };
     }
+    if (replayCursorRef.current) {
+      setErrorMsg("Exit replay before starting the AI driver.");
+      return {
+        started: false,
+        preflightExecuted: false,
+        preflightReport: null,
+        reason: "Start rejected: replay mode is active.",
+        cooldownMsRemaining: 0
+      };
+    }
     const nowMs = Date.now();
     if (preflightBlockGuardRef.current.blockedUntil > nowMs) {
       const waitMs = preflightBlockGuardRef.current.blockedUntil - nowMs;
@@ -1280,8 +975,8 @@ export default function App() {
         const z = asFiniteNumber(sensor.worldZ, Number.NaN);
         const speedAbs = Math.abs(asFiniteNumber(sensor.speed, Number.NaN));
         const verticalSpeedAbs = Math.abs(asFiniteNumber(sensor.verticalSpeed, Number.NaN));
-        const spawnX = asFiniteNumber(DEFAULT_CAR_SPAWN.position?.[0], 0);
-        const spawnZ = asFiniteNumber(DEFAULT_CAR_SPAWN.position?.[2], -10);
+        const spawnX = asFiniteNumber(carSpawnRef.current.position?.[0], 0);
+        const spawnZ = asFiniteNumber(carSpawnRef.current.position?.[2], -10);
         const distFromSpawn = Number.isFinite(x) && Number.isFinite(z)
           ? Math.hypot(x - spawnX, z - spawnZ)
           : Number.POSITIVE_INFINITY;
@@ -1496,10 +1191,9 @@ export default function App() {
     isGroundGravityPreflightFailure
   ]);
 
-
   // Game State
   const [score, setScore] = useState(0);
-  const [targetPosition, setTargetPosition] = useState([...DEFAULT_TARGET_POSITION]); // Start target
+  const [targetPosition, setTargetPosition] = useState([...DEFAULT_TRACK_MAP.initialTarget]); // Start target
   const [carResetNonce, setCarResetNonce] = useState(0);
 
   // Recovery State
@@ -1507,12 +1201,13 @@ export default function App() {
   const lastRecoveryTime = useRef(0); // Cooldown tracker
   const keysPressed = useRef({}); // Manual Control State
 
-  // Randomize target
-  const spawnNewTarget = useCallback(() => {
-    // Simple random within -15 to 15 range
-    const x = (Math.random() - 0.5) * 30;
-    const z = (Math.random() - 0.5) * 30;
-    setTargetPosition([x, 1, z]);
+  // Next target from the session's seeded target stream, inside the map's target zones
+  const spawnNewTarget = useCallback((carPosition = null) => {
+    setTargetPosition(sampleTrackTarget(trackMapRef.current, sessionRngRef.current.target, {
+      policy: targetSpawnPolicyRef.current,
+      captureIndex: targetCaptureRef.current.count,
+      carPosition
+    }));
     setScore(s => s + 100);
   }, []);
 
@@ -1528,7 +1223,7 @@ export default function App() {
     // Phase 1: Reverse for 1.5s
     setTimeout(() => {
       setRecoveryPhase("TURNING");
-      setAction(Math.random() > 0.5 ? "LEFT" : "RIGHT");
+      setAction(sessionRngRef.current.recovery.chance(0.5) ? "LEFT" : "RIGHT");
 
       // Phase 2: Turn for 1.0s
       setTimeout(() => {
@@ -1543,16 +1238,28 @@ export default function App() {
   const sensorRef = useRef(sensorData);
   const updateSensorData = useCallback((data) => {
     const now = Date.now();
+
+    // Check if reached target (on the exact sample; injected sensor faults only change what the driver sees)
+    if (data.distanceToTarget < 2.5) {
+      if (now - targetCaptureRef.current.lastCaptureAt > 800) {
+        targetCaptureRef.current.count += 1;
+        targetCaptureRef.current.lastCaptureAt = now;
+        spawnNewTarget([data.worldX, 0, data.worldZ]);
+      }
+    }
+
+    const perceived = sensorFaultsRef.current.apply(data, physicsSettingsRef.current, now);
+    if (!perceived) return; // Delayed delivery: nothing old enough yet.
     sensorTickRef.current += 1;
     const calibrationState = directionCalibrationRef.current;
     calibrationState.samples.push({
       t: now,
-      x: asFiniteNumber(data?.worldX, 0),
-      z: asFiniteNumber(data?.worldZ, 0),
-      heading: asFiniteNumber(data?.headingDeg, 0),
+      x: asFiniteNumber(perceived?.worldX, 0),
+      z: asFiniteNumber(perceived?.worldZ, 0),
+      heading: asFiniteNumber(perceived?.headingDeg, 0),
       steering: asFiniteNumber(controlRef.current?.steering, 0),
       throttle: asFiniteNumber(controlRef.current?.throttle, 0),
-      speed: asFiniteNumber(data?.speed, 0)
+      speed: asFiniteNumber(perceived?.speed, 0)
     });
     if (calibrationState.samples.length > CALIBRATION_MAX_HISTORY) {
       calibrationState.samples.splice(0, calibrationState.samples.length - CALIBRATION_MAX_HISTORY);
@@ -1562,19 +1269,10 @@ export default function App() {
       recomputeDirectionCalibration();
     }
 
-    const calibratedData = applyDirectionCalibrationToSensor(data, calibrationState.profile);
+    const calibratedData = applyDirectionCalibrationToSensor(perceived, calibrationState.profile);
     sensorRef.current = calibratedData;
     explorationMemoryRef.current.update(calibratedData);
 
-    // Check if reached target
-    if (calibratedData.distanceToTarget < 2.5) {
-      if (now - targetCaptureRef.current.lastCaptureAt > 800) {
-        targetCaptureRef.current.count += 1;
-        targetCaptureRef.current.lastCaptureAt = now;
-        spawnNewTarget();
-      }
-    }
-
     // Stuck check is handled in effect
   }, [spawnNewTarget, recomputeDirectionCalibration]);
 
@@ -1596,6 +1294,7 @@ export default function App() {
   // Realtime exploration-memory map snapshot.
   useEffect(() => {
     const interval = setInterval(() => {
+      if (replayCursorRef.current) return; // Replay drives the weight map from its own memory.
       const snapshot = explorationMemoryRef.current.getVisualization(sensorRef.current, {
         radiusCells: 8,
         maxFrontier: 8,
@@ -1614,154 +1313,48 @@ export default function App() {
     telemetryRef.current = telemetry;
   }, [telemetry]);
 
-  // UI Update Loop
+  // Session start: the session prefix is fixed here, once per run (not again when recoveryPhase restarts the loop below).
   useEffect(() => {
     if (!autoDrive) return;
-
     sessionRef.current.startAt = Date.now();
     sessionRef.current.lastDistance = null;
+    telemetrySinkRef.current?.send("run_start", {
+      model: selectedModelRef.current,
+      seed: sessionRngRef.current.seed,
+      trackMap: describeTrackMap(trackMapRef.current),
+      memoryStart: memoryStartRef.current
+    });
+  }, [autoDrive]);
 
-    const interval = setInterval(() => {
-      setSensorData(() => {
-        const current = sensorRef.current;
-        const controlsNow = controlRef.current;
-        const hits = current.targetHits || {};
-        const targetHitCount = Object.values(hits).filter(Boolean).length;
-        const targetContact = targetHitCount > 0;
-        const explorationContext = explorationMemoryRef.current.getContext(current);
-
-        // --- TELEMETRY RECORDING ---
-        // 1) Goal alignment signal
-        const intentionality = Math.cos(current.angleToTarget * Math.PI / 180);
-        const previousDistance = sessionRef.current.lastDistance ?? current.distanceToTarget ?? 0;
-        const currentDistance = current.distanceToTarget ?? previousDistance;
-        const progressDelta = previousDistance - currentDistance;
-        sessionRef.current.lastDistance = currentDistance;
-
-        // 2) Environment pressure summary
-        const obstacleDistances = [
-          current.front,
-          current.leftDiag,
-          current.rightDiag,
-          current.left,
-          current.right,
-          current.back,
-          current.backLeft,
-          current.backRight
-        ].map(v => typeof v === "number" ? v : 10);
-        const minObstacleDist = Math.min(...obstacleDistances);
-        const now = Date.now();
-        const collisionSnapshot = snapshotCollisionStats(collisionStatsRef.current);
-        const calibrationSnapshot = directionCalibrationRef.current.profile;
-        const reasonStatsSnapshot = reasonValidationStatsRef.current || createInitialReasonValidationStats();
-        const reasonPassRate = reasonStatsSnapshot.totalSteps > 0
-          ? reasonStatsSnapshot.passedSteps / reasonStatsSnapshot.totalSteps
-          : 1;
-
-        // 3) Full telemetry point
-        const newPoint = {
-          time: now,
-          worldX: current.worldX ?? 0,
-          worldY: current.worldY ?? 0,
-          worldZ: current.worldZ ?? 0,
-          headingDeg: current.headingDeg ?? 0,
-          targetAngle: current.angleToTarget ?? 0,
-          distanceToTarget: currentDistance,
-          progressDelta,
-          steering: controlsNow.steering ?? 0,
-          throttle: controlsNow.throttle ?? 0,
-          intentionality,
-          speed: current.speed ?? 0,
-          verticalSpeed: current.verticalSpeed ?? 0,
-          grounded: !!current.grounded,
-          sensorRange: current.sensorRange ?? 10,
-          isStuck: !!current.isStuck,
-          moveDir: current.moveDir || "IDLE",
-          blockedDist: current.blockedDist ?? 99,
-          front: current.front ?? 10,
-          leftDiag: current.leftDiag ?? 10,
-          rightDiag: current.rightDiag ?? 10,
-          left: current.left ?? 10,
-          right: current.right ?? 10,
-          back: current.back ?? 10,
-          backLeft: current.backLeft ?? 10,
-          backRight: current.backRight ?? 10,
-          minObstacleDist,
-          targetHits: hits,
-          targetHitCount,
-          targetContact,
-          targetsReached: targetCaptureRef.current.count,
-          recoveryPhase: recoveryPhase || "NONE",
-          aiLatencyMs: aiMetaRef.current.latency || 0,
-          aiReasonCode: aiMetaRef.current.reasonCode || "",
-          aiReasonSource: aiMetaRef.current.reasonSource || "none",
-          aiReasonValidationLast: aiMetaRef.current.reasonValidationLast || "NONE",
-          aiReasonBlockedTotal: aiMetaRef.current.reasonBlockedTotal ?? 0,
-          aiReasonPassRate: aiMetaRef.current.reasonPassRate ?? reasonPassRate,
-          aiStrategyMode: aiMetaRef.current.strategyMode || "UNKNOWN",
-          aiStrategyTransition: aiMetaRef.current.strategyTransition || "HOLD",
-          aiStrategySector: aiMetaRef.current.strategySector || "F",
-          aiStrategyConfidence: aiMetaRef.current.strategyConfidence ?? 0,
-          aiSkillName: aiMetaRef.current.skillName || "UNKNOWN",
-          aiSkillIntensity: aiMetaRef.current.skillIntensity ?? 0,
-          aiParseMethod: aiMetaRef.current.parseMethod || "",
-          aiParseRecovered: !!aiMetaRef.current.parseRecovered,
-          aiModel: aiMetaRef.current.model || "",
-          aiThinking: !!aiMetaRef.current.isThinking,
-          aiSource: aiMetaRef.current.source || "AI",
-          safetyOverride: !!aiMetaRef.current.safetyOverride,
-          overrideReason: aiMetaRef.current.overrideReason || "",
-          decisionAgeMs: aiMetaRef.current.lastDecisionAt ? now - aiMetaRef.current.lastDecisionAt : null,
-          memoryNoGoRatio: aiMetaRef.current.memoryNoGoRatio ?? null,
-          memoryRevisitRate: aiMetaRef.current.memoryRevisitRate ?? null,
-          memoryCurrentWeight: aiMetaRef.current.memoryCurrentWeight ?? null,
-          memorySelectedWeight: aiMetaRef.current.memorySelectedWeight ?? null,
-          memorySelectedNoGo: !!aiMetaRef.current.memorySelectedNoGo,
-          memorySelectedSector: aiMetaRef.current.memorySelectedSector || "F",
-          memorySelectionReason: aiMetaRef.current.memorySelectionReason || "",
-          directionCooldownApplied: !!aiMetaRef.current.directionCooldownApplied,
-          directionCooldownRemainingMs: aiMetaRef.current.directionCooldownRemainingMs ?? 0,
-          directionLastSign: aiMetaRef.current.directionLastSign ?? 0,
-          collisionCount: collisionSnapshot.totalCount,
-          sameWallCollisionCount: collisionSnapshot.sameWallRepeatCount,
-          sameWallConsecutiveCollisionCount: collisionSnapshot.sameWallConsecutiveRepeatCount,
-          collisionLastRegion: collisionSnapshot.lastRegion,
-          collisionLastAt: collisionSnapshot.lastCollisionAt || null,
-          collisionOuterNorthCount: collisionSnapshot.byRegion.OUTER_NORTH,
-          collisionOuterSouthCount: collisionSnapshot.byRegion.OUTER_SOUTH,
-          collisionOuterEastCount: collisionSnapshot.byRegion.OUTER_EAST,
-          collisionOuterWestCount: collisionSnapshot.byRegion.OUTER_WEST,
-          collisionInnerObstacleCount: collisionSnapshot.byRegion.INNER_OBSTACLE,
-          collisionOutsideBoundsCount: collisionSnapshot.byRegion.OUTSIDE_BOUNDS,
-          calibrationApplied: !!calibrationSnapshot.applied,
-          calibrationHeadingSign: calibrationSnapshot.headingSign ?? 1,
-          calibrationHeadingOffsetDeg: calibrationSnapshot.headingOffsetDeg ?? 0,
-          calibrationHeadingConfidence: calibrationSnapshot.headingConfidence ?? 0,
-          calibrationSteeringSign: calibrationSnapshot.steeringSign ?? 1,
-          calibrationSteeringConfidence: calibrationSnapshot.steeringConfidence ?? 0,
-          reasonTotalSteps: reasonStatsSnapshot.totalSteps,
-          reasonPassedSteps: reasonStatsSnapshot.passedSteps,
-          reasonBlockedSteps: reasonStatsSnapshot.blockedSteps,
-          reasonMissingModelReasonSteps: reasonStatsSnapshot.missingModelReasonSteps,
-          reasonSignMismatchSteps: reasonStatsSnapshot.signMismatchSteps
-        };
-
-        if (explorationContext) {
-          newPoint.memoryLoopRate = explorationContext.loopRate ?? 0;
-          newPoint.memoryRecommendedSector = explorationContext.preferredSector || "UNKNOWN";
-          newPoint.memoryMappedCells = explorationContext.memoryStats?.mappedCells ?? 0;
-          newPoint.memorySensorRange = explorationContext.memoryStats?.sensorRange ?? (current.sensorRange ?? 10);
-          newPoint.memoryCurrentCellVisits = explorationContext.currentCell?.visits ?? 0;
-          newPoint.memoryCandidateCount = explorationContext.diagnostics?.candidateCount ?? 0;
-          newPoint.memorySafeCandidateCount = explorationContext.diagnostics?.safeCandidateCount ?? 0;
-          newPoint.memoryNoGoCandidateCount = explorationContext.diagnostics?.noGoCandidateCount ?? 0;
-        }
-
-        setTelemetry(prev => [...prev, newPoint]);
+  // UI Update Loop
+  useEffect(() => {
+    if (!autoDrive) return;
 
-        return { ...current };
+    // The sample is built outside the state updater so it is recorded and streamed once per tick.
+    const interval = setInterval(() => {
+      const current = sensorRef.current;
+      const explorationContext = explorationMemoryRef.current.getContext(current, { planRoutes: false });
+      const newPoint = buildTelemetryPoint({
+        sensor: current,
+        controls: controlRef.current,
+        previousDistance: sessionRef.current.lastDistance,
+        aiMeta: aiMetaRef.current,
+        collisionSnapshot: snapshotCollisionStats(collisionStatsRef.current),
+        calibration: directionCalibrationRef.current.profile,
+        reasonStats: reasonValidationStatsRef.current,
+        targetsReached: targetCaptureRef.current.count,
+        recoveryPhase,
+        explorationContext,
+        coverage: reachableAreaRef.current
+          ? measureCoverage(explorationMemoryRef.current.getOccupancyGrid(), reachableAreaRef.current)
+          : null,
+        now: Date.now()
       });
-    }, 100);
+      sessionRef.current.lastDistance = newPoint.distanceToTarget;
+      setTelemetry(prev => [...prev, newPoint]);
+      telemetrySinkRef.current?.send("telemetry", newPoint);
+      setSensorData({ ...current });
+    }, TELEMETRY_SAMPLE_INTERVAL_MS);
     return () => clearInterval(interval);
   }, [autoDrive, recoveryPhase]);
 
@@ -1771,7 +1364,6 @@ export default function App() {
 
     // keysPressed is now top-level ref
 
-
     const updateControls = () => {
       // Manual Control Overlay (Digital to Analog conversion)
       let throttle = 0;
@@ -1830,10 +1422,7 @@ export default function App() {
     modeHoldRemaining: 0,
     targetLockHoldRemaining: 0
   }); // Persist smoothing state
-  const directionFlipRef = useRef({
-    lastSign: 0,
-    lastSignAt: 0
-  });
+  const directionFlipRef = useRef(createDirectionFlipState());
   const finalizePendingDecisionOutcome = useCallback((sensorSnapshot, explorationContext, nowMs = Date.now()) => {
     const previousDecision = decisionLog.current.length > 0
       ? decisionLog.current[decisionLog.current.length - 1]
@@ -1957,6 +1546,57 @@ export default function App() {
     );
   }, [buildSessionPrefix, telemetry, triggerDownload]);
 
+  // Flat CSV / NDJSON rows for pandas or R, plus the column dictionary they follow.
+  const downloadTelemetryTable = useCallback((format, trigger = "manual") => {
+    const table = buildTelemetryTable(telemetry || [], format);
+    if (!table.ok) return;
+    const safeTrigger = String(trigger || "manual").toLowerCase().replace(/[^a-z0-9_-]/g, "_");
+    const nowStamp = formatStamp(Date.now());
+    const prefix = buildSessionPrefix();
+    triggerDownload(table.content, `${prefix}_telemetry_${nowStamp}_${safeTrigger}.${table.extension}`, table.mime);
+    triggerDownload(
+      JSON.stringify(buildTelemetryDataDictionary(), null, 2),
+      `${prefix}_telemetry_columns_v${TELEMETRY_COLUMNS_VERSION}.json`,
+      "application/json"
+    );
+  }, [buildSessionPrefix, telemetry, triggerDownload]);
+
+  const toggleTelemetryStream = useCallback(() => {
+    if (telemetrySinkRef.current) {
+      telemetrySinkRef.current.close();
+      telemetrySinkRef.current = null;
+      setTelemetryStreamStatus(null);
+      return;
+    }
+    const normalized = normalizeTelemetrySinkUrl(telemetryStreamUrl);
+    if (!normalized.ok) {
+      setErrorMsg(normalized.error);
+      return;
+    }
+    // Status from a sink that was already switched off is ignored.
+    const sink = createTelemetrySink({
+      url: normalized.url,
+      getContext: () => ({ session: buildSessionPrefix(), runTag: streamRunRef.current?.runTag || null, conditionId: streamRunRef.current?.conditionId || null }),
+      onStatus: (status) => {
+        if (telemetrySinkRef.current === sink) setTelemetryStreamStatus(status);
+      }
+    });
+    telemetrySinkRef.current = sink;
+    setTelemetryStreamStatus(sink.status());
+  }, [buildSessionPrefix, telemetryStreamUrl]);
+
+  // Sent / buffered counters only change on send, so refresh them once a second while streaming.
+  const telemetryStreamActive = !!telemetryStreamStatus;
+  useEffect(() => {
+    if (!telemetryStreamActive) return;
+    const interval = setInterval(() => {
+      if (telemetrySinkRef.current) setTelemetryStreamStatus(telemetrySinkRef.current.status());
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [telemetryStreamActive]);
+
+  useEffect(() => () => telemetrySinkRef.current?.close(), []);
+
   const downloadMetaOnly = useCallback((trigger = "manual") => {
     const safeTrigger = String(trigger || "manual").toLowerCase().replace(/[^a-z0-9_-]/g, "_");
     const nowStamp = formatStamp(Date.now());
@@ -1968,6 +1608,10 @@ export default function App() {
       exportedAt: new Date().toISOString(),
       trigger: safeTrigger,
       model: selectedModel,
+      llmBackend: llmBackendRef.current,
+      seed: sessionRngRef.current.seed,
+      spawnPose: carSpawnRef.current,
+      trackMap: describeTrackMap(trackMapRef.current),
       telemetrySamples: Array.isArray(history) ? history.length : 0,
       decisionLogRecords: decisionLog.current.length,
       collisionEvents: collisionEventsRef.current.length,
@@ -1991,6 +1635,60 @@ export default function App() {
     );
   }, [buildSessionPrefix, telemetry, selectedModel, triggerDownload, preflightReport]);
 
+  // All-logs bundle of the live (manual) session; experiment runs build theirs from per-run snapshots.
+  const buildLiveSessionBundle = useCallback((history, report) => ({
+    sessionPrefix: buildSessionPrefix(),
+    exportedAt: new Date().toISOString(),
+    model: selectedModelRef.current,
+    llmBackend: llmBackendRef.current,
+    seed: sessionRngRef.current.seed,
+    spawnPose: carSpawnRef.current,
+    trackMap: buildTrackMapPayload(trackMapRef.current),
+    telemetrySamples: Array.isArray(history) ? history.length : 0,
+    decisionLogRecords: decisionLog.current.length,
+    collisionEvents: collisionEventsRef.current.length,
+    collisionSummary: snapshotCollisionStats(collisionStatsRef.current),
+    preflight: preflightReportRef.current,
+    preflightGatePolicy: PREFLIGHT_GATE_POLICY,
+    preflightFailureLogFolder: PREFLIGHT_FAILURE_LOG_FOLDER,
+    preflightFailureLogs: preflightGateLogsRef.current,
+    directionCalibration: directionCalibrationRef.current?.profile || null,
+    reportStatus: report.reportStatus,
+    aiReview: report.aiReview,
+    memoryStart: memoryStartRef.current,
+    files: {
+      driveLog: decisionLog.current,
+      telemetry: history,
+      collisionEvents: collisionEventsRef.current,
+      explorationMemory: explorationMemoryRef.current.serialize({
+        trackMap: describeTrackMap(trackMapRef.current),
+        seed: sessionRngRef.current.seed
+      }),
+      observationFrames: observationFramesRef.current,
+      reportHtml: report.reportHtml
+    }
+  }), [buildSessionPrefix]);
+
+  const refreshSessionLibrary = useCallback(async () => {
+    const listed = await sessionLibraryRef.current.list();
+    if (listed.ok) setLibraryEntries(listed.entries);
+    else setLibraryStatus(`Session library unavailable: ${listed.error}`);
+  }, []);
+
+  // Fire-and-forget: a failed save (quota, private mode) only shows up in the Library panel.
+  const persistRunToLibrary = useCallback((bundle, run = {}) => {
+    if (!sessionLibraryRef.current.available) return;
+    sessionLibraryRef.current.save(bundle, run).then((saved) => {
+      if (!saved.ok) {
+        setLibraryStatus(`Run not saved to the library: ${saved.error}`);
+        return;
+      }
+      const dropped = saved.dropped > 0 ? ` (dropped ${saved.dropped} oldest, keeping ${SESSION_LIBRARY_MAX_ENTRIES})` : "";
+      setLibraryStatus(`Saved ${saved.entry.label}${saved.entry.runTag ? ` ${saved.entry.runTag}` : ""}${dropped}.`);
+      refreshSessionLibrary();
+    });
+  }, [refreshSessionLibrary]);
+
   const handleSaveLogs = useCallback(async (trigger = "manual") => {
     if (isAnalyzing) return;
     const history = telemetry || [];
@@ -2007,7 +1705,7 @@ export default function App() {
 
       if (Array.isArray(history) && history.length >= 10) {
         try {
-          aiReview = await generateAIReview(history, selectedModel);
+          aiReview = await generateAIReview(history, selectedModel, { backend: llmBackendRef.current });
           htmlContent = buildHTMLReportContent(history, aiReview) || "";
           reportStatus = htmlContent ? "ok" : "empty";
         } catch (reportErr) {
@@ -2020,28 +1718,7 @@ export default function App() {
         htmlContent = "<html><body><h1>Not enough telemetry to generate report.</h1></body></html>";
       }
 
-      const allLogs = {
-        sessionPrefix: prefix,
-        exportedAt: new Date().toISOString(),
-        model: selectedModel,
-        telemetrySamples: Array.isArray(history) ? history.length : 0,
-        decisionLogRecords: decisionLog.current.length,
-        collisionEvents: collisionEventsRef.current.length,
-        collisionSummary: snapshotCollisionStats(collisionStatsRef.current),
-        preflight: preflightReport,
-        preflightGatePolicy: PREFLIGHT_GATE_POLICY,
-        preflightFailureLogFolder: PREFLIGHT_FAILURE_LOG_FOLDER,
-        preflightFailureLogs: preflightGateLogsRef.current,
-        directionCalibration: directionCalibrationRef.current?.profile || null,
-        reportStatus,
-        aiReview,
-        files: {
-          driveLog: decisionLog.current,
-          telemetry: history,
-          collisionEvents: collisionEventsRef.current,
-          reportHtml: htmlContent
-        }
-      };
+      const allLogs = buildLiveSessionBundle(history, { reportStatus, aiReview, reportHtml: htmlContent });
 
       triggerDownload(
         JSON.stringify(allLogs, null, 2),
@@ -2054,7 +1731,7 @@ export default function App() {
     } finally {
       setIsAnalyzing(false);
     }
-  }, [isAnalyzing, telemetry, selectedModel, buildSessionPrefix, triggerDownload, preflightReport]);
+  }, [isAnalyzing, telemetry, selectedModel, buildSessionPrefix, buildLiveSessionBundle, triggerDownload]);
 
   const handleDownloadHtmlReport = useCallback(async (trigger = "manual") => {
     if (isAnalyzing) return;
@@ -2073,7 +1750,7 @@ export default function App() {
           "text/html"
         );
       } else {
-        const aiReview = await generateAIReview(history, selectedModel);
+        const aiReview = await generateAIReview(history, selectedModel, { backend: llmBackendRef.current });
         const htmlContent = buildHTMLReportContent(history, aiReview) || "<html><body><h1>Report generation failed</h1></body></html>";
         triggerDownload(
           htmlContent,
@@ -2100,11 +1777,41 @@ export default function App() {
 
     let isActive = true;
 
+    // Pipelined THINK: drive the handed-over plan tail (front guard only) until stop(), braking once it runs out.
+    // stop() returns the steps driven with their actual durations.
+    const startCarryPlan = (steps, isRunning) => {
+      const driven = [];
+      let stoppedAt = null;
+      (async () => {
+        for (const step of steps) {
+          if (stoppedAt !== null || !isRunning()) return;
+          const frontGuard = step.throttle > 0 && minFrontDistance(sensorRef.current) < FRONT_GUARD_DIST;
+          const stepControls = { throttle: frontGuard ? 0 : step.throttle, steering: step.steering };
+          applyControls(stepControls);
+          driven.push({ ...stepControls, startedAt: Date.now(), endsAt: Date.now() + (step.duration * 1000), frontGuard });
+          await new Promise(r => setTimeout(r, step.duration * 1000));
+        }
+        if (stoppedAt === null && isRunning()) applyControls({ throttle: 0, steering: 0 });
+      })();
+      return {
+        stop: () => {
+          stoppedAt = Date.now();
+          return driven.map((item, index) => ({
+            throttle: item.throttle,
+            steering: item.steering,
+            duration: Number(((Math.min(driven[index + 1]?.startedAt ?? item.endsAt, item.endsAt, stoppedAt) - item.startedAt) / 1000).toFixed(3)),
+            frontGuard: item.frontGuard
+          }));
+        }
+      };
+    };
+
     const loop = async () => {
       if (!isActive) return;
 
       // 0. Recovery Override
       if (recoveryPhase) {
+        pipelineRef.current.carryPlan = [];
         // CRITICAL: Actually control the car during recovery!
         if (recoveryPhase === "REVERSING") {
           applyControls({ throttle: -0.8, steering: 0 }); // Reverse straight back
@@ -2152,7 +1859,11 @@ export default function App() {
 
       // 2. PHASE: THINK
       // Freeze vehicle during AI inference so decision is based on near-static context.
-      applyControls({ throttle: 0, steering: 0 });
+      // Pipelined mode keeps driving the handed-over plan tail instead and decides from the predicted pose.
+      const pipelined = decisionLoopRef.current === DECISION_LOOP_MODES.PIPELINED;
+      const carryPlan = pipelined ? pipelineRef.current.carryPlan : [];
+      pipelineRef.current.carryPlan = [];
+      if (!pipelined) applyControls({ throttle: 0, steering: 0 });
       setIsThinking(true);
       setErrorMsg(null);
       aiMetaRef.current = {
@@ -2169,10 +1880,40 @@ export default function App() {
 
         // CRITICAL: Capture sensor snapshot RIGHT NOW before AI thinks
         // This ensures we validate against the same data the AI saw
-        const sensorSnapshot = { ...sensorRef.current };
+        const sensorNow = { ...sensorRef.current };
+        const horizonMs = pipelined ? estimatePipelineHorizonMs(pipelineRef.current.recentLatenciesMs) : 0;
+        const predictedPose = pipelined ? predictPoseAlongPlan(sensorNow, carryPlan, horizonMs, physicsSettingsRef.current) : null;
+        // Latency compensation: the state when the reply's controls apply, after the expected latency of the
+        // controls commanded meanwhile (the carry plan when pipelined, braking otherwise).
+        const compensated = latencyCompensationRef.current === LATENCY_COMPENSATION_MODES.PREDICT;
+        let actuationView = null;
+        if (compensated) {
+          const latency = summarizeLatencyDistribution(collectTelemetryLatencies(telemetryRef.current));
+          const prediction = predictActuationState({
+            sensor: sensorNow,
+            steps: pipelined ? carryPlan : [],
+            horizonMs: pipelined ? horizonMs : latency.horizonMs,
+            physicsSettings: physicsSettingsRef.current
+          });
+          actuationView = buildActuationView(sensorNow, prediction, latency);
+        }
+        const sensorSnapshot = {
+          ...(predictedPose ? buildPredictedSensorSnapshot(sensorNow, predictedPose) : sensorNow),
+          ...(actuationView ? { actuationView } : {})
+        };
         const explorationContext = explorationMemoryRef.current.getContext(sensorSnapshot);
         const collisionSnapshotForDecision = snapshotCollisionStats(collisionStatsRef.current);
-        finalizePendingDecisionOutcome(sensorSnapshot, explorationContext, Date.now());
+        // The previous decision is scored on the observed pose, not the predicted one.
+        finalizePendingDecisionOutcome(
+          sensorNow,
+          pipelined ? explorationMemoryRef.current.getContext(sensorNow) : explorationContext,
+          Date.now()
+        );
+        const smoothingStateBefore = snapshotSmoothingState(smoothingRef.current);
+        const decisionRequestedAtMs = Date.now();
+        const carryRun = pipelined ? startCarryPlan(carryPlan, () => isActive) : null;
+        const observation = observationRef.current;
+        const observationFrame = observationUsesImage(observation) ? captureObservationFrame(sensorNow) : null;
 
         // Get Decision from AI
         const decisionObj = await getDrivingDecision(
@@ -2181,10 +1922,24 @@ export default function App() {
           selectedModel,
           smoothingRef.current,
           explorationContext,
-          { collisionSummary: collisionSnapshotForDecision }
+          { collisionSummary: collisionSnapshotForDecision },
+          {
+            backend: llmBackendRef.current,
+            ...resolveCompensatedLlmOptions(
+              resolveObservationLlmOptions(conditionLlmOptionsRef.current, observation, { compensated }),
+              latencyCompensationRef.current
+            ),
+            ...(observationFrame ? { observation: { mode: observation, frame: observationFrame } } : {})
+          }
         );
         console.log("AI Decision:", decisionObj); // Debug logic
-
+        const carryExecuted = carryRun ? carryRun.stop() : null;
+        const measuredLatencyMs = Date.now() - decisionRequestedAtMs;
+        const actuationPrediction = actuationView ? scoreActuationPrediction(actuationView, sensorRef.current, measuredLatencyMs) : null;
+        const pipelineTiming = pipelined ? resolvePipelineTiming({ latencyMs: measuredLatencyMs, horizonMs }) : null;
+        if (pipelined) {
+          pipelineRef.current.recentLatenciesMs = [...pipelineRef.current.recentLatenciesMs, measuredLatencyMs].slice(-PIPELINE_LATENCY_WINDOW);
+        }
 
         if (!isActive) return;
 
@@ -2192,11 +1947,7 @@ export default function App() {
           // CRITICAL: Re-check sensors NOW (not 225ms ago!)
           // AI thought time can be 200-500ms, sensors update every 50ms
           const currentSensors = sensorRef.current;
-          const minFrontDist = Math.min(
-            currentSensors.front ?? 99,
-            currentSensors.leftDiag ?? 99,
-            currentSensors.rightDiag ?? 99
-          );
+          const minFrontDist = minFrontDistance(currentSensors);
           const heatmapDiag = buildHeatmapDecisionDiagnostics(
             explorationContext,
             decisionObj.strategy,
@@ -2213,9 +1964,7 @@ export default function App() {
             }
           );
           const reasonStatsBefore = reasonValidationStatsRef.current || createInitialReasonValidationStats();
-          const reasonPassRateBefore = reasonStatsBefore.totalSteps > 0
-            ? reasonStatsBefore.passedSteps / reasonStatsBefore.totalSteps
-            : 1;
+          const reasonPassRateBefore = reasonValidationPassRate(reasonStatsBefore);
 
           // Update Debug Stats
           setAiStats({
@@ -2246,6 +1995,11 @@ export default function App() {
             parseMethod: decisionObj.parseMethod || "",
             parseRecovered: !!decisionObj.parseRecovered,
             model: decisionObj.model || selectedModel,
+            promptTemplate: decisionObj.promptTemplate || "",
+            responseFormat: decisionObj.responseFormat || "",
+            schemaViolationCount: decisionObj.schemaViolations?.length ?? 0,
+            decisionLoop: decisionLoopRef.current,
+            pipelineStatus: pipelineTiming?.status || "",
             source: "AI",
             isThinking: false,
             safetyOverride: false,
@@ -2265,264 +2019,79 @@ export default function App() {
 
           // 3. PHASE: ACT
           // Apply Analog Decisions (with fresh safety override).
-          const requestedActionPlan = Array.isArray(decisionObj.actionPlan) && decisionObj.actionPlan.length > 0
-            ? decisionObj.actionPlan
-            : [{ throttle: decisionObj.throttle ?? 0, steering: decisionObj.steering ?? 0, duration: decisionObj.duration ?? 0.05 }];
-          const normalizedActionPlan = requestedActionPlan
-            .slice(0, 5)
-            .map((step) => {
-              const normalizedStep = {
-                throttle: Math.max(-1, Math.min(1, asFiniteNumber(step?.throttle, 0))),
-                steering: Math.max(-1, Math.min(1, asFiniteNumber(step?.steering, 0))),
-                duration: Math.max(0.08, Math.min(1.2, asFiniteNumber(step?.duration, 0.22)))
-              };
-              return {
-                ...normalizedStep,
-                reason: normalizeReasonEnvelope(
-                  step?.reason || null,
-                  decisionReason,
-                  normalizedStep
-                )
-              };
-            });
-          if (normalizedActionPlan.length === 0) {
-            normalizedActionPlan.push({
-              throttle: 0,
-              steering: 0,
-              duration: 0.22,
-              reason: normalizeReasonEnvelope(
-                null,
-                decisionReason,
-                { throttle: 0, steering: 0, duration: 0.22 }
-              )
-            });
+          const normalizedActionPlan = normalizeActionPlan(decisionObj, decisionReason);
+          // Pipelined: line the plan up with the clock (or hold briefly when stale).
+          const timedPlan = pipelineTiming ? applyPipelineTiming(normalizedActionPlan, pipelineTiming) : null;
+          if (timedPlan?.status === PIPELINE_STATUSES.REJECTED) {
+            aiMetaRef.current = { ...aiMetaRef.current, overrideReason: "PIPELINE_STALE_DECISION" };
           }
-
-          let finalThrottle = normalizedActionPlan[0].throttle;
-
-          // SAFETY OVERRIDE: If obstacle appeared during AI thinking, STOP NOW!
-          let finalSteering = normalizedActionPlan[0].steering;
-          let runtimeReasonOverride = null;
           const calibrationProfile = directionCalibrationRef.current.profile;
-          if (calibrationProfile?.applied && calibrationProfile.steeringConfidence >= 0.45) {
-            finalSteering *= asFiniteNumber(calibrationProfile.steeringSign, 1);
-          }
-          let bypassDirectionFlipCooldown = false;
-
-          if (minFrontDist < 2.5 && finalThrottle > 0) {
-            bypassDirectionFlipCooldown = true;
-            // CRITICAL: Don't just stop - actively avoid!
-            // If we're trying to go forward into a wall, we must turn away
-
-            // Check which side is more open
-            const leftSpace = Math.min(currentSensors.left ?? 99, currentSensors.leftDiag ?? 99);
-            const rightSpace = Math.min(currentSensors.right ?? 99, currentSensors.rightDiag ?? 99);
-            const backSpace = currentSensors.back ?? 99;
-
-            // CORNER TRAP DETECTION: All sides blocked?
-            const isCornerTrap = minFrontDist < 3.0 && leftSpace < 3.0 && rightSpace < 3.0;
-
-            if (isCornerTrap && currentSensors.speed < 1.0) {
-              // TRAPPED IN CORNER! Trigger full recovery maneuver
-              console.log("🚨 CORNER TRAP DETECTED! Triggering recovery...");
-
-              // Smart turn direction: favor the more open side + back space
-              const turnTowardLeft = (leftSpace + backSpace) > (rightSpace + backSpace);
+          const steeringSign = calibrationProfile?.applied && calibrationProfile.steeringConfidence >= 0.45
+            ? asFiniteNumber(calibrationProfile.steeringSign, 1)
+            : 1;
 
-              // Temporarily store turn preference for recovery phase
-              if (!recoveryPhase) {
+          // SAFETY OVERRIDE: If obstacle appeared during AI thinking, don't just stop - actively avoid!
+          const { plan: actingPlan, frontWall, directionCooldown } = guardFirstPlanStep({
+            plan: timedPlan ? timedPlan.plan : normalizedActionPlan,
+            decisionReason,
+            sensors: currentSensors,
+            directionFlip: directionFlipRef.current,
+            nowMs: Date.now(),
+            steeringSign
+          });
+          if (frontWall?.kind === "CORNER_TRAP") {
+            // TRAPPED IN CORNER! Trigger full recovery maneuver toward the more open side
+            console.log("🚨 CORNER TRAP DETECTED! Triggering recovery...");
+            const { turnTowardLeft, leftSpace, rightSpace } = frontWall;
+
+            // Temporarily store turn preference for recovery phase
+            if (!recoveryPhase) {
+              lastRecoveryTime.current = Date.now();
+              setRecoveryPhase("REVERSING");
+              setAction(turnTowardLeft ? "LEFT" : "RIGHT");
+
+              // Schedule phase 2
+              setTimeout(() => {
+                setRecoveryPhase("TURNING");
+              }, 1500);
+
+              // Schedule end of recovery
+              setTimeout(() => {
+                setRecoveryPhase(null);
                 lastRecoveryTime.current = Date.now();
-                setRecoveryPhase("REVERSING");
-                setAction(turnTowardLeft ? "LEFT" : "RIGHT");
-
-                // Schedule phase 2
-                setTimeout(() => {
-                  setRecoveryPhase("TURNING");
-                }, 1500);
-
-                // Schedule end of recovery
-                setTimeout(() => {
-                  setRecoveryPhase(null);
-                  lastRecoveryTime.current = Date.now();
-                }, 2500);
-              }
-
-              setAiStats(prev => ({
-                ...prev,
-                thought: `[CORNER TRAP] F:${minFrontDist.toFixed(1)}m L:${leftSpace.toFixed(1)}m R:${rightSpace.toFixed(1)}m - Recovery toward ${turnTowardLeft ? 'LEFT' : 'RIGHT'}!`
-              }));
-              aiMetaRef.current = {
-                ...aiMetaRef.current,
-                source: "RECOVERY",
-                isThinking: false,
-                safetyOverride: true,
-                overrideReason: "CORNER_TRAP",
-                lastDecisionAt: Date.now()
-              };
-              // Skip setting controls - recovery will handle it
-              return;
-            } else if (currentSensors.speed < 1.0) {
-              // Nearly stopped but not fully trapped - quick reverse to open side
-              if (backSpace > 3.0) {
-                finalThrottle = -0.5; // REVERSE
-                finalSteering = leftSpace > rightSpace ? 0.8 : -0.8; // Turn toward open side
-                runtimeReasonOverride = normalizeReasonEnvelope(
-                  {
-                    code: "RUNTIME_WALL_ESCAPE_REVERSE",
-                    summary: "Runtime safety override: reverse away from front wall pressure.",
-                    expectedThrottleSign: -1,
-                    expectedSteeringSign: controlValueToSign(finalSteering),
-                    source: "runtime"
-                  },
-                  decisionReason,
-                  { throttle: finalThrottle, steering: finalSteering, duration: normalizedActionPlan[0].duration }
-                );
-                aiMetaRef.current = {
-                  ...aiMetaRef.current,
-                  safetyOverride: true,
-                  overrideReason: "WALL_ESCAPE_REVERSE",
-                  lastDecisionAt: Date.now()
-                };
-                setAiStats(prev => ({
-                  ...prev,
-                  thought: `[EMERGENCY] Wall ${minFrontDist.toFixed(1)}m! Reversing ${leftSpace > rightSpace ? 'LEFT' : 'RIGHT'} (L:${leftSpace.toFixed(1)}m R:${rightSpace.toFixed(1)}m)`
-                }));
-              } else {
-                finalThrottle = 0.18;
-                finalSteering = leftSpace > rightSpace ? 0.88 : -0.88;
-                runtimeReasonOverride = normalizeReasonEnvelope(
-                  {
-                    code: "RUNTIME_WALL_ESCAPE_PIVOT",
-                    summary: "Runtime safety override: pivot to open side when rear is tight.",
-                    expectedThrottleSign: 1,
-                    expectedSteeringSign: controlValueToSign(finalSteering),
-                    source: "runtime"
-                  },
-                  decisionReason,
-                  { throttle: finalThrottle, steering: finalSteering, duration: normalizedActionPlan[0].duration }
-                );
-                aiMetaRef.current = {
-                  ...aiMetaRef.current,
-                  safetyOverride: true,
-                  overrideReason: "WALL_ESCAPE_FORWARD_PIVOT",
-                  lastDecisionAt: Date.now()
-                };
-                setAiStats(prev => ({
-                  ...prev,
-                  thought: `[EMERGENCY] Front tight but rear ${backSpace.toFixed(1)}m. Pivoting forward ${leftSpace > rightSpace ? 'LEFT' : 'RIGHT'}.`
-                }));
-              }
-              } else {
-                // Still moving - just stop for now
-                finalThrottle = 0;
-              runtimeReasonOverride = normalizeReasonEnvelope(
-                {
-                  code: "RUNTIME_WALL_STOP",
-                  summary: "Runtime safety override: stop forward motion near wall.",
-                  expectedThrottleSign: 0,
-                  expectedSteeringSign: controlValueToSign(finalSteering),
-                  source: "runtime"
-                },
-                decisionReason,
-                { throttle: finalThrottle, steering: finalSteering, duration: normalizedActionPlan[0].duration }
-              );
-              aiMetaRef.current = {
-                ...aiMetaRef.current,
-                safetyOverride: true,
-                overrideReason: "WALL_STOP",
-                lastDecisionAt: Date.now()
-              };
-              setAiStats(prev => ({
-                ...prev,
-                thought: `[REALTIME SAFETY] Wall at ${minFrontDist.toFixed(1)}m! Stopping.`
-              }));
+              }, 2500);
             }
-          }
 
-          const applyDirectionFlipCooldownToStep = (candidateThrottle, bypass = false) => {
-            const cooldown = {
-              applied: false,
-              reason: "",
-              remainingMs: 0,
-              previousSign: directionFlipRef.current.lastSign ?? 0,
-              proposedSign: throttleToSign(candidateThrottle),
-              bypassed: bypass
+            setAiStats(prev => ({
+              ...prev,
+              thought: `[CORNER TRAP] F:${minFrontDist.toFixed(1)}m L:${leftSpace.toFixed(1)}m R:${rightSpace.toFixed(1)}m - Recovery toward ${turnTowardLeft ? 'LEFT' : 'RIGHT'}!`
+            }));
+            aiMetaRef.current = {
+              ...aiMetaRef.current,
+              source: "RECOVERY",
+              isThinking: false,
+              safetyOverride: true,
+              overrideReason: "CORNER_TRAP",
+              lastDecisionAt: Date.now()
             };
-            let throttleOut = candidateThrottle;
-
-            if (!bypass && cooldown.proposedSign !== 0) {
-              const nowMs = Date.now();
-              const previousSign = directionFlipRef.current.lastSign ?? 0;
-              const previousAt = directionFlipRef.current.lastSignAt ?? 0;
-
-              if (previousSign !== 0 && previousSign !== cooldown.proposedSign) {
-                const elapsed = nowMs - previousAt;
-                if (elapsed < DIRECTION_FLIP_COOLDOWN_MS) {
-                  const remaining = DIRECTION_FLIP_COOLDOWN_MS - elapsed;
-                  cooldown.applied = true;
-                  cooldown.remainingMs = remaining;
-                  cooldown.reason = `DIRECTION_FLIP_COOLDOWN_${remaining}ms`;
-                  throttleOut = 0;
-                } else {
-                  directionFlipRef.current.lastSign = cooldown.proposedSign;
-                  directionFlipRef.current.lastSignAt = nowMs;
-                }
-              } else {
-                directionFlipRef.current.lastSign = cooldown.proposedSign;
-                if (previousSign === 0) directionFlipRef.current.lastSignAt = nowMs;
-              }
-            } else if (bypass && cooldown.proposedSign !== 0) {
-              directionFlipRef.current.lastSign = cooldown.proposedSign;
-              directionFlipRef.current.lastSignAt = Date.now();
-            }
-
-            return { throttleOut, cooldown };
-          };
-
-          normalizedActionPlan[0] = {
-            ...normalizedActionPlan[0],
-            throttle: finalThrottle,
-            steering: finalSteering,
-            reason: runtimeReasonOverride || normalizeReasonEnvelope(
-              normalizedActionPlan[0]?.reason || null,
-              decisionReason,
-              {
-                throttle: finalThrottle,
-                steering: finalSteering,
-                duration: normalizedActionPlan[0]?.duration
-              }
-            )
-          };
-          const firstStepCooldownResult = applyDirectionFlipCooldownToStep(finalThrottle, bypassDirectionFlipCooldown);
-          finalThrottle = firstStepCooldownResult.throttleOut;
-          normalizedActionPlan[0].throttle = finalThrottle;
-          const directionCooldown = firstStepCooldownResult.cooldown;
-          if (directionCooldown.applied) {
-            normalizedActionPlan[0].reason = normalizeReasonEnvelope(
-              {
-                code: "DIRECTION_FLIP_COOLDOWN_HOLD",
-                summary: "Direction flip cooldown applied; hold this step.",
-                expectedThrottleSign: 0,
-                expectedSteeringSign: controlValueToSign(normalizedActionPlan[0].steering),
-                source: "runtime"
-              },
-              normalizedActionPlan[0].reason,
-              {
-                throttle: normalizedActionPlan[0].throttle,
-                steering: normalizedActionPlan[0].steering,
-                duration: normalizedActionPlan[0].duration
-              }
-            );
-          } else {
-            normalizedActionPlan[0].reason = normalizeReasonEnvelope(
-              normalizedActionPlan[0].reason,
-              decisionReason,
-              {
-                throttle: normalizedActionPlan[0].throttle,
-                steering: normalizedActionPlan[0].steering,
-                duration: normalizedActionPlan[0].duration
-              }
-            );
+            // Skip setting controls - recovery will handle it
+            return;
+          }
+          if (frontWall) {
+            const { leftSpace, rightSpace, backSpace, turnTowardLeft } = frontWall;
+            const side = turnTowardLeft ? "LEFT" : "RIGHT";
+            const thoughtByKind = {
+              REVERSE: `[EMERGENCY] Wall ${minFrontDist.toFixed(1)}m! Reversing ${side} (L:${leftSpace.toFixed(1)}m R:${rightSpace.toFixed(1)}m)`,
+              PIVOT: `[EMERGENCY] Front tight but rear ${backSpace.toFixed(1)}m. Pivoting forward ${side}.`,
+              STOP: `[REALTIME SAFETY] Wall at ${minFrontDist.toFixed(1)}m! Stopping.`
+            };
+            aiMetaRef.current = {
+              ...aiMetaRef.current,
+              safetyOverride: true,
+              overrideReason: frontWall.overrideReason,
+              lastDecisionAt: Date.now()
+            };
+            setAiStats(prev => ({ ...prev, thought: thoughtByKind[frontWall.kind] }));
           }
 
           if (directionCooldown.applied) {
@@ -2548,163 +2117,40 @@ export default function App() {
             };
           }
 
-          const executedActionPlan = [];
-          const reasonValidationSummary = {
+          // Pipelined: the last horizon of the plan is handed over to the next think window instead of run here.
+          const { run: runPlan, carry: handedOverPlan } = pipelined
+            ? splitPlanForPipeline(actingPlan, estimatePipelineHorizonMs(pipelineRef.current.recentLatenciesMs))
+            : { run: actingPlan, carry: [] };
+          const { executedActionPlan, reasonValidationSummary } = await runGuardedActionPlan({
+            plan: runPlan,
             decisionReason,
-            blockedSteps: 0,
-            missingModelReasonSteps: 0,
-            signMismatchSteps: 0,
-            stepResults: []
-          };
-          for (let stepIndex = 0; stepIndex < normalizedActionPlan.length; stepIndex += 1) {
-            if (!isActive || recoveryPhase) break;
-
-            const step = normalizedActionPlan[stepIndex];
-            let stepThrottle = step.throttle;
-            let stepSteering = step.steering;
-            let stepDurationSec = step.duration;
-            const stepSensors = sensorRef.current;
-            const stepMinFront = Math.min(
-              stepSensors.front ?? 99,
-              stepSensors.leftDiag ?? 99,
-              stepSensors.rightDiag ?? 99
-            );
-            let stepReason = normalizeReasonEnvelope(
-              step?.reason || null,
-              decisionReason,
-              { throttle: stepThrottle, steering: stepSteering, duration: stepDurationSec }
-            );
-            let bypassReasonValidation = stepIndex === 0 && (runtimeReasonOverride !== null || directionCooldown.applied);
-
-            if (stepIndex > 0) {
-              const stepCalibrationProfile = directionCalibrationRef.current.profile;
-              if (stepCalibrationProfile?.applied && stepCalibrationProfile.steeringConfidence >= 0.45) {
-                stepSteering *= asFiniteNumber(stepCalibrationProfile.steeringSign, 1);
-              }
-              if (stepMinFront < 2.5 && stepThrottle > 0) {
-                stepThrottle = 0;
-                stepReason = normalizeReasonEnvelope(
-                  {
-                    code: "ACTION_QUEUE_FRONT_GUARD_HOLD",
-                    summary: "Queued forward step blocked by front guard.",
-                    expectedThrottleSign: 0,
-                    expectedSteeringSign: controlValueToSign(stepSteering),
-                    source: "runtime"
-                  },
-                  stepReason,
-                  { throttle: stepThrottle, steering: stepSteering, duration: stepDurationSec }
-                );
-                aiMetaRef.current = {
-                  ...aiMetaRef.current,
-                  safetyOverride: true,
-                  overrideReason: "ACTION_QUEUE_FRONT_GUARD",
-                  lastDecisionAt: Date.now()
-                };
-                bypassReasonValidation = true;
-              }
-              const stepCooldownResult = applyDirectionFlipCooldownToStep(stepThrottle, false);
-              stepThrottle = stepCooldownResult.throttleOut;
-              if (stepCooldownResult.cooldown?.applied) {
-                stepReason = normalizeReasonEnvelope(
-                  {
-                    code: "DIRECTION_FLIP_COOLDOWN_HOLD",
-                    summary: "Queued step paused by direction cooldown.",
-                    expectedThrottleSign: 0,
-                    expectedSteeringSign: controlValueToSign(stepSteering),
-                    source: "runtime"
-                  },
-                  stepReason,
-                  { throttle: stepThrottle, steering: stepSteering, duration: stepDurationSec }
-                );
-                bypassReasonValidation = true;
-              }
-            }
-
-            const stepValidation = validateReasonedActionStep({
-              step: { throttle: stepThrottle, steering: stepSteering },
-              reason: stepReason,
-              minFrontDist: stepMinFront,
-              requireModelReason: true,
-              bypass: bypassReasonValidation || stepReason.source === "runtime"
-            });
-            const hasSignMismatch = stepValidation.issues.includes("THROTTLE_SIGN_MISMATCH")
-              || stepValidation.issues.includes("STEERING_SIGN_MISMATCH");
-
-            const reasonStats = reasonValidationStatsRef.current;
-            reasonStats.totalSteps += 1;
-            if (stepValidation.ok) {
-              reasonStats.passedSteps += 1;
-            } else {
-              reasonStats.blockedSteps += 1;
-              if (stepValidation.issues.includes("REASON_NOT_FROM_MODEL")) {
-                reasonStats.missingModelReasonSteps += 1;
-                reasonValidationSummary.missingModelReasonSteps += 1;
-              }
-              if (hasSignMismatch) {
-                reasonStats.signMismatchSteps += 1;
-                reasonValidationSummary.signMismatchSteps += 1;
-              }
-              reasonValidationSummary.blockedSteps += 1;
-              stepThrottle = 0;
-              stepSteering = 0;
-              stepDurationSec = Math.min(stepDurationSec, 0.18);
-              stepReason = normalizeReasonEnvelope(
-                {
-                  code: `REASON_BLOCK_${stepValidation.primaryIssue || "UNKNOWN"}`,
-                  summary: `Blocked step due to reason-check failure: ${stepValidation.issues.join("|") || "UNKNOWN"}.`,
-                  expectedThrottleSign: 0,
-                  expectedSteeringSign: 0,
-                  source: "runtime"
-                },
-                stepReason,
-                { throttle: stepThrottle, steering: stepSteering, duration: stepDurationSec }
-              );
+            getSensors: () => sensorRef.current,
+            directionFlip: directionFlipRef.current,
+            now: Date.now,
+            reasonStats: reasonValidationStatsRef.current,
+            steeringSign,
+            firstStepGuarded: frontWall !== null || directionCooldown.applied,
+            shouldStop: () => !isActive || !!recoveryPhase,
+            onOverride: (overrideReason) => {
               aiMetaRef.current = {
                 ...aiMetaRef.current,
                 safetyOverride: true,
-                overrideReason: `REASON_VALIDATION_${stepValidation.primaryIssue || "BLOCK"}`,
+                overrideReason,
                 lastDecisionAt: Date.now()
               };
+            },
+            executeStep: (controls, seconds) => {
+              applyControls(controls);
+              return new Promise(r => setTimeout(r, Math.max(10, Math.min(3000, seconds * 1000))));
             }
-
-            reasonValidationSummary.stepResults.push({
-              index: stepIndex + 1,
-              ok: stepValidation.ok,
-              bypassed: stepValidation.bypassed,
-              issues: stepValidation.issues,
-              reason: stepReason,
-              throttleSign: controlValueToSign(stepThrottle),
-              steeringSign: controlValueToSign(stepSteering),
-              minFrontDist: Number(stepMinFront.toFixed(3))
-            });
-
-            const stepDurationMs = Math.max(10, Math.min(3000, stepDurationSec * 1000));
-            const stepControls = { throttle: stepThrottle, steering: stepSteering };
-            applyControls(stepControls);
-            executedActionPlan.push({
-              index: stepIndex + 1,
-              throttle: stepThrottle,
-              steering: stepSteering,
-              duration: Number(stepDurationSec.toFixed(3)),
-              minFrontDist: Number(stepMinFront.toFixed(3)),
-              reason: stepReason,
-              reason_validation: {
-                ok: stepValidation.ok,
-                issues: stepValidation.issues,
-                bypassed: stepValidation.bypassed
-              }
-            });
-            await new Promise(r => setTimeout(r, stepDurationMs));
-          }
+          });
+          if (pipelined) pipelineRef.current.carryPlan = handedOverPlan;
           const reasonStatsAfter = reasonValidationStatsRef.current || createInitialReasonValidationStats();
-          const reasonPassRateAfter = reasonStatsAfter.totalSteps > 0
-            ? reasonStatsAfter.passedSteps / reasonStatsAfter.totalSteps
-            : 1;
           aiMetaRef.current = {
             ...aiMetaRef.current,
             reasonValidationLast: reasonValidationSummary.blockedSteps > 0 ? "BLOCKED" : "PASS",
             reasonBlockedTotal: reasonStatsAfter.blockedSteps ?? 0,
-            reasonPassRate: reasonPassRateAfter
+            reasonPassRate: reasonValidationPassRate(reasonStatsAfter)
           };
 
           // Log to Session History
@@ -2713,9 +2159,14 @@ export default function App() {
             : { throttle: 0, steering: 0 };
           decisionLog.current.push({
             time: new Date().toISOString(),
+            run_seed: sessionRngRef.current.seed,
+            track_map: describeTrackMap(trackMapRef.current),
             sensor_snapshot: sensorSnapshot,
             sensor_latest: sensorRef.current,
             exploration: explorationContext,
+            smoothing_state: smoothingStateBefore,
+            action_history: recentHistory,
+            decision_requested_at_ms: decisionRequestedAtMs,
             collision_summary: snapshotCollisionStats(collisionStatsRef.current),
             heatmap_diag: heatmapDiag,
             ai_prompt: decisionObj.prompt || "",
@@ -2723,6 +2174,12 @@ export default function App() {
             ai_parse_method: decisionObj.parseMethod || "",
             ai_parse_recovered: !!decisionObj.parseRecovered,
             ai_model: decisionObj.model || selectedModel,
+            ai_prompt_template: decisionObj.promptTemplate || null,
+            ai_response_format: decisionObj.responseFormat || null,
+            ai_schema_violations: decisionObj.schemaViolations ?? null,
+            ai_provider: decisionObj.provider || llmBackendRef.current.provider,
+            ai_mock: decisionObj.mock || null,
+            observation: decisionObj.observation || null,
             ai_skill: decisionObj.skill || null,
             ai_reason: decisionReason,
             ai_reflection: decisionObj.reflection || null,
@@ -2738,10 +2195,25 @@ export default function App() {
             controls: firstExecutedControls,
             action_plan_requested: normalizedActionPlan,
             action_plan_executed: executedActionPlan,
+            decision_loop: decisionLoopRef.current,
+            pipeline: pipelined ? {
+              horizonMs,
+              latencyMs: measuredLatencyMs,
+              lateMs: timedPlan.lateMs,
+              status: timedPlan.status,
+              shiftMs: timedPlan.shiftMs,
+              observedPose: describePipelinePose(sensorNow),
+              predictedPose: describePipelinePose(predictedPose),
+              carryExecuted,
+              handedOver: pipelineRef.current.carryPlan.map((step) => ({ throttle: step.throttle, steering: step.steering, duration: step.duration }))
+            } : null,
+            latency_compensation: latencyCompensationRef.current,
+            actuation_prediction: actuationPrediction,
             runtime_diagnostics: { collisionSummary: collisionSnapshotForDecision },
             decision_started_at_ms: Date.now(),
             outcome: null
           });
+          telemetrySinkRef.current?.send("decision", decisionLog.current[decisionLog.current.length - 1]);
 
           // Update History
           setAction("AI_CONTROL"); // Just for HUD text
@@ -2752,8 +2224,8 @@ export default function App() {
             isThinking: false
           };
 
-          // Stop controls while waiting for next think cycle.
-          applyControls({ throttle: 0, steering: 0 });
+          // Stop controls while waiting for next think cycle (pipelined: the handed-over tail keeps driving).
+          if (!pipelined) applyControls({ throttle: 0, steering: 0 });
         }
       } catch (err) {
         console.error("AutoPilot Error:", err);
@@ -2780,18 +2252,22 @@ export default function App() {
     loop();
 
     return () => { isActive = false; };
-  }, [autoDrive, recoveryPhase, actionHistory, lastAction, selectedModel, applyControls, finalizePendingDecisionOutcome]);
+  }, [autoDrive, recoveryPhase, actionHistory, lastAction, selectedModel, applyControls, finalizePendingDecisionOutcome, captureObservationFrame]);
 
   // Physics Tuning State
-  const [physicsSettings, setPhysicsSettings] = useState({
-    speedForce: 12000, // Boosted: High Speed enabled by Safety Stop
-    turnTorque: 200,
-    linearDamping: 0.2,
-    interval: 1000,
-    sensorDynamic: true,
-    sensorRangeMin: 7,
-    sensorRangeMax: 14
-  });
+  const [physicsSettings, setPhysicsSettings] = useState({ ...DEFAULT_PHYSICS_SETTINGS });
+
+  useEffect(() => {
+    physicsSettingsRef.current = physicsSettings;
+  }, [physicsSettings]);
+
+  // Preset the physics panel's fault selector shows; "custom" for fault values set by a config or condition.
+  const sensorFaultPresetId = useMemo(() => {
+    const faults = normalizeSensorFaults(physicsSettings);
+    const match = Object.entries(SENSOR_FAULT_PRESETS)
+      .find(([, preset]) => Object.keys(preset).every((key) => preset[key] === faults[key]));
+    return match ? match[0] : "custom";
+  }, [physicsSettings]);
 
   const correlationChart = useMemo(() => {
     const history = telemetry || [];
@@ -2882,6 +2358,23 @@ export default function App() {
         y: ((p.dz + radius) * cellPx) + (cellPx / 2),
         alpha: (idx + 1) / Math.max(1, arr.length)
       }));
+    // Planned route (cell centers); the SVG clips the part outside the window.
+    const routePoints = (memoryViz.routePath || [])
+      .map((p) => `${((p.dx + radius) * cellPx) + (cellPx / 2)},${((p.dz + radius) * cellPx) + (cellPx / 2)}`)
+      .join(" ");
+    // Occupancy layer: occupied cells at their own resolution, drawn over the weight cells.
+    const occupancyCellPx = Math.max(2, cellPx * (asFiniteNumber(memoryViz.occupancy?.resolution, 0.5) / asFiniteNumber(memoryViz.cellSize, 2)));
+    const occupiedCells = (memoryViz.occupancy?.occupiedCells || []).map((cell) => ({
+      x: ((cell.dx + radius) * cellPx) + (cellPx / 2) - (occupancyCellPx / 2),
+      y: ((cell.dz + radius) * cellPx) + (cellPx / 2) - (occupancyCellPx / 2),
+      alpha: clamp01(cell.p)
+    }));
+    // Frontier cluster centroids, sized by cluster length.
+    const frontierClusters = (memoryViz.frontierClusters || []).map((cluster) => ({
+      x: ((cluster.dx + radius) * cellPx) + (cellPx / 2),
+      y: ((cluster.dz + radius) * cellPx) + (cellPx / 2),
+      r: Math.min(cellPx, 3 + Math.sqrt(asFiniteNumber(cluster.sizeCells, 1)))
+    }));
     const markerSize = Math.max(6, Math.floor(cellPx * 0.8));
     const worldHeadingDeg = asFiniteNumber(memoryViz.headingDeg, 0);
     const mapHeadingDeg = 180 - worldHeadingDeg;
@@ -2892,6 +2385,12 @@ export default function App() {
       mapPx,
       cells,
       pathPoints,
+      routePoints,
+      occupiedCells,
+      occupancyCellPx,
+      frontierClusters,
+      explorationMode: memoryViz.explorationMode || DEFAULT_EXPLORATION_MODE,
+      routeGoal: memoryViz.routes?.recommended || "NONE",
       headingDeg: worldHeadingDeg,
       mapHeadingDeg,
       centerCell: memoryViz.center || { ix: 0, iz: 0 },
@@ -2968,6 +2467,21 @@ export default function App() {
     if (autoDriveRef.current && autoDownloadDrive) {
       downloadDriveLogOnly(stopTrigger);
     }
+    if (autoDriveRef.current) {
+      telemetrySinkRef.current?.send("run_end", {
+        trigger: stopTrigger,
+        telemetrySamples: telemetryRef.current.length,
+        decisionCount: decisionLog.current.length,
+        collisionCount: collisionStatsRef.current.totalCount
+      });
+    }
+    // Manual sessions go to the library here, before the collision state is reset; experiment runs save their own.
+    if (autoDriveRef.current && options?.saveToLibrary !== false && telemetryRef.current.length > 0) {
+      persistRunToLibrary(
+        buildLiveSessionBundle([...telemetryRef.current], { reportStatus: "not_requested", aiReview: "", reportHtml: "" }),
+        { status: "DONE" }
+      );
+    }
     setAutoDrive(false);
     applyControls({ throttle: 0, steering: 0 });
     setErrorMsg(null);
@@ -2990,10 +2504,7 @@ export default function App() {
       modeHoldRemaining: 0,
       targetLockHoldRemaining: 0
     };
-    directionFlipRef.current = {
-      lastSign: 0,
-      lastSignAt: 0
-    };
+    directionFlipRef.current = createDirectionFlipState();
     reasonValidationStatsRef.current = createInitialReasonValidationStats();
     aiMetaRef.current = {
       latency: 0,
@@ -3015,6 +2526,9 @@ export default function App() {
       parseMethod: "",
       parseRecovered: false,
       model: "",
+      promptTemplate: "",
+      responseFormat: "",
+      schemaViolationCount: 0,
       source: "IDLE",
       isThinking: false,
       safetyOverride: false,
@@ -3031,7 +2545,7 @@ export default function App() {
       directionCooldownRemainingMs: 0,
       directionLastSign: 0
     };
-  }, [applyControls, downloadDriveLogOnly, finalizePendingDecisionOutcome]);
+  }, [applyControls, buildLiveSessionBundle, downloadDriveLogOnly, finalizePendingDecisionOutcome, persistRunToLibrary]);
 
   const delayMs = useCallback((ms) => new Promise((resolve) => setTimeout(resolve, ms)), []);
 
@@ -3054,8 +2568,8 @@ export default function App() {
     const headingDeg = asFiniteNumber(sensor.headingDeg, Number.NaN);
     const distanceToTarget = asFiniteNumber(sensor.distanceToTarget, Number.NaN);
     const sensorRange = asFiniteNumber(sensor.sensorRange, Number.NaN);
-    const spawnX = asFiniteNumber(DEFAULT_CAR_SPAWN.position?.[0], 0);
-    const spawnZ = asFiniteNumber(DEFAULT_CAR_SPAWN.position?.[2], -10);
+    const spawnX = asFiniteNumber(carSpawnRef.current.position?.[0], 0);
+    const spawnZ = asFiniteNumber(carSpawnRef.current.position?.[2], -10);
     const distanceFromSpawn = Number.isFinite(x) && Number.isFinite(z)
       ? Math.hypot(x - spawnX, z - spawnZ)
       : Number.POSITIVE_INFINITY;
@@ -3065,10 +2579,10 @@ export default function App() {
       finiteMotion: Number.isFinite(speed) && Number.isFinite(verticalSpeed),
       finiteNavigation: Number.isFinite(headingDeg) && Number.isFinite(distanceToTarget) && Number.isFinite(sensorRange),
       inBounds: Number.isFinite(x) && Number.isFinite(z)
-        && x >= TRACK_WORLD_BOUNDS.minX
-        && x <= TRACK_WORLD_BOUNDS.maxX
-        && z >= TRACK_WORLD_BOUNDS.minZ
-        && z <= TRACK_WORLD_BOUNDS.maxZ,
+        && x >= trackMapRef.current.bounds.minX
+        && x <= trackMapRef.current.bounds.maxX
+        && z >= trackMapRef.current.bounds.minZ
+        && z <= trackMapRef.current.bounds.maxZ,
       nearSpawn: Number.isFinite(distanceFromSpawn) && distanceFromSpawn <= RUN_START_SPAWN_TOLERANCE_M,
       speedReady: Number.isFinite(speed) && speed <= RUN_START_MAX_SPEED,
       grounded: Number.isFinite(y) && y >= RUN_START_MIN_WORLD_Y && y <= RUN_START_MAX_WORLD_Y,
@@ -3110,29 +2624,52 @@ export default function App() {
     return latest;
   }, [delayMs, evaluateRunStartVehicleState]);
 
-  const applyExperimentCondition = useCallback(async (condition) => {
+  // Switches the active layout (no lock check; callers guard). Also used by experiment conditions with a mapId.
+  const loadTrackMap = useCallback((map) => {
+    const spawnPose = pickSpawnPose(map);
+    trackMapRef.current = map;
+    carSpawnRef.current = spawnPose;
+    explorationMemoryRef.current.setWorldBounds(map.bounds);
+    setTrackMap(map);
+    setCarSpawn(spawnPose);
+    setTargetPosition([...map.initialTarget]);
+    setMemoryViz(null);
+  }, []);
+
+  // Each condition starts from the experiment's base backend, physics and map, so overrides never leak between runs.
+  const applyExperimentCondition = useCallback(async (condition, base = {}) => {
+    const baseLlmBackend = base.llmBackend || null;
+    const nextLlmBackend = normalizeLlmBackend(condition?.llmBackend, baseLlmBackend || llmBackendRef.current);
+    if (nextLlmBackend.provider !== llmBackendRef.current.provider || nextLlmBackend.baseUrl !== llmBackendRef.current.baseUrl) {
+      setLlmBackend(nextLlmBackend);
+      await waitForCondition(() => llmBackendRef.current === nextLlmBackend, 1600, 60);
+    }
+
     const modelCandidate = typeof condition?.model === "string" ? condition.model.trim() : "";
     if (modelCandidate && MODEL_OPTIONS.includes(modelCandidate)) {
       setSelectedModel(modelCandidate);
       await waitForCondition(() => selectedModelRef.current === modelCandidate, 1600, 60);
     }
 
-    if (condition?.physicsPatch && typeof condition.physicsPatch === "object") {
-      const patch = condition.physicsPatch;
-      setPhysicsSettings((prev) => {
-        const nextMin = Number.isFinite(patch.sensorRangeMin) ? patch.sensorRangeMin : prev.sensorRangeMin;
-        const nextMaxRaw = Number.isFinite(patch.sensorRangeMax) ? patch.sensorRangeMax : prev.sensorRangeMax;
-        const nextMax = Math.max(nextMin + 0.5, nextMaxRaw);
-        return {
-          ...prev,
-          ...patch,
-          sensorRangeMin: nextMin,
-          sensorRangeMax: nextMax
-        };
-      });
+    if (base.physicsSettings) {
+      setPhysicsSettings(applyConditionPhysicsPatch(base.physicsSettings, condition?.physicsPatch));
+    } else if (condition?.physicsPatch && typeof condition.physicsPatch === "object") {
+      setPhysicsSettings((prev) => applyConditionPhysicsPatch(prev, condition.physicsPatch));
     }
+
+    const nextTrackMap = condition?.mapId ? rateTrackMap(resolveTrackMapId(condition.mapId)) : base.trackMap;
+    if (nextTrackMap && nextTrackMap.fingerprint !== trackMapRef.current.fingerprint) {
+      loadTrackMap(nextTrackMap);
+    }
+    targetSpawnPolicyRef.current = condition?.targetPolicy || DEFAULT_TARGET_SPAWN_POLICY;
+    conditionLlmOptionsRef.current = condition?.llmOptions ? { ...condition.llmOptions } : null;
+    decisionLoopRef.current = condition?.decisionLoop || DEFAULT_DECISION_LOOP_MODE;
+    latencyCompensationRef.current = condition?.latencyCompensation || DEFAULT_LATENCY_COMPENSATION;
+    explorationMemoryRef.current.setExplorationMode(condition?.explorationMode || DEFAULT_EXPLORATION_MODE);
+    observationRef.current = condition?.observation || DEFAULT_OBSERVATION_MODE;
+    observationViewRef.current = condition?.observationView || DEFAULT_OBSERVATION_VIEW;
     await delayMs(180);
-  }, [delayMs, waitForCondition]);
+  }, [delayMs, loadTrackMap, waitForCondition]);
 
   const stopExperimentAutomation = useCallback(() => {
     experimentAbortRef.current = true;
@@ -3183,16 +2720,32 @@ export default function App() {
       return;
     }
 
-    const runs = buildExperimentPlan(experimentConfig);
+    // The seed field holds the raw text while typing; the run uses (and shows) the normalized value.
+    const runConfig = { ...experimentConfig, seed: normalizeSeed(experimentConfig.seed, DEFAULT_EXPERIMENT_SEED) };
+    setExperimentConfig((prev) => ({ ...prev, seed: runConfig.seed }));
+    const runs = buildExperimentPlan(runConfig);
     if (!Array.isArray(runs) || runs.length === 0) {
       setErrorMsg("Experiment plan is empty. Select at least one AB condition.");
       return;
     }
+    if (!priorMapRef.current && runs.some((run) => run.memoryStart === EXPLORATION_MEMORY_STARTS.PRIOR)) {
+      setErrorMsg("Conditions with memoryStart \"prior\" need a prior map. Load one first.");
+      return;
+    }
 
     experimentAbortRef.current = false;
     const startedAtIso = new Date().toISOString();
+    // Conditions without a mapId run on the map selected at start; rated once so results group by difficulty.
+    const conditionBase = {
+      llmBackend: { ...llmBackendRef.current },
+      physicsSettings: { ...physicsSettingsRef.current },
+      trackMap: rateTrackMap(trackMapRef.current)
+    };
+    const baseLlmBackend = conditionBase.llmBackend;
     const runResults = [];
     const runArtifacts = [];
+    // Final memory of each condition's latest completed run, for memoryStart "carry".
+    const carriedMemory = new Map();
     const saveMode = experimentConfig.saveMode === EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN
       ? EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN
       : EXPERIMENT_SAVE_MODES.SINGLE_BUNDLE_END;
@@ -3223,6 +2776,7 @@ export default function App() {
 
         const run = runs[index];
         const runTag = `${run.runTag}_${formatStamp(Date.now())}`;
+        streamRunRef.current = { runTag, conditionId: run.id };
         setExperimentRunner((prev) => ({
           ...prev,
           phase: "PREPARING",
@@ -3232,8 +2786,26 @@ export default function App() {
           summary: `Preparing ${run.id} (${run.label}), repeat ${run.repeat}.`
         }));
 
-        await applyExperimentCondition(run);
+        experimentRunSeedRef.current = run.seed;
+        memoryStartPlanRef.current = {
+          mode: run.memoryStart || EXPLORATION_MEMORY_STARTS.COLD,
+          snapshot: resolveRunPriorMemory(run, { carried: carriedMemory, priorMap: priorMapRef.current })
+        };
+        await applyExperimentCondition(run, conditionBase);
         if (experimentAbortRef.current) break;
+        const runConditionInfo = {
+          trackMap: describeTrackMap(trackMapRef.current),
+          targetPolicy: targetSpawnPolicyRef.current,
+          llmOptions: conditionLlmOptionsRef.current,
+          decisionLoop: decisionLoopRef.current,
+          latencyCompensation: latencyCompensationRef.current,
+          explorationMode: run.explorationMode || DEFAULT_EXPLORATION_MODE,
+          observation: observationRef.current,
+          observationView: observationUsesImage(observationRef.current) ? observationViewRef.current : null,
+          memoryStart: memoryStartPlanRef.current.mode,
+          physicsSettings: { ...physicsSettingsRef.current },
+          factors: run.factors || null
+        };
 
         setExperimentRunner((prev) => ({
           ...prev,
@@ -3306,7 +2878,10 @@ export default function App() {
             label: run.label,
             repeat: run.repeat,
             model: run.model,
+            llmBackend: normalizeLlmBackend(run.llmBackend, baseLlmBackend),
             runSeconds: run.runSeconds,
+            seed: run.seed,
+            ...runConditionInfo,
             runTag,
             startedAt: new Date().toISOString(),
             status: "PRECHECK_BLOCKED",
@@ -3340,7 +2915,7 @@ export default function App() {
         const runStartValidation = await waitForRunStartVehicleState(4500, 120);
         if (!runStartValidation.ok) {
           if (autoDriveRef.current) {
-            handleStopAutodrive({ autoDownloadDrive: false, trigger: `${runTag}_start_invalid` });
+            handleStopAutodrive({ autoDownloadDrive: false, saveToLibrary: false, trigger: `${runTag}_start_invalid` });
             await waitForCondition(() => !autoDriveRef.current, 6000, 80);
           }
 
@@ -3356,7 +2931,10 @@ export default function App() {
             label: run.label,
             repeat: run.repeat,
             model: run.model,
+            llmBackend: normalizeLlmBackend(run.llmBackend, baseLlmBackend),
             runSeconds: run.runSeconds,
+            seed: run.seed,
+            ...runConditionInfo,
             runTag,
             startedAt: new Date().toISOString(),
             status: "PRECHECK_BLOCKED",
@@ -3404,6 +2982,10 @@ export default function App() {
 
         const historySnapshot = Array.isArray(telemetryRef.current) ? [...telemetryRef.current] : [];
         const driveLogSnapshot = Array.isArray(decisionLog.current) ? [...decisionLog.current] : [];
+        const occupancySnapshot = evaluateOccupancyAccuracy(explorationMemoryRef.current.getOccupancyGrid(), trackMapRef.current);
+        const memorySnapshot = explorationMemoryRef.current.serialize({ trackMap: describeTrackMap(trackMapRef.current), seed: run.seed });
+        const memoryStartSnapshot = { ...memoryStartRef.current };
+        const observationFramesSnapshot = { ...observationFramesRef.current };
         const collisionEventsSnapshot = Array.isArray(collisionEventsRef.current) ? [...collisionEventsRef.current] : [];
         const decisionCountSnapshot = driveLogSnapshot.length;
         const collisionSnapshot = snapshotCollisionStats(collisionStatsRef.current);
@@ -3418,7 +3000,7 @@ export default function App() {
           summary: `Exporting logs for ${run.id}.`
         }));
 
-        handleStopAutodrive({ autoDownloadDrive: false, trigger: runTag });
+        handleStopAutodrive({ autoDownloadDrive: false, saveToLibrary: false, trigger: runTag });
         await waitForCondition(() => !autoDriveRef.current, 6000, 80);
 
         let reportHtml = "";
@@ -3427,7 +3009,7 @@ export default function App() {
         if (experimentConfig.includeHtmlReport || experimentConfig.includeAllLogsBundle) {
           if (Array.isArray(historySnapshot) && historySnapshot.length >= 10) {
             try {
-              reportAiReview = await generateAIReview(historySnapshot, run.model || selectedModelRef.current);
+              reportAiReview = await generateAIReview(historySnapshot, run.model || selectedModelRef.current, { backend: llmBackendRef.current });
               reportHtml = buildHTMLReportContent(historySnapshot, reportAiReview) || "";
               reportStatus = reportHtml ? "ok" : "empty";
             } catch (reportErr) {
@@ -3446,6 +3028,10 @@ export default function App() {
           exportedAt: new Date().toISOString(),
           trigger: safeRunTag,
           model: run.model || selectedModelRef.current,
+          llmBackend: llmBackendRef.current,
+          seed: run.seed,
+          spawnPose: carSpawnRef.current,
+          trackMap: describeTrackMap(trackMapRef.current),
           telemetrySamples: Array.isArray(historySnapshot) ? historySnapshot.length : 0,
           decisionLogRecords: driveLogSnapshot.length,
           collisionEvents: collisionEventsSnapshot.length,
@@ -3460,7 +3046,39 @@ export default function App() {
           latestPreflightFailureLog: preflightGateLogsRef.current.length > 0
             ? preflightGateLogsRef.current[preflightGateLogsRef.current.length - 1]
             : null,
-          directionCalibration: directionCalibrationRef.current?.profile || null
+          directionCalibration: directionCalibrationRef.current?.profile || null,
+          memoryStart: memoryStartSnapshot
+        };
+
+        // Built for every run: downloaded with includeAllLogsBundle and always kept in the session library.
+        const allLogsPayload = {
+          sessionPrefix: runSessionPrefix,
+          exportedAt: new Date().toISOString(),
+          model: run.model || selectedModelRef.current,
+          llmBackend: llmBackendRef.current,
+          seed: run.seed,
+          spawnPose: carSpawnRef.current,
+          trackMap: buildTrackMapPayload(trackMapRef.current),
+          telemetrySamples: Array.isArray(historySnapshot) ? historySnapshot.length : 0,
+          decisionLogRecords: driveLogSnapshot.length,
+          collisionEvents: collisionEventsSnapshot.length,
+          collisionSummary: collisionSnapshot,
+          preflight: runPreflightReport || preflightReportRef.current || createInitialPreflightState(),
+          preflightGatePolicy: PREFLIGHT_GATE_POLICY,
+          preflightFailureLogFolder: PREFLIGHT_FAILURE_LOG_FOLDER,
+          preflightFailureLogs: preflightGateLogsRef.current,
+          directionCalibration: directionCalibrationRef.current?.profile || null,
+          reportStatus,
+          aiReview: reportAiReview,
+          memoryStart: memoryStartSnapshot,
+          files: {
+            driveLog: driveLogSnapshot,
+            telemetry: historySnapshot,
+            collisionEvents: collisionEventsSnapshot,
+            explorationMemory: memorySnapshot,
+            observationFrames: observationFramesSnapshot,
+            reportHtml
+          }
         };
 
         if (saveMode === EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN) {
@@ -3480,6 +3098,12 @@ export default function App() {
             "application/json"
           );
 
+          triggerDownload(
+            JSON.stringify(memorySnapshot, null, 2),
+            `${runSessionPrefix}_exploration_memory_${runStamp}_${safeRunTag}.json`,
+            "application/json"
+          );
+
           if (experimentConfig.includeHtmlReport) {
             triggerDownload(
               reportHtml || "<html><body><h1>Report generation skipped.</h1></body></html>",
@@ -3489,28 +3113,6 @@ export default function App() {
           }
 
           if (experimentConfig.includeAllLogsBundle) {
-            const allLogsPayload = {
-              sessionPrefix: runSessionPrefix,
-              exportedAt: new Date().toISOString(),
-              model: run.model || selectedModelRef.current,
-              telemetrySamples: Array.isArray(historySnapshot) ? historySnapshot.length : 0,
-              decisionLogRecords: driveLogSnapshot.length,
-              collisionEvents: collisionEventsSnapshot.length,
-              collisionSummary: collisionSnapshot,
-              preflight: runPreflightReport || preflightReportRef.current || createInitialPreflightState(),
-              preflightGatePolicy: PREFLIGHT_GATE_POLICY,
-              preflightFailureLogFolder: PREFLIGHT_FAILURE_LOG_FOLDER,
-              preflightFailureLogs: preflightGateLogsRef.current,
-              directionCalibration: directionCalibrationRef.current?.profile || null,
-              reportStatus,
-              aiReview: reportAiReview,
-              files: {
-                driveLog: driveLogSnapshot,
-                telemetry: historySnapshot,
-                collisionEvents: collisionEventsSnapshot,
-                reportHtml
-              }
-            };
             triggerDownload(
               JSON.stringify(allLogsPayload, null, 2),
               `${runSessionPrefix}_all_logs_${runStamp}_${safeRunTag}.json`,
@@ -3528,6 +3130,7 @@ export default function App() {
               driveLog: `${runSessionPrefix}_drive_gemma_drive_log_${runStamp}_${safeRunTag}.json`,
               telemetry: `${runSessionPrefix}_telemetry_${runStamp}_${safeRunTag}.json`,
               meta: `${runSessionPrefix}_meta_${runStamp}_${safeRunTag}.json`,
+              explorationMemory: `${runSessionPrefix}_exploration_memory_${runStamp}_${safeRunTag}.json`,
               reportHtml: experimentConfig.includeHtmlReport
                 ? `${runSessionPrefix}_report_driver_limit_report_${runStamp}_${safeRunTag}.html`
                 : null
@@ -3536,6 +3139,8 @@ export default function App() {
               driveLog: driveLogSnapshot,
               telemetry: historySnapshot,
               meta: runMetaSnapshot,
+              explorationMemory: memorySnapshot,
+              observationFrames: observationFramesSnapshot,
               reportStatus,
               aiReview: reportAiReview,
               reportHtml: experimentConfig.includeHtmlReport ? reportHtml : null
@@ -3547,17 +3152,30 @@ export default function App() {
           runArtifacts.push(runArtifact);
         }
 
-        const metrics = summarizeTelemetryForExperiment(
-          historySnapshot,
-          decisionCountSnapshot,
-          collisionSnapshot
-        );
+        const metrics = {
+          ...summarizeTelemetryForExperiment(
+            historySnapshot,
+            decisionCountSnapshot,
+            collisionSnapshot
+          ),
+          parsing: summarizeDecisionParsing(driveLogSnapshot),
+          pipeline: summarizeDecisionPipeline(driveLogSnapshot),
+          latencyPrediction: summarizeLatencyPrediction(driveLogSnapshot),
+          occupancy: occupancySnapshot,
+          coverage: summarizeCoverage(historySnapshot),
+          memory: summarizeMemoryStart(memoryStartSnapshot, historySnapshot, memorySnapshot.cells.length),
+          sensorFaults: summarizeSensorFaults(historySnapshot, driveLogSnapshot)
+        };
+        if (status === "DONE") carriedMemory.set(run.id, memorySnapshot);
         runResults.push({
           conditionId: run.id,
           label: run.label,
           repeat: run.repeat,
           model: run.model,
+          llmBackend: normalizeLlmBackend(run.llmBackend, baseLlmBackend),
           runSeconds: run.runSeconds,
+          seed: run.seed,
+          ...runConditionInfo,
           runTag,
           startedAt: new Date(runStartMs).toISOString(),
           finishedAt: new Date().toISOString(),
@@ -3565,6 +3183,7 @@ export default function App() {
           reason: status === "ABORTED" ? "Abort requested by user." : "Completed",
           metrics
         });
+        persistRunToLibrary(allLogsPayload, { runTag, conditionId: run.id, label: run.label, status });
         setExperimentRunner((prev) => ({
           ...prev,
           results: [...runResults],
@@ -3578,9 +3197,19 @@ export default function App() {
       console.error("Experiment automation failed:", err);
       setErrorMsg(`Experiment automation error: ${err?.message || "unknown error"}`);
       if (autoDriveRef.current) {
-        handleStopAutodrive({ autoDownloadDrive: false, trigger: "experiment_exception" });
+        handleStopAutodrive({ autoDownloadDrive: false, saveToLibrary: false, trigger: "experiment_exception" });
       }
     } finally {
+      experimentRunSeedRef.current = null;
+      streamRunRef.current = null;
+      targetSpawnPolicyRef.current = DEFAULT_TARGET_SPAWN_POLICY;
+      conditionLlmOptionsRef.current = null;
+      decisionLoopRef.current = DEFAULT_DECISION_LOOP_MODE;
+      latencyCompensationRef.current = DEFAULT_LATENCY_COMPENSATION;
+      memoryStartPlanRef.current = null;
+      explorationMemoryRef.current.setExplorationMode(DEFAULT_EXPLORATION_MODE);
+      observationRef.current = DEFAULT_OBSERVATION_MODE;
+      observationViewRef.current = DEFAULT_OBSERVATION_VIEW;
       const nowStamp = formatStamp(Date.now());
       const sessionPrefix = buildSessionPrefix();
       const summaryPayload = {
@@ -3588,15 +3217,23 @@ export default function App() {
         startedAt: startedAtIso,
         finishedAt: new Date().toISOString(),
         aborted: !!experimentAbortRef.current,
-        config: experimentConfig,
+        config: runConfig,
         saveMode,
-        selectedConditionIds: Array.isArray(experimentConfig.selectedConditionIds)
-          ? experimentConfig.selectedConditionIds
+        selectedConditionIds: Array.isArray(runConfig.selectedConditionIds)
+          ? runConfig.selectedConditionIds
           : [],
-        conditionMatrix: EXPERIMENT_CONDITION_MATRIX,
+        conditionMatrix: resolveExperimentConditions(runConfig),
         totalRunsPlanned: runs.length,
         totalRunsCompleted: runResults.length,
         results: runResults,
+        byMapDifficulty: groupResultsByMapDifficulty(runResults),
+        parsingByModel: groupParsingByModelAndFormat(runResults),
+        byDecisionLoop: groupResultsByDecisionLoop(runResults),
+        byLatencyCompensation: groupResultsByLatencyCompensation(runResults),
+        byMemoryStart: groupResultsByMemoryStart(runResults),
+        coverageByModel: groupCoverageByModel(runResults),
+        byObservation: groupResultsByObservation(runResults),
+        bySensorFaults: groupResultsBySensorFaults(runResults),
         runArtifacts: saveMode === EXPERIMENT_SAVE_MODES.SINGLE_BUNDLE_END ? runArtifacts : undefined
       };
       triggerDownload(
@@ -3630,6 +3267,7 @@ export default function App() {
     experimentRunner.running,
     handleStopAutodrive,
     isGroundGravityPreflightFailure,
+    persistRunToLibrary,
     startAutodriveWithPreflight,
     triggerDownload,
     waitForExperimentRunStart,
@@ -3637,15 +3275,17 @@ export default function App() {
     waitForCondition
   ]);
 
+  const experimentConditions = useMemo(() => resolveExperimentConditions(experimentConfig), [experimentConfig]);
+
   const selectedExperimentConditionIds = useMemo(() => {
     const selectedRaw = Array.isArray(experimentConfig.selectedConditionIds)
       ? experimentConfig.selectedConditionIds
       : [];
     const selectedSet = new Set(selectedRaw.map((id) => String(id || "").trim()).filter(Boolean));
-    return EXPERIMENT_CONDITION_MATRIX
+    return experimentConditions
       .map((condition) => condition.id)
       .filter((id) => selectedSet.has(id));
-  }, [experimentConfig.selectedConditionIds]);
+  }, [experimentConditions, experimentConfig.selectedConditionIds]);
 
   const selectedExperimentConditionCount = selectedExperimentConditionIds.length;
 
@@ -3666,119 +3306,59 @@ export default function App() {
     const normalized = Array.isArray(conditionIds)
       ? conditionIds.map((id) => String(id || "").trim()).filter(Boolean)
       : [];
-    const allowed = new Set(EXPERIMENT_CONDITION_MATRIX.map((condition) => condition.id));
+    const allowed = new Set(experimentConditions.map((condition) => condition.id));
     const nextIds = normalized.filter((id) => allowed.has(id));
     setExperimentConfig((prev) => ({ ...prev, selectedConditionIds: nextIds }));
-  }, []);
+  }, [experimentConditions]);
 
   const applyExperimentConfigFromJson = useCallback((payload, sourceLabel = "json") => {
     if (experimentRunner.running) {
       setErrorMsg("Cannot load JSON config while experiment automation is running.");
       return false;
     }
-    if (!payload || typeof payload !== "object") {
-      setErrorMsg(`Invalid experiment config JSON (${sourceLabel}): root must be an object.`);
-      setExperimentConfigJsonStatus(`JSON load failed (${sourceLabel}).`);
+    const parsed = parseExperimentConfigPayload(payload, {
+      config: experimentConfig,
+      llmBackend,
+      physicsSettings
+    });
+    if (!parsed.ok) {
+      if (parsed.schemaId) {
+        setErrorMsg(parsed.error);
+        setExperimentConfigJsonStatus(`JSON schema mismatch (${sourceLabel}).`);
+      } else {
+        setErrorMsg(`Invalid experiment config JSON (${sourceLabel}): ${parsed.error}.`);
+        setExperimentConfigJsonStatus(`JSON load failed (${sourceLabel}).`);
+      }
       return false;
     }
 
-    const schemaId = typeof payload.schema === "string" ? payload.schema.trim() : "";
-    if (schemaId && schemaId !== EXPERIMENT_CONFIG_SCHEMA_ID) {
-      setErrorMsg(`Invalid config schema: ${schemaId}`);
-      setExperimentConfigJsonStatus(`JSON schema mismatch (${sourceLabel}).`);
-      return false;
+    setExperimentConfig(parsed.config);
+    if (parsed.selectedModel && MODEL_OPTIONS.includes(parsed.selectedModel)) {
+      setSelectedModel(parsed.selectedModel);
     }
-    const configNode = payload?.config && typeof payload.config === "object"
-      ? payload.config
-      : payload;
-
-    const allowedConditionIds = new Set(EXPERIMENT_CONDITION_MATRIX.map((condition) => condition.id));
-    const providedConditionIds = Array.isArray(configNode.selectedConditionIds)
-      ? configNode.selectedConditionIds.map((id) => String(id || "").trim()).filter(Boolean)
-      : null;
-    const invalidConditionIds = Array.isArray(providedConditionIds)
-      ? providedConditionIds.filter((id) => !allowedConditionIds.has(id))
-      : [];
-
-    setExperimentConfig((prev) => {
-      const repeats = Number.isFinite(configNode.repeats)
-        ? Math.max(1, Math.min(6, Math.round(configNode.repeats)))
-        : prev.repeats;
-      const runSeconds = Number.isFinite(configNode.runSeconds)
-        ? Math.max(20, Math.min(240, Math.round(configNode.runSeconds)))
-        : prev.runSeconds;
-      const saveMode = (
-        configNode.saveMode === EXPERIMENT_SAVE_MODES.SINGLE_BUNDLE_END
-        || configNode.saveMode === EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN
-      ) ? configNode.saveMode : prev.saveMode;
-      const startAttemptsPerRun = Number.isFinite(configNode.startAttemptsPerRun)
-        ? Math.max(1, Math.min(5, Math.round(configNode.startAttemptsPerRun)))
-        : prev.startAttemptsPerRun;
-      const selectedConditionIds = Array.isArray(providedConditionIds)
-        ? providedConditionIds.filter((id) => allowedConditionIds.has(id))
-        : prev.selectedConditionIds;
-      const includeHtmlReport = typeof configNode.includeHtmlReport === "boolean"
-        ? configNode.includeHtmlReport
-        : prev.includeHtmlReport;
-      const includeAllLogsBundle = typeof configNode.includeAllLogsBundle === "boolean"
-        ? configNode.includeAllLogsBundle
-        : prev.includeAllLogsBundle;
-
-      return {
-        ...prev,
-        repeats,
-        runSeconds,
-        saveMode,
-        startAttemptsPerRun,
-        selectedConditionIds,
-        includeHtmlReport,
-        includeAllLogsBundle
-      };
-    });
-
-    const envNode = payload?.environment && typeof payload.environment === "object"
-      ? payload.environment
-      : {};
-    const selectedModelCandidate = [configNode.selectedModel, envNode.selectedModel]
-      .find((value) => typeof value === "string" && value.trim().length > 0);
-    if (typeof selectedModelCandidate === "string") {
-      const normalizedModel = selectedModelCandidate.trim();
-      if (MODEL_OPTIONS.includes(normalizedModel)) {
-        setSelectedModel(normalizedModel);
-      }
+    if (parsed.llmBackend) {
+      setLlmBackend(parsed.llmBackend);
     }
-
-    const physicsNode = envNode.physicsSettings && typeof envNode.physicsSettings === "object"
-      ? envNode.physicsSettings
-      : (configNode.physicsSettings && typeof configNode.physicsSettings === "object" ? configNode.physicsSettings : null);
-    if (physicsNode) {
-      setPhysicsSettings((prev) => {
-        const next = { ...prev };
-        if (Number.isFinite(physicsNode.speedForce)) next.speedForce = Math.max(1000, Math.min(10000, Math.round(physicsNode.speedForce)));
-        if (Number.isFinite(physicsNode.turnTorque)) next.turnTorque = Math.max(100, Math.min(2000, Math.round(physicsNode.turnTorque)));
-        if (typeof physicsNode.sensorDynamic === "boolean") next.sensorDynamic = physicsNode.sensorDynamic;
-        if (Number.isFinite(physicsNode.sensorRangeMin)) next.sensorRangeMin = Math.max(4, Math.min(12, Number(physicsNode.sensorRangeMin)));
-        if (Number.isFinite(physicsNode.sensorRangeMax)) next.sensorRangeMax = Math.max(8, Math.min(20, Number(physicsNode.sensorRangeMax)));
-        if (next.sensorRangeMax < next.sensorRangeMin + 0.5) {
-          next.sensorRangeMax = next.sensorRangeMin + 0.5;
-        }
-        return next;
-      });
+    if (parsed.physicsSettings) {
+      setPhysicsSettings(parsed.physicsSettings);
     }
 
-    const droppedText = invalidConditionIds.length > 0
-      ? ` Dropped unknown IDs: ${invalidConditionIds.join(", ")}.`
+    const droppedText = parsed.invalidConditionIds.length > 0
+      ? ` Dropped unknown IDs: ${parsed.invalidConditionIds.join(", ")}.`
       : "";
-    const schemaText = schemaId
-      ? ` schema=${schemaId}`
+    const schemaText = parsed.schemaId
+      ? ` schema=${parsed.schemaId}`
       : "";
-    const versionText = Number.isFinite(payload.version)
-      ? ` v${Math.round(payload.version)}`
+    const versionText = parsed.version !== null
+      ? ` v${parsed.version}`
       : "";
-    setExperimentConfigJsonStatus(`Loaded from ${sourceLabel}${schemaText}${versionText}.${droppedText}`.trim());
+    const catalogText = parsed.config.factorial || parsed.config.conditions
+      ? ` ${resolveExperimentConditions(parsed.config).length} custom conditions.`
+      : "";
+    setExperimentConfigJsonStatus(`Loaded from ${sourceLabel}${schemaText}${versionText}.${catalogText}${droppedText}`.trim());
     setErrorMsg(null);
     return true;
-  }, [experimentRunner.running]);
+  }, [experimentConfig, experimentRunner.running, llmBackend, physicsSettings]);
 
   const onExperimentConfigJsonFileSelected = useCallback((event) => {
     const input = event?.target;
@@ -3814,43 +3394,89 @@ export default function App() {
     experimentConfigFileInputRef.current?.click();
   }, [experimentRunner.running]);
 
+  // Cross-run comparison: experiment summaries, run summaries and all-logs / telemetry files picked together.
+  const onComparisonFilesSelected = useCallback(async (event) => {
+    const input = event?.target;
+    const files = Array.from(input?.files || []);
+    if (input) input.value = "";
+    if (files.length === 0) return;
+    const documents = [];
+    for (const file of files) {
+      try {
+        documents.push({ name: file.name, data: JSON.parse(await file.text()) });
+      } catch (err) {
+        console.warn(`Comparison input skipped (${file.name}): ${err?.message || "invalid JSON"}`);
+      }
+    }
+    const { runs, skipped } = collectComparisonRuns(documents);
+    if (runs.length === 0) {
+      setComparisonStatus(`No runs found in ${files.length} file(s).`);
+      return;
+    }
+    const comparison = buildRunComparison(runs);
+    const significant = comparison.pairs.filter((pair) => pair.winner).length;
+    triggerDownload(
+      buildComparisonReportHtml(comparison),
+      `${buildSessionPrefix()}_run_comparison_${formatStamp(Date.now())}.html`,
+      "text/html"
+    );
+    const skippedText = skipped.length > 0 ? ` Ignored: ${skipped.join(", ")}.` : "";
+    setComparisonStatus(`${runs.length} run(s) in ${comparison.conditions.length} condition(s), ${significant} significant pair(s).${skippedText}`);
+  }, [buildSessionPrefix, triggerDownload]);
+
+  useEffect(() => {
+    refreshSessionLibrary();
+  }, [refreshSessionLibrary]);
+
+  const loadLibraryBundle = useCallback(async (entry) => {
+    const loaded = await sessionLibraryRef.current.load(entry.id);
+    if (!loaded.ok) setLibraryStatus(loaded.error);
+    return loaded.ok ? loaded.bundle : null;
+  }, []);
+
+  // Stored report when the run produced one, otherwise rebuilt from the stored telemetry (without an AI review).
+  const openLibraryReport = useCallback(async (entry) => {
+    const bundle = await loadLibraryBundle(entry);
+    if (!bundle) return;
+    const history = Array.isArray(bundle.files?.telemetry) ? bundle.files.telemetry : [];
+    const html = bundle.files?.reportHtml
+      || (history.length >= 10 ? buildHTMLReportContent(history, bundle.aiReview || "") : "")
+      || "<html><body><h1>Not enough telemetry to generate report.</h1></body></html>";
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    const opened = window.open(url, "_blank");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    if (!opened) {
+      triggerDownload(html, `${entry.sessionPrefix}_report_driver_limit_report_${formatStamp(Date.now())}_library.html`, "text/html");
+    }
+  }, [loadLibraryBundle, triggerDownload]);
+
+  const exportLibraryBundle = useCallback(async (entry) => {
+    const bundle = await loadLibraryBundle(entry);
+    if (!bundle) return;
+    const safeTag = String(entry.runTag || "manual").toLowerCase().replace(/[^a-z0-9_-]/g, "_");
+    triggerDownload(
+      JSON.stringify(bundle, null, 2),
+      `${entry.sessionPrefix}_all_logs_${formatStamp(Date.now())}_${safeTag}.json`,
+      "application/json"
+    );
+  }, [loadLibraryBundle, triggerDownload]);
+
+  const deleteLibraryEntry = useCallback(async (entry) => {
+    if (!window.confirm(`Delete ${entry.label} (${entry.sessionPrefix}) from the session library?`)) return;
+    const removed = await sessionLibraryRef.current.remove(entry.id);
+    setLibraryStatus(removed.ok ? `Deleted ${entry.label}.` : `Delete failed: ${removed.error}`);
+    refreshSessionLibrary();
+  }, [refreshSessionLibrary]);
+
   const downloadExperimentConfigJson = useCallback(() => {
     const now = Date.now();
-    const safeConfig = {
-      repeats: Math.max(1, Math.min(6, Math.round(asFiniteNumber(experimentConfig.repeats, 1)))),
-      runSeconds: Math.max(20, Math.min(240, Math.round(asFiniteNumber(experimentConfig.runSeconds, 75)))),
-      selectedConditionIds: selectedExperimentConditionIds,
-      saveMode: experimentConfig.saveMode === EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN
-        ? EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN
-        : EXPERIMENT_SAVE_MODES.SINGLE_BUNDLE_END,
-      startAttemptsPerRun: Math.max(
-        1,
-        Math.min(5, Math.round(asFiniteNumber(experimentConfig.startAttemptsPerRun, EXPERIMENT_START_MAX_ATTEMPTS)))
-      ),
-      includeHtmlReport: !!experimentConfig.includeHtmlReport,
-      includeAllLogsBundle: !!experimentConfig.includeAllLogsBundle
-    };
-    const payload = {
-      schema: EXPERIMENT_CONFIG_SCHEMA_ID,
-      version: EXPERIMENT_CONFIG_SCHEMA_VERSION,
-      exportedAt: new Date(now).toISOString(),
-      config: safeConfig,
-      environment: {
-        selectedModel,
-        physicsSettings: {
-          speedForce: asFiniteNumber(physicsSettings.speedForce, 8000),
-          turnTorque: asFiniteNumber(physicsSettings.turnTorque, 200),
-          sensorDynamic: physicsSettings.sensorDynamic !== false,
-          sensorRangeMin: asFiniteNumber(physicsSettings.sensorRangeMin, 7),
-          sensorRangeMax: asFiniteNumber(physicsSettings.sensorRangeMax, 14)
-        }
-      },
-      conditionCatalog: EXPERIMENT_CONDITION_MATRIX.map((condition) => ({
-        id: condition.id,
-        label: condition.label,
-        model: condition.model
-      }))
-    };
+    const payload = buildExperimentConfigPayload({
+      config: { ...experimentConfig, selectedConditionIds: selectedExperimentConditionIds },
+      selectedModel,
+      llmBackend,
+      physicsSettings,
+      exportedAt: now
+    });
     const prefix = buildSessionPrefix();
     const stamp = formatStamp(now);
     triggerDownload(
@@ -3862,12 +3488,182 @@ export default function App() {
   }, [
     buildSessionPrefix,
     experimentConfig,
+    llmBackend,
     physicsSettings,
     selectedExperimentConditionIds,
     selectedModel,
     triggerDownload
   ]);
 
+  const trackMapLocked = autoDrive || experimentRunner.running || isPreflightRunning;
+
+  const applyTrackMap = useCallback((map, sourceLabel) => {
+    if (autoDriveRef.current || experimentRunner.running || isPreflightRunningRef.current) {
+      setErrorMsg("Cannot switch track map while drive/preflight/experiment is active.");
+      return false;
+    }
+    loadTrackMap(map);
+    const difficultyNote = map.difficulty
+      ? `, ${map.difficulty.tier} ${map.difficulty.score} / free ${map.difficulty.freeSpaceRatio} / min width ${map.difficulty.minCorridorWidthM}m / dead ends ${map.difficulty.deadEndCount}`
+      : "";
+    setTrackMapJsonStatus(`${sourceLabel}: ${map.id} (${map.boxes.length} walls, ${map.targetZones.length} target zones${difficultyNote}).`);
+    return true;
+  }, [experimentRunner.running, loadTrackMap]);
+
+  const generateMap = useCallback(() => {
+    const seed = generateSeed();
+    const result = generateTrackMap({ style: mapGeneratorStyle, seed });
+    if (!result.ok) {
+      setErrorMsg(`Map generation failed: ${result.error}`);
+      setTrackMapJsonStatus(`Map generation failed (${mapGeneratorStyle}, seed ${seed}).`);
+      return;
+    }
+    if (applyTrackMap(result.map, `Generated in ${result.attempts} attempt(s)`)) setErrorMsg(null);
+  }, [applyTrackMap, mapGeneratorStyle]);
+
+  const onTrackMapFileSelected = useCallback((event) => {
+    const input = event?.target;
+    const file = input?.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseTrackMapPayload(JSON.parse(String(reader.result || "")));
+        if (!parsed.ok) {
+          setErrorMsg(`Invalid track map JSON (${file.name}): ${parsed.error}.`);
+          setTrackMapJsonStatus(`Map load failed (${file.name}).`);
+          return;
+        }
+        if (applyTrackMap(parsed.map, `Loaded ${file.name}`)) setErrorMsg(null);
+      } catch (err) {
+        setErrorMsg(`JSON parse error (${file.name}): ${err?.message || "invalid JSON"}`);
+        setTrackMapJsonStatus(`Map load failed (${file.name}).`);
+      } finally {
+        if (input) input.value = "";
+      }
+    };
+    reader.onerror = () => {
+      setErrorMsg(`Failed to read map file: ${file.name}`);
+      setTrackMapJsonStatus(`Map load failed (${file.name}).`);
+      if (input) input.value = "";
+    };
+    reader.readAsText(file);
+  }, [applyTrackMap]);
+
+  // Accepts a saved exploration memory or an all-logs bundle carrying one (files.explorationMemory).
+  const onPriorMapFileSelected = useCallback((event) => {
+    const input = event?.target;
+    const file = input?.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseExplorationMemoryPayload(JSON.parse(String(reader.result || "")));
+        if (!parsed.ok) {
+          setErrorMsg(`Invalid exploration memory (${file.name}): ${parsed.error}.`);
+          setPriorMapStatus(`Prior map load failed (${file.name}).`);
+          return;
+        }
+        priorMapRef.current = parsed.snapshot;
+        const recordedOn = parsed.snapshot.meta?.trackMap?.id;
+        setPriorMapStatus(`Prior map ${file.name}: ${parsed.snapshot.cells.length} cells${recordedOn ? ` on ${recordedOn}` : ""}.`);
+        setErrorMsg(null);
+      } catch (err) {
+        setErrorMsg(`JSON parse error (${file.name}): ${err?.message || "invalid JSON"}`);
+        setPriorMapStatus(`Prior map load failed (${file.name}).`);
+      } finally {
+        if (input) input.value = "";
+      }
+    };
+    reader.onerror = () => {
+      setErrorMsg(`Failed to read prior map file: ${file.name}`);
+      setPriorMapStatus(`Prior map load failed (${file.name}).`);
+      if (input) input.value = "";
+    };
+    reader.readAsText(file);
+  }, []);
+
+  const clearPriorMap = useCallback(() => {
+    priorMapRef.current = null;
+    setPriorMapStatus("No prior map: runs start with an empty memory.");
+  }, []);
+
+  const downloadTrackMapJson = useCallback(() => {
+    const now = Date.now();
+    triggerDownload(
+      JSON.stringify(buildTrackMapPayload(trackMap), null, 2),
+      `track_map_${trackMap.id}_${formatStamp(now)}.json`,
+      "application/json"
+    );
+    setTrackMapJsonStatus(`Exported map ${trackMap.id} at ${new Date(now).toLocaleTimeString()}.`);
+  }, [trackMap, triggerDownload]);
+
+  const seekReplay = useCallback((index) => {
+    const cursor = replayCursorRef.current;
+    if (!cursor) return;
+    const view = cursor.seek(index);
+    setReplayView(view);
+    setMemoryViz(view.memory.getVisualization({ ...view.frame.readings, ...view.frame }, {
+      radiusCells: 8,
+      maxFrontier: 8,
+      maxRisky: 6
+    }));
+  }, []);
+
+  const onReplayFileSelected = useCallback((event) => {
+    const input = event?.target;
+    const file = input?.files?.[0];
+    if (!file) return;
+    if (autoDriveRef.current || experimentRunner.running || isPreflightRunningRef.current) {
+      setErrorMsg("Cannot open a replay while drive/preflight/experiment is active.");
+      if (input) input.value = "";
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseReplayBundle(JSON.parse(String(reader.result || "")));
+        if (!parsed.ok) {
+          setErrorMsg(`Invalid replay bundle (${file.name}): ${parsed.error}.`);
+          return;
+        }
+        if (parsed.replay.trackMap) loadTrackMap(parsed.replay.trackMap);
+        replayCursorRef.current = createReplayCursor(parsed.replay, {
+          worldBounds: (parsed.replay.trackMap || trackMapRef.current).bounds
+        });
+        setReplay(parsed.replay);
+        seekReplay(0);
+        setErrorMsg(null);
+      } catch (err) {
+        setErrorMsg(`JSON parse error (${file.name}): ${err?.message || "invalid JSON"}`);
+      } finally {
+        if (input) input.value = "";
+      }
+    };
+    reader.onerror = () => {
+      setErrorMsg(`Failed to read replay file: ${file.name}`);
+      if (input) input.value = "";
+    };
+    reader.readAsText(file);
+  }, [experimentRunner.running, loadTrackMap, seekReplay]);
+
+  // Re-run the selected replay decision on its logged inputs with the currently selected model and backend.
+  const runReplayCounterfactual = useCallback((decision) => runCounterfactualDecision(decision.record, {
+    model: selectedModel,
+    llmOptions: { backend: llmBackendRef.current },
+    previousRecord: replay?.decisions.find((item) => item.index === decision.index - 1)?.record || null
+  }), [replay, selectedModel]);
+
+  const exitReplay = useCallback(() => {
+    replayCursorRef.current = null;
+    setReplay(null);
+    setReplayView(null);
+    setMemoryViz(null);
+  }, []);
+
   const togglePanel = (key) => {
     setPanelVisibility((prev) => ({ ...prev, [key]: !prev[key] }));
   };
@@ -3940,12 +3736,25 @@ export default function App() {
         controls={controls}
         targetPosition={targetPosition}
         carResetNonce={carResetNonce}
-        carSpawnPosition={DEFAULT_CAR_SPAWN.position}
-        carSpawnRotation={DEFAULT_CAR_SPAWN.rotation}
+        carSpawnPosition={carSpawn.position}
+        carSpawnRotation={carSpawn.rotation}
         physicsSettings={physicsSettings}
-        worldBounds={TRACK_WORLD_BOUNDS}
+        trackMap={trackMap}
+        replayView={replayView}
+        observationCaptureRef={observationCaptureRef}
       />
 
+      {replay && replayView && (
+        <ReplayPanel
+          replay={replay}
+          view={replayView}
+          onSeek={seekReplay}
+          onExit={exitReplay}
+          counterfactualModel={selectedModel}
+          onCounterfactual={runReplayCounterfactual}
+        />
+      )}
+
       <div className="absolute top-4 left-4 pointer-events-auto z-50 p-3 rounded-xl border border-slate-500/50 bg-black/60 backdrop-blur-md font-mono text-white w-[260px]">
         <div className="text-[11px] uppercase tracking-wide text-slate-300 mb-2">Panel Visibility</div>
         <div className="grid grid-cols-2 gap-2">
@@ -3959,6 +3768,7 @@ export default function App() {
           <button onClick={() => togglePanel("branding")} className={`px-2 py-1 text-[10px] rounded border ${panelVisibility.branding ? "bg-cyan-700/70 border-cyan-300" : "bg-slate-800/70 border-slate-500"}`}>Branding</button>
           <button onClick={() => togglePanel("preflight")} className={`px-2 py-1 text-[10px] rounded border ${panelVisibility.preflight ? "bg-cyan-700/70 border-cyan-300" : "bg-slate-800/70 border-slate-500"}`}>Preflight</button>
           <button onClick={() => togglePanel("experiment")} className={`px-2 py-1 text-[10px] rounded border ${panelVisibility.experiment ? "bg-cyan-700/70 border-cyan-300" : "bg-slate-800/70 border-slate-500"}`}>Experiment</button>
+          <button onClick={() => togglePanel("library")} className={`px-2 py-1 text-[10px] rounded border ${panelVisibility.library ? "bg-cyan-700/70 border-cyan-300" : "bg-slate-800/70 border-slate-500"}`}>Library</button>
           <button onClick={() => setShowAnalyticsPanel(v => !v)} className={`px-2 py-1 text-[10px] rounded border ${showAnalyticsPanel ? "bg-blue-700/70 border-blue-300" : "bg-slate-800/70 border-slate-500"}`}>Analytics</button>
         </div>
       </div>
@@ -4016,6 +3826,127 @@ export default function App() {
           </select>
         </div>
 
+        <div className="mb-3">
+          <label className="text-xs text-gray-400 flex justify-between">
+            <span>LLM Backend</span>
+            <span>{llmBackend.provider}</span>
+          </label>
+          <select
+            value={llmBackend.provider}
+            onChange={(e) => setLlmBackend(normalizeLlmBackend({ provider: e.target.value, baseUrl: defaultBaseUrlForProvider(e.target.value) }))}
+            disabled={autoDrive || experimentRunner.running}
+            className="w-full mt-1 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-100 disabled:opacity-60"
+          >
+            {LLM_PROVIDER_OPTIONS.map((option) => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            key={`${llmBackend.provider}|${llmBackend.baseUrl}`}
+            type="text"
+            defaultValue={llmBackend.baseUrl}
+            disabled={autoDrive || experimentRunner.running}
+            onBlur={(e) => setLlmBackend((prev) => normalizeLlmBackend({ provider: prev.provider, baseUrl: e.target.value }, prev))}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") e.currentTarget.blur();
+            }}
+            className="w-full mt-1 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-100 disabled:opacity-60"
+          />
+        </div>
+
+        <div className="mb-3">
+          <label className="text-xs text-gray-400 flex justify-between">
+            <span>Track Map</span>
+            <span>{trackMap.fingerprint}</span>
+          </label>
+          <select
+            value={getTrackMap(trackMap.id) === trackMap ? trackMap.id : ""}
+            onChange={(e) => {
+              const map = getTrackMap(e.target.value);
+              if (map) applyTrackMap(map, "Built-in map");
+            }}
+            disabled={trackMapLocked}
+            className="w-full mt-1 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-100 disabled:opacity-60"
+          >
+            {getTrackMap(trackMap.id) !== trackMap && (
+              <option value="">{trackMap.label} (custom)</option>
+            )}
+            {TRACK_MAP_OPTIONS.map((option) => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <div className="grid grid-cols-2 gap-1 mt-1">
+            <select
+              value={mapGeneratorStyle}
+              onChange={(e) => setMapGeneratorStyle(e.target.value)}
+              disabled={trackMapLocked}
+              className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-[9px] text-slate-100 disabled:opacity-60"
+            >
+              {MAP_GENERATOR_STYLES.map((style) => (
+                <option key={style} value={style}>{style}</option>
+              ))}
+            </select>
+            <button
+              onClick={generateMap}
+              disabled={trackMapLocked}
+              className="px-2 py-1 text-[9px] rounded border bg-emerald-700/70 border-emerald-400 disabled:opacity-50"
+            >
+              GENERATE MAP
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-1 mt-1">
+            <button
+              onClick={() => trackMapFileInputRef.current?.click()}
+              disabled={trackMapLocked}
+              className="px-2 py-1 text-[9px] rounded border bg-slate-700/70 border-slate-400 disabled:opacity-50"
+            >
+              LOAD MAP JSON
+            </button>
+            <button
+              onClick={downloadTrackMapJson}
+              className="px-2 py-1 text-[9px] rounded border bg-slate-700/70 border-slate-400"
+            >
+              SAVE MAP JSON
+            </button>
+          </div>
+          <div className="text-[9px] text-slate-400 leading-tight mt-1">{trackMapJsonStatus}</div>
+          <input
+            ref={trackMapFileInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={onTrackMapFileSelected}
+          />
+        </div>
+
+        <div className="mb-3">
+          <label className="text-xs text-gray-400">Prior Map (exploration memory)</label>
+          <div className="grid grid-cols-2 gap-1 mt-1">
+            <button
+              onClick={() => priorMapFileInputRef.current?.click()}
+              disabled={trackMapLocked}
+              className="px-2 py-1 text-[9px] rounded border bg-slate-700/70 border-slate-400 disabled:opacity-50"
+            >
+              LOAD PRIOR MAP
+            </button>
+            <button
+              onClick={clearPriorMap}
+              disabled={trackMapLocked}
+              className="px-2 py-1 text-[9px] rounded border bg-slate-700/70 border-slate-400 disabled:opacity-50"
+            >
+              CLEAR PRIOR MAP
+            </button>
+          </div>
+          <div className="text-[9px] text-slate-400 leading-tight mt-1">{priorMapStatus}</div>
+          <input
+            ref={priorMapFileInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={onPriorMapFileSelected}
+          />
+        </div>
+
         {/* Speed Force Slider */}
         <div className="mb-3">
           <label className="text-xs text-gray-400 flex justify-between">
@@ -4024,8 +3955,8 @@ export default function App() {
           </label>
           <input
             type="range"
-            min="1000"
-            max="10000"
+            min={CONDITION_VALUE_LIMITS.speedForce[0]}
+            max={CONDITION_VALUE_LIMITS.speedForce[1]}
             step="100"
             value={physicsSettings.speedForce}
             onChange={(e) => setPhysicsSettings(prev => ({ ...prev, speedForce: parseInt(e.target.value) }))}
@@ -4100,6 +4031,27 @@ export default function App() {
             className="w-full accent-cyan-500"
           />
         </div>
+
+        <div className="mt-3">
+          <label className="text-xs text-gray-400 flex justify-between">
+            <span>Sensor Faults</span>
+            <span className="text-[10px] text-rose-200">{describeSensorFaults(physicsSettings)}</span>
+          </label>
+          <select
+            value={sensorFaultPresetId}
+            onChange={(e) => {
+              const preset = SENSOR_FAULT_PRESETS[e.target.value];
+              if (preset) setPhysicsSettings(prev => ({ ...prev, ...preset }));
+            }}
+            disabled={experimentRunner.running}
+            className="w-full mt-1 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-100 disabled:opacity-60"
+          >
+            {Object.keys(SENSOR_FAULT_PRESETS).map((id) => (
+              <option key={id} value={id}>{id}</option>
+            ))}
+            {sensorFaultPresetId === "custom" && <option value="custom">custom (config / condition)</option>}
+          </select>
+        </div>
       </div>
       )}
 
@@ -4234,15 +4186,17 @@ export default function App() {
         <div className="text-[11px] grid grid-cols-2 gap-x-2 gap-y-1 mb-3">
           <span>Model:</span>
           <span className="text-fuchsia-200">{selectedModel}</span>
+          <span>Backend:</span>
+          <span className="truncate">{llmBackend.provider}</span>
           <span>Runs:</span>
           <span>{experimentRunner.currentRun}/{experimentRunner.totalRuns}</span>
           <span>Selected:</span>
-          <span>{selectedExperimentConditionCount}/{EXPERIMENT_CONDITION_MATRIX.length}</span>
+          <span>{selectedExperimentConditionCount}/{experimentConditions.length}</span>
           <span>Condition:</span>
           <span className="truncate">{experimentRunner.activeConditionId}</span>
         </div>
 
-        <div className="grid grid-cols-2 gap-2 mb-3">
+        <div className="grid grid-cols-3 gap-2 mb-3">
           <label className="text-[10px] text-slate-300">
             Repeats
             <input
@@ -4267,6 +4221,18 @@ export default function App() {
               className="w-full mt-1 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs"
             />
           </label>
+          <label className="text-[10px] text-slate-300">
+            Seed
+            <input
+              type="number"
+              min="0"
+              value={experimentConfig.seed ?? DEFAULT_EXPERIMENT_SEED}
+              disabled={experimentRunner.running}
+              onChange={(e) => setExperimentConfig((prev) => ({ ...prev, seed: e.target.value }))}
+              onBlur={() => setExperimentConfig((prev) => ({ ...prev, seed: normalizeSeed(prev.seed, DEFAULT_EXPERIMENT_SEED) }))}
+              className="w-full mt-1 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs"
+            />
+          </label>
         </div>
 
         <div className="space-y-1 mb-3 text-[10px]">
@@ -4331,6 +4297,24 @@ export default function App() {
           onChange={onExperimentConfigJsonFileSelected}
         />
 
+        <button
+          onClick={() => comparisonFileInputRef.current?.click()}
+          className="w-full px-2 py-1 mb-1 text-[9px] rounded border bg-indigo-700/70 border-indigo-400"
+        >
+          COMPARE RUNS (SUMMARY / ALL-LOGS JSON)
+        </button>
+        <div className="text-[9px] text-slate-400 leading-tight mb-3">
+          {comparisonStatus}
+        </div>
+        <input
+          ref={comparisonFileInputRef}
+          type="file"
+          accept=".json,application/json"
+          multiple
+          className="hidden"
+          onChange={onComparisonFilesSelected}
+        />
+
         <div className="flex gap-2 mb-3">
           <button
             onClick={runExperimentAutomation}
@@ -4357,7 +4341,7 @@ export default function App() {
         </div>
         <div className="grid grid-cols-2 gap-1 mb-2">
           <button
-            onClick={() => setExperimentConditionSelection(EXPERIMENT_CONDITION_MATRIX.map((condition) => condition.id))}
+            onClick={() => setExperimentConditionSelection(experimentConditions.map((condition) => condition.id))}
             disabled={experimentRunner.running}
             className="px-2 py-1 text-[9px] rounded border bg-slate-700/70 border-slate-400 disabled:opacity-50"
           >
@@ -4386,7 +4370,7 @@ export default function App() {
           </button>
         </div>
         <div className="space-y-1 max-h-[120px] overflow-y-auto pr-1">
-          {EXPERIMENT_CONDITION_MATRIX.map((condition) => (
+          {experimentConditions.map((condition) => (
             <div key={condition.id} className="text-[9px] border border-slate-700/60 rounded p-1 bg-slate-950/60">
               <div className="flex justify-between items-center">
                 <label className="flex items-center gap-1 text-slate-200">
@@ -4402,6 +4386,22 @@ export default function App() {
                 <span className="text-fuchsia-200">{condition.model}</span>
               </div>
               <div className="text-slate-400">{condition.label}</div>
+              {(condition.mapId || condition.targetPolicy || condition.decisionLoop || condition.latencyCompensation || condition.memoryStart || condition.explorationMode || condition.observation || condition.llmOptions) && (
+                <div className="text-slate-500">
+                  {[
+                    condition.mapId && `map ${condition.mapId}`,
+                    condition.targetPolicy && `target ${condition.targetPolicy}`,
+                    condition.decisionLoop && `loop ${condition.decisionLoop}`,
+                    condition.latencyCompensation && `latency ${condition.latencyCompensation}`,
+                    condition.memoryStart && `memory ${condition.memoryStart}`,
+                    condition.explorationMode && `explore ${condition.explorationMode}`,
+                    condition.observation && `obs ${condition.observation}${condition.observationView ? ` (${condition.observationView})` : ""}`,
+                    Number.isFinite(condition.llmOptions?.temperature) && `T=${condition.llmOptions.temperature}`,
+                    Number.isFinite(condition.llmOptions?.numPredict) && `num_predict ${condition.llmOptions.numPredict}`,
+                    condition.llmOptions?.promptTemplate && `prompt ${condition.llmOptions.promptTemplate}`
+                  ].filter(Boolean).join(" / ")}
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -4421,6 +4421,8 @@ export default function App() {
           <div className="text-[11px] text-gray-300 mb-2 grid grid-cols-2 gap-x-2 gap-y-1">
             <span>Loop: {(memoryMapView.loopRate * 100).toFixed(1)}%</span>
             <span>Preferred: {memoryMapView.preferredSector}</span>
+            <span>Route: {memoryMapView.routeGoal}</span>
+            <span>Exploration: {memoryMapView.explorationMode} ({memoryMapView.frontierClusters.length} frontiers)</span>
             <span>Mapped Cells: {memoryMapView.mappedCells}</span>
             <span>Cell Size: 2.0m</span>
             <span>Sensor Range: {asFiniteNumber(sensorData.sensorRange, 10).toFixed(1)}m</span>
@@ -4450,6 +4452,17 @@ export default function App() {
                 />
               ))}
 
+              {memoryMapView.occupiedCells.map((cell, idx) => (
+                <rect
+                  key={`o-${idx}`}
+                  x={cell.x}
+                  y={cell.y}
+                  width={memoryMapView.occupancyCellPx}
+                  height={memoryMapView.occupancyCellPx}
+                  fill={`rgba(226,232,240,${cell.alpha.toFixed(3)})`}
+                />
+              ))}
+
               {memoryMapView.pathPoints.map((point, idx) => (
                 <circle
                   key={`p-${idx}`}
@@ -4460,6 +4473,28 @@ export default function App() {
                 />
               ))}
 
+              {memoryMapView.frontierClusters.map((cluster, idx) => (
+                <circle
+                  key={`f-${idx}`}
+                  cx={cluster.x}
+                  cy={cluster.y}
+                  r={cluster.r}
+                  fill="rgba(250,204,21,0.25)"
+                  stroke="#facc15"
+                  strokeWidth="1"
+                />
+              ))}
+
+              {memoryMapView.routePoints && (
+                <polyline
+                  points={memoryMapView.routePoints}
+                  fill="none"
+                  stroke={memoryMapView.routeGoal === "TARGET" ? "#34d399" : "#facc15"}
+                  strokeWidth="2"
+                  strokeDasharray="4 3"
+                />
+              )}
+
               <g transform={`translate(${memoryMapView.vehicleMarker.cx} ${memoryMapView.vehicleMarker.cy}) rotate(${memoryMapView.mapHeadingDeg})`}>
                 <circle r={Math.max(3, Math.floor(memoryMapView.vehicleMarker.size * 0.26))} fill="#111827" stroke="#ffffff" strokeWidth="1" />
                 <polygon
@@ -4618,7 +4653,7 @@ export default function App() {
       </div>
       )}
 
-      {panelVisibility.controls && (
+      {panelVisibility.controls && !replayView && (
       <div className="absolute bottom-16 left-1/2 -translate-x-1/2 pointer-events-auto z-50 flex flex-col items-center gap-4">
 
         {/* AUTO ANALYST MODULE */}
@@ -4630,6 +4665,7 @@ export default function App() {
           }}
           onStop={handleStopAutodrive}
           onAnalysisChange={setIsAnalyzing}
+          llmBackend={llmBackend}
         />
 
         <button
@@ -4688,6 +4724,48 @@ export default function App() {
           DOWNLOAD TELEMETRY
         </button>
 
+        <div className="flex gap-2">
+          <button
+            onClick={() => downloadTelemetryTable("csv")}
+            disabled={isAnalyzing}
+            className="flex-1 px-3 py-2 bg-slate-700/80 hover:bg-slate-600 text-white rounded-lg font-mono text-xs border border-slate-400 backdrop-blur-sm shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            TELEMETRY CSV
+          </button>
+          <button
+            onClick={() => downloadTelemetryTable("ndjson")}
+            disabled={isAnalyzing}
+            className="flex-1 px-3 py-2 bg-slate-700/80 hover:bg-slate-600 text-white rounded-lg font-mono text-xs border border-slate-400 backdrop-blur-sm shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            TELEMETRY NDJSON
+          </button>
+        </div>
+
+        <div className="flex flex-col gap-1 p-2 rounded-lg border border-slate-600 bg-slate-900/60">
+          <div className="text-[10px] font-mono uppercase tracking-wide text-slate-300">Live Stream (WebSocket NDJSON)</div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={telemetryStreamUrl}
+              onChange={(event) => setTelemetryStreamUrl(event.target.value)}
+              disabled={!!telemetryStreamStatus}
+              className="flex-1 min-w-0 px-2 py-1 text-[10px] font-mono rounded bg-slate-800 border border-slate-500 text-white disabled:opacity-60"
+            />
+            <button
+              onClick={toggleTelemetryStream}
+              className={`px-2 py-1 text-[10px] font-mono rounded border ${telemetryStreamStatus ? "bg-emerald-700/70 border-emerald-300" : "bg-slate-700/70 border-slate-400"}`}
+            >
+              {telemetryStreamStatus ? "STREAM ON" : "STREAM OFF"}
+            </button>
+          </div>
+          {telemetryStreamStatus && (
+            <div className={`text-[10px] font-mono ${telemetryStreamStatus.phase === "open" ? "text-emerald-300" : "text-amber-300"}`}>
+              {telemetryStreamStatus.phase} | sent {telemetryStreamStatus.sent} | buffered {telemetryStreamStatus.buffered} | dropped {telemetryStreamStatus.dropped}
+              {telemetryStreamStatus.error ? ` | ${telemetryStreamStatus.error}` : ""}
+            </div>
+          )}
+        </div>
+
         <button
           onClick={() => downloadMetaOnly("manual")}
           disabled={isAnalyzing}
@@ -4711,6 +4789,53 @@ export default function App() {
         >
           DOWNLOAD HTML REPORT
         </button>
+
+        <button
+          onClick={() => replayFileInputRef.current?.click()}
+          disabled={isAnalyzing || autoDrive || experimentRunner.running}
+          className="px-6 py-3 bg-purple-700/80 hover:bg-purple-600 text-white rounded-lg font-mono text-sm border border-purple-400 backdrop-blur-sm shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          OPEN REPLAY (ALL LOGS)
+        </button>
+        <input
+          ref={replayFileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={onReplayFileSelected}
+        />
+      </div>
+      )}
+
+      {panelVisibility.library && (
+      <div className="absolute bottom-16 right-[310px] p-3 bg-black/85 text-white rounded-xl font-mono w-[440px] max-h-[420px] overflow-y-auto pointer-events-auto z-50 border border-teal-500/40">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-sm font-bold text-teal-300 uppercase tracking-wide">Session Library</h2>
+          <span className="text-[10px] text-slate-400">{libraryEntries.length} run(s)</span>
+        </div>
+        <div className="text-[10px] text-slate-400 mb-2">{libraryStatus}</div>
+        {libraryEntries.length === 0 && (
+          <div className="text-[11px] text-slate-500">No stored runs yet.</div>
+        )}
+        {libraryEntries.map((entry) => (
+          <div key={entry.id} className="mb-2 p-2 rounded border border-slate-700 bg-slate-950/70 text-[10px]">
+            <div className="flex justify-between gap-2">
+              <span className="text-teal-200 truncate">{entry.label}{entry.runTag ? ` / ${entry.runTag}` : ""}</span>
+              <span className={entry.status === "DONE" ? "text-emerald-300" : "text-amber-300"}>{entry.status}</span>
+            </div>
+            <div className="text-slate-300">
+              {entry.startedAt ? new Date(entry.startedAt).toLocaleString() : entry.sessionPrefix} | {entry.model || "-"} | {entry.trackMapId || "-"} | {(entry.durationMs / 1000).toFixed(0)}s
+            </div>
+            <div className="text-slate-400">
+              targets {entry.targetsReached} ({entry.metrics?.capturesPerMin ?? "-"}/min) | collisions {entry.collisionCount} | decisions {entry.decisionCount} | latency {entry.metrics?.avgLatencyMs ?? "-"}ms
+            </div>
+            <div className="flex gap-2 mt-1">
+              <button onClick={() => openLibraryReport(entry)} className="px-2 py-0.5 rounded border bg-indigo-700/70 border-indigo-400">Report</button>
+              <button onClick={() => exportLibraryBundle(entry)} className="px-2 py-0.5 rounded border bg-slate-700/70 border-slate-400">Export Bundle</button>
+              <button onClick={() => deleteLibraryEntry(entry)} className="px-2 py-0.5 rounded border bg-rose-800/70 border-rose-400">Delete</button>
+            </div>
+          </div>
+        ))}
       </div>
       )}
 
@@ -1,7 +1,7 @@
 import { useState, useEffect } from "react";
 import { generateAIReview, downloadHTMLReport } from "../services/analysisService";
 
-export default function AutoAnalyst({ telemetry, isRecording, onStart, onStop, onAnalysisChange }) {
+export default function AutoAnalyst({ telemetry, isRecording, onStart, onStop, onAnalysisChange, llmBackend = null }) {
     const [sampleCount, setSampleCount] = useState(0);
     const [status, setStatus] = useState("IDLE"); // IDLE, RECORDING, ANALYZING, DONE
     const [review, setReview] = useState(null);
@@ -34,7 +34,7 @@ export default function AutoAnalyst({ telemetry, isRecording, onStart, onStop, o
             return;
         }
 
-        const aiReview = await generateAIReview(history);
+        const aiReview = await generateAIReview(history, undefined, { backend: llmBackend });
         setReview(aiReview);
 
         // 2. Generate Report
@@ -1,14 +1,26 @@
-import { Canvas } from "@react-three/fiber";
+import { Canvas, useThree } from "@react-three/fiber";
 import { Physics, useBox, usePlane } from "@react-three/cannon";
-import { OrbitControls, Environment, Sky, Text } from "@react-three/drei";
+import { OrbitControls, Environment, Sky, Text, Line } from "@react-three/drei";
+import * as THREE from "three";
 import Car from "./Car";
-import { Suspense } from "react";
+import { DEFAULT_TRACK_MAP } from "../services/trackMaps";
+import { CAR_COLLIDER_SIZE } from "../services/simulationCore";
+import { REPLAY_MEMORY_CELL_SIZE } from "../services/replay";
+import {
+    OBSERVATION_CAMERA_HEIGHT,
+    OBSERVATION_FOV_DEG,
+    OBSERVATION_FRAME_HEIGHT,
+    OBSERVATION_FRAME_WIDTH,
+    OBSERVATION_TOP_DOWN_SPAN_M,
+    OBSERVATION_VIEWS
+} from "../services/observationFrames";
+import { Suspense, useEffect } from "react";
 
-function Ground() {
+function Ground({ friction }) {
     const [ref] = usePlane(() => ({
         rotation: [-Math.PI / 2, 0, 0],
         type: "Static",
-        material: { friction: 0.0 } // Ice Ground
+        material: { friction } // Ice Ground by default (0.0)
     }));
     return (
         <mesh ref={ref} receiveShadow>
@@ -28,50 +40,143 @@ function Wall({ position, args, rotation = [0, 0, 0] }) {
     );
 }
 
-function Track() {
-    // Simple oval/rectangular track
+function Track({ trackMap, groundFriction }) {
+    // Layout comes from the track map so the headless simulation sees the same walls.
     return (
         <>
-            <Ground />
-            {/* Outer Walls */}
-            <Wall position={[0, 1, -20]} args={[40, 2, 1]} /> {/* North */}
-            <Wall position={[0, 1, 20]} args={[40, 2, 1]} />  {/* South */}
-            <Wall position={[-20, 1, 0]} args={[1, 2, 40]} /> {/* West */}
-            <Wall position={[20, 1, 0]} args={[1, 2, 40]} />  {/* East */}
-
-            {/* Inner Obstacles - Testing Collision Avoidance */}
-
-            {/* 1. The Monolith (Center Block) */}
-            <Wall position={[0, 1, 0]} args={[10, 2, 2]} />
-
-            {/* 2. Scattered Pillars */}
-            <Wall position={[-10, 1, -10]} args={[2, 2, 2]} />
-            <Wall position={[10, 1, 10]} args={[2, 2, 2]} />
-            <Wall position={[-10, 1, 10]} args={[2, 2, 2]} />
-            <Wall position={[10, 1, -10]} args={[2, 2, 2]} />
+            <Ground friction={groundFriction} />
+            {trackMap.boxes.map((box) => (
+                <Wall key={box.id} position={box.position} args={box.args} rotation={box.rotation} />
+            ))}
         </>
     );
 }
 
-function CompassMarkers() {
+function CompassMarkers({ bounds }) {
+    // Just outside the outer walls of the current map.
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerZ = (bounds.minZ + bounds.maxZ) / 2;
     return (
         <group>
-            <Text position={[0, 3, -23]} fontSize={1.1} color="#22d3ee" anchorX="center" anchorY="middle" billboard>
+            <Text position={[centerX, 3, bounds.minZ - 4]} fontSize={1.1} color="#22d3ee" anchorX="center" anchorY="middle" billboard>
                 N (-Z)
             </Text>
-            <Text position={[0, 3, 23]} fontSize={1.1} color="#22d3ee" anchorX="center" anchorY="middle" billboard>
+            <Text position={[centerX, 3, bounds.maxZ + 4]} fontSize={1.1} color="#22d3ee" anchorX="center" anchorY="middle" billboard>
                 S (+Z)
             </Text>
-            <Text position={[23, 3, 0]} fontSize={1.1} color="#22d3ee" anchorX="center" anchorY="middle" billboard>
+            <Text position={[bounds.maxX + 4, 3, centerZ]} fontSize={1.1} color="#22d3ee" anchorX="center" anchorY="middle" billboard>
                 E (+X)
             </Text>
-            <Text position={[-23, 3, 0]} fontSize={1.1} color="#22d3ee" anchorX="center" anchorY="middle" billboard>
+            <Text position={[bounds.minX - 4, 3, centerZ]} fontSize={1.1} color="#22d3ee" anchorX="center" anchorY="middle" billboard>
                 W (-X)
             </Text>
         </group>
     );
 }
 
+const REPLAY_RAY_COLORS = { obstacle: "#f87171", target: "#22d3ee", clear: "#4ade80" };
+
+function ReplayLayer({ view }) {
+    // Recorded pose, rays, collisions and rebuilt exploration heatmap; no physics bodies involved.
+    const { frame } = view;
+    const maxVisits = view.heatCells.reduce((max, cell) => Math.max(max, cell.visits), 1);
+    return (
+        <group>
+            {view.heatCells.map((cell) => {
+                const heat = Math.min(1, cell.visits / maxVisits);
+                return (
+                    <mesh key={`${cell.x},${cell.z}`} position={[cell.x, 0.02, cell.z]} rotation={[-Math.PI / 2, 0, 0]}>
+                        <planeGeometry args={[REPLAY_MEMORY_CELL_SIZE * 0.92, REPLAY_MEMORY_CELL_SIZE * 0.92]} />
+                        <meshBasicMaterial
+                            color={cell.risk > 0.5 ? "#ef4444" : "#f59e0b"}
+                            transparent
+                            opacity={0.15 + (heat * 0.5)}
+                        />
+                    </mesh>
+                );
+            })}
+            <group position={[frame.worldX, CAR_COLLIDER_SIZE[1] / 2 + 0.15, frame.worldZ]} rotation={[0, frame.headingDeg * Math.PI / 180, 0]}>
+                <mesh>
+                    <boxGeometry args={CAR_COLLIDER_SIZE} />
+                    <meshStandardMaterial color="#a855f7" transparent opacity={0.85} />
+                </mesh>
+                <mesh position={[0, 0.55, CAR_COLLIDER_SIZE[2] / 2 - 0.4]}>
+                    <boxGeometry args={[0.6, 0.1, 0.6]} />
+                    <meshStandardMaterial color="#fde047" />
+                </mesh>
+            </group>
+            {view.rays.map((ray) => (
+                <Line key={ray.name} points={[ray.from, ray.to]} color={REPLAY_RAY_COLORS[ray.kind]} lineWidth={2} />
+            ))}
+            {view.collisions.filter((evt) => evt.worldX !== null).map((evt, index) => (
+                <mesh key={`collision-${index}`} position={[evt.worldX, 0.3, evt.worldZ]}>
+                    <sphereGeometry args={[0.35, 12, 12]} />
+                    <meshBasicMaterial color="#f43f5e" />
+                </mesh>
+            ))}
+        </group>
+    );
+}
+
+const TOP_DOWN_CAMERA_HEIGHT = 40;
+
+function ObservationCamera({ captureRef }) {
+    // Off-screen render of the live scene for the camera observation channel. App calls captureRef.current at
+    // decision time and gets RGBA rows top-first, the layout renderObservationFrame produces.
+    const { gl, scene } = useThree();
+    useEffect(() => {
+        if (!captureRef) return undefined;
+        const width = OBSERVATION_FRAME_WIDTH;
+        const height = OBSERVATION_FRAME_HEIGHT;
+        const renderTarget = new THREE.WebGLRenderTarget(width, height);
+        renderTarget.texture.colorSpace = THREE.SRGBColorSpace;
+        const aspect = width / height;
+        const verticalFovDeg = 2 * Math.atan(Math.tan((OBSERVATION_FOV_DEG * Math.PI / 180) / 2) / aspect) * 180 / Math.PI;
+        const firstPerson = new THREE.PerspectiveCamera(verticalFovDeg, aspect, 0.1, 200);
+        const spanZ = OBSERVATION_TOP_DOWN_SPAN_M / aspect;
+        // Heading-up crop with the car 80% down the frame, as in the software top-down view.
+        const topDown = new THREE.OrthographicCamera(
+            -OBSERVATION_TOP_DOWN_SPAN_M / 2, OBSERVATION_TOP_DOWN_SPAN_M / 2, spanZ * 0.8, -spanZ * 0.2, 0.1, 100
+        );
+        const pixels = new Uint8Array(width * height * 4);
+        captureRef.current = ({ view, pose }) => {
+            const heading = (pose.headingDeg || 0) * Math.PI / 180;
+            const fx = Math.sin(heading);
+            const fz = Math.cos(heading);
+            let camera = firstPerson;
+            if (view === OBSERVATION_VIEWS.TOP_DOWN) {
+                camera = topDown;
+                camera.position.set(pose.x, TOP_DOWN_CAMERA_HEIGHT, pose.z);
+                camera.up.set(fx, 0, fz);
+                camera.lookAt(pose.x, 0, pose.z);
+            } else {
+                const eyeY = pose.y + OBSERVATION_CAMERA_HEIGHT;
+                camera.position.set(pose.x, eyeY, pose.z);
+                camera.up.set(0, 1, 0);
+                camera.lookAt(pose.x + fx, eyeY, pose.z + fz);
+            }
+            camera.updateMatrixWorld();
+            const previousTarget = gl.getRenderTarget();
+            gl.setRenderTarget(renderTarget);
+            gl.render(scene, camera);
+            gl.readRenderTargetPixels(renderTarget, 0, 0, width, height, pixels);
+            gl.setRenderTarget(previousTarget);
+            // WebGL reads bottom row first.
+            const rgba = new Uint8ClampedArray(width * height * 4);
+            const rowBytes = width * 4;
+            for (let row = 0; row < height; row += 1) {
+                rgba.set(pixels.subarray((height - 1 - row) * rowBytes, (height - row) * rowBytes), row * rowBytes);
+            }
+            return { width, height, rgba };
+        };
+        return () => {
+            captureRef.current = null;
+            renderTarget.dispose();
+        };
+    }, [captureRef, gl, scene]);
+    return null;
+}
+
 export default function GameScene({
     onSensorUpdate,
     onCollisionEvent,
@@ -82,9 +187,14 @@ export default function GameScene({
     carSpawnPosition = [0, 0.65, -10],
     carSpawnRotation = [0, 0, 0],
     physicsSettings,
-    worldBounds
+    trackMap = DEFAULT_TRACK_MAP,
+    replayView = null,
+    observationCaptureRef = null
 }) {
     console.log("GameScene Render:", controls);
+    // An experiment condition may override the map surface (physicsPatch.groundFriction).
+    const groundFriction = Number.isFinite(physicsSettings?.groundFriction) ? physicsSettings.groundFriction : trackMap.groundFriction;
+    const shownTarget = replayView ? replayView.frame.target : targetPosition;
     return (
         <div className="w-full h-full bg-slate-900">
             <Canvas shadows camera={{ position: [0, 30, 30], fov: 60 }}>
@@ -99,27 +209,35 @@ export default function GameScene({
                 <Sky sunPosition={[100, 10, 100]} />
 
                 <Physics gravity={[0, -9.8, 0]}>
-                    <Track />
-                    <Car
-                        key={`car-reset-${carResetNonce}`}
-                        onSensorUpdate={onSensorUpdate}
-                        onCollisionEvent={onCollisionEvent}
-                        lastAction={lastAction} // Keeping logic for resetting stuck timer? Or maybe remove later.
-                        targetPosition={targetPosition}
-                        controls={controls}
-                        spawnPosition={carSpawnPosition}
-                        spawnRotation={carSpawnRotation}
-                        physicsSettings={physicsSettings}
-                        worldBounds={worldBounds}
-                    />
+                    {/* Keyed by fingerprint + friction: static bodies do not follow prop changes, so a new layout remounts. */}
+                    <Track key={`track-${trackMap.fingerprint}-${groundFriction}`} trackMap={trackMap} groundFriction={groundFriction} />
+                    {/* Replay mode swaps the physics car for the recorded pose. */}
+                    {replayView ? (
+                        <ReplayLayer view={replayView} />
+                    ) : (
+                        <Car
+                            key={`car-reset-${carResetNonce}-${trackMap.fingerprint}`}
+                            onSensorUpdate={onSensorUpdate}
+                            onCollisionEvent={onCollisionEvent}
+                            lastAction={lastAction} // Keeping logic for resetting stuck timer? Or maybe remove later.
+                            targetPosition={targetPosition}
+                            controls={controls}
+                            spawnPosition={carSpawnPosition}
+                            spawnRotation={carSpawnRotation}
+                            physicsSettings={physicsSettings}
+                            worldBounds={trackMap.bounds}
+                            obstacleBoxes={trackMap.boxes}
+                        />
+                    )}
                     {/* Visual Target */}
-                    <mesh position={targetPosition} userData={{ isTarget: true }}>
+                    <mesh position={shownTarget} userData={{ isTarget: true }}>
                         <cylinderGeometry args={[0.5, 0.5, 4, 32]} />
                         <meshStandardMaterial color="#00ffff" emissive="#00ffff" emissiveIntensity={2} />
                     </mesh>
-                    <pointLight position={[targetPosition[0], 2, targetPosition[2]]} intensity={2} color="#00ffff" distance={10} />
+                    <pointLight position={[shownTarget[0], 2, shownTarget[2]]} intensity={2} color="#00ffff" distance={10} />
                 </Physics>
-                <CompassMarkers />
+                <CompassMarkers bounds={trackMap.bounds} />
+                {!replayView && <ObservationCamera captureRef={observationCaptureRef} />}
 
                 <OrbitControls />
             </Canvas>
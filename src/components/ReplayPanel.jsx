@@ -0,0 +1,212 @@
+import { useEffect, useRef, useState } from "react";
+import { findReplayFrameIndex } from "../services/replay";
+
+const PLAYBACK_TICK_MS = 100;
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+const formatJson = (value) => (value === null || value === undefined ? "-" : JSON.stringify(value, null, 2));
+
+const formatDiffValue = (value) => (typeof value === "number" && !Number.isInteger(value) ? value.toFixed(2) : String(value));
+
+export default function ReplayPanel({ replay, view, onSeek, onExit, counterfactualModel = "", onCounterfactual = null }) {
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    // Result of the last re-decision; shown only while its decision is selected.
+    const [counterfactual, setCounterfactual] = useState(null);
+    const viewRef = useRef(view);
+
+    useEffect(() => {
+        viewRef.current = view;
+    }, [view]);
+
+    // Playback advances replay time, not frame count, so uneven telemetry spacing plays at real speed.
+    useEffect(() => {
+        if (!playing) return;
+        const interval = setInterval(() => {
+            const current = viewRef.current;
+            if (!current) return;
+            const nextT = current.frame.t + (PLAYBACK_TICK_MS * speed);
+            if (nextT >= replay.durationMs) {
+                onSeek(replay.frames.length - 1);
+                setPlaying(false);
+                return;
+            }
+            const nextIndex = findReplayFrameIndex(replay, nextT);
+            onSeek(nextIndex > current.index ? nextIndex : current.index + 1);
+        }, PLAYBACK_TICK_MS);
+        return () => clearInterval(interval);
+    }, [playing, speed, replay, onSeek]);
+
+    if (!view) return null;
+    const { frame, decision } = view;
+    const duration = Math.max(1, replay.durationMs);
+
+    // Decisions are kept in start order; frame.decisionIndex points into that list.
+    const runCounterfactual = async () => {
+        if (!decision || !onCounterfactual) return;
+        const decisionIndex = decision.index;
+        setCounterfactual({ decisionIndex, pending: true, result: null });
+        try {
+            const result = await onCounterfactual(decision);
+            setCounterfactual({ decisionIndex, pending: false, result });
+        } catch (err) {
+            setCounterfactual({ decisionIndex, pending: false, result: { ok: false, error: err?.message || "re-decision failed" } });
+        }
+    };
+    const shownCounterfactual = counterfactual && decision && counterfactual.decisionIndex === decision.index ? counterfactual : null;
+
+    const seekToDecision = (position) => {
+        const target = replay.decisions[position];
+        if (!target) return;
+        const index = findReplayFrameIndex(replay, target.t);
+        onSeek(replay.frames[index].t < target.t ? Math.min(replay.frames.length - 1, index + 1) : index);
+    };
+
+    return (
+        <div className="absolute bottom-4 left-1/2 -translate-x-1/2 w-[min(980px,calc(100vw-2rem))] pointer-events-auto z-50 p-3 rounded-xl border border-purple-400/50 bg-black/85 backdrop-blur-md font-mono text-white">
+            <div className="flex justify-between items-center mb-2">
+                <div className="text-sm font-bold text-purple-300 uppercase tracking-wide">Replay</div>
+                <div className="text-[10px] text-slate-400 truncate px-2">
+                    {replay.meta.sessionPrefix || "bundle"} / {replay.meta.model || "-"} / {replay.meta.runner}
+                    {replay.meta.seed !== null ? ` / seed ${replay.meta.seed}` : ""}
+                    {replay.trackMap ? ` / map ${replay.trackMap.id}` : ""}
+                </div>
+                <button
+                    onClick={onExit}
+                    className="px-3 py-1 text-[10px] rounded border bg-slate-700/70 border-slate-400"
+                >
+                    EXIT REPLAY
+                </button>
+            </div>
+            {replay.warnings.length > 0 && (
+                <div className="text-[10px] text-amber-300 mb-1">{replay.warnings.join(" ")}</div>
+            )}
+
+            {/* Decision (purple) and collision (red) markers above the scrubber */}
+            <div className="relative h-2 mb-1">
+                {replay.decisions.map((item) => (
+                    <div
+                        key={`d-${item.index}`}
+                        className={`absolute top-0 w-[2px] h-2 ${decision && decision.index === item.index ? "bg-purple-200" : "bg-purple-600"}`}
+                        style={{ left: `${(Math.max(0, item.t) / duration) * 100}%` }}
+                    />
+                ))}
+                {replay.collisions.map((evt, index) => (
+                    <div
+                        key={`c-${index}`}
+                        className="absolute top-0 w-[2px] h-2 bg-rose-500"
+                        style={{ left: `${(Math.max(0, evt.t) / duration) * 100}%` }}
+                    />
+                ))}
+            </div>
+            <input
+                type="range"
+                min="0"
+                max={replay.frames.length - 1}
+                step="1"
+                value={view.index}
+                onChange={(e) => onSeek(parseInt(e.target.value, 10) || 0)}
+                className="w-full accent-purple-500"
+            />
+            <div className="flex items-center gap-2 text-[10px] mt-1">
+                <button onClick={() => seekToDecision(frame.decisionIndex - 1)} className="px-2 py-1 rounded border bg-slate-700/70 border-slate-400">&lt; DECISION</button>
+                <button
+                    onClick={() => setPlaying((prev) => !prev)}
+                    className="px-3 py-1 rounded border bg-purple-700/70 border-purple-400"
+                >
+                    {playing ? "PAUSE" : "PLAY"}
+                </button>
+                <button onClick={() => seekToDecision(frame.decisionIndex + 1)} className="px-2 py-1 rounded border bg-slate-700/70 border-slate-400">DECISION &gt;</button>
+                <select
+                    value={speed}
+                    onChange={(e) => setSpeed(Number(e.target.value))}
+                    className="bg-slate-900 border border-slate-600 rounded px-1 py-1"
+                >
+                    {PLAYBACK_SPEEDS.map((value) => (
+                        <option key={value} value={value}>{value}x</option>
+                    ))}
+                </select>
+                <span className="text-slate-300">{formatSeconds(frame.t)} / {formatSeconds(replay.durationMs)}</span>
+                <span className="text-slate-400">frame {view.index + 1}/{replay.frames.length}</span>
+            </div>
+
+            <div className="grid grid-cols-4 gap-x-3 gap-y-1 text-[10px] mt-2 text-slate-300">
+                <span>Pos: {frame.worldX.toFixed(1)}, {frame.worldZ.toFixed(1)}</span>
+                <span>Heading: {frame.headingDeg.toFixed(0)}°</span>
+                <span>Speed: {frame.speed.toFixed(2)}</span>
+                <span>Target dist: {frame.distanceToTarget.toFixed(1)}m</span>
+                <span>Thr/Str: {frame.throttle.toFixed(2)} / {frame.steering.toFixed(2)}</span>
+                <span>Targets: {frame.targetsReached}</span>
+                <span>Collisions: {frame.collisionCount}</span>
+                <span>Mode: {frame.strategyMode}</span>
+            </div>
+
+            <div className="border-t border-slate-700 mt-2 pt-2 text-[10px]">
+                {decision ? (
+                    <>
+                        <div className="grid grid-cols-4 gap-x-3 gap-y-1 text-slate-300 mb-1">
+                            <span className="text-purple-200">Decision #{decision.index + 1}</span>
+                            <span>at {formatSeconds(decision.t)}-{formatSeconds(decision.endT)}</span>
+                            <span>
+                                Parse: {decision.parseMethod || "-"}{decision.parseRecovered ? " (recovered)" : ""}
+                                {decision.responseFormat ? ` / ${decision.responseFormat}` : ""}
+                                {decision.schemaViolations.length > 0 && (
+                                    <span className="text-amber-300" title={decision.schemaViolations.map((v) => `${v.path}: ${v.message}`).join("\n")}>
+                                        {` / ${decision.schemaViolations.length} schema violation(s)`}
+                                    </span>
+                                )}
+                            </span>
+                            <span>Controls: {Number(decision.controls.throttle).toFixed(2)} / {Number(decision.controls.steering).toFixed(2)}</span>
+                        </div>
+                        <div className="grid grid-cols-3 gap-2">
+                            <div>
+                                <div className="text-slate-400 mb-0.5">Prompt{decision.promptTemplate ? ` (${decision.promptTemplate})` : ""}</div>
+                                <pre className="max-h-[140px] overflow-auto whitespace-pre-wrap bg-slate-950/80 border border-slate-700 rounded p-1 text-[9px]">{decision.prompt || "-"}</pre>
+                            </div>
+                            <div>
+                                <div className="text-slate-400 mb-0.5">Raw response</div>
+                                <pre className="max-h-[140px] overflow-auto whitespace-pre-wrap bg-slate-950/80 border border-slate-700 rounded p-1 text-[9px]">{decision.raw || "-"}</pre>
+                            </div>
+                            <div>
+                                <div className="text-slate-400 mb-0.5">safety_guard / action plan</div>
+                                <pre className="max-h-[140px] overflow-auto whitespace-pre-wrap bg-slate-950/80 border border-slate-700 rounded p-1 text-[9px]">{formatJson(decision.safetyGuard)}{"\n"}{formatJson(decision.actionPlan.map((step) => ({ throttle: step.throttle, steering: step.steering, duration: step.duration })))}</pre>
+                            </div>
+                        </div>
+                        {onCounterfactual && (
+                            <div className="flex items-start gap-2 mt-2">
+                                <button
+                                    onClick={runCounterfactual}
+                                    disabled={!!shownCounterfactual?.pending}
+                                    className="shrink-0 px-2 py-1 rounded border bg-indigo-700/70 border-indigo-400 disabled:opacity-50"
+                                >
+                                    RE-DECIDE WITH {counterfactualModel || "MODEL"}
+                                </button>
+                                {shownCounterfactual && (
+                                    <div className="text-slate-300">
+                                        {shownCounterfactual.pending && "Re-deciding..."}
+                                        {shownCounterfactual.result && !shownCounterfactual.result.ok && (
+                                            <span className="text-rose-300">{shownCounterfactual.result.error}</span>
+                                        )}
+                                        {shownCounterfactual.result?.ok && (shownCounterfactual.result.diff.length === 0
+                                            ? <span className="text-emerald-300">Same decision.</span>
+                                            : shownCounterfactual.result.diff.map((change) => (
+                                                <div key={change.field}>
+                                                    {change.field}: {formatDiffValue(change.original)} -&gt; <span className="text-amber-200">{formatDiffValue(change.counterfactual)}</span>
+                                                </div>
+                                            )))}
+                                        {shownCounterfactual.result?.promptMatchesLog === false && (
+                                            <div className="text-amber-300">Prompt differs from the logged one.</div>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </>
+                ) : (
+                    <div className="text-slate-500">No decision before this point.</div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,52 @@
+// Collision counters shared by the browser session, the experiment summaries and the headless runner.
+
+export const COLLISION_REGIONS = Object.freeze([
+    "OUTER_NORTH",
+    "OUTER_SOUTH",
+    "OUTER_EAST",
+    "OUTER_WEST",
+    "INNER_OBSTACLE",
+    "OUTSIDE_BOUNDS",
+    "UNKNOWN"
+]);
+
+export const createInitialCollisionStats = () => ({
+    totalCount: 0,
+    sameWallRepeatCount: 0,
+    sameWallConsecutiveRepeatCount: 0,
+    byRegion: COLLISION_REGIONS.reduce((acc, region) => ({ ...acc, [region]: 0 }), {}),
+    lastRegion: "NONE",
+    lastCollisionAt: 0
+});
+
+export const snapshotCollisionStats = (stats) => {
+    const source = stats || createInitialCollisionStats();
+    return {
+        totalCount: source.totalCount || 0,
+        sameWallRepeatCount: source.sameWallRepeatCount || 0,
+        sameWallConsecutiveRepeatCount: source.sameWallConsecutiveRepeatCount || 0,
+        byRegion: COLLISION_REGIONS.reduce((acc, region) => ({ ...acc, [region]: source.byRegion?.[region] || 0 }), {}),
+        lastRegion: source.lastRegion || "NONE",
+        lastCollisionAt: source.lastCollisionAt || 0
+    };
+};
+
+export const regionForCollisionCounting = (region) => {
+    const normalized = typeof region === "string" ? region.trim().toUpperCase() : "UNKNOWN";
+    return COLLISION_REGIONS.includes(normalized) ? normalized : "UNKNOWN";
+};
+
+/**
+ * Count one collision event into `stats` (mutated in place) and return the normalized region.
+ */
+export const recordCollisionStats = (stats, region, atMs = Date.now()) => {
+    const normalized = regionForCollisionCounting(region);
+    const previousCount = stats.byRegion[normalized] || 0;
+    stats.byRegion[normalized] = previousCount + 1;
+    stats.totalCount += 1;
+    if (previousCount > 0) stats.sameWallRepeatCount += 1;
+    if (stats.lastRegion === normalized) stats.sameWallConsecutiveRepeatCount += 1;
+    stats.lastRegion = normalized;
+    stats.lastCollisionAt = atMs;
+    return normalized;
+};
@@ -0,0 +1,163 @@
+// Counterfactual re-decision: re-run getDrivingDecision on the exact inputs of a logged decision (sensor snapshot,
+// exploration context, collision digest, smoothing state) with another model / temperature / backend, and diff the
+// new decision against the one the run made.
+import { getDrivingDecision } from "./ollamaService.js";
+import { normalizeLlmBackend } from "./llmProviders.js";
+import { isMockModel } from "./mockDriver.js";
+import { controlValueToSign, snapshotSmoothingState } from "./decisionRuntime.js";
+import { DEFAULT_PROMPT_TEMPLATE } from "./promptTemplates.js";
+import { observationUsesImage, resolveObservationLlmOptions } from "./observationFrames.js";
+
+export const COUNTERFACTUAL_CONTROL_TOLERANCE = 0.05;
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+
+// Records written before smoothing_state was logged: rebuild the hysteresis inputs from the previous record.
+const reconstructSmoothingState = (previousRecord) => {
+    if (!previousRecord || typeof previousRecord !== "object") return {};
+    const parsed = previousRecord.ai_parsed || {};
+    return {
+        lastSteering: asFiniteNumber(parsed.steering, 0),
+        lastStrategyMode: parsed.strategy?.mode || "",
+        lastSkillName: previousRecord.ai_skill?.name || "",
+        lastReflectionHint: previousRecord.ai_reflection?.adjustment || "",
+        lastOutcomeSummary: previousRecord.outcome?.summary || "",
+        lastOutcomeDetails: previousRecord.outcome || null
+    };
+};
+
+// Clock value the model was asked at. Older records are written after their plan ran, so estimate it as
+// time - plan duration - latency.
+const resolveDecisionTimeMs = (record) => {
+    if (Number.isFinite(record?.decision_requested_at_ms)) return record.decision_requested_at_ms;
+    const endMs = Date.parse(record?.time);
+    if (!Number.isFinite(endMs)) return Date.now();
+    const executed = Array.isArray(record.action_plan_executed) ? record.action_plan_executed : [];
+    const planMs = executed.reduce((sum, step) => sum + (asFiniteNumber(step?.duration, 0) * 1000), 0);
+    return endMs - planMs - asFiniteNumber(record.ai_parsed?.latency, 0);
+};
+
+/**
+ * Comparable view of a getDrivingDecision result (or a record's ai_parsed): strategy, skill, model-level controls,
+ * plan and memory safety guard. Runtime guards (front wall, direction cooldown) are not part of the decision.
+ */
+export const summarizeDecision = (decision, safetyGuard = decision?.safetyGuard) => ({
+    model: decision?.model || "",
+    provider: decision?.provider || "",
+    parseMethod: decision?.parseMethod || "",
+    promptTemplate: decision?.promptTemplate || "",
+    strategyMode: decision?.strategy?.mode || "UNKNOWN",
+    strategyTransition: decision?.strategy?.transition || "HOLD",
+    strategySector: decision?.strategy?.chosenSector || "F",
+    skill: decision?.skill?.name || "UNKNOWN",
+    skillIntensity: asFiniteNumber(decision?.skill?.intensity, 0),
+    throttle: asFiniteNumber(decision?.throttle, 0),
+    steering: asFiniteNumber(decision?.steering, 0),
+    duration: asFiniteNumber(decision?.duration, 0),
+    actionPlan: (Array.isArray(decision?.actionPlan) ? decision.actionPlan : []).map((step) => ({
+        throttle: asFiniteNumber(step?.throttle, 0),
+        steering: asFiniteNumber(step?.steering, 0),
+        duration: asFiniteNumber(step?.duration, 0)
+    })),
+    guardApplied: !!safetyGuard?.guardApplied,
+    guardReason: safetyGuard?.guardReason || ""
+});
+
+/** Fields that differ between two decision summaries: [{ field, original, counterfactual }]. */
+export const diffDecisionSummaries = (original, counterfactual, { tolerance = COUNTERFACTUAL_CONTROL_TOLERANCE } = {}) => {
+    const changes = [];
+    const push = (field, a, b) => changes.push({ field, original: a, counterfactual: b });
+    ["strategyMode", "strategyTransition", "strategySector", "skill", "guardApplied", "guardReason", "parseMethod"].forEach((field) => {
+        if (original[field] !== counterfactual[field]) push(field, original[field], counterfactual[field]);
+    });
+    ["throttle", "steering"].forEach((field) => {
+        if (Math.abs(original[field] - counterfactual[field]) > tolerance) push(field, original[field], counterfactual[field]);
+    });
+    if (controlValueToSign(original.throttle) !== controlValueToSign(counterfactual.throttle)) {
+        push("throttleSign", controlValueToSign(original.throttle), controlValueToSign(counterfactual.throttle));
+    }
+    if (controlValueToSign(original.steering) !== controlValueToSign(counterfactual.steering)) {
+        push("steeringSign", controlValueToSign(original.steering), controlValueToSign(counterfactual.steering));
+    }
+    if (original.actionPlan.length !== counterfactual.actionPlan.length) {
+        push("actionPlanSteps", original.actionPlan.length, counterfactual.actionPlan.length);
+    }
+    return changes;
+};
+
+// A record's camera observation with its PNG looked up in the bundle; a missing frame replays as "unavailable".
+const resolveRecordObservation = (record, frames) => {
+    const logged = record?.observation;
+    if (!logged || !observationUsesImage(logged.mode)) return null;
+    const png = logged.hash && frames && typeof frames[logged.hash] === "string" ? frames[logged.hash] : null;
+    return { mode: logged.mode, frame: png ? { ...logged, png } : null };
+};
+
+/**
+ * Re-run one decisionLog record. `model` defaults to the logged model; `llmOptions` takes the same fields as
+ * getDrivingDecision (backend, temperature, numPredict, promptTemplate, ...). `previousRecord` is only used for records without
+ * a logged smoothing_state. `frames` (the bundle's files.observationFrames) supplies the camera frame of image
+ * observation records by hash. Returns { ok: false, error } when the record cannot be replayed.
+ */
+export async function runCounterfactualDecision(record, { model = null, llmOptions = null, previousRecord = null, frames = null } = {}) {
+    if (!record?.sensor_snapshot || typeof record.sensor_snapshot !== "object") {
+        return { ok: false, error: "record has no sensor_snapshot" };
+    }
+    const modelName = model || record.ai_model || record.ai_parsed?.model;
+    if (!modelName) return { ok: false, error: "no model given and the record has no ai_model" };
+
+    const smoothingState = snapshotSmoothingState(record.smoothing_state) || reconstructSmoothingState(previousRecord);
+    const decisionAtMs = resolveDecisionTimeMs(record);
+    const backend = normalizeLlmBackend(llmOptions?.backend);
+    const observation = resolveRecordObservation(record, frames);
+    const decision = await getDrivingDecision(
+        { ...record.sensor_snapshot },
+        Array.isArray(record.action_history) ? record.action_history : [],
+        modelName,
+        smoothingState,
+        record.exploration || null,
+        record.runtime_diagnostics || { collisionSummary: record.collision_summary || null },
+        {
+            ...((observation ? resolveObservationLlmOptions(llmOptions, observation.mode) : llmOptions) || {}),
+            ...(observation ? { observation } : {}),
+            backend,
+            now: () => decisionAtMs,
+            mock: isMockModel(modelName) ? { ...(llmOptions?.mock || {}), simulateLatency: false } : llmOptions?.mock
+        }
+    );
+
+    // Records from before the prompt registry were all produced by the original prompt (driving@1).
+    const original = summarizeDecision(
+        { ...(record.ai_parsed || {}), promptTemplate: record.ai_prompt_template || record.ai_parsed?.promptTemplate || DEFAULT_PROMPT_TEMPLATE },
+        record.safety_guard
+    );
+    const counterfactual = summarizeDecision(decision);
+    const diff = diffDecisionSummaries(original, counterfactual);
+    return {
+        ok: true,
+        decisionTime: record.time || null,
+        input: {
+            model: modelName,
+            provider: decision.provider || backend.provider,
+            temperature: Number.isFinite(llmOptions?.temperature) ? llmOptions.temperature : null,
+            promptTemplate: decision.promptTemplate || null,
+            observation: observation ? { mode: observation.mode, frame: observation.frame ? "bundle" : "missing" } : null,
+            smoothingState: record.smoothing_state ? "logged" : (previousRecord ? "reconstructed" : "empty")
+        },
+        original,
+        counterfactual,
+        // What actually drove the car after runtime guards, for "would it have avoided this hit" questions.
+        executedControls: record.controls || null,
+        runtimeSafetyOverride: !!record.runtime_safety_override,
+        outcome: record.outcome || null,
+        diff,
+        changed: diff.length > 0,
+        // With the logged prompt template: false when it no longer reproduces the logged prompt from the same inputs.
+        promptMatchesLog: typeof record.ai_prompt === "string" && record.ai_prompt.length > 0 && original.promptTemplate === counterfactual.promptTemplate
+            ? record.ai_prompt === decision.prompt
+            : null,
+        prompt: decision.prompt || "",
+        raw: decision.raw ?? null,
+        latencyMs: asFiniteNumber(decision.latency, 0)
+    };
+}
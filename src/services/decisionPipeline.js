@@ -0,0 +1,197 @@
+// Decision loop modes. "stop_think" freezes the car for every LLM call; "pipelined" keeps executing the tail of
+// the current action plan while the next decision is computed from the pose predicted at the end of that tail,
+// then accepts, time-shifts or rejects the new plan by how late it arrived. Shared by the browser and headless loops.
+import { SIM_FIXED_TIMESTEP_SEC } from "./simulationCore.js";
+
+export const DECISION_LOOP_MODES = Object.freeze({
+    STOP_THINK: "stop_think",
+    PIPELINED: "pipelined"
+});
+export const DEFAULT_DECISION_LOOP_MODE = DECISION_LOOP_MODES.STOP_THINK;
+
+export const isDecisionLoopMode = (value) => Object.values(DECISION_LOOP_MODES).includes(value);
+
+// Horizon = expected latency: median of the last few measured latencies, clamped.
+export const PIPELINE_DEFAULT_HORIZON_MS = 400;
+export const PIPELINE_MIN_HORIZON_MS = 100;
+export const PIPELINE_MAX_HORIZON_MS = 2500;
+export const PIPELINE_LATENCY_WINDOW = 8;
+// A reply up to this much later than the horizon is used as is; later ones are shifted, then rejected.
+export const PIPELINE_ON_TIME_TOLERANCE_MS = 120;
+export const PIPELINE_MAX_LATE_MS = 800;
+
+export const PIPELINE_STATUSES = Object.freeze({
+    ON_TIME: "on_time",
+    SHIFTED: "shifted",
+    REJECTED: "rejected"
+});
+
+const MIN_STEP_DURATION_SEC = 0.08;
+const PREDICTION_DT_SEC = 0.05;
+const DEG_TO_RAD = Math.PI / 180;
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+
+const planDurationSec = (steps) => steps.reduce((sum, step) => sum + asFiniteNumber(step?.duration, 0), 0);
+
+/** Expected latency of the next call from recent measured latencies (ms). */
+export const estimatePipelineHorizonMs = (recentLatenciesMs = []) => {
+    const samples = recentLatenciesMs.filter((value) => Number.isFinite(value) && value > 0).slice(-PIPELINE_LATENCY_WINDOW);
+    if (samples.length === 0) return PIPELINE_DEFAULT_HORIZON_MS;
+    const sorted = [...samples].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    return Math.round(Math.max(PIPELINE_MIN_HORIZON_MS, Math.min(PIPELINE_MAX_HORIZON_MS, median)));
+};
+
+/**
+ * Split a guarded plan into the part run now and the tail handed over to the next think window: the last
+ * `horizonMs` of the plan (never the first step), splitting the boundary step when both parts stay long enough.
+ * Returns { run, carry }.
+ */
+export const splitPlanForPipeline = (plan, horizonMs) => {
+    const steps = Array.isArray(plan) ? plan : [];
+    const firstSec = asFiniteNumber(steps[0]?.duration, 0);
+    let carrySec = Math.min(Math.max(0, asFiniteNumber(horizonMs, 0)) / 1000, planDurationSec(steps) - firstSec);
+    if (steps.length < 2 || carrySec < MIN_STEP_DURATION_SEC) return { run: steps, carry: [] };
+
+    const run = [...steps];
+    const carry = [];
+    while (run.length > 1 && carrySec > 1e-6) {
+        const step = run[run.length - 1];
+        const duration = asFiniteNumber(step?.duration, 0);
+        const headSec = duration - carrySec;
+        if (headSec < MIN_STEP_DURATION_SEC) {
+            carry.unshift(run.pop());
+            carrySec -= duration;
+        } else {
+            if (carrySec >= MIN_STEP_DURATION_SEC) {
+                run[run.length - 1] = { ...step, duration: Number(headSec.toFixed(3)) };
+                carry.unshift({ ...step, duration: Number(carrySec.toFixed(3)) });
+            }
+            break;
+        }
+    }
+    return { run, carry };
+};
+
+/**
+ * Dead-reckon the car over `horizonMs` while it executes `steps` (arcade control law: speed = speedForce * 0.002 *
+ * throttle, yaw rate = turnTorque * 0.01 * steering), braking once the steps run out (x0.8 per physics step).
+ * Walls are ignored.
+ * Returns { worldX, worldZ, headingDeg, speed, horizonMs }.
+ */
+export const predictPoseAlongPlan = (sensor, steps = [], horizonMs = 0, physicsSettings = {}) => {
+    const moveSpeed = asFiniteNumber(physicsSettings?.speedForce, 8000) * 0.002;
+    const turnSpeed = asFiniteNumber(physicsSettings?.turnTorque, 200) * 0.01;
+    let x = asFiniteNumber(sensor?.worldX, 0);
+    let z = asFiniteNumber(sensor?.worldZ, 0);
+    let heading = asFiniteNumber(sensor?.headingDeg, 0) * DEG_TO_RAD;
+    let speed = asFiniteNumber(sensor?.speed, 0) * (sensor?.moveDir === "BACKWARD" ? -1 : 1);
+    let remaining = Math.max(0, asFiniteNumber(horizonMs, 0)) / 1000;
+    const queue = (Array.isArray(steps) ? steps : []).map((step) => ({ ...step, left: asFiniteNumber(step?.duration, 0) }));
+
+    while (remaining > 1e-6) {
+        const dt = Math.min(PREDICTION_DT_SEC, remaining);
+        const step = queue.find((item) => item.left > 1e-6) || null;
+        const throttle = asFiniteNumber(step?.throttle, 0);
+        const steering = asFiniteNumber(step?.steering, 0);
+        speed = Math.abs(throttle) > 0.05 ? moveSpeed * throttle : speed * (0.8 ** (dt / SIM_FIXED_TIMESTEP_SEC));
+        heading += steering * turnSpeed * dt;
+        x += Math.sin(heading) * speed * dt;
+        z += Math.cos(heading) * speed * dt;
+        if (step) step.left -= dt;
+        remaining -= dt;
+    }
+
+    let headingDeg = heading / DEG_TO_RAD;
+    while (headingDeg <= -180) headingDeg += 360;
+    while (headingDeg > 180) headingDeg -= 360;
+    return {
+        worldX: x,
+        worldZ: z,
+        headingDeg,
+        speed: Math.abs(speed),
+        horizonMs: Math.round(Math.max(0, asFiniteNumber(horizonMs, 0)))
+    };
+};
+
+/**
+ * Sensor snapshot as seen from a predicted pose: position, heading, speed and target geometry are moved,
+ * ray distances are kept as measured.
+ */
+export const buildPredictedSensorSnapshot = (sensor, pose) => {
+    const snapshot = { ...(sensor || {}), worldX: pose.worldX, worldZ: pose.worldZ, headingDeg: pose.headingDeg, speed: pose.speed };
+    if (Number.isFinite(sensor?.targetX) && Number.isFinite(sensor?.targetZ)) {
+        const tx = sensor.targetX - pose.worldX;
+        const tz = sensor.targetZ - pose.worldZ;
+        const distance = Math.hypot(tx, tz);
+        const fx = Math.sin(pose.headingDeg * DEG_TO_RAD);
+        const fz = Math.cos(pose.headingDeg * DEG_TO_RAD);
+        const ux = distance > 1e-6 ? tx / distance : fx;
+        const uz = distance > 1e-6 ? tz / distance : fz;
+        snapshot.distanceToTarget = distance;
+        snapshot.angleToTarget = Math.atan2((fz * ux) - (fx * uz), (fx * ux) + (fz * uz)) / DEG_TO_RAD;
+    }
+    return snapshot;
+};
+
+/** Rounded pose (observed sensor payload or predicted pose) for the decision record's pipeline entry. */
+export const describePipelinePose = (pose) => ({
+    worldX: Number(asFiniteNumber(pose?.worldX, 0).toFixed(3)),
+    worldZ: Number(asFiniteNumber(pose?.worldZ, 0).toFixed(3)),
+    headingDeg: Number(asFiniteNumber(pose?.headingDeg, 0).toFixed(2)),
+    speed: Number(asFiniteNumber(pose?.speed, 0).toFixed(3))
+});
+
+/**
+ * Timing verdict for a pipelined decision: on time (within tolerance of the horizon it was predicted for),
+ * shifted (the plan is trimmed by the lateness so it lines up with the clock) or rejected (too late).
+ */
+export const resolvePipelineTiming = ({ latencyMs, horizonMs }) => {
+    const lateMs = Math.round(asFiniteNumber(latencyMs, 0) - asFiniteNumber(horizonMs, 0));
+    if (lateMs <= PIPELINE_ON_TIME_TOLERANCE_MS) return { status: PIPELINE_STATUSES.ON_TIME, lateMs, shiftMs: 0 };
+    if (lateMs <= PIPELINE_MAX_LATE_MS) return { status: PIPELINE_STATUSES.SHIFTED, lateMs, shiftMs: lateMs };
+    return { status: PIPELINE_STATUSES.REJECTED, lateMs, shiftMs: 0 };
+};
+
+/** Drop the first `shiftMs` of a plan; steps left shorter than the minimum step duration are dropped too. */
+export const shiftActionPlan = (plan, shiftMs) => {
+    let skipSec = Math.max(0, asFiniteNumber(shiftMs, 0)) / 1000;
+    const shifted = [];
+    (Array.isArray(plan) ? plan : []).forEach((step) => {
+        const duration = asFiniteNumber(step?.duration, 0);
+        const left = duration - skipSec;
+        skipSec = Math.max(0, skipSec - duration);
+        if (left >= MIN_STEP_DURATION_SEC) shifted.push({ ...step, duration: Number(left.toFixed(3)) });
+    });
+    return shifted;
+};
+
+// What runs instead of a rejected plan: a short runtime hold, after which the next decision is requested.
+const STALE_HOLD_STEP = Object.freeze({
+    throttle: 0,
+    steering: 0,
+    duration: MIN_STEP_DURATION_SEC,
+    reason: Object.freeze({
+        code: "PIPELINE_STALE_HOLD",
+        summary: "Decision arrived too late for its predicted pose; hold and re-decide.",
+        expectedThrottleSign: 0,
+        expectedSteeringSign: 0,
+        source: "runtime"
+    })
+});
+
+/**
+ * Apply a timing verdict to a normalized plan: copied as is, shifted, or replaced by a short hold when rejected.
+ * A shift that leaves no step is a rejection. Returns { status, lateMs, shiftMs, plan }.
+ */
+export const applyPipelineTiming = (plan, timing) => {
+    const steps = Array.isArray(plan) ? plan : [];
+    if (timing.status === PIPELINE_STATUSES.ON_TIME) return { ...timing, plan: steps.map((step) => ({ ...step })) };
+    if (timing.status === PIPELINE_STATUSES.SHIFTED) {
+        const shifted = shiftActionPlan(steps, timing.shiftMs);
+        if (shifted.length > 0) return { ...timing, plan: shifted };
+    }
+    return { status: PIPELINE_STATUSES.REJECTED, lateMs: timing.lateMs, shiftMs: 0, plan: [{ ...STALE_HOLD_STEP, reason: { ...STALE_HOLD_STEP.reason } }] };
+};
@@ -0,0 +1,571 @@
+// Reason envelopes, act-time guards (front wall, direction flip, reason check) and decision-outcome scoring shared by
+// the browser AI loop and the headless runner.
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+
+export const THROTTLE_SIGN_DEADZONE = 0.08;
+export const ACTION_REASON_SIGN_DEADZONE = 0.08;
+export const FRONT_GUARD_DIST = 2.5;
+export const DIRECTION_FLIP_COOLDOWN_MS = 1000;
+export const ACTION_PLAN_MAX_STEPS = 5;
+
+export const throttleToSign = (throttle) => {
+    const t = asFiniteNumber(throttle, 0);
+    if (t > THROTTLE_SIGN_DEADZONE) return 1;
+    if (t < -THROTTLE_SIGN_DEADZONE) return -1;
+    return 0;
+};
+
+export const controlValueToSign = (value, deadzone = ACTION_REASON_SIGN_DEADZONE) => {
+    const v = asFiniteNumber(value, 0);
+    if (v > deadzone) return 1;
+    if (v < -deadzone) return -1;
+    return 0;
+};
+
+export const normalizeReasonCode = (raw, fallback = "UNSPECIFIED_REASON") => {
+    const token = typeof raw === "string"
+        ? raw.trim().toUpperCase().replace(/[\s-]+/g, "_").replace(/[^A-Z0-9_]/g, "")
+        : "";
+    return token ? token.slice(0, 48) : fallback;
+};
+
+export const normalizeReasonSign = (raw, fallback = null) => {
+    if (raw === null || raw === undefined) return fallback;
+    if (typeof raw === "number" && Number.isFinite(raw)) {
+        if (raw > 0.2) return 1;
+        if (raw < -0.2) return -1;
+        return 0;
+    }
+    if (typeof raw === "string") {
+        const token = raw.trim().toUpperCase();
+        if (!token || token === "ANY" || token === "AUTO") return fallback;
+        if (token === "1" || token === "+1" || token === "FORWARD" || token === "LEFT" || token === "POSITIVE") return 1;
+        if (token === "-1" || token === "REVERSE" || token === "RIGHT" || token === "NEGATIVE") return -1;
+        if (token === "0" || token === "HOLD" || token === "NEUTRAL" || token === "STRAIGHT" || token === "CENTER") return 0;
+    }
+    return fallback;
+};
+
+const inferFallbackReason = (step, fallbackReason = null) => {
+    const throttleSign = controlValueToSign(step?.throttle);
+    const steeringSign = controlValueToSign(step?.steering);
+    const fallbackCode = normalizeReasonCode(fallbackReason?.code, "UNSPECIFIED_REASON");
+    const fallbackSummary = typeof fallbackReason?.summary === "string" ? fallbackReason.summary.trim() : "";
+    if (fallbackSummary) {
+        return {
+            code: fallbackCode,
+            summary: fallbackSummary.slice(0, 180),
+            expectedThrottleSign: normalizeReasonSign(fallbackReason?.expectedThrottleSign, throttleSign),
+            expectedSteeringSign: normalizeReasonSign(fallbackReason?.expectedSteeringSign, steeringSign),
+            source: fallbackReason?.source || "fallback"
+        };
+    }
+    if (throttleSign > 0 && steeringSign === 0) {
+        return {
+            code: "FORWARD_PROBE",
+            summary: "Advance straight toward target/frontier.",
+            expectedThrottleSign: 1,
+            expectedSteeringSign: 0,
+            source: "fallback"
+        };
+    }
+    if (throttleSign > 0 && steeringSign !== 0) {
+        return {
+            code: "FORWARD_TURN_APPROACH",
+            summary: "Advance while turning toward safer direction.",
+            expectedThrottleSign: 1,
+            expectedSteeringSign: steeringSign,
+            source: "fallback"
+        };
+    }
+    if (throttleSign < 0) {
+        return {
+            code: "REVERSE_ESCAPE",
+            summary: "Reverse to reduce obstacle pressure.",
+            expectedThrottleSign: -1,
+            expectedSteeringSign: steeringSign,
+            source: "fallback"
+        };
+    }
+    if (steeringSign !== 0) {
+        return {
+            code: "PIVOT_SCAN",
+            summary: "Pivot in place to scan safer heading.",
+            expectedThrottleSign: 0,
+            expectedSteeringSign: steeringSign,
+            source: "fallback"
+        };
+    }
+    return {
+        code: "HOLD_AND_REASSESS",
+        summary: "Hold and request next decision.",
+        expectedThrottleSign: 0,
+        expectedSteeringSign: 0,
+        source: "fallback"
+    };
+};
+
+export const normalizeReasonEnvelope = (rawReason, fallbackReason = null, step = {}) => {
+    const fallback = inferFallbackReason(step, fallbackReason);
+    const reasonObj = (typeof rawReason === "string")
+        ? { summary: rawReason }
+        : (rawReason && typeof rawReason === "object")
+            ? rawReason
+            : {};
+    const hasModelCode = typeof reasonObj.code === "string" && reasonObj.code.trim().length > 0;
+    const hasModelSummary = typeof reasonObj.summary === "string" && reasonObj.summary.trim().length > 0;
+    const code = normalizeReasonCode(reasonObj.code || reasonObj.reasonCode || reasonObj.label || fallback.code, fallback.code);
+    const summaryRaw = reasonObj.summary || reasonObj.reason || reasonObj.text || reasonObj.rationale || fallback.summary;
+    const summary = typeof summaryRaw === "string" && summaryRaw.trim().length > 0
+        ? summaryRaw.trim().replace(/\s+/g, " ").slice(0, 180)
+        : fallback.summary;
+    const expectedThrottleSign = normalizeReasonSign(
+        reasonObj.expectedThrottleSign ?? reasonObj.throttleSign ?? reasonObj.expected?.throttleSign,
+        fallback.expectedThrottleSign
+    );
+    const expectedSteeringSign = normalizeReasonSign(
+        reasonObj.expectedSteeringSign ?? reasonObj.steeringSign ?? reasonObj.expected?.steeringSign,
+        fallback.expectedSteeringSign
+    );
+    const sourceRaw = typeof reasonObj.source === "string" ? reasonObj.source.trim().toLowerCase() : "";
+    const source = sourceRaw || ((hasModelCode || hasModelSummary) ? "model" : fallback.source || "fallback");
+    return {
+        code,
+        summary,
+        expectedThrottleSign,
+        expectedSteeringSign,
+        source
+    };
+};
+
+export const createInitialReasonValidationStats = () => ({
+    totalSteps: 0,
+    passedSteps: 0,
+    blockedSteps: 0,
+    missingModelReasonSteps: 0,
+    signMismatchSteps: 0
+});
+
+export const validateReasonedActionStep = ({ step, reason, minFrontDist, requireModelReason = true, bypass = false }) => {
+    const issues = [];
+    const normalizedReason = normalizeReasonEnvelope(reason, null, step);
+    const throttleSign = controlValueToSign(step?.throttle);
+    const steeringSign = controlValueToSign(step?.steering);
+
+    if (!bypass && requireModelReason && normalizedReason.source !== "model") {
+        issues.push("REASON_NOT_FROM_MODEL");
+    }
+    if (!normalizedReason.code || !normalizedReason.summary) {
+        issues.push("REASON_EMPTY");
+    }
+    if (!bypass && normalizedReason.expectedThrottleSign !== null && normalizedReason.expectedThrottleSign !== throttleSign) {
+        issues.push("THROTTLE_SIGN_MISMATCH");
+    }
+    if (!bypass && normalizedReason.expectedSteeringSign !== null && normalizedReason.expectedSteeringSign !== steeringSign) {
+        issues.push("STEERING_SIGN_MISMATCH");
+    }
+    if (!bypass && minFrontDist < FRONT_GUARD_DIST && throttleSign > 0) {
+        issues.push("FORWARD_INTO_FRONT_RISK");
+    }
+
+    return {
+        ok: issues.length === 0,
+        issues,
+        primaryIssue: issues[0] || "",
+        throttleSign,
+        steeringSign,
+        reason: normalizedReason,
+        bypassed: !!bypass
+    };
+};
+
+export const reasonValidationPassRate = (stats) => (stats?.totalSteps > 0 ? stats.passedSteps / stats.totalSteps : 1);
+
+export const minFrontDistance = (sensors) => Math.min(
+    sensors?.front ?? 99,
+    sensors?.leftDiag ?? 99,
+    sensors?.rightDiag ?? 99
+);
+
+const runtimeReason = (code, summary, fallbackReason, step) => normalizeReasonEnvelope(
+    {
+        code,
+        summary,
+        expectedThrottleSign: controlValueToSign(step.throttle),
+        expectedSteeringSign: controlValueToSign(step.steering),
+        source: "runtime"
+    },
+    fallbackReason,
+    step
+);
+
+/** The model's action plan (or its single-step fallback) clamped to ACTION_PLAN_MAX_STEPS bounded steps with reasons. */
+export const normalizeActionPlan = (decisionObj, decisionReason) => {
+    const requestedActionPlan = Array.isArray(decisionObj?.actionPlan) && decisionObj.actionPlan.length > 0
+        ? decisionObj.actionPlan
+        : [{ throttle: decisionObj?.throttle ?? 0, steering: decisionObj?.steering ?? 0, duration: decisionObj?.duration ?? 0.05 }];
+    return requestedActionPlan.slice(0, ACTION_PLAN_MAX_STEPS).map((step) => {
+        const normalizedStep = {
+            throttle: Math.max(-1, Math.min(1, asFiniteNumber(step?.throttle, 0))),
+            steering: Math.max(-1, Math.min(1, asFiniteNumber(step?.steering, 0))),
+            duration: Math.max(0.08, Math.min(1.2, asFiniteNumber(step?.duration, 0.22)))
+        };
+        return { ...normalizedStep, reason: normalizeReasonEnvelope(step?.reason || null, decisionReason, normalizedStep) };
+    });
+};
+
+export const createDirectionFlipState = () => ({ lastSign: 0, lastSignAt: 0 });
+
+/**
+ * Holds a throttle whose sign flips within DIRECTION_FLIP_COOLDOWN_MS of the last committed sign and commits the
+ * sign otherwise. `state` ({ lastSign, lastSignAt }) is updated in place; bypassed steps always commit.
+ */
+export const applyDirectionFlipCooldown = (state, candidateThrottle, { bypass = false, nowMs = Date.now() } = {}) => {
+    const previousSign = state.lastSign ?? 0;
+    const cooldown = {
+        applied: false,
+        reason: "",
+        remainingMs: 0,
+        previousSign,
+        proposedSign: throttleToSign(candidateThrottle),
+        bypassed: bypass
+    };
+    let throttleOut = candidateThrottle;
+    if (!bypass && cooldown.proposedSign !== 0) {
+        if (previousSign !== 0 && previousSign !== cooldown.proposedSign) {
+            const elapsed = nowMs - (state.lastSignAt ?? 0);
+            if (elapsed < DIRECTION_FLIP_COOLDOWN_MS) {
+                cooldown.applied = true;
+                cooldown.remainingMs = DIRECTION_FLIP_COOLDOWN_MS - elapsed;
+                cooldown.reason = `DIRECTION_FLIP_COOLDOWN_${cooldown.remainingMs}ms`;
+                throttleOut = 0;
+            } else {
+                state.lastSign = cooldown.proposedSign;
+                state.lastSignAt = nowMs;
+            }
+        } else {
+            state.lastSign = cooldown.proposedSign;
+            if (previousSign === 0) state.lastSignAt = nowMs;
+        }
+    } else if (bypass && cooldown.proposedSign !== 0) {
+        state.lastSign = cooldown.proposedSign;
+        state.lastSignAt = nowMs;
+    }
+    return { throttleOut, cooldown };
+};
+
+/**
+ * Front-wall guard for a forward step, checked on the sensors at act time. Returns null when the step may run, a
+ * CORNER_TRAP (the caller runs its recovery maneuver) or the replacement controls: reverse or pivot toward the open
+ * side when nearly stopped, plain stop while still moving.
+ */
+export const resolveFrontWallOverride = (step, sensors, decisionReason) => {
+    const minFrontDist = minFrontDistance(sensors);
+    if (!(minFrontDist < FRONT_GUARD_DIST && step.throttle > 0)) return null;
+    const leftSpace = Math.min(sensors?.left ?? 99, sensors?.leftDiag ?? 99);
+    const rightSpace = Math.min(sensors?.right ?? 99, sensors?.rightDiag ?? 99);
+    const backSpace = sensors?.back ?? 99;
+    const nearlyStopped = (sensors?.speed ?? 0) < 1.0;
+    const space = { minFrontDist, leftSpace, rightSpace, backSpace, turnTowardLeft: leftSpace > rightSpace };
+    if (nearlyStopped && minFrontDist < 3.0 && leftSpace < 3.0 && rightSpace < 3.0) {
+        return { kind: "CORNER_TRAP", overrideReason: "CORNER_TRAP", ...space };
+    }
+    if (nearlyStopped && backSpace > 3.0) {
+        const controls = { throttle: -0.5, steering: space.turnTowardLeft ? 0.8 : -0.8, duration: step.duration };
+        return {
+            kind: "REVERSE",
+            overrideReason: "WALL_ESCAPE_REVERSE",
+            ...space,
+            ...controls,
+            reason: runtimeReason("RUNTIME_WALL_ESCAPE_REVERSE", "Runtime safety override: reverse away from front wall pressure.", decisionReason, controls)
+        };
+    }
+    if (nearlyStopped) {
+        const controls = { throttle: 0.18, steering: space.turnTowardLeft ? 0.88 : -0.88, duration: step.duration };
+        return {
+            kind: "PIVOT",
+            overrideReason: "WALL_ESCAPE_FORWARD_PIVOT",
+            ...space,
+            ...controls,
+            reason: runtimeReason("RUNTIME_WALL_ESCAPE_PIVOT", "Runtime safety override: pivot to open side when rear is tight.", decisionReason, controls)
+        };
+    }
+    const controls = { throttle: 0, steering: step.steering, duration: step.duration };
+    return {
+        kind: "STOP",
+        overrideReason: "WALL_STOP",
+        ...space,
+        ...controls,
+        reason: runtimeReason("RUNTIME_WALL_STOP", "Runtime safety override: stop forward motion near wall.", decisionReason, controls)
+    };
+};
+
+/**
+ * Act-time guards for the first plan step: steering calibration, the front-wall override and the direction-flip
+ * cooldown (bypassed by a wall override). Returns a copy of the plan with the guarded first step, the override (a
+ * CORNER_TRAP leaves the plan untouched for the caller to abandon) and the cooldown record.
+ */
+export const guardFirstPlanStep = ({ plan, decisionReason, sensors, directionFlip, nowMs, steeringSign = 1 }) => {
+    const first = plan[0];
+    const calibrated = { throttle: first.throttle, steering: first.steering * steeringSign, duration: first.duration };
+    const frontWall = resolveFrontWallOverride(calibrated, sensors, decisionReason);
+    if (frontWall?.kind === "CORNER_TRAP") return { plan, frontWall, directionCooldown: null };
+
+    const guarded = frontWall ? { throttle: frontWall.throttle, steering: frontWall.steering, duration: first.duration } : calibrated;
+    const { throttleOut, cooldown } = applyDirectionFlipCooldown(directionFlip, guarded.throttle, { bypass: !!frontWall, nowMs });
+    const step = { ...first, ...guarded, throttle: throttleOut };
+    const reason = frontWall?.reason || normalizeReasonEnvelope(first.reason || null, decisionReason, step);
+    step.reason = cooldown.applied
+        ? runtimeReason("DIRECTION_FLIP_COOLDOWN_HOLD", "Direction flip cooldown applied; hold this step.", reason, step)
+        : reason;
+    return { plan: [step, ...plan.slice(1)], frontWall, directionCooldown: cooldown };
+};
+
+/**
+ * Drives a guarded plan step by step. Queued steps get calibration, the front guard and the cooldown; every step gets
+ * the reason check, and a blocked step becomes a short hold. `executeStep(controls, seconds)` drives the car (may be
+ * async), `shouldStop()` ends the plan early, and `onOverride(overrideReason)` reports runtime overrides. `reasonStats`
+ * is updated in place. Returns the executed steps and the decision's reason-validation summary.
+ */
+export const runGuardedActionPlan = async ({
+    plan,
+    decisionReason,
+    getSensors,
+    directionFlip,
+    now,
+    reasonStats,
+    executeStep,
+    steeringSign = 1,
+    firstStepGuarded = false,
+    shouldStop = () => false,
+    onOverride = () => {}
+}) => {
+    const executedActionPlan = [];
+    const reasonValidationSummary = {
+        decisionReason,
+        blockedSteps: 0,
+        missingModelReasonSteps: 0,
+        signMismatchSteps: 0,
+        stepResults: []
+    };
+    for (let stepIndex = 0; stepIndex < plan.length; stepIndex += 1) {
+        if (shouldStop()) break;
+        const step = plan[stepIndex];
+        const stepMinFront = minFrontDistance(getSensors());
+        let stepThrottle = step.throttle;
+        let stepSteering = step.steering;
+        let stepDurationSec = step.duration;
+        let stepReason = normalizeReasonEnvelope(step.reason || null, decisionReason, step);
+        let bypassReasonValidation = stepIndex === 0 && firstStepGuarded;
+
+        if (stepIndex > 0) {
+            stepSteering *= steeringSign;
+            if (stepMinFront < FRONT_GUARD_DIST && stepThrottle > 0) {
+                stepThrottle = 0;
+                stepReason = runtimeReason(
+                    "ACTION_QUEUE_FRONT_GUARD_HOLD",
+                    "Queued forward step blocked by front guard.",
+                    stepReason,
+                    { throttle: stepThrottle, steering: stepSteering, duration: stepDurationSec }
+                );
+                onOverride("ACTION_QUEUE_FRONT_GUARD");
+                bypassReasonValidation = true;
+            }
+            const cooldownResult = applyDirectionFlipCooldown(directionFlip, stepThrottle, { nowMs: now() });
+            stepThrottle = cooldownResult.throttleOut;
+            if (cooldownResult.cooldown.applied) {
+                stepReason = runtimeReason(
+                    "DIRECTION_FLIP_COOLDOWN_HOLD",
+                    "Queued step paused by direction cooldown.",
+                    stepReason,
+                    { throttle: stepThrottle, steering: stepSteering, duration: stepDurationSec }
+                );
+                bypassReasonValidation = true;
+            }
+        }
+
+        const stepValidation = validateReasonedActionStep({
+            step: { throttle: stepThrottle, steering: stepSteering },
+            reason: stepReason,
+            minFrontDist: stepMinFront,
+            requireModelReason: true,
+            bypass: bypassReasonValidation || stepReason.source === "runtime"
+        });
+        reasonStats.totalSteps += 1;
+        if (stepValidation.ok) {
+            reasonStats.passedSteps += 1;
+        } else {
+            const hasSignMismatch = stepValidation.issues.includes("THROTTLE_SIGN_MISMATCH")
+                || stepValidation.issues.includes("STEERING_SIGN_MISMATCH");
+            reasonStats.blockedSteps += 1;
+            reasonValidationSummary.blockedSteps += 1;
+            if (stepValidation.issues.includes("REASON_NOT_FROM_MODEL")) {
+                reasonStats.missingModelReasonSteps += 1;
+                reasonValidationSummary.missingModelReasonSteps += 1;
+            }
+            if (hasSignMismatch) {
+                reasonStats.signMismatchSteps += 1;
+                reasonValidationSummary.signMismatchSteps += 1;
+            }
+            stepThrottle = 0;
+            stepSteering = 0;
+            stepDurationSec = Math.min(stepDurationSec, 0.18);
+            stepReason = normalizeReasonEnvelope(
+                {
+                    code: `REASON_BLOCK_${stepValidation.primaryIssue || "UNKNOWN"}`,
+                    summary: `Blocked step due to reason-check failure: ${stepValidation.issues.join("|") || "UNKNOWN"}.`,
+                    expectedThrottleSign: 0,
+                    expectedSteeringSign: 0,
+                    source: "runtime"
+                },
+                stepReason,
+                { throttle: stepThrottle, steering: stepSteering, duration: stepDurationSec }
+            );
+            onOverride(`REASON_VALIDATION_${stepValidation.primaryIssue || "BLOCK"}`);
+        }
+
+        reasonValidationSummary.stepResults.push({
+            index: stepIndex + 1,
+            ok: stepValidation.ok,
+            bypassed: stepValidation.bypassed,
+            issues: stepValidation.issues,
+            reason: stepReason,
+            throttleSign: controlValueToSign(stepThrottle),
+            steeringSign: controlValueToSign(stepSteering),
+            minFrontDist: Number(stepMinFront.toFixed(3))
+        });
+        executedActionPlan.push({
+            index: stepIndex + 1,
+            throttle: stepThrottle,
+            steering: stepSteering,
+            duration: Number(stepDurationSec.toFixed(3)),
+            minFrontDist: Number(stepMinFront.toFixed(3)),
+            reason: stepReason,
+            reason_validation: {
+                ok: stepValidation.ok,
+                issues: stepValidation.issues,
+                bypassed: stepValidation.bypassed
+            }
+        });
+        await executeStep({ throttle: stepThrottle, steering: stepSteering }, stepDurationSec);
+    }
+    return { executedActionPlan, reasonValidationSummary };
+};
+
+export const buildHeatmapDecisionDiagnostics = (explorationContext, strategy, sensorSnapshot, latestSensor) => {
+    const diagnostics = explorationContext?.diagnostics || {};
+    const chosenSector = strategy?.chosenSector || explorationContext?.preferredSector || "F";
+    const topCandidates = Array.isArray(diagnostics.topCandidates) ? diagnostics.topCandidates : [];
+    const topSafeCandidates = Array.isArray(diagnostics.topSafeCandidates) ? diagnostics.topSafeCandidates : [];
+
+    const preferredSafe = topSafeCandidates.find((c) => c.sector === chosenSector) || null;
+    const fallbackSafe = topSafeCandidates[0] || null;
+    const fallbackBySector = topCandidates.find((c) => c.sector === chosenSector) || null;
+    const selectedCandidate = preferredSafe || fallbackSafe || fallbackBySector || topCandidates[0] || null;
+
+    const selectedSource = preferredSafe
+        ? "chosen_sector_safe"
+        : fallbackSafe
+            ? "fallback_best_safe"
+            : fallbackBySector
+                ? "chosen_sector_nogo"
+                : selectedCandidate
+                    ? "fallback_top_candidate"
+                    : "none";
+
+    return {
+        chosenSector,
+        selectedSource,
+        currentCellWeight: explorationContext?.currentCell?.weightScore ?? null,
+        selectedCellWeight: selectedCandidate?.score ?? null,
+        selectedCellNoGo: !!selectedCandidate?.isNoGo,
+        selectedCellNoGoReasons: selectedCandidate?.noGoReasons || [],
+        selectedCell: selectedCandidate ? {
+            ix: selectedCandidate.ix,
+            iz: selectedCandidate.iz,
+            sector: selectedCandidate.sector,
+            score: selectedCandidate.score,
+            risk: selectedCandidate.risk
+        } : null,
+        noGoRatio: diagnostics.noGoRatio ?? null,
+        revisitRate: diagnostics.revisitRate ?? explorationContext?.loopRate ?? null,
+        topCandidates,
+        topSafeCandidates,
+        sectorSafety: diagnostics.sectorSafety || [],
+        targetBearingDeg: asFiniteNumber(sensorSnapshot?.angleToTarget, 0),
+        targetDistance: asFiniteNumber(sensorSnapshot?.distanceToTarget, 0),
+        targetHitCount: Object.values(sensorSnapshot?.targetHits || {}).filter(Boolean).length,
+        minObstacleDistNow: Math.min(
+            asFiniteNumber(latestSensor?.front, 10),
+            asFiniteNumber(latestSensor?.leftDiag, 10),
+            asFiniteNumber(latestSensor?.rightDiag, 10),
+            asFiniteNumber(latestSensor?.left, 10),
+            asFiniteNumber(latestSensor?.right, 10),
+            asFiniteNumber(latestSensor?.back, 10),
+            asFiniteNumber(latestSensor?.backLeft, 10),
+            asFiniteNumber(latestSensor?.backRight, 10)
+        )
+    };
+};
+
+/** Deep copy of the smoothing/hysteresis state handed to getDrivingDecision, logged so a decision can be re-run. */
+export const snapshotSmoothingState = (state) => (state && typeof state === "object" ? JSON.parse(JSON.stringify(state)) : null);
+
+export const countTargetHits = (snapshot) => Object.values(snapshot?.targetHits || {}).filter(Boolean).length;
+
+export const minObstacleDistance = (snapshot) => Math.min(
+    asFiniteNumber(snapshot?.front, 10),
+    asFiniteNumber(snapshot?.leftDiag, 10),
+    asFiniteNumber(snapshot?.rightDiag, 10),
+    asFiniteNumber(snapshot?.left, 10),
+    asFiniteNumber(snapshot?.right, 10),
+    asFiniteNumber(snapshot?.back, 10),
+    asFiniteNumber(snapshot?.backLeft, 10),
+    asFiniteNumber(snapshot?.backRight, 10)
+);
+
+export const buildDecisionOutcome = (entry, endSensor, endExploration, nowMs = Date.now()) => {
+    if (!entry?.sensor_snapshot || !endSensor) return null;
+
+    const startSensor = entry.sensor_snapshot;
+    const startDistance = asFiniteNumber(startSensor.distanceToTarget, 0);
+    const endDistance = asFiniteNumber(endSensor.distanceToTarget, startDistance);
+    const progressDelta = startDistance - endDistance;
+    const startMinObstacle = minObstacleDistance(startSensor);
+    const endMinObstacle = minObstacleDistance(endSensor);
+    const minObstacleDelta = endMinObstacle - startMinObstacle;
+    const startLoopRate = asFiniteNumber(entry?.exploration?.loopRate, 0);
+    const endLoopRate = asFiniteNumber(endExploration?.loopRate, startLoopRate);
+    const loopRateDelta = endLoopRate - startLoopRate;
+    const targetHitDelta = countTargetHits(endSensor) - countTargetHits(startSensor);
+    const elapsedMs = Math.max(0, nowMs - asFiniteNumber(entry?.decision_started_at_ms, nowMs));
+    const safetyOverride = !!entry?.direction_cooldown?.applied || !!entry?.runtime_safety_override || !!entry?.safety_guard?.guardApplied;
+
+    let label = "MIXED";
+    if (targetHitDelta > 0) label = "TARGET_REACQUIRED";
+    else if (progressDelta > 0.55 && endMinObstacle >= 2.4) label = "GOOD_PROGRESS";
+    else if (progressDelta < -0.55 && endMinObstacle < 2.5) label = "RISKY_REGRESSION";
+    else if (Math.abs(progressDelta) < 0.25 && loopRateDelta > 0.08) label = "LOOP_RISK";
+    else if (Math.abs(progressDelta) < 0.2 && endMinObstacle < 2.4) label = "CAUTIOUS_HOLD";
+
+    const skillName = entry?.ai_skill?.name || "UNKNOWN";
+    const summary = `${label}: skill=${skillName}, progress=${progressDelta.toFixed(2)}m, minObs=${endMinObstacle.toFixed(2)}m, loopDelta=${loopRateDelta.toFixed(3)}, hitsDelta=${targetHitDelta}`;
+
+    return {
+        label,
+        summary,
+        elapsedMs,
+        progressDeltaM: Number(progressDelta.toFixed(3)),
+        startDistanceM: Number(startDistance.toFixed(3)),
+        endDistanceM: Number(endDistance.toFixed(3)),
+        startMinObstacleM: Number(startMinObstacle.toFixed(3)),
+        endMinObstacleM: Number(endMinObstacle.toFixed(3)),
+        minObstacleDeltaM: Number(minObstacleDelta.toFixed(3)),
+        targetHitDelta,
+        loopRateStart: Number(startLoopRate.toFixed(3)),
+        loopRateEnd: Number(endLoopRate.toFixed(3)),
+        loopRateDelta: Number(loopRateDelta.toFixed(3)),
+        safetyOverride
+    };
+};
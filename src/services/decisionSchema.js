@@ -0,0 +1,143 @@
+// JSON Schema of the driving decision (strategy / skill / reflection / reason / control / actions), sent to the
+// backend as a structured-output format and used to validate every parsed reply.
+
+export const RESPONSE_FORMATS = Object.freeze({
+    // Constrained decoding against DRIVING_DECISION_SCHEMA.
+    SCHEMA: "schema",
+    // Plain JSON mode; relies on the repair heuristics and the strict-JSON retry prompt.
+    JSON: "json"
+});
+export const DEFAULT_RESPONSE_FORMAT = RESPONSE_FORMATS.SCHEMA;
+
+export const isResponseFormat = (value) => Object.values(RESPONSE_FORMATS).includes(value);
+
+const SIGN = { type: "integer", enum: [-1, 0, 1] };
+const SHORT_TEXT = { type: "string" };
+
+const REASON_SCHEMA = {
+    type: "object",
+    properties: {
+        code: SHORT_TEXT,
+        summary: SHORT_TEXT,
+        expectedThrottleSign: SIGN,
+        expectedSteeringSign: SIGN
+    },
+    required: ["code", "summary", "expectedThrottleSign", "expectedSteeringSign"]
+};
+
+const CONTROL_PROPERTIES = {
+    throttle: { type: "number", minimum: -1, maximum: 1 },
+    steering: { type: "number", minimum: -1, maximum: 1 },
+    duration: { type: "number", minimum: 0.05, maximum: 1.2 }
+};
+
+export const DRIVING_DECISION_SCHEMA = Object.freeze({
+    type: "object",
+    properties: {
+        strategy: {
+            type: "object",
+            properties: {
+                mode: { type: "string", enum: ["TARGET_LOCK", "MEMORY_EXPLORE", "ESCAPE_RECOVERY"] },
+                transition: { type: "string", enum: ["HOLD", "SWITCH"] },
+                confidence: { type: "number", minimum: 0, maximum: 1 },
+                chosenSector: { type: "string", enum: ["L", "F", "R", "B"] },
+                targetCue: SHORT_TEXT,
+                memoryCue: SHORT_TEXT,
+                riskCue: SHORT_TEXT,
+                rationale: SHORT_TEXT
+            },
+            required: ["mode", "transition", "confidence", "chosenSector"]
+        },
+        skill: {
+            type: "object",
+            properties: {
+                name: { type: "string", enum: ["APPROACH_TARGET", "MOVE_TO_FRONTIER", "SCAN_SECTOR", "BACKOFF_AND_TURN", "HOLD_POSITION"] },
+                intensity: { type: "number", minimum: 0, maximum: 1 },
+                rationale: SHORT_TEXT
+            },
+            required: ["name", "intensity"]
+        },
+        reflection: {
+            type: "object",
+            properties: {
+                lastOutcomeAssessment: SHORT_TEXT,
+                adjustment: SHORT_TEXT
+            },
+            required: ["lastOutcomeAssessment", "adjustment"]
+        },
+        reason: REASON_SCHEMA,
+        thought: SHORT_TEXT,
+        analysis: SHORT_TEXT,
+        control: {
+            type: "object",
+            properties: CONTROL_PROPERTIES,
+            required: ["throttle", "steering", "duration"]
+        },
+        actions: {
+            type: "array",
+            maxItems: 5,
+            items: {
+                type: "object",
+                properties: { ...CONTROL_PROPERTIES, reason: REASON_SCHEMA },
+                required: ["throttle", "steering", "duration", "reason"]
+            }
+        }
+    },
+    required: ["strategy", "skill", "reflection", "reason", "thought", "analysis", "control"]
+});
+
+const typeOf = (value) => {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+};
+
+/**
+ * Validate a parsed reply against the schema subset used here (type, enum, required, properties, items,
+ * minimum/maximum, maxItems). Returns field-level violations: [{ path, code, message }]; empty when valid.
+ */
+export const validateDecisionPayload = (value, schema = DRIVING_DECISION_SCHEMA) => {
+    const violations = [];
+    const visit = (node, rule, path) => {
+        const where = path || "(root)";
+        if (rule.type && !matchesType(node, rule.type)) {
+            violations.push({ path: where, code: "type", message: `expected ${rule.type}, got ${typeOf(node)}` });
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(node)) {
+            violations.push({ path: where, code: "enum", message: `${JSON.stringify(node)} is not one of ${rule.enum.join("|")}` });
+        }
+        if (typeof node === "number") {
+            if (Number.isFinite(rule.minimum) && node < rule.minimum) {
+                violations.push({ path: where, code: "minimum", message: `${node} < ${rule.minimum}` });
+            }
+            if (Number.isFinite(rule.maximum) && node > rule.maximum) {
+                violations.push({ path: where, code: "maximum", message: `${node} > ${rule.maximum}` });
+            }
+        }
+        if (rule.type === "object") {
+            (rule.required || []).forEach((key) => {
+                if (node[key] === undefined) {
+                    violations.push({ path: path ? `${path}.${key}` : key, code: "required", message: "missing required field" });
+                }
+            });
+            Object.entries(rule.properties || {}).forEach(([key, child]) => {
+                if (node[key] !== undefined) visit(node[key], child, path ? `${path}.${key}` : key);
+            });
+        }
+        if (rule.type === "array") {
+            if (Number.isFinite(rule.maxItems) && node.length > rule.maxItems) {
+                violations.push({ path: where, code: "maxItems", message: `${node.length} items > ${rule.maxItems}` });
+            }
+            if (rule.items) node.forEach((item, index) => visit(item, rule.items, `${path}[${index}]`));
+        }
+    };
+    visit(value, schema, "");
+    return violations;
+};
@@ -0,0 +1,1092 @@
+// Experiment definitions shared by the in-browser automation panel and the headless CLI runner
+// (scripts/run-experiment.js): condition matrix, run-plan expansion and config JSON import/export.
+import { createInitialCollisionStats } from "./collisionStats.js";
+import { DECISION_LOOP_MODES, PIPELINE_STATUSES, isDecisionLoopMode } from "./decisionPipeline.js";
+import { RESPONSE_FORMATS, isResponseFormat } from "./decisionSchema.js";
+import { EXPLORATION_MEMORY_STARTS, EXPLORATION_MODES, isExplorationMemoryStart, isExplorationMode } from "./explorationMemory.js";
+import { isKnownLlmProvider, llmProviderSupportsImages, normalizeLlmBackend } from "./llmProviders.js";
+import { isResolvableTrackMapId } from "./mapGenerator.js";
+import {
+    OBSERVATION_COMPENSATED_PROMPT_TEMPLATE,
+    OBSERVATION_MODES,
+    OBSERVATION_PROMPT_TEMPLATES,
+    OBSERVATION_VIEWS,
+    isObservationMode,
+    isObservationView,
+    observationUsesImage
+} from "./observationFrames.js";
+import { PROMPT_TEMPLATE_OPTIONS, isPromptTemplateKey, promptTemplateUsesSlot } from "./promptTemplates.js";
+import { DEFAULT_EXPERIMENT_SEED, deriveRunSeed, normalizeSeed } from "./seededRandom.js";
+import {
+    DEFAULT_SENSOR_FAULTS,
+    SENSOR_FAULT_KEYS,
+    SENSOR_FAULT_LIMITS,
+    SENSOR_FAULT_PRESETS,
+    describeSensorFaults,
+    normalizeSensorFaults
+} from "./sensorFaults.js";
+import { LATENCY_COMPENSATION_MODES, LATENCY_COMPENSATION_PROMPT_TEMPLATE, isLatencyCompensationMode } from "./statePrediction.js";
+import { TARGET_SPAWN_POLICIES, isTargetSpawnPolicy } from "./trackMaps.js";
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+
+export const EXPERIMENT_SAVE_MODES = Object.freeze({
+    SINGLE_BUNDLE_END: "single_bundle_end",
+    SPLIT_PER_RUN: "split_per_run"
+});
+export const EXPERIMENT_START_MAX_ATTEMPTS = 2;
+export const EXPERIMENT_CONFIG_SCHEMA_ID = "gemma-autodrive-experiment-config";
+export const EXPERIMENT_CONFIG_SCHEMA_VERSION = 1;
+
+export const EXPERIMENT_CONDITION_MATRIX = Object.freeze([
+    {
+        id: "AB-1",
+        label: "4b / adaptive sensor",
+        model: "gemma3:4b",
+        physicsPatch: { sensorDynamic: true, sensorRangeMin: 7, sensorRangeMax: 14 }
+    },
+    {
+        id: "AB-2",
+        label: "12b / adaptive sensor",
+        model: "gemma3:12b",
+        physicsPatch: { sensorDynamic: true, sensorRangeMin: 7, sensorRangeMax: 14 }
+    },
+    {
+        id: "AB-3",
+        label: "4b / fixed 10m sensor",
+        model: "gemma3:4b",
+        physicsPatch: { sensorDynamic: false, sensorRangeMin: 10, sensorRangeMax: 10.5 }
+    },
+    {
+        id: "AB-4",
+        label: "4b / wide adaptive sensor",
+        model: "gemma3:4b",
+        physicsPatch: { sensorDynamic: true, sensorRangeMin: 6, sensorRangeMax: 16 }
+    }
+]);
+
+// Named sensor levels for factorial designs (the AB matrix uses the same three patches).
+export const SENSOR_PRESETS = Object.freeze({
+    adaptive: { sensorDynamic: true, sensorRangeMin: 7, sensorRangeMax: 14 },
+    fixed_10m: { sensorDynamic: false, sensorRangeMin: 10, sensorRangeMax: 10.5 },
+    wide_adaptive: { sensorDynamic: true, sensorRangeMin: 6, sensorRangeMax: 16 }
+});
+
+// Accepted ranges for per-condition overrides. Out-of-range values reject the condition instead of clamping,
+// so a config never runs something other than what it says.
+export const CONDITION_VALUE_LIMITS = Object.freeze({
+    speedForce: [1000, 20000],
+    turnTorque: [100, 2000],
+    groundFriction: [0, 2],
+    sensorRangeMin: [4, 12],
+    sensorRangeMax: [8, 20],
+    ...SENSOR_FAULT_LIMITS,
+    temperature: [0, 2],
+    numPredict: [64, 4096]
+});
+export const FACTORIAL_MAX_CONDITIONS = 64;
+
+const CONDITION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const PHYSICS_PATCH_KEYS = ["sensorDynamic", "sensorRangeMin", "sensorRangeMax", "speedForce", "turnTorque", "groundFriction", ...SENSOR_FAULT_KEYS];
+const LLM_OPTION_KEYS = ["temperature", "numPredict", "num_predict", "promptTemplate", "responseFormat"];
+
+const checkLimit = (key, value, label) => {
+    const [min, max] = CONDITION_VALUE_LIMITS[key];
+    if (typeof value !== "number" || !Number.isFinite(value)) return `${label} must be a number`;
+    if (value < min || value > max) return `${label} must be within ${min}..${max} (got ${value})`;
+    return null;
+};
+
+const unknownKeys = (node, allowed) => Object.keys(node).filter((key) => !allowed.includes(key));
+
+/**
+ * Validate one experiment condition ({ id, label, model, mapId, targetPolicy, decisionLoop, latencyCompensation,
+ * memoryStart, explorationMode, observation, observationView, physicsPatch, llmOptions, llmBackend }).
+ * Returns { ok: true, condition } with only the provided fields, or { ok: false, error }.
+ */
+export const normalizeExperimentCondition = (node) => {
+    if (!node || typeof node !== "object" || Array.isArray(node)) return { ok: false, error: "condition must be an object" };
+    const id = typeof node.id === "string" ? node.id.trim() : "";
+    if (!CONDITION_ID_PATTERN.test(id)) return { ok: false, error: `invalid condition id "${node.id}" (letters, digits, _ . -)` };
+    const fail = (message) => ({ ok: false, error: `${id}: ${message}` });
+    const condition = { id, label: typeof node.label === "string" && node.label.trim() ? node.label.trim() : id };
+
+    if (node.model !== undefined) {
+        if (typeof node.model !== "string" || !node.model.trim()) return fail("model must be a non-empty string");
+        condition.model = node.model.trim();
+    }
+    if (node.mapId !== undefined) {
+        if (!isResolvableTrackMapId(node.mapId)) return fail(`unknown mapId "${node.mapId}"`);
+        condition.mapId = node.mapId;
+    }
+    if (node.targetPolicy !== undefined) {
+        if (!isTargetSpawnPolicy(node.targetPolicy)) {
+            return fail(`targetPolicy must be one of ${Object.values(TARGET_SPAWN_POLICIES).join(", ")}`);
+        }
+        condition.targetPolicy = node.targetPolicy;
+    }
+    if (node.decisionLoop !== undefined) {
+        if (!isDecisionLoopMode(node.decisionLoop)) {
+            return fail(`decisionLoop must be one of ${Object.values(DECISION_LOOP_MODES).join(", ")}`);
+        }
+        condition.decisionLoop = node.decisionLoop;
+    }
+    if (node.latencyCompensation !== undefined) {
+        if (!isLatencyCompensationMode(node.latencyCompensation)) {
+            return fail(`latencyCompensation must be one of ${Object.values(LATENCY_COMPENSATION_MODES).join(", ")}`);
+        }
+        condition.latencyCompensation = node.latencyCompensation;
+    }
+    if (node.memoryStart !== undefined) {
+        if (!isExplorationMemoryStart(node.memoryStart)) {
+            return fail(`memoryStart must be one of ${Object.values(EXPLORATION_MEMORY_STARTS).join(", ")}`);
+        }
+        condition.memoryStart = node.memoryStart;
+    }
+    if (node.explorationMode !== undefined) {
+        if (!isExplorationMode(node.explorationMode)) {
+            return fail(`explorationMode must be one of ${Object.values(EXPLORATION_MODES).join(", ")}`);
+        }
+        condition.explorationMode = node.explorationMode;
+    }
+    if (node.observation !== undefined) {
+        if (!isObservationMode(node.observation)) {
+            return fail(`observation must be one of ${Object.values(OBSERVATION_MODES).join(", ")}`);
+        }
+        condition.observation = node.observation;
+    }
+    if (node.observationView !== undefined) {
+        if (!isObservationView(node.observationView)) {
+            return fail(`observationView must be one of ${Object.values(OBSERVATION_VIEWS).join(", ")}`);
+        }
+        condition.observationView = node.observationView;
+    }
+    if (node.physicsPatch !== undefined) {
+        const patch = node.physicsPatch;
+        if (!patch || typeof patch !== "object" || Array.isArray(patch)) return fail("physicsPatch must be an object");
+        const extra = unknownKeys(patch, PHYSICS_PATCH_KEYS);
+        if (extra.length > 0) return fail(`unknown physicsPatch keys: ${extra.join(", ")}`);
+        if (patch.sensorDynamic !== undefined && typeof patch.sensorDynamic !== "boolean") return fail("physicsPatch.sensorDynamic must be a boolean");
+        for (const key of PHYSICS_PATCH_KEYS.slice(1)) {
+            const error = patch[key] !== undefined ? checkLimit(key, patch[key], `physicsPatch.${key}`) : null;
+            if (error) return fail(error);
+        }
+        if (Number.isFinite(patch.sensorRangeMin) && Number.isFinite(patch.sensorRangeMax) && patch.sensorRangeMax < patch.sensorRangeMin + 0.5) {
+            return fail("physicsPatch.sensorRangeMax must be at least sensorRangeMin + 0.5");
+        }
+        condition.physicsPatch = { ...patch };
+    }
+    if (node.llmOptions !== undefined) {
+        const options = node.llmOptions;
+        if (!options || typeof options !== "object" || Array.isArray(options)) return fail("llmOptions must be an object");
+        const extra = unknownKeys(options, LLM_OPTION_KEYS);
+        if (extra.length > 0) return fail(`unknown llmOptions keys: ${extra.join(", ")}`);
+        const numPredict = options.numPredict ?? options.num_predict;
+        const temperatureError = options.temperature !== undefined ? checkLimit("temperature", options.temperature, "llmOptions.temperature") : null;
+        if (temperatureError) return fail(temperatureError);
+        const numPredictError = numPredict !== undefined ? checkLimit("numPredict", numPredict, "llmOptions.numPredict") : null;
+        if (numPredictError) return fail(numPredictError);
+        if (options.promptTemplate !== undefined && !isPromptTemplateKey(options.promptTemplate)) {
+            return fail(`llmOptions.promptTemplate must be one of ${PROMPT_TEMPLATE_OPTIONS.map((option) => option.key).join(", ")}`);
+        }
+        if (options.responseFormat !== undefined && !isResponseFormat(options.responseFormat)) {
+            return fail(`llmOptions.responseFormat must be one of ${Object.values(RESPONSE_FORMATS).join(", ")}`);
+        }
+        condition.llmOptions = {
+            ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+            ...(numPredict !== undefined ? { numPredict: Math.round(numPredict) } : {}),
+            ...(options.promptTemplate !== undefined ? { promptTemplate: options.promptTemplate.trim() } : {}),
+            ...(options.responseFormat !== undefined ? { responseFormat: options.responseFormat } : {})
+        };
+    }
+    if (node.llmBackend !== undefined && node.llmBackend !== null) {
+        const backend = node.llmBackend;
+        if (typeof backend !== "object" || Array.isArray(backend)) return fail("llmBackend must be an object");
+        if (!isKnownLlmProvider(backend.provider)) return fail(`unknown llmBackend.provider "${backend.provider}"`);
+        condition.llmBackend = { provider: backend.provider, ...(typeof backend.baseUrl === "string" ? { baseUrl: backend.baseUrl } : {}) };
+    }
+    // A compensated condition must show the view it pays for, an image condition its camera frame note; without a
+    // template each gets one that does (driving-vision@2 renders both).
+    const usesImage = observationUsesImage(condition.observation);
+    const compensated = condition.latencyCompensation === LATENCY_COMPENSATION_MODES.PREDICT;
+    if (usesImage && compensated && !condition.llmOptions?.promptTemplate) {
+        condition.llmOptions = { ...(condition.llmOptions || {}), promptTemplate: OBSERVATION_COMPENSATED_PROMPT_TEMPLATE };
+    }
+    const template = condition.llmOptions?.promptTemplate;
+    if (compensated && template && !promptTemplateUsesSlot(template, "actuationView")) {
+        const suggestion = usesImage ? OBSERVATION_COMPENSATED_PROMPT_TEMPLATE : LATENCY_COMPENSATION_PROMPT_TEMPLATE;
+        return fail(`latencyCompensation "predict" needs a prompt template with the actuation view, e.g. ${suggestion} (not ${template})`);
+    }
+    if (usesImage) {
+        if (template && !promptTemplateUsesSlot(template, "observationNote")) {
+            const suggestion = compensated ? OBSERVATION_COMPENSATED_PROMPT_TEMPLATE : OBSERVATION_PROMPT_TEMPLATES[condition.observation];
+            return fail(`observation "${condition.observation}" needs a prompt template with the camera frame note, e.g. ${suggestion} (not ${template})`);
+        }
+        if (condition.llmBackend && !llmProviderSupportsImages(condition.llmBackend.provider)) {
+            return fail(`observation "${condition.observation}" is not supported by llmBackend.provider "${condition.llmBackend.provider}"`);
+        }
+    }
+    if (node.factors && typeof node.factors === "object" && !Array.isArray(node.factors)) {
+        condition.factors = { ...node.factors };
+    }
+    return { ok: true, condition };
+};
+
+const FACTORIAL_AXES = ["models", "sensors", "sensorFaults", "maps", "temperatures", "prompts", "responseFormats", "targetPolicies", "decisionLoops", "latencyCompensations", "memoryStarts", "explorationModes", "observations", "providers"];
+const shortModelTag = (model) => String(model).split(/[:/]/).pop();
+const promptTag = (key) => String(key).replace("@", "-v");
+const sanitizeIdPart = (value) => String(value).replace(/[^A-Za-z0-9_.-]/g, "_");
+
+const resolveSensorLevel = (level) => {
+    if (typeof level === "string") {
+        return SENSOR_PRESETS[level] ? { id: level, patch: { ...SENSOR_PRESETS[level] } } : null;
+    }
+    if (level && typeof level === "object" && typeof level.id === "string" && level.patch && typeof level.patch === "object") {
+        return { id: level.id, patch: { ...level.patch } };
+    }
+    return null;
+};
+
+// Fault levels are SENSOR_FAULT_PRESETS names or { id, patch } objects carrying only sensor fault keys.
+const resolveSensorFaultLevel = (level) => {
+    if (typeof level === "string") {
+        return SENSOR_FAULT_PRESETS[level] ? { id: level, patch: { ...SENSOR_FAULT_PRESETS[level] } } : null;
+    }
+    if (level && typeof level === "object" && typeof level.id === "string" && level.patch && typeof level.patch === "object"
+        && unknownKeys(level.patch, SENSOR_FAULT_KEYS).length === 0) {
+        return { id: level.id, patch: { ...level.patch } };
+    }
+    return null;
+};
+
+/**
+ * Expand a factorial spec ({ idPrefix, models, sensors, sensorFaults, maps, temperatures, prompts, responseFormats, targetPolicies,
+ * decisionLoops, latencyCompensations, memoryStarts, explorationModes, observations, providers, base })
+ * into one condition per level combination. Missing axes contribute a single "unset" level; `base` holds
+ * condition fields shared by every cell. Sensor levels are SENSOR_PRESETS names or { id, patch } objects, sensor
+ * fault levels SENSOR_FAULT_PRESETS names ("none" / "noisy" / "degraded") or { id, patch } objects;
+ * prompt levels are prompt template keys ("driving@1"), response format levels "schema" / "json", decision loop
+ * levels "stop_think" / "pipelined", latency compensation levels "off" / "predict", memory start levels
+ * "cold" / "carry" / "prior", exploration mode levels "heuristic" / "frontier", observation levels "text" / "image" /
+ * "text_image".
+ * Returns { ok: true, conditions } or { ok: false, error }.
+ */
+export const expandFactorialDesign = (spec) => {
+    if (!spec || typeof spec !== "object" || Array.isArray(spec)) return { ok: false, error: "factorial must be an object" };
+    const extra = unknownKeys(spec, [...FACTORIAL_AXES, "idPrefix", "base"]);
+    if (extra.length > 0) return { ok: false, error: `unknown factorial keys: ${extra.join(", ")}` };
+    for (const axis of FACTORIAL_AXES) {
+        if (spec[axis] !== undefined && (!Array.isArray(spec[axis]) || spec[axis].length === 0)) {
+            return { ok: false, error: `factorial.${axis} must be a non-empty array` };
+        }
+    }
+    const sensors = spec.sensors ? spec.sensors.map(resolveSensorLevel) : [null];
+    const badSensor = spec.sensors ? sensors.indexOf(null) : -1;
+    if (badSensor >= 0) {
+        return { ok: false, error: `factorial.sensors[${badSensor}] must be one of ${Object.keys(SENSOR_PRESETS).join(", ")} or { id, patch }` };
+    }
+    const sensorFaults = spec.sensorFaults ? spec.sensorFaults.map(resolveSensorFaultLevel) : [null];
+    const badFault = spec.sensorFaults ? sensorFaults.indexOf(null) : -1;
+    if (badFault >= 0) {
+        return { ok: false, error: `factorial.sensorFaults[${badFault}] must be one of ${Object.keys(SENSOR_FAULT_PRESETS).join(", ")} or { id, patch } with sensor fault keys` };
+    }
+    const base = spec.base && typeof spec.base === "object" ? spec.base : {};
+    const prefix = typeof spec.idPrefix === "string" && spec.idPrefix.trim() ? sanitizeIdPart(spec.idPrefix.trim()) : "F";
+    const levels = {
+        models: spec.models || [undefined],
+        sensors,
+        sensorFaults,
+        maps: spec.maps || [undefined],
+        temperatures: spec.temperatures || [undefined],
+        prompts: spec.prompts || [undefined],
+        responseFormats: spec.responseFormats || [undefined],
+        targetPolicies: spec.targetPolicies || [undefined],
+        decisionLoops: spec.decisionLoops || [undefined],
+        latencyCompensations: spec.latencyCompensations || [undefined],
+        memoryStarts: spec.memoryStarts || [undefined],
+        explorationModes: spec.explorationModes || [undefined],
+        observations: spec.observations || [undefined],
+        providers: spec.providers || [undefined]
+    };
+    const total = FACTORIAL_AXES.reduce((product, axis) => product * levels[axis].length, 1);
+    if (total > FACTORIAL_MAX_CONDITIONS) {
+        return { ok: false, error: `factorial design has ${total} cells (max ${FACTORIAL_MAX_CONDITIONS})` };
+    }
+
+    // Every combination, first axis slowest (models, then sensors, ...).
+    const cells = FACTORIAL_AXES.reduce(
+        (combos, axis) => combos.flatMap((combo) => levels[axis].map((level) => ({ ...combo, [axis]: level }))),
+        [{}]
+    );
+    const present = (value) => value !== undefined && value !== null;
+    const conditions = [];
+    for (const cell of cells) {
+        const {
+            models: model,
+            sensors: sensor,
+            sensorFaults: sensorFault,
+            maps: mapId,
+            temperatures: temperature,
+            prompts: prompt,
+            responseFormats: responseFormat,
+            targetPolicies: targetPolicy,
+            decisionLoops: decisionLoop,
+            latencyCompensations: latencyCompensation,
+            memoryStarts: memoryStart,
+            explorationModes: explorationMode,
+            observations: observation,
+            providers: provider
+        } = cell;
+        const factors = {
+            ...(model !== undefined ? { model } : {}),
+            ...(sensor ? { sensor: sensor.id } : {}),
+            ...(sensorFault ? { sensorFaults: sensorFault.id } : {}),
+            ...(mapId !== undefined ? { map: mapId } : {}),
+            ...(temperature !== undefined ? { temperature } : {}),
+            ...(prompt !== undefined ? { prompt } : {}),
+            ...(responseFormat !== undefined ? { responseFormat } : {}),
+            ...(targetPolicy !== undefined ? { targetPolicy } : {}),
+            ...(decisionLoop !== undefined ? { decisionLoop } : {}),
+            ...(latencyCompensation !== undefined ? { latencyCompensation } : {}),
+            ...(memoryStart !== undefined ? { memoryStart } : {}),
+            ...(explorationMode !== undefined ? { explorationMode } : {}),
+            ...(observation !== undefined ? { observation } : {}),
+            ...(provider !== undefined ? { provider } : {})
+        };
+        const idTags = [
+            present(model) ? shortModelTag(model) : null,
+            sensor?.id,
+            sensorFault ? `sf-${sensorFault.id}` : null,
+            mapId,
+            present(temperature) ? `t${temperature}` : null,
+            present(prompt) ? promptTag(prompt) : null,
+            responseFormat,
+            targetPolicy,
+            decisionLoop,
+            present(latencyCompensation) ? `lc-${latencyCompensation}` : null,
+            present(memoryStart) ? `ms-${memoryStart}` : null,
+            present(explorationMode) ? `xm-${explorationMode}` : null,
+            present(observation) ? `obs-${observation}` : null,
+            provider
+        ].filter(present);
+        const labelTags = [
+            model,
+            sensor?.id,
+            sensorFault ? `faults=${sensorFault.id}` : null,
+            mapId,
+            present(temperature) ? `T=${temperature}` : null,
+            prompt,
+            responseFormat,
+            targetPolicy,
+            decisionLoop,
+            present(latencyCompensation) ? `latency=${latencyCompensation}` : null,
+            present(memoryStart) ? `memory=${memoryStart}` : null,
+            present(explorationMode) ? `explore=${explorationMode}` : null,
+            present(observation) ? `obs=${observation}` : null,
+            provider
+        ].filter(present);
+        const llmOptions = {
+            ...(base.llmOptions || {}),
+            ...(temperature !== undefined ? { temperature } : {}),
+            ...(prompt !== undefined ? { promptTemplate: prompt } : {}),
+            ...(responseFormat !== undefined ? { responseFormat } : {})
+        };
+        const candidate = {
+            ...base,
+            id: [prefix, ...idTags].map(sanitizeIdPart).join("-").slice(0, 64),
+            label: labelTags.length > 0 ? labelTags.join(" / ") : prefix,
+            ...(model !== undefined ? { model } : {}),
+            ...(mapId !== undefined ? { mapId } : {}),
+            ...(targetPolicy !== undefined ? { targetPolicy } : {}),
+            ...(decisionLoop !== undefined ? { decisionLoop } : {}),
+            ...(latencyCompensation !== undefined ? { latencyCompensation } : {}),
+            ...(memoryStart !== undefined ? { memoryStart } : {}),
+            ...(explorationMode !== undefined ? { explorationMode } : {}),
+            ...(observation !== undefined ? { observation } : {}),
+            ...(sensor || sensorFault
+                ? { physicsPatch: { ...(base.physicsPatch || {}), ...(sensor?.patch || {}), ...(sensorFault?.patch || {}) } }
+                : {}),
+            ...(Object.keys(llmOptions).length > 0 ? { llmOptions } : {}),
+            ...(provider !== undefined ? { llmBackend: { provider } } : {}),
+            factors
+        };
+        const normalized = normalizeExperimentCondition(candidate);
+        if (!normalized.ok) return { ok: false, error: `factorial cell ${normalized.error}` };
+        conditions.push(normalized.condition);
+    }
+    const ids = new Set(conditions.map((condition) => condition.id));
+    if (ids.size !== conditions.length) return { ok: false, error: "factorial levels produce duplicate condition ids" };
+    return { ok: true, conditions };
+};
+
+/**
+ * Conditions an experiment config runs from: factorial cells plus explicit `conditions`,
+ * or the built-in AB matrix when the config defines neither.
+ */
+export const resolveExperimentConditions = (config = {}) => {
+    const factorial = config?.factorial ? expandFactorialDesign(config.factorial) : null;
+    const custom = Array.isArray(config?.conditions) ? config.conditions : [];
+    const conditions = [...(factorial?.ok ? factorial.conditions : []), ...custom];
+    return conditions.length > 0 ? conditions : EXPERIMENT_CONDITION_MATRIX;
+};
+
+export const createInitialExperimentConfig = () => ({
+    repeats: 1,
+    runSeconds: 75,
+    selectedConditionIds: EXPERIMENT_CONDITION_MATRIX.map((condition) => condition.id),
+    saveMode: EXPERIMENT_SAVE_MODES.SINGLE_BUNDLE_END,
+    startAttemptsPerRun: EXPERIMENT_START_MAX_ATTEMPTS,
+    includeHtmlReport: false,
+    includeAllLogsBundle: false,
+    seed: DEFAULT_EXPERIMENT_SEED,
+    conditions: null,
+    factorial: null
+});
+
+export const buildExperimentPlan = (config = {}) => {
+    const repeats = Math.max(1, Math.min(6, Math.round(asFiniteNumber(config.repeats, 1))));
+    const runSeconds = Math.max(20, Math.min(240, Math.round(asFiniteNumber(config.runSeconds, 75))));
+    const selectedConditionIds = Array.isArray(config.selectedConditionIds)
+        ? config.selectedConditionIds.map((id) => String(id || "").trim()).filter(Boolean)
+        : [];
+    const baseSeed = normalizeSeed(config.seed, DEFAULT_EXPERIMENT_SEED);
+    const selectedSet = new Set(selectedConditionIds);
+    const activeConditions = resolveExperimentConditions(config).filter((condition) => selectedSet.has(condition.id));
+    const runs = [];
+
+    for (let repeat = 1; repeat <= repeats; repeat += 1) {
+        for (const condition of activeConditions) {
+            const safeId = String(condition.id || "EXP").toUpperCase().replace(/[^A-Z0-9_-]/g, "_");
+            runs.push({
+                ...condition,
+                repeat,
+                runSeconds,
+                runMs: runSeconds * 1000,
+                seed: deriveRunSeed(baseSeed, repeat),
+                runTag: `exp_${safeId.toLowerCase()}_r${repeat}`
+            });
+        }
+    }
+
+    return runs;
+};
+
+/**
+ * Snapshot a run's exploration memory starts from: none for "cold", the memory left by the previous repeat of the
+ * same condition for "carry" (none on its first repeat) and the loaded prior map for "prior".
+ */
+export const resolveRunPriorMemory = (run, { carried = new Map(), priorMap = null } = {}) => {
+    if (run?.memoryStart === EXPLORATION_MEMORY_STARTS.CARRY) return carried.get(run.id) || null;
+    if (run?.memoryStart === EXPLORATION_MEMORY_STARTS.PRIOR) return priorMap;
+    return null;
+};
+
+export const summarizeTelemetryForExperiment = (
+    history = [],
+    decisionCount = 0,
+    collisionSnapshot = createInitialCollisionStats()
+) => {
+    const points = Array.isArray(history) ? history : [];
+    if (points.length === 0) {
+        return {
+            telemetrySamples: 0,
+            decisionCount: asFiniteNumber(decisionCount, 0),
+            startDistance: null,
+            endDistance: null,
+            minDistance: null,
+            avgLatencyMs: null,
+            minObstacleDist: null,
+            maxTargetHitCount: 0,
+            collisionCount: collisionSnapshot.totalCount || 0,
+            sameWallCollisionCount: collisionSnapshot.sameWallRepeatCount || 0
+        };
+    }
+
+    let minDistance = Number.POSITIVE_INFINITY;
+    let minObstacleDist = Number.POSITIVE_INFINITY;
+    let maxTargetHitCount = 0;
+    let latencySum = 0;
+    let latencyCount = 0;
+
+    points.forEach((point) => {
+        const distance = asFiniteNumber(point?.distanceToTarget, Number.POSITIVE_INFINITY);
+        if (distance < minDistance) minDistance = distance;
+        const minObstacle = asFiniteNumber(point?.minObstacleDist, Number.POSITIVE_INFINITY);
+        if (minObstacle < minObstacleDist) minObstacleDist = minObstacle;
+        const hits = Math.max(
+            asFiniteNumber(point?.targetHitCount, 0),
+            asFiniteNumber(point?.targetsReached, 0)
+        );
+        if (hits > maxTargetHitCount) maxTargetHitCount = hits;
+        const latency = asFiniteNumber(point?.aiLatencyMs, 0);
+        if (latency > 0) {
+            latencySum += latency;
+            latencyCount += 1;
+        }
+    });
+
+    const first = points[0] || {};
+    const last = points[points.length - 1] || {};
+
+    return {
+        telemetrySamples: points.length,
+        decisionCount: asFiniteNumber(decisionCount, 0),
+        startDistance: asFiniteNumber(first.distanceToTarget, null),
+        endDistance: asFiniteNumber(last.distanceToTarget, null),
+        minDistance: Number.isFinite(minDistance) ? Number(minDistance.toFixed(3)) : null,
+        avgLatencyMs: latencyCount > 0 ? Number((latencySum / latencyCount).toFixed(1)) : null,
+        minObstacleDist: Number.isFinite(minObstacleDist) ? Number(minObstacleDist.toFixed(3)) : null,
+        maxTargetHitCount,
+        collisionCount: collisionSnapshot.totalCount || 0,
+        sameWallCollisionCount: collisionSnapshot.sameWallRepeatCount || 0
+    };
+};
+
+const meanOf = (values) => (values.length > 0 ? Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(3)) : null);
+
+/** Groups run results by the difficulty tier of their track map (runs on unanalyzed maps land in "unrated"). */
+export const groupResultsByMapDifficulty = (results = []) => {
+    const groups = new Map();
+    (Array.isArray(results) ? results : []).forEach((result) => {
+        const tier = result?.trackMap?.difficulty?.tier || "unrated";
+        if (!groups.has(tier)) groups.set(tier, []);
+        groups.get(tier).push(result);
+    });
+    return Array.from(groups.entries()).map(([tier, rows]) => ({
+        tier,
+        runs: rows.length,
+        mapIds: Array.from(new Set(rows.map((row) => row?.trackMap?.id).filter(Boolean))),
+        meanDifficultyScore: meanOf(rows.map((row) => row?.trackMap?.difficulty?.score).filter(Number.isFinite)),
+        meanTargetsReached: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.maxTargetHitCount, 0))),
+        meanCollisionCount: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.collisionCount, 0))),
+        meanMinDistance: meanOf(rows.map((row) => row?.metrics?.minDistance).filter(Number.isFinite))
+    }));
+};
+
+const rateOf = (count, total) => (total > 0 ? Number((count / total).toFixed(3)) : null);
+
+/**
+ * Parse-path counts for one run's decision log: strict parses, repairs, loose recoveries, truncation retries,
+ * unparseable replies and schema violations (records without ai_schema_violations are not counted as checked).
+ */
+export const summarizeDecisionParsing = (driveLog = []) => {
+    const records = Array.isArray(driveLog) ? driveLog : [];
+    const counts = { strict: 0, repaired: 0, looseRecovery: 0, retries: 0, unparseable: 0, apiErrors: 0, schemaChecked: 0, schemaInvalid: 0, schemaViolations: 0 };
+    records.forEach((record) => {
+        const method = String(record?.ai_parse_method || "");
+        if (method.startsWith("api_")) counts.apiErrors += 1;
+        else if (method.startsWith("unparseable")) counts.unparseable += 1;
+        else if (method.startsWith("loose_recovery")) counts.looseRecovery += 1;
+        else if (method.startsWith("strict")) counts.strict += 1;
+        else if (method) counts.repaired += 1;
+        if (method.endsWith("_retry")) counts.retries += 1;
+        if (Array.isArray(record?.ai_schema_violations)) {
+            counts.schemaChecked += 1;
+            if (record.ai_schema_violations.length > 0) counts.schemaInvalid += 1;
+            counts.schemaViolations += record.ai_schema_violations.length;
+        }
+    });
+    const replies = records.length - counts.apiErrors;
+    return {
+        decisions: records.length,
+        responseFormats: Array.from(new Set(records.map((record) => record?.ai_response_format).filter(Boolean))),
+        ...counts,
+        looseRecoveryRate: rateOf(counts.looseRecovery, replies),
+        retryRate: rateOf(counts.retries, replies),
+        unparseableRate: rateOf(counts.unparseable, replies),
+        schemaInvalidRate: rateOf(counts.schemaInvalid, counts.schemaChecked)
+    };
+};
+
+/**
+ * Timing of a pipelined run's decisions: on-time / shifted / rejected counts, mean latency, lateness and the
+ * plan time driven while thinking. Null for stop-and-think runs (records without a pipeline entry).
+ */
+export const summarizeDecisionPipeline = (driveLog = []) => {
+    const records = (Array.isArray(driveLog) ? driveLog : []).filter((record) => record?.pipeline);
+    if (records.length === 0) return null;
+    const count = (status) => records.filter((record) => record.pipeline.status === status).length;
+    const drivenSec = records.reduce(
+        (sum, record) => sum + (record.pipeline.carryExecuted || []).reduce((total, step) => total + asFiniteNumber(step?.duration, 0), 0),
+        0
+    );
+    return {
+        decisions: records.length,
+        onTime: count(PIPELINE_STATUSES.ON_TIME),
+        shifted: count(PIPELINE_STATUSES.SHIFTED),
+        rejected: count(PIPELINE_STATUSES.REJECTED),
+        rejectedRate: rateOf(count(PIPELINE_STATUSES.REJECTED), records.length),
+        meanLatencyMs: meanOf(records.map((record) => asFiniteNumber(record.pipeline.latencyMs, 0))),
+        meanLateMs: meanOf(records.map((record) => asFiniteNumber(record.pipeline.lateMs, 0))),
+        drivenWhileThinkingSec: Number(drivenSec.toFixed(3))
+    };
+};
+
+/** Compare stop-and-think against pipelined runs: targets, collisions and latency per decision loop mode. */
+export const groupResultsByDecisionLoop = (results = []) => {
+    const groups = new Map();
+    (Array.isArray(results) ? results : []).forEach((result) => {
+        const mode = result?.decisionLoop || DECISION_LOOP_MODES.STOP_THINK;
+        if (!groups.has(mode)) groups.set(mode, []);
+        groups.get(mode).push(result);
+    });
+    return Array.from(groups.entries()).map(([decisionLoop, rows]) => ({
+        decisionLoop,
+        runs: rows.length,
+        meanTargetsReached: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.maxTargetHitCount, 0))),
+        meanCollisionCount: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.collisionCount, 0))),
+        meanDecisionCount: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.decisionCount, 0))),
+        meanLatencyMs: meanOf(rows.map((row) => row?.metrics?.avgLatencyMs).filter(Number.isFinite)),
+        rejectedRate: rateOf(
+            rows.reduce((sum, row) => sum + asFiniteNumber(row?.metrics?.pipeline?.rejected, 0), 0),
+            rows.reduce((sum, row) => sum + asFiniteNumber(row?.metrics?.pipeline?.decisions, 0), 0)
+        )
+    }));
+};
+
+/**
+ * Accuracy of a compensated run's at-actuation predictions: mean position / heading / ray errors of the prediction
+ * and of the uncompensated "now" view, plus how often the prediction overstated front clearance. Null for runs
+ * without actuation_prediction records.
+ */
+export const summarizeLatencyPrediction = (driveLog = []) => {
+    const scores = (Array.isArray(driveLog) ? driveLog : []).map((record) => record?.actuation_prediction).filter(Boolean);
+    if (scores.length === 0) return null;
+    const mean = (pick) => meanOf(scores.map(pick).filter(Number.isFinite));
+    return {
+        decisions: scores.length,
+        meanHorizonMs: mean((score) => score.horizonMs),
+        meanAbsHorizonErrorMs: mean((score) => Math.abs(score.horizonErrorMs)),
+        meanPositionErrorM: mean((score) => score.error.positionM),
+        meanHeadingErrorDeg: mean((score) => score.error.headingDeg),
+        meanRayErrorM: mean((score) => score.error.rayMeanAbsM),
+        nowPositionErrorM: mean((score) => score.nowError.positionM),
+        nowRayErrorM: mean((score) => score.nowError.rayMeanAbsM),
+        frontClearanceOverstatedRate: rateOf(scores.filter((score) => score.error.frontArcBiasM > 0.25).length, scores.length)
+    };
+};
+
+/** Compare runs with and without latency compensation: targets, wall hits and prediction error per mode. */
+export const groupResultsByLatencyCompensation = (results = []) => {
+    const groups = new Map();
+    (Array.isArray(results) ? results : []).forEach((result) => {
+        const mode = result?.latencyCompensation || LATENCY_COMPENSATION_MODES.OFF;
+        if (!groups.has(mode)) groups.set(mode, []);
+        groups.get(mode).push(result);
+    });
+    return Array.from(groups.entries()).map(([latencyCompensation, rows]) => ({
+        latencyCompensation,
+        runs: rows.length,
+        meanTargetsReached: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.maxTargetHitCount, 0))),
+        meanCollisionCount: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.collisionCount, 0))),
+        meanLatencyMs: meanOf(rows.map((row) => row?.metrics?.avgLatencyMs).filter(Number.isFinite)),
+        meanPositionErrorM: meanOf(rows.map((row) => row?.metrics?.latencyPrediction?.meanPositionErrorM).filter(Number.isFinite)),
+        meanRayErrorM: meanOf(rows.map((row) => row?.metrics?.latencyPrediction?.meanRayErrorM).filter(Number.isFinite))
+    }));
+};
+
+/**
+ * Warm- versus cold-start view of one run: the map the memory started with (`memoryStart` is the session's
+ * { mode, priorCells } record), the cells it ended with and the sim seconds until the first target capture.
+ */
+export const summarizeMemoryStart = (memoryStart, telemetry = [], finalCells = null) => {
+    const points = Array.isArray(telemetry) ? telemetry : [];
+    const startedAt = asFiniteNumber(points[0]?.time, null);
+    const firstCapture = points.find((point) => asFiniteNumber(point?.targetsReached, 0) >= 1);
+    const priorCells = asFiniteNumber(memoryStart?.priorCells, 0);
+    return {
+        mode: memoryStart?.mode || EXPLORATION_MEMORY_STARTS.COLD,
+        priorCells,
+        finalCells: Number.isFinite(finalCells) ? finalCells : null,
+        newCells: Number.isFinite(finalCells) ? Math.max(0, finalCells - priorCells) : null,
+        firstTargetSec: firstCapture && startedAt !== null
+            ? Number(((asFiniteNumber(firstCapture.time, startedAt) - startedAt) / 1000).toFixed(2))
+            : null
+    };
+};
+
+/** Compare cold, carried and prior-map starts: targets, wall hits, time to first target and newly mapped cells. */
+export const groupResultsByMemoryStart = (results = []) => {
+    const groups = new Map();
+    (Array.isArray(results) ? results : []).forEach((result) => {
+        const mode = result?.memoryStart || EXPLORATION_MEMORY_STARTS.COLD;
+        if (!groups.has(mode)) groups.set(mode, []);
+        groups.get(mode).push(result);
+    });
+    return Array.from(groups.entries()).map(([memoryStart, rows]) => ({
+        memoryStart,
+        runs: rows.length,
+        warmRuns: rows.filter((row) => asFiniteNumber(row?.metrics?.memory?.priorCells, 0) > 0).length,
+        meanTargetsReached: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.maxTargetHitCount, 0))),
+        meanCollisionCount: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.collisionCount, 0))),
+        meanFirstTargetSec: meanOf(rows.map((row) => row?.metrics?.memory?.firstTargetSec).filter(Number.isFinite)),
+        meanPriorCells: meanOf(rows.map((row) => row?.metrics?.memory?.priorCells).filter(Number.isFinite)),
+        meanNewCells: meanOf(rows.map((row) => row?.metrics?.memory?.newCells).filter(Number.isFinite))
+    }));
+};
+
+/**
+ * Exploration efficiency of one run from the telemetry `coveragePct` trace (share of the reachable area seen):
+ * final and time-averaged coverage plus the sim seconds until half the reachable area was seen. All null when the
+ * session did not record coverage.
+ */
+export const summarizeCoverage = (telemetry = []) => {
+    const points = (Array.isArray(telemetry) ? telemetry : []).filter((point) => Number.isFinite(point?.coveragePct));
+    if (points.length === 0) return { finalPct: null, meanPct: null, secondsTo50Pct: null };
+    const startedAt = asFiniteNumber(points[0].time, 0);
+    const half = points.find((point) => point.coveragePct >= 50);
+    return {
+        finalPct: points[points.length - 1].coveragePct,
+        meanPct: Number(meanOf(points.map((point) => point.coveragePct)).toFixed(2)),
+        secondsTo50Pct: half ? Number(((asFiniteNumber(half.time, startedAt) - startedAt) / 1000).toFixed(2)) : null
+    };
+};
+
+/** Compare exploration efficiency per model and exploration mode: final / mean coverage and time to 50 %. */
+export const groupCoverageByModel = (results = []) => {
+    const groups = new Map();
+    (Array.isArray(results) ? results : []).forEach((result) => {
+        const coverage = result?.metrics?.coverage;
+        if (!coverage || !Number.isFinite(coverage.finalPct)) return;
+        const explorationMode = result.explorationMode || EXPLORATION_MODES.HEURISTIC;
+        const key = `${result.model}|${explorationMode}`;
+        if (!groups.has(key)) groups.set(key, { model: result.model, explorationMode, rows: [] });
+        groups.get(key).rows.push(coverage);
+    });
+    return Array.from(groups.values()).map(({ model, explorationMode, rows }) => ({
+        model,
+        explorationMode,
+        runs: rows.length,
+        meanFinalPct: meanOf(rows.map((row) => row.finalPct)),
+        meanCoveragePct: meanOf(rows.map((row) => row.meanPct).filter(Number.isFinite)),
+        reached50Rate: rateOf(rows.filter((row) => Number.isFinite(row.secondsTo50Pct)).length, rows.length),
+        meanSecondsTo50Pct: meanOf(rows.map((row) => row.secondsTo50Pct).filter(Number.isFinite))
+    }));
+};
+
+/**
+ * Compare text-only, image-only and text+image observation: targets, wall hits, latency (images add encoder time)
+ * and how often the reply could not be parsed.
+ */
+export const groupResultsByObservation = (results = []) => {
+    const groups = new Map();
+    (Array.isArray(results) ? results : []).forEach((result) => {
+        const mode = result?.observation || OBSERVATION_MODES.TEXT;
+        const key = `${result?.model}|${mode}`;
+        if (!groups.has(key)) groups.set(key, { model: result?.model, observation: mode, rows: [] });
+        groups.get(key).rows.push(result);
+    });
+    return Array.from(groups.values()).map(({ model, observation, rows }) => ({
+        model,
+        observation,
+        runs: rows.length,
+        meanTargetsReached: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.maxTargetHitCount, 0))),
+        meanCollisionCount: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.collisionCount, 0))),
+        meanLatencyMs: meanOf(rows.map((row) => row?.metrics?.avgLatencyMs).filter(Number.isFinite)),
+        meanUnparseableRate: meanOf(rows.map((row) => row?.metrics?.parsing?.unparseableRate).filter(Number.isFinite))
+    }));
+};
+
+/**
+ * Injected sensor faults of one run from the telemetry `sensorFault*` fields, plus how often the safety guard
+ * rewrote a decision. Per-sample counts are means over the telemetry samples; all null without fault samples.
+ */
+export const summarizeSensorFaults = (telemetry = [], driveLog = []) => {
+    const points = (Array.isArray(telemetry) ? telemetry : []).filter((point) => point?.sensorFaultActive);
+    const records = (Array.isArray(driveLog) ? driveLog : []).filter((record) => record?.safety_guard);
+    const guardAppliedRate = rateOf(records.filter((record) => record.safety_guard.guardApplied).length, records.length);
+    if (points.length === 0) {
+        return { samples: 0, dropoutsPerSample: null, stuckRaysPerSample: null, falseTargetsPerSample: null, meanDeliveryAgeMs: null, guardAppliedRate };
+    }
+    const perSample = (field) => meanOf(points.map((point) => asFiniteNumber(point[field], 0)));
+    return {
+        samples: points.length,
+        dropoutsPerSample: perSample("sensorFaultDropouts"),
+        stuckRaysPerSample: perSample("sensorFaultStuckRays"),
+        falseTargetsPerSample: perSample("sensorFaultFalseTargets"),
+        meanDeliveryAgeMs: Math.round(meanOf(points.map((point) => asFiniteNumber(point.sensorFaultAgeMs, 0)))),
+        guardAppliedRate
+    };
+};
+
+/**
+ * Compare runs per model and sensor fault profile (describeSensorFaults of the run's physicsSettings): targets,
+ * wall hits and safety-guard interventions, to see how much imperfect perception costs the driver.
+ */
+export const groupResultsBySensorFaults = (results = []) => {
+    const groups = new Map();
+    (Array.isArray(results) ? results : []).forEach((result) => {
+        const sensorFaults = describeSensorFaults(result?.physicsSettings);
+        const key = `${result?.model}|${sensorFaults}`;
+        if (!groups.has(key)) groups.set(key, { model: result?.model, sensorFaults, rows: [] });
+        groups.get(key).rows.push(result);
+    });
+    return Array.from(groups.values()).map(({ model, sensorFaults, rows }) => ({
+        model,
+        sensorFaults,
+        runs: rows.length,
+        meanTargetsReached: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.maxTargetHitCount, 0))),
+        meanCollisionCount: meanOf(rows.map((row) => asFiniteNumber(row?.metrics?.collisionCount, 0))),
+        meanGuardAppliedRate: meanOf(rows.map((row) => row?.metrics?.sensorFaults?.guardAppliedRate).filter(Number.isFinite))
+    }));
+};
+
+/** Pool run parse stats per model and response format, to compare constrained decoding against plain JSON mode. */
+export const groupParsingByModelAndFormat = (results = []) => {
+    const groups = new Map();
+    (Array.isArray(results) ? results : []).forEach((result) => {
+        const parsing = result?.metrics?.parsing;
+        if (!parsing) return;
+        const responseFormat = parsing.responseFormats.join("+") || "unknown";
+        const key = `${result.model}|${responseFormat}`;
+        if (!groups.has(key)) groups.set(key, { model: result.model, responseFormat, rows: [] });
+        groups.get(key).rows.push(parsing);
+    });
+    return Array.from(groups.values()).map(({ model, responseFormat, rows }) => {
+        const sum = (field) => rows.reduce((total, row) => total + asFiniteNumber(row[field], 0), 0);
+        const replies = sum("decisions") - sum("apiErrors");
+        return {
+            model,
+            responseFormat,
+            runs: rows.length,
+            decisions: sum("decisions"),
+            looseRecoveryRate: rateOf(sum("looseRecovery"), replies),
+            retryRate: rateOf(sum("retries"), replies),
+            unparseableRate: rateOf(sum("unparseable"), replies),
+            schemaInvalidRate: rateOf(sum("schemaInvalid"), sum("schemaChecked"))
+        };
+    });
+};
+
+export const DEFAULT_PHYSICS_SETTINGS = Object.freeze({
+    speedForce: 12000, // Boosted: High Speed enabled by Safety Stop
+    turnTorque: 200,
+    linearDamping: 0.2,
+    interval: 1000,
+    sensorDynamic: true,
+    sensorRangeMin: 7,
+    sensorRangeMax: 14,
+    ...DEFAULT_SENSOR_FAULTS
+});
+
+// Validates the optional `conditions` list and `factorial` spec; absent keys keep the base catalog.
+const normalizeConditionCatalog = (source, base) => {
+    let conditions = Array.isArray(base?.conditions) ? base.conditions : null;
+    let factorial = base?.factorial || null;
+    if (source.conditions !== undefined) {
+        if (source.conditions !== null && !Array.isArray(source.conditions)) return { error: "config.conditions must be an array" };
+        conditions = [];
+        for (const node of source.conditions || []) {
+            const normalized = normalizeExperimentCondition(node);
+            if (!normalized.ok) return { error: `config.conditions: ${normalized.error}` };
+            conditions.push(normalized.condition);
+        }
+        if (conditions.length === 0) conditions = null;
+    }
+    if (source.factorial !== undefined) {
+        factorial = null;
+        if (source.factorial !== null) {
+            const expanded = expandFactorialDesign(source.factorial);
+            if (!expanded.ok) return { error: `config.factorial: ${expanded.error}` };
+            factorial = JSON.parse(JSON.stringify(source.factorial));
+        }
+    }
+    const ids = resolveExperimentConditions({ conditions, factorial }).map((condition) => condition.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) return { error: `duplicate condition id "${duplicate}"` };
+    return { conditions, factorial };
+};
+
+/**
+ * Clamp a config node onto `base` (a full experiment config). Unknown condition IDs are dropped and reported.
+ */
+export const normalizeExperimentConfig = (node = {}, base = createInitialExperimentConfig()) => {
+    const source = node && typeof node === "object" ? node : {};
+    const catalog = normalizeConditionCatalog(source, base);
+    if (catalog.error) return { config: { ...base }, invalidConditionIds: [], error: catalog.error };
+    const catalogConditions = resolveExperimentConditions(catalog);
+    const allowedConditionIds = new Set(catalogConditions.map((condition) => condition.id));
+    // A config that brings its own conditions runs all of them unless it names a subset.
+    const catalogChanged = source.conditions !== undefined || source.factorial !== undefined;
+    const providedConditionIds = Array.isArray(source.selectedConditionIds)
+        ? source.selectedConditionIds.map((id) => String(id || "").trim()).filter(Boolean)
+        : (catalogChanged ? catalogConditions.map((condition) => condition.id) : null);
+    const invalidConditionIds = Array.isArray(providedConditionIds)
+        ? providedConditionIds.filter((id) => !allowedConditionIds.has(id))
+        : [];
+
+    const config = {
+        ...base,
+        repeats: Number.isFinite(source.repeats)
+            ? Math.max(1, Math.min(6, Math.round(source.repeats)))
+            : base.repeats,
+        runSeconds: Number.isFinite(source.runSeconds)
+            ? Math.max(20, Math.min(240, Math.round(source.runSeconds)))
+            : base.runSeconds,
+        saveMode: (
+            source.saveMode === EXPERIMENT_SAVE_MODES.SINGLE_BUNDLE_END
+            || source.saveMode === EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN
+        ) ? source.saveMode : base.saveMode,
+        startAttemptsPerRun: Number.isFinite(source.startAttemptsPerRun)
+            ? Math.max(1, Math.min(5, Math.round(source.startAttemptsPerRun)))
+            : base.startAttemptsPerRun,
+        selectedConditionIds: Array.isArray(providedConditionIds)
+            ? providedConditionIds.filter((id) => allowedConditionIds.has(id))
+            : base.selectedConditionIds,
+        includeHtmlReport: typeof source.includeHtmlReport === "boolean"
+            ? source.includeHtmlReport
+            : base.includeHtmlReport,
+        includeAllLogsBundle: typeof source.includeAllLogsBundle === "boolean"
+            ? source.includeAllLogsBundle
+            : base.includeAllLogsBundle,
+        seed: normalizeSeed(source.seed, normalizeSeed(base.seed, DEFAULT_EXPERIMENT_SEED)),
+        conditions: catalog.conditions,
+        factorial: catalog.factorial
+    };
+    return { config, invalidConditionIds, error: null };
+};
+
+const clampToLimit = (key, value) => {
+    const [min, max] = CONDITION_VALUE_LIMITS[key];
+    return Math.max(min, Math.min(max, value));
+};
+
+/**
+ * Apply the physicsSettings node of a config JSON onto `base`, clamped to CONDITION_VALUE_LIMITS (the ranges a
+ * condition's physicsPatch and the physics panel use).
+ */
+export const normalizePhysicsSettingsFromConfig = (node, base = DEFAULT_PHYSICS_SETTINGS) => {
+    const next = { ...base };
+    if (!node || typeof node !== "object") return next;
+    if (Number.isFinite(node.speedForce)) next.speedForce = clampToLimit("speedForce", Math.round(node.speedForce));
+    if (Number.isFinite(node.turnTorque)) next.turnTorque = clampToLimit("turnTorque", Math.round(node.turnTorque));
+    if (typeof node.sensorDynamic === "boolean") next.sensorDynamic = node.sensorDynamic;
+    if (Number.isFinite(node.sensorRangeMin)) next.sensorRangeMin = clampToLimit("sensorRangeMin", Number(node.sensorRangeMin));
+    if (Number.isFinite(node.sensorRangeMax)) next.sensorRangeMax = clampToLimit("sensorRangeMax", Number(node.sensorRangeMax));
+    if (next.sensorRangeMax < next.sensorRangeMin + 0.5) {
+        next.sensorRangeMax = next.sensorRangeMin + 0.5;
+    }
+    const faults = normalizeSensorFaults(node);
+    for (const key of SENSOR_FAULT_KEYS) {
+        if (Number.isFinite(node[key])) next[key] = faults[key];
+    }
+    return next;
+};
+
+/**
+ * Merge a condition's physicsPatch, keeping sensorRangeMax at least 0.5m above sensorRangeMin.
+ */
+export const applyConditionPhysicsPatch = (prev, patch) => {
+    if (!patch || typeof patch !== "object") return { ...prev };
+    const nextMin = Number.isFinite(patch.sensorRangeMin) ? patch.sensorRangeMin : prev.sensorRangeMin;
+    const nextMaxRaw = Number.isFinite(patch.sensorRangeMax) ? patch.sensorRangeMax : prev.sensorRangeMax;
+    const nextMax = Math.max(nextMin + 0.5, nextMaxRaw);
+    return {
+        ...prev,
+        ...patch,
+        sensorRangeMin: nextMin,
+        sensorRangeMax: nextMax
+    };
+};
+
+/**
+ * Parse an exported experiment config JSON ({ schema, version, config, environment }) against the current settings.
+ * Returns { ok: false, error } on a structural problem; otherwise the merged config plus environment values.
+ */
+export const parseExperimentConfigPayload = (payload, base = {}) => {
+    if (!payload || typeof payload !== "object") {
+        return { ok: false, error: "root must be an object" };
+    }
+    const schemaId = typeof payload.schema === "string" ? payload.schema.trim() : "";
+    if (schemaId && schemaId !== EXPERIMENT_CONFIG_SCHEMA_ID) {
+        return { ok: false, error: `Invalid config schema: ${schemaId}`, schemaId };
+    }
+    const configNode = payload?.config && typeof payload.config === "object"
+        ? payload.config
+        : payload;
+    const envNode = payload?.environment && typeof payload.environment === "object"
+        ? payload.environment
+        : {};
+
+    const { config, invalidConditionIds, error } = normalizeExperimentConfig(configNode, base.config || createInitialExperimentConfig());
+    if (error) return { ok: false, error };
+
+    const selectedModelCandidate = [configNode.selectedModel, envNode.selectedModel]
+        .find((value) => typeof value === "string" && value.trim().length > 0);
+    const llmBackendNode = [envNode.llmBackend, configNode.llmBackend]
+        .find((value) => value && typeof value === "object");
+    const physicsNode = envNode.physicsSettings && typeof envNode.physicsSettings === "object"
+        ? envNode.physicsSettings
+        : (configNode.physicsSettings && typeof configNode.physicsSettings === "object" ? configNode.physicsSettings : null);
+
+    return {
+        ok: true,
+        schemaId,
+        version: Number.isFinite(payload.version) ? Math.round(payload.version) : null,
+        config,
+        invalidConditionIds,
+        selectedModel: typeof selectedModelCandidate === "string" ? selectedModelCandidate.trim() : null,
+        llmBackend: llmBackendNode ? normalizeLlmBackend(llmBackendNode, base.llmBackend) : null,
+        physicsSettings: physicsNode
+            ? normalizePhysicsSettingsFromConfig(physicsNode, base.physicsSettings || DEFAULT_PHYSICS_SETTINGS)
+            : null
+    };
+};
+
+/**
+ * Build the exportable experiment config JSON (inverse of parseExperimentConfigPayload).
+ */
+export const buildExperimentConfigPayload = ({ config, selectedModel, llmBackend, physicsSettings, exportedAt = Date.now() }) => {
+    const source = config || createInitialExperimentConfig();
+    const settings = physicsSettings || DEFAULT_PHYSICS_SETTINGS;
+    return {
+        schema: EXPERIMENT_CONFIG_SCHEMA_ID,
+        version: EXPERIMENT_CONFIG_SCHEMA_VERSION,
+        exportedAt: new Date(exportedAt).toISOString(),
+        config: {
+            repeats: Math.max(1, Math.min(6, Math.round(asFiniteNumber(source.repeats, 1)))),
+            runSeconds: Math.max(20, Math.min(240, Math.round(asFiniteNumber(source.runSeconds, 75)))),
+            selectedConditionIds: Array.isArray(source.selectedConditionIds) ? source.selectedConditionIds : [],
+            saveMode: source.saveMode === EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN
+                ? EXPERIMENT_SAVE_MODES.SPLIT_PER_RUN
+                : EXPERIMENT_SAVE_MODES.SINGLE_BUNDLE_END,
+            startAttemptsPerRun: Math.max(
+                1,
+                Math.min(5, Math.round(asFiniteNumber(source.startAttemptsPerRun, EXPERIMENT_START_MAX_ATTEMPTS)))
+            ),
+            includeHtmlReport: !!source.includeHtmlReport,
+            includeAllLogsBundle: !!source.includeAllLogsBundle,
+            seed: normalizeSeed(source.seed, DEFAULT_EXPERIMENT_SEED),
+            ...(Array.isArray(source.conditions) && source.conditions.length > 0 ? { conditions: source.conditions } : {}),
+            ...(source.factorial ? { factorial: source.factorial } : {})
+        },
+        environment: {
+            selectedModel,
+            llmBackend: normalizeLlmBackend(llmBackend),
+            physicsSettings: {
+                speedForce: asFiniteNumber(settings.speedForce, 8000),
+                turnTorque: asFiniteNumber(settings.turnTorque, 200),
+                sensorDynamic: settings.sensorDynamic !== false,
+                sensorRangeMin: asFiniteNumber(settings.sensorRangeMin, 7),
+                sensorRangeMax: asFiniteNumber(settings.sensorRangeMax, 14),
+                ...normalizeSensorFaults(settings)
+            }
+        },
+        conditionCatalog: resolveExperimentConditions(source).map((condition) => ({
+            id: condition.id,
+            label: condition.label,
+            model: condition.model,
+            mapId: condition.mapId || null,
+            targetPolicy: condition.targetPolicy || null,
+            decisionLoop: condition.decisionLoop || null,
+            latencyCompensation: condition.latencyCompensation || null,
+            memoryStart: condition.memoryStart || null,
+            explorationMode: condition.explorationMode || null,
+            observation: condition.observation || null,
+            observationView: condition.observationView || null,
+            physicsPatch: condition.physicsPatch || null,
+            llmOptions: condition.llmOptions || null,
+            llmBackend: condition.llmBackend || null
+        }))
+    };
+};
@@ -1,3 +1,7 @@
+import { DEFAULT_OCCUPANCY_RESOLUTION, createOccupancyGrid } from "./occupancyGrid.js";
+import { detectFrontierClusters, isFrontierCell } from "./frontierDetection.js";
+import { octileDistance, planGridPath, simplifyGridPath, smoothGridPath } from "./pathPlanner.js";
+
 const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
 const asNumber = (value, fallback = null) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
 const round = (value, digits = 3) => {
@@ -35,6 +39,18 @@ const SENSOR_RAYS = [
 ];
 const OUTER_WALL_REPEAT_HARD_NO_GO_HITS = 2;
 const OBSTACLE_REPEAT_HARD_NO_GO_HITS = 3;
+// Route planning: cells above this risk are impassable; known cells cost extra by risk, unknown ones a flat penalty.
+const ROUTE_BLOCK_RISK = 0.78;
+const ROUTE_RISK_COST = 3.0;
+const ROUTE_UNKNOWN_COST = 0.5;
+// Without world bounds, the search stays within the mapped extent plus this margin.
+const ROUTE_UNBOUNDED_MARGIN_CELLS = 3;
+const ROUTE_MAX_WAYPOINTS = 8;
+// Frontier goals closer than this share of the sensor range are gaps between the 8 rays of the current scan,
+// not unexplored space.
+const ROUTE_FRONTIER_MIN_RANGE_RATIO = 0.5;
+// Frontier clusters listed in the context, best utility (size over distance) first.
+const FRONTIER_CONTEXT_MAX_CLUSTERS = 5;
 
 const getBoundsPenalty = (x, z, bounds) => {
     if (!bounds) return { outside: false, penalty: 0 };
@@ -97,6 +113,95 @@ const relativeSector = (fromX, fromZ, headingDeg, toX, toZ) => {
     return angle > 0 ? "R" : "L";
 };
 
+// Bearing from a pose to a point, same sign as sensor angleToTarget: positive means turn left.
+const bearingFromPose = (x, z, headingDeg, toX, toZ) => {
+    const headingRad = (headingDeg * Math.PI) / 180;
+    const fx = Math.sin(headingRad);
+    const fz = Math.cos(headingRad);
+    const dx = toX - x;
+    const dz = toZ - z;
+    return Math.atan2((fz * dx) - (fx * dz), (fx * dx) + (fz * dz)) * (180 / Math.PI);
+};
+
+const sectorForBearing = (bearingDeg) => {
+    if (Math.abs(bearingDeg) <= 30) return "F";
+    if (Math.abs(bearingDeg) >= 150) return "B";
+    return bearingDeg > 0 ? "L" : "R";
+};
+
+// "heuristic" ranks neighbour cells by the novelty / open / risk score only; "frontier" also sends the frontier
+// route to the best frontier cluster and takes the preferred sector from that route.
+export const EXPLORATION_MODES = Object.freeze({
+    HEURISTIC: "heuristic",
+    FRONTIER: "frontier",
+});
+export const DEFAULT_EXPLORATION_MODE = EXPLORATION_MODES.HEURISTIC;
+
+export const isExplorationMode = (value) => Object.values(EXPLORATION_MODES).includes(value);
+
+export const EXPLORATION_ROUTE_GRIDS = Object.freeze({
+    OCCUPANCY: "occupancy",
+    MEMORY: "memory",
+});
+
+export const EXPLORATION_MEMORY_SCHEMA_ID = "gemma-autodrive-exploration-memory";
+export const EXPLORATION_MEMORY_SCHEMA_VERSION = 1;
+
+// How a run's memory starts: empty, from where the previous repeat of the same condition left it, or from a loaded map.
+export const EXPLORATION_MEMORY_STARTS = Object.freeze({
+    COLD: "cold",
+    CARRY: "carry",
+    PRIOR: "prior",
+});
+export const DEFAULT_EXPLORATION_MEMORY_START = EXPLORATION_MEMORY_STARTS.COLD;
+
+export const isExplorationMemoryStart = (value) => Object.values(EXPLORATION_MEMORY_STARTS).includes(value);
+
+const createEmptyCell = () => ({
+    visits: 0,
+    lastSeen: 0,
+    riskEMA: 0,
+    stuckCount: 0,
+    targetHitCount: 0,
+    targetMissCount: 0,
+    targetAbsenceEMA: 0,
+    lastTargetSeenAt: 0,
+    lastTargetMissAt: 0,
+    obstacleHits: 0,
+    outerWallHits: 0,
+    openHits: 0,
+});
+const CELL_FIELDS = Object.keys(createEmptyCell());
+
+/**
+ * Validate a saved memory snapshot (see serialize()). Accepts the snapshot itself or an all-logs bundle that carries
+ * it under `files.explorationMemory`. Returns { ok: true, snapshot } or { ok: false, error }.
+ */
+export const parseExplorationMemoryPayload = (payload) => {
+    const snapshot = payload?.files?.explorationMemory ?? payload?.explorationMemory ?? payload;
+    if (!snapshot || typeof snapshot !== "object" || Array.isArray(snapshot)) {
+        return { ok: false, error: "root must be an object" };
+    }
+    const schemaId = typeof snapshot.schema === "string" ? snapshot.schema.trim() : "";
+    if (schemaId !== EXPLORATION_MEMORY_SCHEMA_ID) {
+        return { ok: false, error: `Invalid exploration memory schema: ${schemaId || "(missing)"}` };
+    }
+    const version = Number.isFinite(snapshot.version) ? Math.round(snapshot.version) : 0;
+    if (version < 1 || version > EXPLORATION_MEMORY_SCHEMA_VERSION) {
+        return { ok: false, error: `Unsupported exploration memory version: ${snapshot.version}` };
+    }
+    if (!(asNumber(snapshot.cellSize, 0) > 0)) return { ok: false, error: "cellSize must be a positive number" };
+    if (!Array.isArray(snapshot.cells)) return { ok: false, error: "cells must be an array" };
+    for (let i = 0; i < snapshot.cells.length; i += 1) {
+        const cell = snapshot.cells[i];
+        if (!Number.isInteger(cell?.ix) || !Number.isInteger(cell?.iz)) {
+            return { ok: false, error: `cells[${i}] needs integer ix / iz` };
+        }
+    }
+    if (snapshot.path !== undefined && !Array.isArray(snapshot.path)) return { ok: false, error: "path must be an array" };
+    return { ok: true, snapshot };
+};
+
 export function createExplorationMemory(options = {}) {
     const state = {
         cellSize: options.cellSize ?? 2.0,
@@ -105,26 +210,20 @@ export function createExplorationMemory(options = {}) {
         worldBounds: options.worldBounds ?? null,
         cells: new Map(),
         path: [],
+        // Log-odds occupancy layer at its own (finer) resolution, fed by the same scans.
+        occupancy: createOccupancyGrid({
+            resolution: options.occupancyResolution ?? DEFAULT_OCCUPANCY_RESOLUTION,
+            worldBounds: options.worldBounds ?? null,
+        }),
+        routeGrid: options.routeGrid === EXPLORATION_ROUTE_GRIDS.MEMORY ? EXPLORATION_ROUTE_GRIDS.MEMORY : EXPLORATION_ROUTE_GRIDS.OCCUPANCY,
+        explorationMode: isExplorationMode(options.explorationMode) ? options.explorationMode : DEFAULT_EXPLORATION_MODE,
     };
 
     const getOrCreateCell = (ix, iz) => {
         const key = cellKey(ix, iz);
         let cell = state.cells.get(key);
         if (!cell) {
-            cell = {
-                visits: 0,
-                lastSeen: 0,
-                riskEMA: 0,
-                stuckCount: 0,
-                targetHitCount: 0,
-                targetMissCount: 0,
-                targetAbsenceEMA: 0,
-                lastTargetSeenAt: 0,
-                lastTargetMissAt: 0,
-                obstacleHits: 0,
-                outerWallHits: 0,
-                openHits: 0,
-            };
+            cell = createEmptyCell();
             state.cells.set(key, cell);
         }
         return cell;
@@ -289,6 +388,179 @@ export function createExplorationMemory(options = {}) {
         };
     };
 
+    // Memory-grid view for the path planner: no-go cells (outside bounds, obstacle dominant, high risk) are blocked,
+    // passable cells cost extra by risk and unknown cells (no evidence yet) are passable at a flat penalty.
+    const buildMemoryRouteGrid = (start) => {
+        let extent = null;
+        if (!state.worldBounds) {
+            extent = { minIx: start.ix, maxIx: start.ix, minIz: start.iz, maxIz: start.iz };
+            state.cells.forEach((_, key) => {
+                const { ix, iz } = parseCellKey(key);
+                extent.minIx = Math.min(extent.minIx, ix);
+                extent.maxIx = Math.max(extent.maxIx, ix);
+                extent.minIz = Math.min(extent.minIz, iz);
+                extent.maxIz = Math.max(extent.maxIz, iz);
+            });
+        }
+        const inBounds = (ix, iz) => {
+            if (extent) {
+                return ix >= extent.minIx - ROUTE_UNBOUNDED_MARGIN_CELLS && ix <= extent.maxIx + ROUTE_UNBOUNDED_MARGIN_CELLS
+                    && iz >= extent.minIz - ROUTE_UNBOUNDED_MARGIN_CELLS && iz <= extent.maxIz + ROUTE_UNBOUNDED_MARGIN_CELLS;
+            }
+            const center = toCellCenter(ix, iz, state.cellSize);
+            return isInsideBounds(center.x, center.z, state.worldBounds);
+        };
+        const isKnown = (ix, iz) => {
+            const cell = state.cells.get(cellKey(ix, iz));
+            return !!cell && ((cell.openHits ?? 0) + (cell.obstacleHits ?? 0) + (cell.visits ?? 0)) > 0;
+        };
+        const isBlocked = (ix, iz) => {
+            if (!inBounds(ix, iz)) return true;
+            const cell = state.cells.get(cellKey(ix, iz));
+            if (!cell) return false;
+            return isCellObstacleDominant(cell) || clamp(cell.riskEMA ?? 0, 0, 1) > ROUTE_BLOCK_RISK;
+        };
+        const cost = (ix, iz) => {
+            if (!isKnown(ix, iz)) return ROUTE_UNKNOWN_COST;
+            return clamp(state.cells.get(cellKey(ix, iz)).riskEMA ?? 0, 0, 1) * ROUTE_RISK_COST;
+        };
+        return {
+            name: EXPLORATION_ROUTE_GRIDS.MEMORY,
+            cellSize: state.cellSize,
+            toCell: (x, z) => toGrid(x, z, state.cellSize),
+            cellCenter: (ix, iz) => toCellCenter(ix, iz, state.cellSize),
+            inBounds,
+            isBlocked,
+            isKnown,
+            cost,
+            knownCells: () => Array.from(state.cells.keys(), parseCellKey).filter(({ ix, iz }) => isKnown(ix, iz)),
+        };
+    };
+
+    // The start and an explicit goal stay enterable: the car may sit in a risky cell, the target near a wall.
+    const withOpenEndpoints = (grid, start, goal = null) => ({
+        ...grid,
+        isBlocked: (ix, iz) => {
+            if (grid.inBounds(ix, iz) && ((ix === start.ix && iz === start.iz) || (goal && ix === goal.ix && iz === goal.iz))) return false;
+            return grid.isBlocked(ix, iz);
+        },
+    });
+
+    const describeRoute = (goal, plan, grid, x, z, headingDeg) => {
+        if (!plan.found) return { goal, reachable: false };
+        const waypoints = smoothGridPath(grid, simplifyGridPath(plan.cells));
+        let lengthCells = 0;
+        for (let i = 1; i < plan.cells.length; i += 1) {
+            lengthCells += octileDistance(plan.cells[i - 1], plan.cells[i]);
+        }
+        const nextCell = waypoints[1] || null;
+        let next = null;
+        if (nextCell) {
+            const center = grid.cellCenter(nextCell.ix, nextCell.iz);
+            const bearingDeg = bearingFromPose(x, z, headingDeg, center.x, center.z);
+            next = {
+                ix: nextCell.ix,
+                iz: nextCell.iz,
+                x: round(center.x, 2),
+                z: round(center.z, 2),
+                distanceM: round(Math.hypot(center.x - x, center.z - z), 2),
+                bearingDeg: round(bearingDeg, 1),
+                sector: sectorForBearing(bearingDeg),
+            };
+        }
+        return {
+            goal,
+            reachable: true,
+            goalCell: { ...plan.cells[plan.cells.length - 1] },
+            lengthM: round(lengthCells * grid.cellSize, 2),
+            costM: round(plan.cost * grid.cellSize, 2),
+            expanded: plan.expanded,
+            waypoints: waypoints.slice(0, ROUTE_MAX_WAYPOINTS).map((cell) => {
+                const center = grid.cellCenter(cell.ix, cell.iz);
+                return { ix: cell.ix, iz: cell.iz, x: round(center.x, 2), z: round(center.z, 2) };
+            }),
+            next,
+        };
+    };
+
+    // Frontier cluster as seen from the car; utility favours long frontiers close by.
+    const describeFrontierCluster = (cluster, grid, x, z, headingDeg) => {
+        const distanceM = Math.hypot(cluster.centroid.x - x, cluster.centroid.z - z);
+        const bearingDeg = bearingFromPose(x, z, headingDeg, cluster.centroid.x, cluster.centroid.z);
+        const sizeM = cluster.sizeCells * grid.cellSize;
+        return {
+            x: round(cluster.centroid.x, 2),
+            z: round(cluster.centroid.z, 2),
+            sizeCells: cluster.sizeCells,
+            sizeM: round(sizeM, 2),
+            distanceM: round(distanceM, 2),
+            bearingDeg: round(bearingDeg, 1),
+            sector: sectorForBearing(bearingDeg),
+            utility: round(sizeM / (1 + distanceM)),
+        };
+    };
+
+    /**
+     * Plan routes from the car's cell over the route grid (occupancy layer or memory cells, see `routeGrid`): to the
+     * target (when the sensor payload carries its world position) and to a frontier. The frontier goal is the cheapest
+     * frontier cell, or in "frontier" mode the best-utility cluster at least half a sensor range away. `recommended`
+     * is the target route when it is reachable, otherwise the frontier route. Cell indices are in the route grid.
+     * Returns { routes, frontierClusters }.
+     */
+    const planRoutes = (sensorData) => {
+        const x = asNumber(sensorData?.worldX);
+        const z = asNumber(sensorData?.worldZ);
+        if (x === null || z === null) return null;
+        const headingDeg = asNumber(sensorData?.headingDeg, 0);
+        const baseGrid = state.routeGrid === EXPLORATION_ROUTE_GRIDS.MEMORY
+            ? buildMemoryRouteGrid(toGrid(x, z, state.cellSize))
+            : state.occupancy.toPlannerGrid();
+        const start = baseGrid.toCell(x, z);
+
+        let target = null;
+        const targetX = asNumber(sensorData?.targetX);
+        const targetZ = asNumber(sensorData?.targetZ);
+        if (targetX !== null && targetZ !== null) {
+            const bounded = clampPointToBounds(targetX, targetZ, state.worldBounds);
+            const goalCell = baseGrid.toCell(bounded.x, bounded.z);
+            const grid = withOpenEndpoints(baseGrid, start, goalCell);
+            const plan = planGridPath(grid, start, {
+                isGoal: (ix, iz) => ix === goalCell.ix && iz === goalCell.iz,
+                heuristic: (ix, iz) => octileDistance({ ix, iz }, goalCell),
+            });
+            target = describeRoute("TARGET", plan, grid, x, z, headingDeg);
+        }
+
+        const frontierGrid = withOpenEndpoints(baseGrid, start);
+        const minFrontierDistance = state.sensorRange * ROUTE_FRONTIER_MIN_RANGE_RATIO;
+        const clusters = detectFrontierClusters(frontierGrid)
+            .map((cluster) => ({ cluster, summary: describeFrontierCluster(cluster, frontierGrid, x, z, headingDeg) }))
+            .sort((a, b) => b.summary.utility - a.summary.utility);
+        const goalCluster = state.explorationMode === EXPLORATION_MODES.FRONTIER
+            ? clusters.find(({ summary }) => summary.distanceM >= minFrontierDistance) || null
+            : null;
+        const goalKeys = goalCluster ? new Set(goalCluster.cluster.cells.map((cell) => cellKey(cell.ix, cell.iz))) : null;
+        const frontierPlan = planGridPath(frontierGrid, start, {
+            isGoal: (ix, iz) => {
+                if (goalKeys) return goalKeys.has(cellKey(ix, iz));
+                const center = frontierGrid.cellCenter(ix, iz);
+                return Math.hypot(center.x - x, center.z - z) >= minFrontierDistance && isFrontierCell(frontierGrid, ix, iz);
+            },
+        });
+        const frontier = describeRoute("FRONTIER", frontierPlan, frontierGrid, x, z, headingDeg);
+
+        let recommended = "NONE";
+        if (target?.reachable) recommended = "TARGET";
+        else if (frontier.reachable) recommended = "FRONTIER";
+        return {
+            routes: { grid: baseGrid.name, cellSize: baseGrid.cellSize, target, frontier, recommended },
+            frontierClusters: clusters.slice(0, FRONTIER_CONTEXT_MAX_CLUSTERS).map(({ cluster, summary }) => ({
+                ...summary,
+                selected: cluster === goalCluster?.cluster,
+            })),
+        };
+    };
+
     const update = (sensorData, now = Date.now()) => {
         const x = asNumber(sensorData?.worldX);
         const z = asNumber(sensorData?.worldZ);
@@ -337,6 +609,8 @@ export function createExplorationMemory(options = {}) {
         state.path.push({ ix, iz, t: now });
         if (state.path.length > 500) state.path.shift();
 
+        state.occupancy.integrate({ ...sensorData, sensorRange });
+
         // Integrate all rays so wall direction is encoded in memory map, not only front.
         SENSOR_RAYS.forEach((ray) => {
             const dist = asNumber(sensorData?.[ray.name], sensorRange);
@@ -465,7 +739,11 @@ export function createExplorationMemory(options = {}) {
         });
 
         sectorScores.sort((a, b) => b.score - a.score);
-        const preferredSector = sectorScores[0]?.sector || "F";
+        const planning = optionsArg.planRoutes === false ? null : planRoutes(sensorData);
+        const routes = planning?.routes ?? null;
+        // Frontier mode steers for the selected frontier cluster when its route exists.
+        const frontierNext = state.explorationMode === EXPLORATION_MODES.FRONTIER ? routes?.frontier?.next : null;
+        const preferredSector = frontierNext?.sector || sectorScores[0]?.sector || "F";
 
         const diagnosticsCandidates = candidates.map((candidate) => {
             const noGoReasons = getNoGoReasons(candidate);
@@ -548,7 +826,8 @@ export function createExplorationMemory(options = {}) {
         const targetColdRatio = diagnosticsCandidates.length > 0 ? targetColdCount / diagnosticsCandidates.length : 0;
 
         return {
-            schemaVersion: 4,
+            schemaVersion: 7,
+            explorationMode: state.explorationMode,
             gridCellSize: state.cellSize,
             currentCell: {
                 ix,
@@ -576,11 +855,14 @@ export function createExplorationMemory(options = {}) {
             })),
             frontier,
             risky,
+            routes,
+            frontierClusters: planning?.frontierClusters ?? null,
             memoryStats: {
                 mappedCells: state.cells.size,
                 recentPathLength: recentPath.length,
                 sensorRange: round(state.sensorRange, 2),
             },
+            occupancy: state.occupancy.getStats(),
             diagnostics: {
                 candidateCount: diagnosticsCandidates.length,
                 safeCandidateCount: safeCandidates.length,
@@ -664,6 +946,22 @@ export function createExplorationMemory(options = {}) {
             dx: p.ix - ix,
             dz: p.iz - iz
         }));
+        const routes = context.routes || null;
+        const shownRoute = routes?.recommended === "TARGET" ? routes.target : routes?.recommended === "FRONTIER" ? routes.frontier : null;
+        // Route and occupancy cells come in world meters; offsets are in (fractional) memory cells from the center cell.
+        const toOffset = (px, pz) => ({
+            dx: round((px / state.cellSize) - 0.5 - ix, 3),
+            dz: round((pz / state.cellSize) - 0.5 - iz, 3)
+        });
+        const routePath = (shownRoute?.waypoints || []).map((w) => toOffset(w.x, w.z));
+        const occupiedCells = state.occupancy
+            .exportLayer({ x, z, radiusM: (radiusCells + 1) * state.cellSize, states: ["occupied"] })
+            .map((cell) => ({ ...toOffset(cell.x, cell.z), p: cell.p }));
+        const frontierClusters = (context.frontierClusters || []).map((cluster) => ({
+            ...toOffset(cluster.x, cluster.z),
+            sizeCells: cluster.sizeCells,
+            distanceM: cluster.distanceM,
+        }));
 
         return {
             center: { ix, iz },
@@ -679,6 +977,14 @@ export function createExplorationMemory(options = {}) {
             loopWarning: context.loopWarning || "LOW",
             memoryStats: context.memoryStats || { mappedCells: state.cells.size, recentPathLength: recentPath.length },
             diagnostics: context.diagnostics || null,
+            routes,
+            routePath,
+            explorationMode: state.explorationMode,
+            frontierClusters,
+            occupancy: {
+                resolution: state.occupancy.resolution,
+                occupiedCells,
+            },
             recentPath
         };
     };
@@ -686,6 +992,18 @@ export function createExplorationMemory(options = {}) {
     const reset = () => {
         state.cells.clear();
         state.path = [];
+        state.occupancy.reset();
+    };
+
+    // Switching track maps invalidates every mapped cell, so this also clears the memory.
+    const setWorldBounds = (worldBounds) => {
+        state.worldBounds = worldBounds ?? null;
+        state.occupancy.setWorldBounds(worldBounds);
+        reset();
+    };
+
+    const setExplorationMode = (mode) => {
+        state.explorationMode = isExplorationMode(mode) ? mode : DEFAULT_EXPLORATION_MODE;
     };
 
     const exportCells = () => Array.from(state.cells.entries()).map(([key, cell]) => ({
@@ -693,11 +1011,79 @@ export function createExplorationMemory(options = {}) {
         ...cell,
     }));
 
+    /**
+     * Versioned snapshot of everything the memory has learned (cells, path, occupancy grid) for saving next to the
+     * drive log. `meta` is stored as-is; pass { trackMap } so a reload can refuse a different map.
+     */
+    const serialize = (meta = {}) => ({
+        schema: EXPLORATION_MEMORY_SCHEMA_ID,
+        version: EXPLORATION_MEMORY_SCHEMA_VERSION,
+        cellSize: state.cellSize,
+        sensorRange: round(state.sensorRange, 2),
+        worldBounds: state.worldBounds,
+        cells: exportCells().map((cell) => {
+            const out = { ix: cell.ix, iz: cell.iz };
+            CELL_FIELDS.forEach((field) => {
+                if (cell[field]) out[field] = round(cell[field], 4);
+            });
+            return out;
+        }),
+        path: state.path.map((p) => ({ ix: p.ix, iz: p.iz, t: p.t })),
+        occupancy: state.occupancy.exportState(),
+        meta,
+    });
+
+    /**
+     * Replace the memory with a saved snapshot (or a bundle carrying one), e.g. as the prior map of a run. The
+     * snapshot must use this memory's cell size and, when both are known, the same track map fingerprint.
+     * World bounds stay those of the current map. Returns { ok: true, cells, occupancyCells } or { ok: false, error }.
+     */
+    const deserialize = (payload, { trackMapFingerprint = "" } = {}) => {
+        const parsed = parseExplorationMemoryPayload(payload);
+        if (!parsed.ok) return parsed;
+        const { snapshot } = parsed;
+        if (Math.abs(snapshot.cellSize - state.cellSize) > 1e-9) {
+            return { ok: false, error: `memory cellSize ${snapshot.cellSize} does not match ${state.cellSize}` };
+        }
+        const savedFingerprint = snapshot.meta?.trackMap?.fingerprint || "";
+        if (savedFingerprint && trackMapFingerprint && savedFingerprint !== trackMapFingerprint) {
+            const savedId = snapshot.meta.trackMap.id || savedFingerprint;
+            return { ok: false, error: `memory was recorded on track map ${savedId} (fingerprint ${savedFingerprint})` };
+        }
+
+        const cells = new Map();
+        snapshot.cells.slice(0, state.maxCells).forEach((saved) => {
+            const cell = createEmptyCell();
+            CELL_FIELDS.forEach((field) => {
+                cell[field] = asNumber(saved[field], 0);
+            });
+            cells.set(cellKey(saved.ix, saved.iz), cell);
+        });
+        if (snapshot.occupancy) {
+            const imported = state.occupancy.importState(snapshot.occupancy);
+            if (!imported.ok) return imported;
+        } else {
+            state.occupancy.reset();
+        }
+        state.cells = cells;
+        state.path = (snapshot.path || [])
+            .filter((p) => Number.isInteger(p?.ix) && Number.isInteger(p?.iz))
+            .slice(-500)
+            .map((p) => ({ ix: p.ix, iz: p.iz, t: asNumber(p.t, 0) }));
+        state.sensorRange = clamp(asNumber(snapshot.sensorRange, state.sensorRange), 4.0, 30.0);
+        return { ok: true, cells: cells.size, occupancyCells: state.occupancy.getStats().observedCells };
+    };
+
     return {
         update,
         getContext,
         getVisualization,
         reset,
+        setWorldBounds,
+        setExplorationMode,
         exportCells,
+        serialize,
+        deserialize,
+        getOccupancyGrid: () => state.occupancy,
     };
 }
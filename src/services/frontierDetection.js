@@ -0,0 +1,55 @@
+// Frontier detection on a planner grid (the occupancy layer or the memory cells, see pathPlanner.js): known,
+// passable cells that border unknown in-bounds space, grouped into 8-connected clusters. A cluster is a stretch of
+// the boundary between explored and unexplored free space; driving to it is what reveals new area.
+
+const NEIGHBORS_4 = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const NEIGHBORS_8 = [...NEIGHBORS_4, [1, 1], [1, -1], [-1, 1], [-1, -1]];
+// Gaps between the 8 lidar rays leave one- or two-cell slivers of unknown space; smaller clusters are ignored.
+export const FRONTIER_MIN_CLUSTER_CELLS = 3;
+
+const cellKey = (ix, iz) => `${ix},${iz}`;
+
+/** Known, passable cell with at least one unknown in-bounds 4-neighbour. */
+export const isFrontierCell = (grid, ix, iz) => grid.isKnown(ix, iz) && !grid.isBlocked(ix, iz)
+    && NEIGHBORS_4.some(([dx, dz]) => grid.inBounds(ix + dx, iz + dz) && !grid.isKnown(ix + dx, iz + dz));
+
+/**
+ * Frontier clusters of `grid` (needs knownCells() besides the planner adapter), largest first:
+ * [{ cells: [{ ix, iz }], sizeCells, centroid: { x, z } }]. The centroid is the mean of the cell centers, so for a
+ * curved frontier it can fall off the frontier itself.
+ */
+export const detectFrontierClusters = (grid, { minCells = FRONTIER_MIN_CLUSTER_CELLS } = {}) => {
+    const frontier = new Map();
+    grid.knownCells().forEach(({ ix, iz }) => {
+        if (isFrontierCell(grid, ix, iz)) frontier.set(cellKey(ix, iz), { ix, iz });
+    });
+
+    const clusters = [];
+    const seen = new Set();
+    frontier.forEach((seed, seedKey) => {
+        if (seen.has(seedKey)) return;
+        seen.add(seedKey);
+        const cells = [];
+        const queue = [seed];
+        while (queue.length > 0) {
+            const cell = queue.pop();
+            cells.push(cell);
+            NEIGHBORS_8.forEach(([dx, dz]) => {
+                const key = cellKey(cell.ix + dx, cell.iz + dz);
+                if (!frontier.has(key) || seen.has(key)) return;
+                seen.add(key);
+                queue.push(frontier.get(key));
+            });
+        }
+        if (cells.length < minCells) return;
+        let sumX = 0;
+        let sumZ = 0;
+        cells.forEach((cell) => {
+            const center = grid.cellCenter(cell.ix, cell.iz);
+            sumX += center.x;
+            sumZ += center.z;
+        });
+        clusters.push({ cells, sizeCells: cells.length, centroid: { x: sumX / cells.length, z: sumZ / cells.length } });
+    });
+    return clusters.sort((a, b) => b.sizeCells - a.sizeCells);
+};
@@ -0,0 +1,549 @@
+// Headless drive session: the browser AI loop (think -> guarded action plan -> log) on top of createHeadlessSimulation.
+// Time is simulated: the car sits with zero controls for the decision latency (or, pipelined, keeps driving the
+// handed-over plan tail), then each plan step advances the sim. With latency compensation the prompt also carries
+// the state predicted for when the reply's controls apply, scored against the state reached once they do. Image
+// observation conditions render a software camera frame of the track per decision (observationFrames.js). Sensor
+// faults from physicsSettings corrupt what the driver perceives (sensorFaults.js).
+import { getDrivingDecision } from "./ollamaService.js";
+import { isMockModel } from "./mockDriver.js";
+import { DEFAULT_EXPLORATION_MEMORY_START, DEFAULT_EXPLORATION_MODE, createExplorationMemory } from "./explorationMemory.js";
+import { computeReachableArea, evaluateOccupancyAccuracy, measureCoverage } from "./occupancyGrid.js";
+import { createHeadlessSimulation } from "./simulationCore.js";
+import {
+    DEFAULT_OBSERVATION_MODE,
+    DEFAULT_OBSERVATION_VIEW,
+    buildObservationFrame,
+    observationSceneFromSensor,
+    observationUsesImage,
+    renderObservationFrame,
+    resolveObservationLlmOptions
+} from "./observationFrames.js";
+import {
+    DEFAULT_TARGET_SPAWN_POLICY,
+    DEFAULT_TRACK_MAP,
+    describeTrackMap,
+    pickSpawnPose,
+    sampleTrackTarget
+} from "./trackMaps.js";
+import { createInitialCollisionStats, recordCollisionStats, snapshotCollisionStats } from "./collisionStats.js";
+import {
+    FRONT_GUARD_DIST,
+    buildDecisionOutcome,
+    buildHeatmapDecisionDiagnostics,
+    createDirectionFlipState,
+    createInitialReasonValidationStats,
+    guardFirstPlanStep,
+    minFrontDistance,
+    normalizeActionPlan,
+    normalizeReasonEnvelope,
+    reasonValidationPassRate,
+    runGuardedActionPlan,
+    snapshotSmoothingState
+} from "./decisionRuntime.js";
+import {
+    DECISION_LOOP_MODES,
+    DEFAULT_DECISION_LOOP_MODE,
+    PIPELINE_LATENCY_WINDOW,
+    PIPELINE_STATUSES,
+    applyPipelineTiming,
+    buildPredictedSensorSnapshot,
+    describePipelinePose,
+    estimatePipelineHorizonMs,
+    predictPoseAlongPlan,
+    resolvePipelineTiming,
+    splitPlanForPipeline
+} from "./decisionPipeline.js";
+import {
+    DEFAULT_LATENCY_COMPENSATION,
+    LATENCY_COMPENSATION_MODES,
+    buildActuationView,
+    collectTelemetryLatencies,
+    predictActuationState,
+    resolveCompensatedLlmOptions,
+    scoreActuationPrediction,
+    summarizeLatencyDistribution
+} from "./statePrediction.js";
+import { TELEMETRY_SAMPLE_INTERVAL_MS, buildTelemetryPoint, createInitialAiMeta } from "./telemetry.js";
+import { DEFAULT_EXPERIMENT_SEED, createRunRandomStreams, sampleSpawnPose } from "./seededRandom.js";
+import { createSensorFaultInjector, normalizeSensorFaults } from "./sensorFaults.js";
+
+const TARGET_CAPTURE_DISTANCE = 2.5;
+const TARGET_CAPTURE_COOLDOWN_MS = 800;
+const RECOVERY_COOLDOWN_MS = 3000;
+const RECOVERY_REVERSE_SEC = 1.5;
+const RECOVERY_TURN_SEC = 1.0;
+const SETTLE_SEC = 0.5;
+const ERROR_BACKOFF_SEC = 1.0;
+const IDLE_BETWEEN_DECISIONS_SEC = 0.05;
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+
+// Mock models report their own simulated latency in the trace; live backends report measured wall latency.
+const resolveDecisionLatencyMs = (decisionObj) => {
+    const requests = Array.isArray(decisionObj?.mock?.requests) ? decisionObj.mock.requests : null;
+    if (requests && requests.length > 0) {
+        return requests.reduce((sum, request) => sum + asFiniteNumber(request?.latencyMs, 0), 0);
+    }
+    return Math.max(0, asFiniteNumber(decisionObj?.latency, 0));
+};
+
+/**
+ * Run one condition headlessly for `runSeconds` of simulated time.
+ * Returns the same artifacts the browser session exports (drive log, telemetry, collision events + summary, and the
+ * camera frames of image observation runs keyed by hash).
+ */
+export async function runHeadlessSession({
+    model,
+    llmBackend = null,
+    llmOptions = null,
+    physicsSettings = {},
+    runSeconds = 75,
+    trackMap = DEFAULT_TRACK_MAP,
+    targetPolicy = DEFAULT_TARGET_SPAWN_POLICY,
+    decisionLoop = DEFAULT_DECISION_LOOP_MODE,
+    latencyCompensation = DEFAULT_LATENCY_COMPENSATION,
+    explorationMode = DEFAULT_EXPLORATION_MODE,
+    observation = DEFAULT_OBSERVATION_MODE,
+    observationView = DEFAULT_OBSERVATION_VIEW,
+    memoryStart = DEFAULT_EXPLORATION_MEMORY_START,
+    priorMemory = null,
+    seed = DEFAULT_EXPERIMENT_SEED,
+    startEpochMs = Date.now(),
+    onDecision = null
+} = {}) {
+    const runMs = Math.max(1, asFiniteNumber(runSeconds, 75)) * 1000;
+    const telemetry = [];
+    const driveLog = [];
+    const collisionEvents = [];
+    const collisionStats = createInitialCollisionStats();
+    const reasonStats = createInitialReasonValidationStats();
+    const explorationMemory = createExplorationMemory({
+        cellSize: 2.0,
+        sensorRange: 10.0,
+        worldBounds: trackMap.bounds,
+        explorationMode
+    });
+    const trackMapInfo = describeTrackMap(trackMap);
+    // Warm start: the carried or prior map is loaded before the first scan; one recorded on another map aborts the run.
+    const memoryStartInfo = { mode: memoryStart, priorCells: 0, priorOccupancyCells: 0 };
+    if (priorMemory) {
+        const loaded = explorationMemory.deserialize(priorMemory, { trackMapFingerprint: trackMapInfo.fingerprint });
+        if (!loaded.ok) throw new Error(`Prior exploration memory rejected: ${loaded.error}`);
+        memoryStartInfo.priorCells = loaded.cells;
+        memoryStartInfo.priorOccupancyCells = loaded.occupancyCells;
+    }
+    const rng = createRunRandomStreams(seed);
+    const basePose = pickSpawnPose(trackMap, rng.spawn);
+    const spawnPose = sampleSpawnPose(rng.spawn, basePose.position, basePose.rotation);
+    // Coverage denominator: free space reachable from the spawn, at the occupancy grid's resolution.
+    const reachableArea = computeReachableArea(explorationMemory.getOccupancyGrid(), trackMap, {
+        x: spawnPose.position[0],
+        z: spawnPose.position[2]
+    });
+    const smoothingState = { lastSteering: 0 };
+    const directionFlip = createDirectionFlipState();
+    const targetCapture = { count: 0, lastCaptureAt: 0 };
+    const session = { lastDistance: null, lastSampleAt: -Infinity, recoveryPhase: null, lastRecoveryAt: -Infinity };
+    const pipelined = decisionLoop === DECISION_LOOP_MODES.PIPELINED;
+    // Pipelined mode: plan steps handed over to the next think window, and recent latencies for the horizon.
+    const pipeline = { carryPlan: [], recentLatenciesMs: [] };
+    const compensated = latencyCompensation === LATENCY_COMPENSATION_MODES.PREDICT;
+    const decisionLlmOptions = resolveCompensatedLlmOptions(
+        resolveObservationLlmOptions(llmOptions, observation, { compensated }),
+        latencyCompensation
+    );
+    const observing = observationUsesImage(observation);
+    const observationFrames = {};
+    const sensorFaults = createSensorFaultInjector(rng.sensor);
+    let aiMeta = createInitialAiMeta();
+    let sensorRef = null;
+    let sim = null;
+
+    const recordTelemetry = (nowMs) => {
+        const point = buildTelemetryPoint({
+            sensor: sensorRef,
+            controls: sim.getControls(),
+            previousDistance: session.lastDistance,
+            aiMeta,
+            collisionSnapshot: snapshotCollisionStats(collisionStats),
+            reasonStats,
+            targetsReached: targetCapture.count,
+            recoveryPhase: session.recoveryPhase,
+            explorationContext: explorationMemory.getContext(sensorRef, { planRoutes: false }),
+            coverage: measureCoverage(explorationMemory.getOccupancyGrid(), reachableArea),
+            now: nowMs
+        });
+        session.lastDistance = point.distanceToTarget;
+        telemetry.push(point);
+    };
+
+    const handleSensorUpdate = (data) => {
+        const nowMs = sim.now();
+        // The driver, guards and memory see the faulted sample; target capture stays on the exact one.
+        const perceived = sensorFaults.apply(data, physicsSettings, nowMs);
+        if (perceived) {
+            sensorRef = perceived;
+            explorationMemory.update(perceived, nowMs);
+        }
+        if (data.distanceToTarget < TARGET_CAPTURE_DISTANCE && nowMs - targetCapture.lastCaptureAt > TARGET_CAPTURE_COOLDOWN_MS) {
+            targetCapture.count += 1;
+            targetCapture.lastCaptureAt = nowMs;
+            sim.setTargetPosition(sampleTrackTarget(trackMap, rng.target, {
+                policy: targetPolicy,
+                captureIndex: targetCapture.count,
+                carPosition: [data.worldX, 0, data.worldZ]
+            }));
+        }
+        if (sensorRef && nowMs - session.lastSampleAt >= TELEMETRY_SAMPLE_INTERVAL_MS) {
+            session.lastSampleAt = nowMs;
+            recordTelemetry(nowMs);
+        }
+    };
+
+    sim = createHeadlessSimulation({
+        worldBounds: trackMap.bounds,
+        boxes: trackMap.boxes,
+        // A condition's physicsPatch.groundFriction overrides the map surface.
+        groundFriction: Number.isFinite(physicsSettings?.groundFriction) ? physicsSettings.groundFriction : trackMap.groundFriction,
+        startEpochMs,
+        physicsSettings,
+        targetPosition: trackMap.initialTarget,
+        spawnPosition: spawnPose.position,
+        spawnRotation: spawnPose.rotation,
+        onSensorUpdate: handleSensorUpdate,
+        onCollisionEvent: (evt) => {
+            const region = recordCollisionStats(collisionStats, evt?.region, sim.now());
+            collisionEvents.push({ ...evt, region });
+        }
+    });
+
+    const elapsedMs = () => sim.getSimTimeMs();
+    const remainingSec = () => Math.max(0, (runMs - elapsedMs()) / 1000);
+    const drive = (controls, seconds) => {
+        sim.setControls(controls);
+        sim.advance(Math.min(seconds, remainingSec()));
+    };
+
+    // Drive the handed-over plan tail for `seconds` (front guard only), braking once it runs out.
+    const driveCarryPlan = (steps, seconds) => {
+        const driven = [];
+        let left = seconds;
+        for (const step of steps) {
+            if (left <= 1e-6 || elapsedMs() >= runMs) break;
+            const duration = Math.min(step.duration, left);
+            const frontGuard = step.throttle > 0 && minFrontDistance(sensorRef) < FRONT_GUARD_DIST;
+            const controls = { throttle: frontGuard ? 0 : step.throttle, steering: step.steering };
+            drive(controls, duration);
+            driven.push({ ...controls, duration: Number(duration.toFixed(3)), frontGuard });
+            left -= duration;
+        }
+        if (left > 1e-6) drive({ throttle: 0, steering: 0 }, left);
+        return driven;
+    };
+
+    const runRecovery = (turnTowardLeft) => {
+        pipeline.carryPlan = [];
+        session.lastRecoveryAt = sim.now();
+        session.recoveryPhase = "REVERSING";
+        aiMeta = { ...aiMeta, source: "RECOVERY", isThinking: false, safetyOverride: true, overrideReason: "RECOVERY_REVERSING", lastDecisionAt: sim.now() };
+        drive({ throttle: -0.8, steering: 0 }, RECOVERY_REVERSE_SEC);
+        session.recoveryPhase = "TURNING";
+        aiMeta = { ...aiMeta, overrideReason: "RECOVERY_TURNING", lastDecisionAt: sim.now() };
+        drive({ throttle: 0.3, steering: turnTowardLeft ? 1.0 : -1.0 }, RECOVERY_TURN_SEC);
+        session.recoveryPhase = null;
+        session.lastRecoveryAt = sim.now();
+    };
+
+    const wallStartedAt = Date.now();
+    // With delayed sensor delivery, settle until the first delayed sample has arrived.
+    sim.advance(SETTLE_SEC + normalizeSensorFaults(physicsSettings).sensorDelayMs / 1000);
+
+    while (elapsedMs() < runMs) {
+        // Everything downstream (prompt, latency prediction, guards) works on the perceived, faulted sample; with
+        // delayed delivery the car waits for one instead of falling back to the exact sensors.
+        if (!sensorRef) {
+            drive({ throttle: 0, steering: 0 }, IDLE_BETWEEN_DECISIONS_SEC);
+            continue;
+        }
+        const sensorNow = sensorRef;
+        if (sensorNow.isStuck && sim.now() - session.lastRecoveryAt >= RECOVERY_COOLDOWN_MS) {
+            runRecovery(rng.recovery.chance(0.5));
+            continue;
+        }
+
+        // THINK: freeze the car while the model "thinks", exactly like the browser loop. Pipelined, the car keeps
+        // driving the handed-over plan tail and the model sees the pose predicted for when its reply arrives.
+        const carryPlan = pipeline.carryPlan;
+        pipeline.carryPlan = [];
+        if (!pipelined) sim.setControls({ throttle: 0, steering: 0 });
+        aiMeta = { ...aiMeta, source: "AI", isThinking: true, safetyOverride: false, overrideReason: "" };
+        const horizonMs = pipelined ? estimatePipelineHorizonMs(pipeline.recentLatenciesMs) : 0;
+        const predictedPose = pipelined ? predictPoseAlongPlan(sensorNow, carryPlan, horizonMs, physicsSettings) : null;
+        // Latency compensation: the state when the reply's controls apply, after the expected latency of the
+        // controls commanded meanwhile (the carry plan when pipelined, braking otherwise).
+        let actuationView = null;
+        if (compensated) {
+            const latency = summarizeLatencyDistribution(collectTelemetryLatencies(telemetry));
+            const prediction = predictActuationState({
+                sensor: sensorNow,
+                steps: pipelined ? carryPlan : [],
+                horizonMs: pipelined ? horizonMs : latency.horizonMs,
+                physicsSettings
+            });
+            actuationView = buildActuationView(sensorNow, prediction, latency);
+        }
+        const sensorSnapshot = {
+            ...(predictedPose ? buildPredictedSensorSnapshot(sensorNow, predictedPose) : sensorNow),
+            ...(actuationView ? { actuationView } : {})
+        };
+        const explorationContext = explorationMemory.getContext(sensorSnapshot);
+        const collisionSnapshotForDecision = snapshotCollisionStats(collisionStats);
+        const previousDecision = driveLog[driveLog.length - 1];
+        if (previousDecision && !previousDecision.outcome) {
+            // The previous decision is scored on the observed pose, not the predicted one.
+            const outcomeSensor = pipelined ? { ...sensorNow } : sensorSnapshot;
+            const outcomeContext = pipelined ? explorationMemory.getContext(outcomeSensor) : explorationContext;
+            const outcome = buildDecisionOutcome(previousDecision, outcomeSensor, outcomeContext, sim.now());
+            if (outcome) {
+                previousDecision.outcome = outcome;
+                smoothingState.lastOutcomeSummary = outcome.summary;
+                smoothingState.lastOutcomeDetails = outcome;
+            }
+        }
+
+        const smoothingStateBefore = snapshotSmoothingState(smoothingState);
+        const decisionRequestedAtMs = sim.now();
+        // The camera sees the car where it is now, also when pipelined and the text shows a predicted pose.
+        const observationFrame = observing
+            ? buildObservationFrame({
+                view: observationView,
+                source: "software",
+                ...renderObservationFrame({ view: observationView, trackMap, ...observationSceneFromSensor(sensorNow) })
+            })
+            : null;
+        if (observationFrame) observationFrames[observationFrame.hash] = observationFrame.png;
+        let decisionObj;
+        try {
+            decisionObj = await getDrivingDecision(
+                sensorSnapshot,
+                [],
+                model,
+                smoothingState,
+                explorationContext,
+                { collisionSummary: collisionSnapshotForDecision },
+                {
+                    ...(decisionLlmOptions || {}),
+                    backend: llmBackend,
+                    now: sim.now,
+                    ...(observing ? { observation: { mode: observation, frame: observationFrame } } : {}),
+                    // Mock latency is charged to sim time below instead of being slept on the wall clock.
+                    mock: isMockModel(model) ? { ...(llmOptions?.mock || {}), simulateLatency: false } : llmOptions?.mock
+                }
+            );
+        } catch (err) {
+            console.error("Headless decision error:", err);
+            aiMeta = { ...aiMeta, isThinking: false, source: "ERROR", safetyOverride: true, overrideReason: "AI_ERROR" };
+            drive({ throttle: 0, steering: 0 }, ERROR_BACKOFF_SEC);
+            continue;
+        }
+
+        const latencyMs = resolveDecisionLatencyMs(decisionObj);
+        const carryExecuted = pipelined ? driveCarryPlan(carryPlan, latencyMs / 1000) : null;
+        if (!pipelined) drive({ throttle: 0, steering: 0 }, latencyMs / 1000);
+        if (elapsedMs() >= runMs) break;
+        const actuationPrediction = actuationView ? scoreActuationPrediction(actuationView, sensorRef || sensorNow, latencyMs) : null;
+        const pipelineTiming = pipelined ? resolvePipelineTiming({ latencyMs, horizonMs }) : null;
+        if (pipelined) pipeline.recentLatenciesMs = [...pipeline.recentLatenciesMs, latencyMs].slice(-PIPELINE_LATENCY_WINDOW);
+
+        const currentSensors = sensorRef || sensorSnapshot;
+        const heatmapDiag = buildHeatmapDecisionDiagnostics(explorationContext, decisionObj.strategy, sensorSnapshot, currentSensors);
+        const decisionReason = normalizeReasonEnvelope(decisionObj.reason || null, null, {
+            throttle: asFiniteNumber(decisionObj.throttle, 0),
+            steering: asFiniteNumber(decisionObj.steering, 0),
+            duration: asFiniteNumber(decisionObj.duration, 0.22)
+        });
+        aiMeta = {
+            ...aiMeta,
+            latency: latencyMs,
+            thought: decisionObj.thought || "",
+            analysis: decisionObj.analysis || "",
+            reasonCode: decisionReason.code,
+            reasonSummary: decisionReason.summary,
+            reasonSource: decisionReason.source || "unknown",
+            reasonValidationLast: "PENDING",
+            strategyMode: decisionObj.strategy?.mode || "UNKNOWN",
+            strategyTransition: decisionObj.strategy?.transition || "HOLD",
+            strategySector: decisionObj.strategy?.chosenSector || "F",
+            strategyConfidence: decisionObj.strategy?.confidence ?? 0,
+            skillName: decisionObj.skill?.name || "UNKNOWN",
+            skillIntensity: decisionObj.skill?.intensity ?? 0,
+            reflectionAdjustment: decisionObj.reflection?.adjustment || "",
+            parseMethod: decisionObj.parseMethod || "",
+            parseRecovered: !!decisionObj.parseRecovered,
+            model: decisionObj.model || model,
+            promptTemplate: decisionObj.promptTemplate || "",
+            responseFormat: decisionObj.responseFormat || "",
+            schemaViolationCount: decisionObj.schemaViolations?.length ?? 0,
+            decisionLoop,
+            pipelineStatus: pipelineTiming?.status || "",
+            source: "AI",
+            isThinking: false,
+            lastDecisionAt: sim.now(),
+            memoryNoGoRatio: heatmapDiag.noGoRatio ?? 0,
+            memoryRevisitRate: heatmapDiag.revisitRate ?? 0,
+            memoryCurrentWeight: heatmapDiag.currentCellWeight ?? 0,
+            memorySelectedWeight: heatmapDiag.selectedCellWeight ?? 0,
+            memorySelectedNoGo: !!heatmapDiag.selectedCellNoGo,
+            memorySelectedSector: heatmapDiag.chosenSector || "F",
+            memorySelectionReason: heatmapDiag.selectedSource || ""
+        };
+
+        // ACT: normalize the plan, then apply the same runtime guards as the browser loop.
+        const normalizedActionPlan = normalizeActionPlan(decisionObj, decisionReason);
+        // Pipelined: the plan is lined up with the clock (or replaced by a short hold when stale).
+        const timedPlan = pipelineTiming ? applyPipelineTiming(normalizedActionPlan, pipelineTiming) : null;
+        if (timedPlan?.status === PIPELINE_STATUSES.REJECTED) {
+            aiMeta = { ...aiMeta, pipelineStatus: timedPlan.status, overrideReason: "PIPELINE_STALE_DECISION" };
+        }
+
+        const { plan: actingPlan, frontWall, directionCooldown } = guardFirstPlanStep({
+            plan: timedPlan ? timedPlan.plan : normalizedActionPlan,
+            decisionReason,
+            sensors: currentSensors,
+            directionFlip,
+            nowMs: sim.now()
+        });
+        if (frontWall?.kind === "CORNER_TRAP") {
+            aiMeta = { ...aiMeta, source: "RECOVERY", safetyOverride: true, overrideReason: "CORNER_TRAP" };
+            runRecovery(frontWall.turnTowardLeft);
+            continue;
+        }
+        if (frontWall) {
+            aiMeta = { ...aiMeta, safetyOverride: true, overrideReason: frontWall.overrideReason, lastDecisionAt: sim.now() };
+        }
+        aiMeta = directionCooldown.applied
+            ? {
+                ...aiMeta,
+                safetyOverride: true,
+                overrideReason: directionCooldown.reason,
+                directionCooldownApplied: true,
+                directionCooldownRemainingMs: Math.max(0, Math.round(directionCooldown.remainingMs)),
+                directionLastSign: directionFlip.lastSign,
+                lastDecisionAt: sim.now()
+            }
+            : { ...aiMeta, directionCooldownApplied: false, directionCooldownRemainingMs: 0, directionLastSign: directionFlip.lastSign };
+
+        // Pipelined: the last horizon of the plan is handed over to the next think window instead of run here.
+        const { run: runPlan, carry: handedOverPlan } = pipelined
+            ? splitPlanForPipeline(actingPlan, estimatePipelineHorizonMs(pipeline.recentLatenciesMs))
+            : { run: actingPlan, carry: [] };
+        const { executedActionPlan, reasonValidationSummary } = await runGuardedActionPlan({
+            plan: runPlan,
+            decisionReason,
+            getSensors: () => sensorRef || sensorSnapshot,
+            directionFlip,
+            now: sim.now,
+            reasonStats,
+            firstStepGuarded: frontWall !== null || directionCooldown.applied,
+            shouldStop: () => elapsedMs() >= runMs,
+            onOverride: (overrideReason) => {
+                aiMeta = { ...aiMeta, safetyOverride: true, overrideReason, lastDecisionAt: sim.now() };
+            },
+            executeStep: (controls, seconds) => drive(controls, seconds)
+        });
+
+        if (pipelined) pipeline.carryPlan = handedOverPlan;
+        aiMeta = {
+            ...aiMeta,
+            reasonValidationLast: reasonValidationSummary.blockedSteps > 0 ? "BLOCKED" : "PASS",
+            reasonBlockedTotal: reasonStats.blockedSteps,
+            reasonPassRate: reasonValidationPassRate(reasonStats)
+        };
+
+        const firstExecuted = executedActionPlan[0];
+        const record = {
+            time: new Date(sim.now()).toISOString(),
+            run_seed: rng.seed,
+            track_map: trackMapInfo,
+            sensor_snapshot: sensorSnapshot,
+            sensor_latest: sensorRef,
+            exploration: explorationContext,
+            smoothing_state: smoothingStateBefore,
+            action_history: [],
+            decision_requested_at_ms: decisionRequestedAtMs,
+            collision_summary: snapshotCollisionStats(collisionStats),
+            heatmap_diag: heatmapDiag,
+            ai_prompt: decisionObj.prompt || "",
+            ai_raw: decisionObj.raw,
+            ai_parse_method: decisionObj.parseMethod || "",
+            ai_parse_recovered: !!decisionObj.parseRecovered,
+            ai_model: decisionObj.model || model,
+            ai_prompt_template: decisionObj.promptTemplate || null,
+            ai_response_format: decisionObj.responseFormat || null,
+            ai_schema_violations: decisionObj.schemaViolations ?? null,
+            ai_provider: decisionObj.provider || llmBackend?.provider || null,
+            ai_mock: decisionObj.mock || null,
+            observation: decisionObj.observation || null,
+            ai_skill: decisionObj.skill || null,
+            ai_reason: decisionReason,
+            ai_reflection: decisionObj.reflection || null,
+            safety_guard: decisionObj.safetyGuard || null,
+            direction_cooldown: directionCooldown,
+            reason_validation: reasonValidationSummary,
+            reason_stats: { ...reasonStats, passRate: aiMeta.reasonPassRate },
+            runtime_safety_override: !!aiMeta.safetyOverride,
+            ai_parsed: decisionObj,
+            controls: firstExecuted
+                ? { throttle: firstExecuted.throttle, steering: firstExecuted.steering }
+                : { throttle: 0, steering: 0 },
+            action_plan_requested: normalizedActionPlan,
+            action_plan_executed: executedActionPlan,
+            decision_loop: decisionLoop,
+            pipeline: pipelined ? {
+                horizonMs,
+                latencyMs,
+                lateMs: timedPlan.lateMs,
+                status: timedPlan.status,
+                shiftMs: timedPlan.shiftMs,
+                observedPose: describePipelinePose(sensorNow),
+                predictedPose: describePipelinePose(predictedPose),
+                carryExecuted,
+                handedOver: pipeline.carryPlan.map((step) => ({ throttle: step.throttle, steering: step.steering, duration: step.duration }))
+            } : null,
+            latency_compensation: latencyCompensation,
+            actuation_prediction: actuationPrediction,
+            runtime_diagnostics: { collisionSummary: collisionSnapshotForDecision },
+            decision_started_at_ms: sim.now(),
+            outcome: null
+        };
+        driveLog.push(record);
+        if (typeof onDecision === "function") onDecision(record, { simTimeMs: elapsedMs(), targetsReached: targetCapture.count });
+
+        if (!pipelined) drive({ throttle: 0, steering: 0 }, IDLE_BETWEEN_DECISIONS_SEC);
+    }
+
+    sim.setControls({ throttle: 0, steering: 0 });
+    return {
+        seed: rng.seed,
+        spawnPose,
+        trackMap: trackMapInfo,
+        decisionLoop,
+        latencyCompensation,
+        explorationMode,
+        observation,
+        observationView: observing ? observationView : null,
+        memoryStart: memoryStartInfo,
+        telemetry,
+        driveLog,
+        collisionEvents,
+        collisionSummary: snapshotCollisionStats(collisionStats),
+        // Occupancy layer scored against the map walls at the end of the run.
+        occupancyAccuracy: evaluateOccupancyAccuracy(explorationMemory.getOccupancyGrid(), trackMap),
+        explorationMemory: explorationMemory.serialize({ trackMap: trackMapInfo, seed: rng.seed }),
+        observationFrames,
+        targetsReached: targetCapture.count,
+        decisionCount: driveLog.length,
+        simTimeMs: elapsedMs(),
+        wallTimeMs: Date.now() - wallStartedAt
+    };
+}
@@ -0,0 +1,182 @@
+export const LLM_PROVIDERS = Object.freeze({
+    OLLAMA_GENERATE: "ollama-generate",
+    OLLAMA_CHAT: "ollama-chat",
+    OPENAI_COMPATIBLE: "openai-compatible",
+    LLAMA_CPP: "llama-cpp"
+});
+
+export const LLM_PROVIDER_OPTIONS = Object.freeze([
+    { id: LLM_PROVIDERS.OLLAMA_GENERATE, label: "Ollama /api/generate", defaultBaseUrl: "http://localhost:11434" },
+    { id: LLM_PROVIDERS.OLLAMA_CHAT, label: "Ollama /api/chat", defaultBaseUrl: "http://localhost:11434" },
+    { id: LLM_PROVIDERS.OPENAI_COMPATIBLE, label: "OpenAI-compatible /v1/chat/completions", defaultBaseUrl: "http://localhost:8000" },
+    { id: LLM_PROVIDERS.LLAMA_CPP, label: "llama.cpp server /completion", defaultBaseUrl: "http://localhost:8080" }
+]);
+
+export const DEFAULT_LLM_BACKEND = Object.freeze({
+    provider: LLM_PROVIDERS.OLLAMA_GENERATE,
+    baseUrl: "http://localhost:11434"
+});
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 15000;
+
+const asNum = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+
+export function isKnownLlmProvider(provider) {
+    return LLM_PROVIDER_OPTIONS.some((option) => option.id === provider);
+}
+
+export function defaultBaseUrlForProvider(provider) {
+    const option = LLM_PROVIDER_OPTIONS.find((item) => item.id === provider);
+    return option ? option.defaultBaseUrl : DEFAULT_LLM_BACKEND.baseUrl;
+}
+
+function normalizeBaseUrl(raw, fallback) {
+    const text = typeof raw === "string" ? raw.trim() : "";
+    if (!/^https?:\/\/[^\s]+$/i.test(text)) return fallback;
+    // Accept pasted endpoint roots such as ".../api" or ".../v1" and keep only the server origin + prefix.
+    return text.replace(/\/+$/, "").replace(/\/(api|v1)$/i, "");
+}
+
+/**
+ * Normalize a { provider, baseUrl } backend descriptor (UI state, experiment config, condition patch).
+ */
+export function normalizeLlmBackend(raw, fallback = DEFAULT_LLM_BACKEND) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    const base = fallback && typeof fallback === "object" ? fallback : DEFAULT_LLM_BACKEND;
+    const providerCandidate = typeof source.provider === "string" ? source.provider.trim().toLowerCase() : "";
+    const provider = isKnownLlmProvider(providerCandidate) ? providerCandidate : base.provider;
+    const providerChanged = provider !== base.provider;
+    const baseUrlFallback = providerChanged ? defaultBaseUrlForProvider(provider) : base.baseUrl;
+    return {
+        provider,
+        baseUrl: normalizeBaseUrl(source.baseUrl, baseUrlFallback)
+    };
+}
+
+// `images` are base64 PNGs without a data: prefix (Ollama's format).
+const buildUserMessages = (prompt, images = []) => [{ role: "user", content: prompt, ...(images.length > 0 ? { images } : {}) }];
+const buildOpenAiMessages = (prompt, images = []) => (images.length > 0
+    ? [{
+        role: "user",
+        content: [
+            { type: "text", text: prompt },
+            ...images.map((image) => ({ type: "image_url", image_url: { url: `data:image/png;base64,${image}` } }))
+        ]
+    }]
+    : buildUserMessages(prompt));
+// Ollama takes either "json" or a JSON Schema object (structured outputs) in `format`.
+const ollamaFormat = (json, jsonSchema) => (jsonSchema ? { format: jsonSchema } : (json ? { format: "json" } : {}));
+
+const PROVIDER_ADAPTERS = Object.freeze({
+    [LLM_PROVIDERS.OLLAMA_GENERATE]: {
+        endpoint: (baseUrl) => `${baseUrl}/api/generate`,
+        buildBody: ({ model, prompt, images, temperature, numPredict, json, jsonSchema }) => ({
+            model,
+            prompt,
+            ...(images.length > 0 ? { images } : {}),
+            stream: false,
+            ...ollamaFormat(json, jsonSchema),
+            options: {
+                ...(Number.isFinite(temperature) ? { temperature } : {}),
+                ...(Number.isFinite(numPredict) ? { num_predict: numPredict } : {})
+            }
+        }),
+        readText: (data) => (typeof data?.response === "string" ? data.response : "")
+    },
+    [LLM_PROVIDERS.OLLAMA_CHAT]: {
+        endpoint: (baseUrl) => `${baseUrl}/api/chat`,
+        buildBody: ({ model, prompt, images, temperature, numPredict, json, jsonSchema }) => ({
+            model,
+            messages: buildUserMessages(prompt, images),
+            stream: false,
+            ...ollamaFormat(json, jsonSchema),
+            options: {
+                ...(Number.isFinite(temperature) ? { temperature } : {}),
+                ...(Number.isFinite(numPredict) ? { num_predict: numPredict } : {})
+            }
+        }),
+        readText: (data) => (typeof data?.message?.content === "string" ? data.message.content : "")
+    },
+    [LLM_PROVIDERS.OPENAI_COMPATIBLE]: {
+        endpoint: (baseUrl) => `${baseUrl}/v1/chat/completions`,
+        buildBody: ({ model, prompt, images, temperature, numPredict, json, jsonSchema }) => ({
+            model,
+            messages: buildOpenAiMessages(prompt, images),
+            stream: false,
+            ...(Number.isFinite(temperature) ? { temperature } : {}),
+            ...(Number.isFinite(numPredict) ? { max_tokens: numPredict } : {}),
+            ...(jsonSchema
+                ? { response_format: { type: "json_schema", json_schema: { name: "response", schema: jsonSchema } } }
+                : (json ? { response_format: { type: "json_object" } } : {}))
+        }),
+        readText: (data) => {
+            const content = data?.choices?.[0]?.message?.content;
+            return typeof content === "string" ? content : "";
+        }
+    },
+    [LLM_PROVIDERS.LLAMA_CPP]: {
+        endpoint: (baseUrl) => `${baseUrl}/completion`,
+        // The raw /completion endpoint has no stable image input across server versions.
+        supportsImages: false,
+        buildBody: ({ prompt, temperature, numPredict, json, jsonSchema }) => ({
+            prompt,
+            stream: false,
+            cache_prompt: true,
+            ...(Number.isFinite(temperature) ? { temperature } : {}),
+            ...(Number.isFinite(numPredict) ? { n_predict: numPredict } : {}),
+            ...(jsonSchema || json ? { json_schema: jsonSchema || { type: "object" } } : {})
+        }),
+        readText: (data) => (typeof data?.content === "string" ? data.content : "")
+    }
+});
+
+export function llmProviderSupportsImages(provider) {
+    return isKnownLlmProvider(provider) && PROVIDER_ADAPTERS[provider].supportsImages !== false;
+}
+
+/**
+ * Send one non-streaming completion request through the selected backend and return the raw text.
+ * `jsonSchema` (a JSON Schema object) requests structured output and takes precedence over `json`.
+ * `images` (base64 PNGs) are attached to the prompt for vision models; providers without image input throw.
+ * Throws on HTTP errors and on timeout (AbortError), same as the previous inline Ollama fetch.
+ */
+export async function requestLlmCompletion(backend, {
+    model,
+    prompt,
+    images = [],
+    temperature = null,
+    numPredict = null,
+    json = false,
+    jsonSchema = null,
+    timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS
+} = {}) {
+    const resolved = normalizeLlmBackend(backend);
+    const adapter = PROVIDER_ADAPTERS[resolved.provider];
+    const imageList = Array.isArray(images) ? images : [];
+    if (imageList.length > 0 && adapter.supportsImages === false) {
+        throw new Error(`${resolved.provider} does not accept image input`);
+    }
+    const useTimeout = asNum(timeoutMs, 0) > 0;
+    const controller = new AbortController();
+    const timeoutId = useTimeout ? setTimeout(() => controller.abort(), timeoutMs) : null;
+    try {
+        const response = await fetch(adapter.endpoint(resolved.baseUrl), {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(adapter.buildBody({ model, prompt, images: imageList, temperature, numPredict, json, jsonSchema })),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`${resolved.provider} API error: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        return adapter.readText(data);
+    } finally {
+        if (timeoutId !== null) clearTimeout(timeoutId);
+    }
+}
+
+export function describeLlmBackend(backend) {
+    const resolved = normalizeLlmBackend(backend);
+    return `${resolved.provider}@${resolved.baseUrl}`;
+}
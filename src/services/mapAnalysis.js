@@ -0,0 +1,385 @@
+// Track map solvability + difficulty metrics for the car's 2 x 4 collider.
+// Reachability runs on an (x, z, heading) lattice: the car may turn in place or drive forward/back along its
+// heading, and every lattice state is checked against a rasterized occupancy grid with the full footprint.
+import { CAR_COLLIDER_SIZE, boxFootprintDistance } from "./simulationCore.js";
+import { TARGET_WALL_CLEARANCE_M } from "./trackMaps.js";
+
+export const MAP_ANALYSIS_DEFAULTS = Object.freeze({
+    occupancyResolutionM: 0.25,
+    latticeStepM: 0.5,
+    headingCount: 8,
+    footprintMarginM: 0.1,
+    // Target capture triggers below 2.5m; keep a little slack for the discrete lattice.
+    captureDistanceM: 2.25,
+    zoneSampleStepM: 1.0,
+    deadEndMinBranchM: 4.0
+});
+
+const DIFFICULTY_TIERS = Object.freeze([
+    { tier: "easy", maxScore: 0.33 },
+    { tier: "medium", maxScore: 0.66 },
+    { tier: "hard", maxScore: Number.POSITIVE_INFINITY }
+]);
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+// Samples `count` points evenly over [-half, half], both ends included.
+const spread = (half, count) => Array.from({ length: count }, (_, i) => -half + ((2 * half * i) / (count - 1)));
+
+function buildOccupancyGrid(map, resolution) {
+    const { minX, maxX, minZ, maxZ } = map.bounds;
+    const nx = Math.floor((maxX - minX) / resolution) + 1;
+    const nz = Math.floor((maxZ - minZ) / resolution) + 1;
+    const blocked = new Uint8Array(nx * nz);
+    for (let i = 0; i < nx; i += 1) {
+        const x = minX + (i * resolution);
+        for (let j = 0; j < nz; j += 1) {
+            const z = minZ + (j * resolution);
+            if (map.boxes.some((box) => boxFootprintDistance(x, z, box) <= 0)) blocked[(i * nz) + j] = 1;
+        }
+    }
+    // Anything outside bounds counts as blocked, so maps without outer walls stay conservative.
+    const isBlocked = (x, z) => {
+        const i = Math.round((x - minX) / resolution);
+        const j = Math.round((z - minZ) / resolution);
+        if (i < 0 || j < 0 || i >= nx || j >= nz) return true;
+        return blocked[(i * nz) + j] === 1;
+    };
+    return { nx, nz, resolution, blocked, isBlocked };
+}
+
+// Chamfer (3-4 style, metric weights) distance from every grid point to the nearest blocked point.
+function buildClearanceField(grid) {
+    const { nx, nz, resolution, blocked } = grid;
+    const diag = resolution * Math.SQRT2;
+    const field = new Float32Array(nx * nz);
+    for (let k = 0; k < field.length; k += 1) field[k] = blocked[k] ? 0 : Number.POSITIVE_INFINITY;
+    const relax = (i, j, di, dj, cost) => {
+        const ni = i + di;
+        const nj = j + dj;
+        const k = (i * nz) + j;
+        // Points past the grid edge are outside bounds, i.e. blocked.
+        const neighbor = (ni < 0 || nj < 0 || ni >= nx || nj >= nz) ? 0 : field[(ni * nz) + nj];
+        if (neighbor + cost < field[k]) field[k] = neighbor + cost;
+    };
+    for (let i = 0; i < nx; i += 1) {
+        for (let j = 0; j < nz; j += 1) {
+            relax(i, j, -1, 0, resolution);
+            relax(i, j, 0, -1, resolution);
+            relax(i, j, -1, -1, diag);
+            relax(i, j, -1, 1, diag);
+        }
+    }
+    for (let i = nx - 1; i >= 0; i -= 1) {
+        for (let j = nz - 1; j >= 0; j -= 1) {
+            relax(i, j, 1, 0, resolution);
+            relax(i, j, 0, 1, resolution);
+            relax(i, j, 1, 1, diag);
+            relax(i, j, 1, -1, diag);
+        }
+    }
+    return field;
+}
+
+/**
+ * Reachable car-center lattice cells from the first spawn pose (any heading counts).
+ */
+function exploreLattice(map, grid, options) {
+    const { minX, maxX, minZ, maxZ } = map.bounds;
+    const step = options.latticeStepM;
+    const headings = options.headingCount;
+    const ni = Math.floor((maxX - minX) / step) + 1;
+    const nj = Math.floor((maxZ - minZ) / step) + 1;
+    const halfWidth = (CAR_COLLIDER_SIZE[0] / 2) + options.footprintMarginM;
+    const halfLength = (CAR_COLLIDER_SIZE[2] / 2) + options.footprintMarginM;
+    const probeStep = grid.resolution * 2;
+    const offsets = [];
+    spread(halfWidth, Math.ceil((2 * halfWidth) / probeStep) + 1).forEach((lx) => {
+        spread(halfLength, Math.ceil((2 * halfLength) / probeStep) + 1).forEach((lz) => offsets.push([lx, lz]));
+    });
+
+    const footprintFree = (cx, cz, yaw) => {
+        const cos = Math.cos(yaw);
+        const sin = Math.sin(yaw);
+        // Car local +X maps to (cos, -sin), local +Z (forward) to (sin, cos).
+        return offsets.every(([lx, lz]) => !grid.isBlocked(cx + (lx * cos) + (lz * sin), cz - (lx * sin) + (lz * cos)));
+    };
+    const headingYaw = (h) => (h * 2 * Math.PI) / headings;
+    const stateCache = new Uint8Array(ni * nj * headings); // 0 unknown, 1 free, 2 blocked
+    const stateFree = (i, j, h) => {
+        if (i < 0 || j < 0 || i >= ni || j >= nj) return false;
+        const k = (((i * nj) + j) * headings) + h;
+        if (stateCache[k] === 0) stateCache[k] = footprintFree(minX + (i * step), minZ + (j * step), headingYaw(h)) ? 1 : 2;
+        return stateCache[k] === 1;
+    };
+
+    const spawn = map.spawnPoses[0];
+    const si = Math.round((spawn.position[0] - minX) / step);
+    const sj = Math.round((spawn.position[2] - minZ) / step);
+    const spawnYaw = Array.isArray(spawn.rotation) ? spawn.rotation[1] : 0;
+    const preferred = ((Math.round(spawnYaw / ((2 * Math.PI) / headings)) % headings) + headings) % headings;
+    const startHeading = [preferred, ...Array.from({ length: headings }, (_, h) => h).filter((h) => h !== preferred)]
+        .find((h) => stateFree(si, sj, h));
+
+    const reachableCells = new Uint8Array(ni * nj);
+    if (startHeading === undefined) return { ni, nj, step, reachableCells, spawnValid: false };
+
+    const visited = new Uint8Array(ni * nj * headings);
+    const queue = [[si, sj, startHeading]];
+    visited[(((si * nj) + sj) * headings) + startHeading] = 1;
+    const push = (i, j, h) => {
+        const k = (((i * nj) + j) * headings) + h;
+        if (visited[k] || !stateFree(i, j, h)) return;
+        visited[k] = 1;
+        queue.push([i, j, h]);
+    };
+    for (let head = 0; head < queue.length; head += 1) {
+        const [i, j, h] = queue[head];
+        reachableCells[(i * nj) + j] = 1;
+        const yaw = headingYaw(h);
+        const di = Math.round(Math.sin(yaw));
+        const dj = Math.round(Math.cos(yaw));
+        push(i + di, j + dj, h);
+        push(i - di, j - dj, h);
+        [1, -1].forEach((turn) => {
+            const next = (h + turn + headings) % headings;
+            const midYaw = yaw + ((turn * Math.PI) / headings);
+            if (footprintFree(minX + (i * step), minZ + (j * step), midYaw)) push(i, j, next);
+        });
+    }
+    return { ni, nj, step, reachableCells, spawnValid: true };
+}
+
+// Zhang-Suen thinning of the reachable region, then skeleton endpoints whose branch is long enough.
+function countDeadEnds(lattice, minBranchM) {
+    const { ni, nj, step, reachableCells } = lattice;
+    const w = ni + 2;
+    const h = nj + 2;
+    const img = new Uint8Array(w * h);
+    for (let i = 0; i < ni; i += 1) {
+        for (let j = 0; j < nj; j += 1) img[((i + 1) * h) + j + 1] = reachableCells[(i * nj) + j];
+    }
+    const at = (i, j) => img[(i * h) + j];
+    // P2..P9 clockwise starting north.
+    const ring = (i, j) => [at(i - 1, j), at(i - 1, j + 1), at(i, j + 1), at(i + 1, j + 1), at(i + 1, j), at(i + 1, j - 1), at(i, j - 1), at(i - 1, j - 1)];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let pass = 0; pass < 2; pass += 1) {
+            const remove = [];
+            for (let i = 1; i < w - 1; i += 1) {
+                for (let j = 1; j < h - 1; j += 1) {
+                    if (!at(i, j)) continue;
+                    const p = ring(i, j);
+                    const neighbors = p.reduce((sum, v) => sum + v, 0);
+                    if (neighbors < 2 || neighbors > 6) continue;
+                    let transitions = 0;
+                    for (let k = 0; k < 8; k += 1) if (!p[k] && p[(k + 1) % 8]) transitions += 1;
+                    if (transitions !== 1) continue;
+                    const [p2, , p4, , p6, , p8] = p;
+                    if (pass === 0 ? (p2 && p4 && p6) || (p4 && p6 && p8) : (p2 && p4 && p8) || (p2 && p6 && p8)) continue;
+                    remove.push((i * h) + j);
+                }
+            }
+            remove.forEach((k) => { img[k] = 0; });
+            if (remove.length > 0) changed = true;
+        }
+    }
+
+    const neighborsOf = (i, j) => {
+        const out = [];
+        for (let di = -1; di <= 1; di += 1) {
+            for (let dj = -1; dj <= 1; dj += 1) {
+                if ((di || dj) && at(i + di, j + dj)) out.push([i + di, j + dj]);
+            }
+        }
+        return out;
+    };
+    let deadEnds = 0;
+    for (let i = 1; i < w - 1; i += 1) {
+        for (let j = 1; j < h - 1; j += 1) {
+            if (!at(i, j) || neighborsOf(i, j).length !== 1) continue;
+            // Walk the branch until a junction (3+ neighbors) or the other end of an isolated line.
+            const seen = new Set([(i * h) + j]);
+            let current = [i, j];
+            let lengthM = 0;
+            for (;;) {
+                const next = neighborsOf(current[0], current[1]).filter(([a, b]) => !seen.has((a * h) + b));
+                if (next.length !== 1) break;
+                lengthM += Math.hypot(next[0][0] - current[0], next[0][1] - current[1]) * step;
+                current = next[0];
+                seen.add((current[0] * h) + current[1]);
+                if (neighborsOf(current[0], current[1]).length >= 3) break;
+            }
+            if (lengthM >= minBranchM) deadEnds += 1;
+        }
+    }
+    return deadEnds;
+}
+
+// Maximin ("widest path") clearance from the spawn point to every grid point.
+function buildBottleneckField(map, grid, clearance) {
+    const { nx, nz, resolution } = grid;
+    const { minX, minZ } = map.bounds;
+    const best = new Float32Array(nx * nz);
+    const spawn = map.spawnPoses[0].position;
+    const si = Math.max(0, Math.min(nx - 1, Math.round((spawn[0] - minX) / resolution)));
+    const sj = Math.max(0, Math.min(nz - 1, Math.round((spawn[2] - minZ) / resolution)));
+    const start = (si * nz) + sj;
+    best[start] = clearance[start];
+    // Binary max-heap of [value, index].
+    const heap = [[best[start], start]];
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let k = 0;
+            for (;;) {
+                const l = (2 * k) + 1;
+                const r = l + 1;
+                let m = k;
+                if (l < heap.length && heap[l][0] > heap[m][0]) m = l;
+                if (r < heap.length && heap[r][0] > heap[m][0]) m = r;
+                if (m === k) break;
+                [heap[k], heap[m]] = [heap[m], heap[k]];
+                k = m;
+            }
+        }
+        return top;
+    };
+    const push = (entry) => {
+        heap.push(entry);
+        let k = heap.length - 1;
+        while (k > 0) {
+            const parent = (k - 1) >> 1;
+            if (heap[parent][0] >= heap[k][0]) break;
+            [heap[parent], heap[k]] = [heap[k], heap[parent]];
+            k = parent;
+        }
+    };
+    while (heap.length > 0) {
+        const [value, k] = pop();
+        if (value < best[k]) continue;
+        const i = Math.floor(k / nz);
+        const j = k % nz;
+        for (let di = -1; di <= 1; di += 1) {
+            for (let dj = -1; dj <= 1; dj += 1) {
+                const a = i + di;
+                const b = j + dj;
+                if ((!di && !dj) || a < 0 || b < 0 || a >= nx || b >= nz) continue;
+                const n = (a * nz) + b;
+                const candidate = Math.min(value, clearance[n]);
+                if (candidate > best[n]) {
+                    best[n] = candidate;
+                    push([candidate, n]);
+                }
+            }
+        }
+    }
+    return best;
+}
+
+export function difficultyTierForScore(score) {
+    return DIFFICULTY_TIERS.find((entry) => score <= entry.maxScore).tier;
+}
+
+/**
+ * Solvability + difficulty for a normalized track map (see trackMaps.parseTrackMapPayload).
+ * A target zone is reachable when every wall-clear sample point in it lies within capture distance
+ * of a reachable car-center cell. `minCorridorWidthM` is twice the bottleneck clearance on the widest
+ * path from the spawn to the hardest zone; `deadEndCount` counts skeleton branches >= one car length.
+ */
+export function analyzeTrackMap(map, overrides = {}) {
+    const options = { ...MAP_ANALYSIS_DEFAULTS, ...overrides };
+    const grid = buildOccupancyGrid(map, options.occupancyResolutionM);
+    const clearance = buildClearanceField(grid);
+    const lattice = exploreLattice(map, grid, options);
+    const bottleneck = buildBottleneckField(map, grid, clearance);
+    const { minX, minZ } = map.bounds;
+
+    let freePoints = 0;
+    grid.blocked.forEach((value) => { if (!value) freePoints += 1; });
+    let reachableCount = 0;
+    let latticeFree = 0;
+    for (let i = 0; i < lattice.ni; i += 1) {
+        for (let j = 0; j < lattice.nj; j += 1) {
+            if (!grid.isBlocked(minX + (i * lattice.step), minZ + (j * lattice.step))) latticeFree += 1;
+            if (lattice.reachableCells[(i * lattice.nj) + j]) reachableCount += 1;
+        }
+    }
+
+    const captureCells = Math.ceil(options.captureDistanceM / lattice.step);
+    const capturable = (x, z) => {
+        const ci = Math.round((x - minX) / lattice.step);
+        const cj = Math.round((z - minZ) / lattice.step);
+        for (let i = Math.max(0, ci - captureCells); i <= Math.min(lattice.ni - 1, ci + captureCells); i += 1) {
+            for (let j = Math.max(0, cj - captureCells); j <= Math.min(lattice.nj - 1, cj + captureCells); j += 1) {
+                if (!lattice.reachableCells[(i * lattice.nj) + j]) continue;
+                const dx = minX + (i * lattice.step) - x;
+                const dz = minZ + (j * lattice.step) - z;
+                if (Math.hypot(dx, dz) <= options.captureDistanceM) return true;
+            }
+        }
+        return false;
+    };
+
+    const zones = map.targetZones.map((zone) => {
+        let eligiblePoints = 0;
+        let capturablePoints = 0;
+        let zoneBottleneck = 0;
+        const xs = Math.max(1, Math.floor((zone.maxX - zone.minX) / options.zoneSampleStepM));
+        const zs = Math.max(1, Math.floor((zone.maxZ - zone.minZ) / options.zoneSampleStepM));
+        for (let a = 0; a <= xs; a += 1) {
+            const x = zone.minX + (((zone.maxX - zone.minX) * a) / xs);
+            for (let b = 0; b <= zs; b += 1) {
+                const z = zone.minZ + (((zone.maxZ - zone.minZ) * b) / zs);
+                // Same rule as sampleTrackTarget: points hugging a wall are never used as targets.
+                if (map.boxes.some((box) => boxFootprintDistance(x, z, box) < TARGET_WALL_CLEARANCE_M)) continue;
+                eligiblePoints += 1;
+                if (lattice.spawnValid && capturable(x, z)) capturablePoints += 1;
+                const gi = Math.round((x - minX) / grid.resolution);
+                const gj = Math.round((z - minZ) / grid.resolution);
+                if (gi >= 0 && gj >= 0 && gi < grid.nx && gj < grid.nz) {
+                    zoneBottleneck = Math.max(zoneBottleneck, bottleneck[(gi * grid.nz) + gj]);
+                }
+            }
+        }
+        return {
+            id: zone.id,
+            eligiblePoints,
+            capturablePoints,
+            coverage: eligiblePoints > 0 ? round(capturablePoints / eligiblePoints) : 0,
+            reachable: eligiblePoints > 0 && capturablePoints === eligiblePoints,
+            bottleneckClearanceM: round(zoneBottleneck, 2)
+        };
+    });
+
+    const freeSpaceRatio = freePoints / grid.blocked.length;
+    const minCorridorWidthM = zones.length > 0
+        ? 2 * Math.min(...zones.map((zone) => zone.bottleneckClearanceM))
+        : 0;
+    const deadEndCount = lattice.spawnValid ? countDeadEnds(lattice, options.deadEndMinBranchM) : 0;
+    // Weighted blend of clutter, squeeze (corridors under 8m, saturating at 3m) and dead ends; 0 = open room.
+    const difficultyScore = (0.4 * clamp01((1 - freeSpaceRatio) / 0.25))
+        + (0.3 * clamp01((8 - minCorridorWidthM) / 5))
+        + (0.3 * clamp01(deadEndCount / 6));
+
+    return {
+        solvable: lattice.spawnValid && zones.every((zone) => zone.reachable),
+        spawnValid: lattice.spawnValid,
+        zones,
+        freeSpaceRatio: round(freeSpaceRatio),
+        reachableRatio: latticeFree > 0 ? round(reachableCount / latticeFree) : 0,
+        minCorridorWidthM: round(minCorridorWidthM, 2),
+        deadEndCount,
+        difficultyScore: round(difficultyScore),
+        difficultyTier: difficultyTierForScore(difficultyScore),
+        grid: {
+            occupancyResolutionM: options.occupancyResolutionM,
+            latticeStepM: options.latticeStepM,
+            headingCount: options.headingCount
+        }
+    };
+}
@@ -0,0 +1,318 @@
+// Procedural track maps from a seed: random pillars, maze corridors with loops, narrow gaps and dead ends.
+// Every candidate is run through analyzeTrackMap; unsolvable layouts are discarded and regenerated.
+import { TRACK_MAP_SCHEMA_ID, TRACK_MAP_SCHEMA_VERSION, getTrackMap, parseTrackMapPayload } from "./trackMaps.js";
+import { analyzeTrackMap } from "./mapAnalysis.js";
+import { createSeededRandom, hashSeed, normalizeSeed } from "./seededRandom.js";
+
+export const MAP_GENERATOR_STYLES = Object.freeze(["pillars", "maze", "mixed"]);
+export const MAP_GENERATOR_DEFAULTS = Object.freeze({
+    style: "mixed",
+    arenaSize: 40,
+    maxAttempts: 12
+});
+
+// Per-style knobs; cellSize is a target, the real cell is arenaSize / round(arenaSize / cellSize).
+const STYLE_PARAMS = Object.freeze({
+    pillars: { pillarCount: [8, 14], pillarSize: [1.5, 4], zoneCount: 3, zoneSize: 6 },
+    maze: { cellSize: 8, loopFactor: 0.12, narrowGapChance: 0, cellPillarChance: 0, zoneCount: 3 },
+    mixed: { cellSize: 10, loopFactor: 0.3, narrowGapChance: 0.35, cellPillarChance: 0.3, zoneCount: 3 }
+});
+
+const WALL_THICKNESS = 1;
+const WALL_HEIGHT = 2;
+const SPAWN_Y = 0.65;
+const SPAWN_KEEP_OUT_M = 4.5;
+const ZONE_MIN_SPAWN_DISTANCE_M = 10;
+const NARROW_GAP_RANGE_M = [3.0, 4.5];
+
+const round2 = (value) => Number(value.toFixed(2));
+const yawDegForStep = (dx, dz) => Math.atan2(dx, dz) * (180 / Math.PI);
+
+const outerWalls = (half) => [
+    { id: "wall_north", kind: "outer", position: [0, 1, -half], size: [half * 2, WALL_HEIGHT, WALL_THICKNESS] },
+    { id: "wall_south", kind: "outer", position: [0, 1, half], size: [half * 2, WALL_HEIGHT, WALL_THICKNESS] },
+    { id: "wall_west", kind: "outer", position: [-half, 1, 0], size: [WALL_THICKNESS, WALL_HEIGHT, half * 2] },
+    { id: "wall_east", kind: "outer", position: [half, 1, 0], size: [WALL_THICKNESS, WALL_HEIGHT, half * 2] }
+];
+
+function generatePillars(rng, half, params) {
+    const inner = half - 1;
+    const spawn = {
+        x: round2(rng.range(-inner + 4, inner - 4)),
+        z: round2(rng.range(-inner + 4, -inner + 8))
+    };
+    const walls = [];
+    const count = Math.round(rng.range(params.pillarCount[0], params.pillarCount[1]));
+    for (let tries = 0; walls.length < count && tries < count * 20; tries += 1) {
+        const w = round2(rng.range(params.pillarSize[0], params.pillarSize[1]));
+        const d = round2(rng.range(params.pillarSize[0], params.pillarSize[1]));
+        const x = round2(rng.range(-inner + 3, inner - 3));
+        const z = round2(rng.range(-inner + 3, inner - 3));
+        const yawDeg = rng.chance(0.4) ? round2(rng.range(-45, 45)) : 0;
+        const reach = Math.hypot(w, d) / 2;
+        if (Math.hypot(x - spawn.x, z - spawn.z) < SPAWN_KEEP_OUT_M + reach) continue;
+        walls.push({ id: `pillar_${walls.length}`, kind: "obstacle", position: [x, 1, z], size: [w, WALL_HEIGHT, d], yawDeg });
+    }
+
+    const zones = [];
+    for (let tries = 0; zones.length < params.zoneCount && tries < 50; tries += 1) {
+        const cx = rng.range(-inner + params.zoneSize / 2, inner - params.zoneSize / 2);
+        const cz = rng.range(-inner + params.zoneSize / 2, inner - params.zoneSize / 2);
+        if (Math.hypot(cx - spawn.x, cz - spawn.z) < ZONE_MIN_SPAWN_DISTANCE_M) continue;
+        zones.push({
+            id: `zone_${zones.length}`,
+            minX: round2(cx - params.zoneSize / 2),
+            maxX: round2(cx + params.zoneSize / 2),
+            minZ: round2(cz - params.zoneSize / 2),
+            maxZ: round2(cz + params.zoneSize / 2)
+        });
+    }
+    return {
+        walls,
+        spawnPose: { id: "spawn", position: [spawn.x, SPAWN_Y, spawn.z], yawDeg: 0 },
+        zones
+    };
+}
+
+// Recursive-backtracker spanning tree (a perfect maze), then `loopFactor` of the remaining walls removed.
+function carveMaze(rng, cells, loopFactor) {
+    const open = new Set();
+    const key = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+    const index = (c, r) => (r * cells) + c;
+    const neighbors = (c, r) => [[c + 1, r], [c - 1, r], [c, r + 1], [c, r - 1]]
+        .filter(([a, b]) => a >= 0 && b >= 0 && a < cells && b < cells);
+    const visited = new Set([index(0, 0)]);
+    const stack = [[0, 0]];
+    while (stack.length > 0) {
+        const [c, r] = stack[stack.length - 1];
+        const fresh = neighbors(c, r).filter(([a, b]) => !visited.has(index(a, b)));
+        if (fresh.length === 0) {
+            stack.pop();
+            continue;
+        }
+        const [a, b] = fresh[Math.floor(rng.next() * fresh.length)];
+        open.add(key(index(c, r), index(a, b)));
+        visited.add(index(a, b));
+        stack.push([a, b]);
+    }
+    for (let r = 0; r < cells; r += 1) {
+        for (let c = 0; c < cells; c += 1) {
+            [[c + 1, r], [c, r + 1]].forEach(([a, b]) => {
+                if (a < cells && b < cells && rng.chance(loopFactor)) open.add(key(index(c, r), index(a, b)));
+            });
+        }
+    }
+    return { isOpen: (c, r, a, b) => open.has(key(index(c, r), index(a, b))), index };
+}
+
+function generateMaze(rng, half, params) {
+    const cells = Math.max(3, Math.round((half * 2) / params.cellSize));
+    const cell = (half * 2) / cells;
+    const { isOpen, index } = carveMaze(rng, cells, params.loopFactor);
+    const edge = (c) => -half + (c * cell);
+    const center = (c) => -half + ((c + 0.5) * cell);
+    const walls = [];
+
+    // Closed edges become full walls (extended by half a thickness so joints stay sealed);
+    // some open edges in the mixed style keep a stub that leaves only a narrow gap.
+    const addEdge = (id, horizontal, fixed, from) => {
+        const length = cell + WALL_THICKNESS;
+        const mid = from + (cell / 2);
+        walls.push(horizontal
+            ? { id, kind: "obstacle", position: [round2(mid), 1, round2(fixed)], size: [round2(length), WALL_HEIGHT, WALL_THICKNESS] }
+            : { id, kind: "obstacle", position: [round2(fixed), 1, round2(mid)], size: [WALL_THICKNESS, WALL_HEIGHT, round2(length)] });
+    };
+    const addStub = (id, horizontal, fixed, from) => {
+        const gap = rng.range(NARROW_GAP_RANGE_M[0], NARROW_GAP_RANGE_M[1]);
+        const stubLength = cell - gap + (WALL_THICKNESS / 2);
+        const atStart = rng.chance(0.5);
+        const mid = atStart ? from - (WALL_THICKNESS / 2) + (stubLength / 2) : from + cell + (WALL_THICKNESS / 2) - (stubLength / 2);
+        walls.push(horizontal
+            ? { id, kind: "obstacle", position: [round2(mid), 1, round2(fixed)], size: [round2(stubLength), WALL_HEIGHT, WALL_THICKNESS] }
+            : { id, kind: "obstacle", position: [round2(fixed), 1, round2(mid)], size: [WALL_THICKNESS, WALL_HEIGHT, round2(stubLength)] });
+    };
+    for (let r = 0; r < cells; r += 1) {
+        for (let c = 0; c < cells; c += 1) {
+            if (c + 1 < cells) {
+                const id = `v_${c + 1}_${r}`;
+                if (!isOpen(c, r, c + 1, r)) addEdge(id, false, edge(c + 1), edge(r));
+                else if (rng.chance(params.narrowGapChance)) addStub(`${id}_gap`, false, edge(c + 1), edge(r));
+            }
+            if (r + 1 < cells) {
+                const id = `h_${c}_${r + 1}`;
+                if (!isOpen(c, r, c, r + 1)) addEdge(id, true, edge(r + 1), edge(c));
+                else if (rng.chance(params.narrowGapChance)) addStub(`${id}_gap`, true, edge(r + 1), edge(c));
+            }
+        }
+    }
+
+    const corners = [[0, 0], [cells - 1, 0], [0, cells - 1], [cells - 1, cells - 1]];
+    const [sc, sr] = corners[Math.floor(rng.next() * corners.length)];
+    // Face the first open neighbor so the car does not start nose-first into a wall.
+    const exits = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+        .filter(([dc, dr]) => sc + dc >= 0 && sr + dr >= 0 && sc + dc < cells && sr + dr < cells && isOpen(sc, sr, sc + dc, sr + dr));
+    const [edc, edr] = exits[0] || [0, 1];
+    const spawnPose = { id: "spawn", position: [round2(center(sc)), SPAWN_Y, round2(center(sr))], yawDeg: yawDegForStep(edc, edr) };
+
+    if (params.cellPillarChance > 0 && cell >= 9) {
+        for (let r = 0; r < cells; r += 1) {
+            for (let c = 0; c < cells; c += 1) {
+                if ((c === sc && r === sr) || !rng.chance(params.cellPillarChance)) continue;
+                const offset = (cell / 2) - 3;
+                walls.push({
+                    id: `cell_pillar_${index(c, r)}`,
+                    kind: "obstacle",
+                    position: [round2(center(c) + rng.range(-offset, offset)), 1, round2(center(r) + rng.range(-offset, offset))],
+                    size: [1.5, WALL_HEIGHT, 1.5]
+                });
+            }
+        }
+    }
+
+    // Targets go to the cells furthest (in maze steps) from the spawn cell.
+    const depth = new Map([[index(sc, sr), 0]]);
+    const queue = [[sc, sr]];
+    for (let head = 0; head < queue.length; head += 1) {
+        const [c, r] = queue[head];
+        [[c + 1, r], [c - 1, r], [c, r + 1], [c, r - 1]].forEach(([a, b]) => {
+            if (a < 0 || b < 0 || a >= cells || b >= cells || depth.has(index(a, b)) || !isOpen(c, r, a, b)) return;
+            depth.set(index(a, b), depth.get(index(c, r)) + 1);
+            queue.push([a, b]);
+        });
+    }
+    const inset = (cell / 2) - 2;
+    const zones = Array.from(depth.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, params.zoneCount)
+        .map(([cellIndex], i) => {
+            const c = cellIndex % cells;
+            const r = Math.floor(cellIndex / cells);
+            return {
+                id: `cell_${c}_${r}`,
+                minX: round2(center(c) - inset),
+                maxX: round2(center(c) + inset),
+                minZ: round2(center(r) - inset),
+                maxZ: round2(center(r) + inset),
+                weight: i === 0 ? 2 : 1
+            };
+        });
+    return { walls, spawnPose, zones, cells, cellSize: round2(cell) };
+}
+
+/**
+ * Generate a solvable track map. Returns { ok, map, analysis, attempts } or { ok: false, error, attempts }.
+ * The map carries `generator` (seed, style, attempt) and `difficulty` (analyzeTrackMap summary).
+ */
+export function generateTrackMap(options = {}) {
+    const style = MAP_GENERATOR_STYLES.includes(options.style) ? options.style : MAP_GENERATOR_DEFAULTS.style;
+    const seed = normalizeSeed(options.seed, 0);
+    const arenaSize = Math.max(30, Math.min(80, Math.round(Number(options.arenaSize) || MAP_GENERATOR_DEFAULTS.arenaSize)));
+    const maxAttempts = Math.max(1, Math.round(Number(options.maxAttempts) || MAP_GENERATOR_DEFAULTS.maxAttempts));
+    const params = { ...STYLE_PARAMS[style], ...(options.params || {}) };
+    const half = arenaSize / 2;
+    let lastError = "no attempts";
+
+    for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+        const rng = createSeededRandom(hashSeed(`${seed}|${style}|${attempt}`));
+        const layout = style === "pillars" ? generatePillars(rng, half, params) : generateMaze(rng, half, params);
+        if (layout.zones.length === 0) {
+            lastError = "no target zone could be placed";
+            continue;
+        }
+        const id = `gen_${style}_${seed}`;
+        const payload = {
+            schema: TRACK_MAP_SCHEMA_ID,
+            version: TRACK_MAP_SCHEMA_VERSION,
+            id,
+            label: `Generated ${style} #${seed}`,
+            description: `Procedural ${style} layout (seed ${seed}, attempt ${attempt + 1}).`,
+            bounds: { minX: -half + 1, maxX: half - 1, minZ: -half + 1, maxZ: half - 1, softMargin: 3.5 },
+            groundFriction: 0,
+            walls: [...outerWalls(half), ...layout.walls],
+            spawnPoses: [layout.spawnPose],
+            targetZones: layout.zones,
+            initialTarget: [
+                round2((layout.zones[0].minX + layout.zones[0].maxX) / 2),
+                1,
+                round2((layout.zones[0].minZ + layout.zones[0].maxZ) / 2)
+            ]
+        };
+        const parsed = parseTrackMapPayload(payload);
+        if (!parsed.ok) {
+            lastError = parsed.error;
+            continue;
+        }
+        const analysis = analyzeTrackMap(parsed.map);
+        if (!analysis.solvable) {
+            const blockedZones = analysis.zones.filter((zone) => !zone.reachable).map((zone) => zone.id);
+            lastError = analysis.spawnValid ? `unreachable target zones: ${blockedZones.join(", ")}` : "spawn pose is blocked";
+            continue;
+        }
+        const map = parseTrackMapPayload({
+            ...payload,
+            generator: {
+                style,
+                seed,
+                attempt: attempt + 1,
+                arenaSize,
+                params,
+                ...(layout.cells ? { cells: layout.cells, cellSize: layout.cellSize } : {})
+            },
+            difficulty: summarizeMapDifficulty(analysis)
+        }).map;
+        return { ok: true, map, analysis, attempts: attempt + 1 };
+    }
+    return { ok: false, error: `No solvable ${style} map for seed ${seed} after ${maxAttempts} attempts (${lastError}).`, attempts: maxAttempts };
+}
+
+/** The subset of analyzeTrackMap that travels with the map into logs and reports. */
+export function summarizeMapDifficulty(analysis) {
+    return {
+        tier: analysis.difficultyTier,
+        score: analysis.difficultyScore,
+        freeSpaceRatio: analysis.freeSpaceRatio,
+        reachableRatio: analysis.reachableRatio,
+        minCorridorWidthM: analysis.minCorridorWidthM,
+        deadEndCount: analysis.deadEndCount
+    };
+}
+
+const ratedMapCache = new Map();
+
+/**
+ * Attach a difficulty summary to maps that do not carry one (built-ins, hand-written JSON).
+ * Results are cached by layout fingerprint; maps that already have `difficulty` are returned as-is.
+ */
+export function rateTrackMap(map) {
+    if (!map || map.difficulty) return map;
+    if (!ratedMapCache.has(map.fingerprint)) {
+        ratedMapCache.set(map.fingerprint, summarizeMapDifficulty(analyzeTrackMap(map)));
+    }
+    return { ...map, difficulty: ratedMapCache.get(map.fingerprint) };
+}
+
+const GENERATED_MAP_ID_PATTERN = /^gen_([a-z]+)_(\d+)$/;
+const generatedMapCache = new Map();
+
+/**
+ * Resolve a map id used by experiment conditions: a built-in id, or `gen_<style>_<seed>`, which regenerates
+ * the same layout as generateTrackMap (default arena size). Returns null for unknown ids or unsolvable seeds.
+ */
+export function resolveTrackMapId(id) {
+    const builtin = getTrackMap(id);
+    if (builtin) return builtin;
+    const match = GENERATED_MAP_ID_PATTERN.exec(typeof id === "string" ? id : "");
+    if (!match || !MAP_GENERATOR_STYLES.includes(match[1])) return null;
+    if (!generatedMapCache.has(id)) {
+        const result = generateTrackMap({ style: match[1], seed: Number(match[2]) });
+        generatedMapCache.set(id, result.ok ? result.map : null);
+    }
+    return generatedMapCache.get(id);
+}
+
+/** True when `id` names a built-in map or follows the generated-map id pattern. */
+export function isResolvableTrackMapId(id) {
+    if (getTrackMap(id)) return true;
+    const match = GENERATED_MAP_ID_PATTERN.exec(typeof id === "string" ? id : "");
+    return !!match && MAP_GENERATOR_STYLES.includes(match[1]);
+}
@@ -0,0 +1,246 @@
+// Deterministic stand-in for a live LLM. Produces the same JSON contract the driving prompt asks for,
+// optionally corrupted by scripted faults so the parse/repair path and runtime guards can be exercised offline.
+import { hashSeed } from "./seededRandom.js";
+
+export const MOCK_MODEL_PREFIX = "mock:";
+export const MOCK_MODELS = Object.freeze({
+    RULE_POLICY: "mock:rule-policy",
+    FAULT_INJECTION: "mock:fault-injection"
+});
+export const MOCK_FAULT_TYPES = Object.freeze([
+    "truncated_json",
+    "code_fence",
+    "wrong_sign",
+    "latency_spike"
+]);
+
+const DEFAULT_MOCK_SEED = 1337;
+const DEFAULT_BASE_LATENCY_MS = 120;
+const DEFAULT_LATENCY_JITTER_MS = 60;
+const DEFAULT_LATENCY_SPIKE_MS = 2800;
+const DEFAULT_FAULT_RATE = 0.3;
+const DANGER_FRONT_DIST = 2.4;
+
+const asNum = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const round = (value, digits = 2) => {
+    const base = 10 ** digits;
+    return Math.round(asNum(value, 0) * base) / base;
+};
+
+// mulberry32 step, keyed by (seed, cycle, salt) so every cycle is reproducible on its own.
+function deterministicUnit(seed, cycle, salt) {
+    let t = (hashSeed(`${seed}|${cycle}|${salt}`) + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export function isMockModel(modelName) {
+    return typeof modelName === "string" && modelName.trim().toLowerCase().startsWith(MOCK_MODEL_PREFIX);
+}
+
+/**
+ * Resolve the fault/latency profile for a mock model name plus optional overrides (llmOptions.mock).
+ */
+export function resolveMockProfile(modelName, overrides = null) {
+    const source = overrides && typeof overrides === "object" ? overrides : {};
+    const faultsEnabledByName = String(modelName || "").trim().toLowerCase() === MOCK_MODELS.FAULT_INJECTION;
+    const requestedFaults = Array.isArray(source.faults)
+        ? source.faults.map((f) => String(f || "").trim().toLowerCase()).filter((f) => MOCK_FAULT_TYPES.includes(f))
+        : null;
+    const faults = requestedFaults || (faultsEnabledByName ? [...MOCK_FAULT_TYPES] : []);
+    const faultRate = clamp(asNum(source.faultRate, faults.length > 0 ? DEFAULT_FAULT_RATE : 0), 0, 1);
+    return {
+        seed: source.seed ?? DEFAULT_MOCK_SEED,
+        faults,
+        faultRate,
+        baseLatencyMs: Math.max(0, asNum(source.baseLatencyMs, DEFAULT_BASE_LATENCY_MS)),
+        latencyJitterMs: Math.max(0, asNum(source.latencyJitterMs, DEFAULT_LATENCY_JITTER_MS)),
+        latencySpikeMs: Math.max(0, asNum(source.latencySpikeMs, DEFAULT_LATENCY_SPIKE_MS)),
+        simulateLatency: source.simulateLatency !== false,
+        script: Array.isArray(source.script) ? source.script.filter((step) => step && typeof step === "object") : []
+    };
+}
+
+function sectorClearance(sensorData) {
+    return {
+        L: Math.min(asNum(sensorData?.left, 99), asNum(sensorData?.leftDiag, 99)),
+        F: Math.min(asNum(sensorData?.front, 99), asNum(sensorData?.leftDiag, 99), asNum(sensorData?.rightDiag, 99)),
+        R: Math.min(asNum(sensorData?.right, 99), asNum(sensorData?.rightDiag, 99)),
+        B: Math.min(asNum(sensorData?.back, 99), asNum(sensorData?.backLeft, 99), asNum(sensorData?.backRight, 99))
+    };
+}
+
+const signOf = (value) => (value > 0.08 ? 1 : value < -0.08 ? -1 : 0);
+
+function buildStep(throttle, steering, duration, code, summary) {
+    const t = round(clamp(throttle, -1, 1));
+    const s = round(clamp(steering, -1, 1));
+    return {
+        throttle: t,
+        steering: s,
+        duration: round(duration),
+        reason: {
+            code,
+            summary,
+            expectedThrottleSign: signOf(t),
+            expectedSteeringSign: signOf(s)
+        }
+    };
+}
+
+/**
+ * Rule-based policy over the same inputs the driving prompt is built from
+ * (sensors, target signal, context mode signal, exploration digest inputs).
+ */
+export function buildRuleBasedDecision({
+    sensorData = {},
+    targetSignal = {},
+    contextModeSignal = {},
+    explorationContext = null,
+    previousStrategyMode = null
+} = {}) {
+    const clearance = sectorClearance(sensorData);
+    const angle = asNum(sensorData?.angleToTarget, 0);
+    const preferredSector = ["L", "F", "R", "B"].includes(explorationContext?.preferredSector)
+        ? explorationContext.preferredSector
+        : "F";
+    const danger = !!contextModeSignal?.danger || !!sensorData?.isStuck || clearance.F < DANGER_FRONT_DIST;
+    const targetMode = contextModeSignal?.expectedMode === "TARGET_LOCK" || targetSignal?.mode === "STRONG";
+
+    let mode;
+    let skill;
+    let sector;
+    let actions;
+    if (danger) {
+        mode = "ESCAPE_RECOVERY";
+        skill = "BACKOFF_AND_TURN";
+        sector = clearance.L >= clearance.R ? "L" : "R";
+        const turn = sector === "L" ? 0.7 : -0.7;
+        actions = [
+            buildStep(-0.45, turn * 0.5, 0.35, "BACKOFF_CLEAR_FRONT", "back away from close obstacle"),
+            buildStep(0.2, turn, 0.3, "TURN_TO_OPEN_SIDE", "rotate toward open side")
+        ];
+    } else if (targetMode) {
+        mode = "TARGET_LOCK";
+        skill = "APPROACH_TARGET";
+        const steer = clamp(angle / 45, -1, 1);
+        sector = steer > 0.25 ? "L" : steer < -0.25 ? "R" : "F";
+        const throttle = Math.abs(angle) > 60 ? 0.2 : clamp(0.25 + (clearance.F / 20), 0.3, 0.6);
+        actions = [
+            buildStep(throttle, steer, 0.3, "APPROACH_TARGET_BEARING", "steer toward target bearing"),
+            buildStep(throttle, steer * 0.5, 0.25, "APPROACH_MICRO_CORRECTION", "settle heading on target")
+        ];
+    } else {
+        mode = "MEMORY_EXPLORE";
+        const reacquire = !!contextModeSignal?.reacquireActive;
+        skill = reacquire ? "SCAN_SECTOR" : "MOVE_TO_FRONTIER";
+        const openSector = ["L", "F", "R"].reduce((best, key) => (clearance[key] > clearance[best] ? key : best), "F");
+        sector = clearance[preferredSector] > DANGER_FRONT_DIST * 1.5 && preferredSector !== "B" ? preferredSector : openSector;
+        const steer = sector === "L" ? 0.55 : sector === "R" ? -0.55 : 0;
+        actions = reacquire
+            ? [
+                buildStep(0.12, asNum(contextModeSignal?.reacquireTurnDir, 1) > 0 ? 0.7 : -0.7, 0.4, "SCAN_FOR_TARGET", "sweep to reacquire target"),
+                buildStep(0.25, 0, 0.25, "SCAN_ADVANCE", "short advance after sweep")
+            ]
+            : [
+                buildStep(0.45, steer, 0.3, "MOVE_TO_FRONTIER", "head to preferred frontier sector"),
+                buildStep(0.4, steer * 0.4, 0.3, "FRONTIER_STRAIGHTEN", "straighten toward open space")
+            ];
+    }
+
+    const first = actions[0];
+    return {
+        strategy: {
+            mode,
+            transition: previousStrategyMode && previousStrategyMode !== mode ? "SWITCH" : "HOLD",
+            confidence: danger ? 0.8 : targetMode ? 0.75 : 0.55,
+            chosenSector: sector,
+            targetCue: `angle ${Math.round(angle)} dist ${round(asNum(sensorData?.distanceToTarget, 99), 1)}`,
+            memoryCue: `pref ${preferredSector}`,
+            riskCue: `front ${round(clearance.F, 1)}`,
+            rationale: "mock rule policy"
+        },
+        skill: { name: skill, intensity: danger ? 0.9 : 0.6, rationale: "mock rule policy" },
+        reflection: { lastOutcomeAssessment: "mock", adjustment: "Keep rule policy." },
+        reason: { ...first.reason },
+        thought: `mock ${mode.toLowerCase()}`,
+        analysis: `front ${round(clearance.F, 1)}m, target ${Math.round(angle)}deg`,
+        control: { throttle: first.throttle, steering: first.steering, duration: first.duration },
+        actions
+    };
+}
+
+function applyScriptStep(decision, scriptStep) {
+    if (!scriptStep) return decision;
+    return {
+        ...decision,
+        ...scriptStep,
+        strategy: { ...decision.strategy, ...(scriptStep.strategy || {}) },
+        skill: { ...decision.skill, ...(scriptStep.skill || {}) },
+        control: { ...decision.control, ...(scriptStep.control || {}) }
+    };
+}
+
+function flipSteeringSigns(decision) {
+    // Flip the executed steering but keep the declared reason signs so reason validation sees the mismatch.
+    return {
+        ...decision,
+        control: { ...decision.control, steering: -asNum(decision.control?.steering, 0) },
+        actions: (decision.actions || []).map((step) => ({ ...step, steering: -asNum(step.steering, 0) }))
+    };
+}
+
+function pickFault(profile, cycle) {
+    if (profile.faults.length === 0 || profile.faultRate <= 0) return null;
+    if (deterministicUnit(profile.seed, cycle, "fault_roll") >= profile.faultRate) return null;
+    const index = Math.floor(deterministicUnit(profile.seed, cycle, "fault_pick") * profile.faults.length);
+    return profile.faults[Math.min(profile.faults.length - 1, index)];
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Mock counterpart of requestLlmCompletion: returns raw model text for one request.
+ * Faults are only injected on the primary attempt so the strict-JSON retry can recover.
+ */
+export async function requestMockCompletion(inputs, {
+    profile,
+    cycle = 1,
+    attempt = "primary",
+    timeoutMs = 0,
+    trace = null
+} = {}) {
+    const resolvedProfile = profile || resolveMockProfile(MOCK_MODELS.RULE_POLICY);
+    const fault = attempt === "primary" ? pickFault(resolvedProfile, cycle) : null;
+    const scriptStep = resolvedProfile.script.length > 0
+        ? resolvedProfile.script[(Math.max(1, cycle) - 1) % resolvedProfile.script.length]
+        : null;
+    let decision = applyScriptStep(buildRuleBasedDecision(inputs), scriptStep);
+    if (fault === "wrong_sign") decision = flipSteeringSigns(decision);
+
+    let latencyMs = resolvedProfile.baseLatencyMs
+        + Math.round(deterministicUnit(resolvedProfile.seed, cycle, `latency_${attempt}`) * resolvedProfile.latencyJitterMs);
+    if (fault === "latency_spike") latencyMs += resolvedProfile.latencySpikeMs;
+    if (Array.isArray(trace)) trace.push({ cycle, attempt, fault: fault || "none", latencyMs, scripted: !!scriptStep });
+
+    if (resolvedProfile.simulateLatency && latencyMs > 0) {
+        if (timeoutMs > 0 && latencyMs >= timeoutMs) {
+            await sleep(timeoutMs);
+            const timeoutErr = new Error("Mock latency exceeded request timeout");
+            timeoutErr.name = "AbortError";
+            throw timeoutErr;
+        }
+        await sleep(latencyMs);
+    }
+
+    const json = JSON.stringify(decision, null, 2);
+    if (fault === "truncated_json") {
+        return json.slice(0, Math.max(16, Math.floor(json.length * 0.55)));
+    }
+    if (fault === "code_fence") {
+        return `Here is the decision:\n\`\`\`json\n${json}\n\`\`\`\n`;
+    }
+    return json;
+}
@@ -0,0 +1,319 @@
+// Camera observation channel for vision models (Gemma 3 4b/12b take images): which inputs a decision prompt carries
+// (the numeric text, a camera frame or both), a software camera over the track map for runs without a WebGL scene,
+// PNG encoding and frame hashing. Decision records carry the frame's hash; the PNGs go to files.observationFrames.
+import { DEFAULT_CAR_SPAWN_POSITION, DEFAULT_TARGET_POSITION, TARGET_RADIUS, boxFootprintDistance, castWorldRay } from "./simulationCore.js";
+import { hashSeed } from "./seededRandom.js";
+
+export const OBSERVATION_MODES = Object.freeze({
+    TEXT: "text",
+    IMAGE: "image",
+    TEXT_IMAGE: "text_image"
+});
+export const DEFAULT_OBSERVATION_MODE = OBSERVATION_MODES.TEXT;
+
+export const isObservationMode = (value) => Object.values(OBSERVATION_MODES).includes(value);
+export const observationUsesImage = (mode) => mode === OBSERVATION_MODES.IMAGE || mode === OBSERVATION_MODES.TEXT_IMAGE;
+
+export const OBSERVATION_VIEWS = Object.freeze({
+    FIRST_PERSON: "first_person",
+    TOP_DOWN: "top_down"
+});
+export const DEFAULT_OBSERVATION_VIEW = OBSERVATION_VIEWS.FIRST_PERSON;
+
+export const isObservationView = (value) => Object.values(OBSERVATION_VIEWS).includes(value);
+
+// Low resolution on purpose: the vision encoder upsamples anyway, and ~50 KB per decision keeps bundles loadable.
+export const OBSERVATION_FRAME_WIDTH = 128;
+export const OBSERVATION_FRAME_HEIGHT = 96;
+export const OBSERVATION_FOV_DEG = 90;
+// Ground width the top-down frame shows; the car sits at the bottom center, heading up.
+export const OBSERVATION_TOP_DOWN_SPAN_M = 32;
+const TOP_DOWN_CAR_ROW_RATIO = 0.8;
+// Camera above the car origin; must stay below the 2m walls so horizontal rays hit them.
+export const OBSERVATION_CAMERA_HEIGHT = 0.6;
+const WALL_TOP_Y = 2;
+const TARGET_TOP_Y = 3;
+const SHADE_DISTANCE_M = 40;
+
+// Driving templates that render the {{observationNote}} slot; used when an image condition sets none.
+export const OBSERVATION_PROMPT_TEMPLATES = Object.freeze({
+    [OBSERVATION_MODES.IMAGE]: "driving-vision-only@1",
+    [OBSERVATION_MODES.TEXT_IMAGE]: "driving-vision@1"
+});
+
+// Image conditions with latency compensation: the one template that renders both the frame note and the actuation view.
+export const OBSERVATION_COMPENSATED_PROMPT_TEMPLATE = "driving-vision@2";
+
+/**
+ * llmOptions for a decision call: image conditions without an explicit prompt template get their mode's template,
+ * or OBSERVATION_COMPENSATED_PROMPT_TEMPLATE when latency compensation is on. Resolve this before the compensation
+ * default so an image condition keeps its frame note.
+ */
+export const resolveObservationLlmOptions = (llmOptions, mode, { compensated = false } = {}) => {
+    if (!observationUsesImage(mode) || llmOptions?.promptTemplate) return llmOptions;
+    return { ...(llmOptions || {}), promptTemplate: compensated ? OBSERVATION_COMPENSATED_PROMPT_TEMPLATE : OBSERVATION_PROMPT_TEMPLATES[mode] };
+};
+
+const COLORS = Object.freeze({
+    sky: [128, 160, 196],
+    ground: [64, 64, 64],
+    outside: [16, 16, 20],
+    wall: [136, 68, 68],
+    target: [0, 255, 255],
+    car: [248, 250, 252]
+});
+
+const DEG_TO_RAD = Math.PI / 180;
+const asNum = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const setPixel = (rgba, width, col, row, [r, g, b], shade = 1) => {
+    const offset = ((row * width) + col) * 4;
+    rgba[offset] = r * shade;
+    rgba[offset + 1] = g * shade;
+    rgba[offset + 2] = b * shade;
+    rgba[offset + 3] = 255;
+};
+
+// Column raycaster: one horizontal ray per column, walls and the target pillar drawn with perspective height.
+const renderFirstPerson = ({ boxes, target, x, y, z, headingRad, width, height }) => {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    const fx = Math.sin(headingRad);
+    const fz = Math.cos(headingRad);
+    const cameraY = y + OBSERVATION_CAMERA_HEIGHT;
+    const origin = [x, cameraY, z];
+    const focal = (width / 2) / Math.tan((OBSERVATION_FOV_DEG * DEG_TO_RAD) / 2);
+    const horizon = height / 2;
+    const span = (distance, topY) => ({
+        top: horizon - (focal * (topY - cameraY) / distance),
+        bottom: horizon + (focal * cameraY / distance)
+    });
+    for (let col = 0; col < width; col += 1) {
+        // Positive bearing = left of the heading, same as angleToTarget.
+        const bearing = Math.atan2((width / 2) - (col + 0.5), focal);
+        const dx = (fx * Math.cos(bearing)) + (fz * Math.sin(bearing));
+        const dz = (fz * Math.cos(bearing)) - (fx * Math.sin(bearing));
+        const wallHit = castWorldRay(origin, dx, dz, { boxes });
+        const targetHit = target ? castWorldRay(origin, dx, dz, { boxes: [], targetPosition: target }) : null;
+        // Perpendicular distance keeps straight walls straight.
+        const wall = wallHit ? span(Math.max(0.05, wallHit.distance * Math.cos(bearing)), WALL_TOP_Y) : null;
+        const wallShade = wallHit ? clamp(1 - (wallHit.distance / SHADE_DISTANCE_M), 0.35, 1) : 1;
+        const pillar = targetHit && (!wallHit || targetHit.distance < wallHit.distance)
+            ? span(Math.max(0.05, targetHit.distance * Math.cos(bearing)), TARGET_TOP_Y)
+            : null;
+        for (let row = 0; row < height; row += 1) {
+            const center = row + 0.5;
+            if (pillar && center >= pillar.top && center <= pillar.bottom) setPixel(rgba, width, col, row, COLORS.target);
+            else if (wall && center >= wall.top && center <= wall.bottom) setPixel(rgba, width, col, row, COLORS.wall, wallShade);
+            else if (center < horizon) setPixel(rgba, width, col, row, COLORS.sky);
+            else setPixel(rgba, width, col, row, COLORS.ground, 0.7 + (0.3 * ((center - horizon) / (height - horizon))));
+        }
+    }
+    return rgba;
+};
+
+// Heading-up map crop around the car: walls, the area outside the bounds, the target and the car footprint.
+const renderTopDown = ({ boxes, bounds, target, x, z, headingRad, width, height }) => {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    const fx = Math.sin(headingRad);
+    const fz = Math.cos(headingRad);
+    const metersPerPx = OBSERVATION_TOP_DOWN_SPAN_M / width;
+    const carCol = width / 2;
+    const carRow = height * TOP_DOWN_CAR_ROW_RATIO;
+    const walls = Array.isArray(boxes) ? boxes : [];
+    for (let row = 0; row < height; row += 1) {
+        for (let col = 0; col < width; col += 1) {
+            const right = ((col + 0.5) - carCol) * metersPerPx;
+            const forward = (carRow - (row + 0.5)) * metersPerPx;
+            // Right of the heading is (-fz, fx) in world X/Z.
+            const wx = x + (fx * forward) - (fz * right);
+            const wz = z + (fz * forward) + (fx * right);
+            let color = COLORS.ground;
+            if (bounds && (wx < bounds.minX || wx > bounds.maxX || wz < bounds.minZ || wz > bounds.maxZ)) color = COLORS.outside;
+            if (walls.some((box) => boxFootprintDistance(wx, wz, box) === 0)) color = COLORS.wall;
+            // Drawn at twice its radius so the target stays visible at this scale.
+            if (target && Math.hypot(wx - target[0], wz - target[2]) <= TARGET_RADIUS * 2) color = COLORS.target;
+            // Car footprint (2m x 4m) as a triangle pointing forward.
+            if (forward >= -2 && forward <= 2 && Math.abs(right) <= (2 - forward) / 4) color = COLORS.car;
+            setPixel(rgba, width, col, row, color);
+        }
+    }
+    return rgba;
+};
+
+/**
+ * Software camera over a track map ({ boxes, bounds }) for a car pose ({ x, y, z, headingDeg }), with the target at
+ * `target` ([x, y, z] or null). Returns { width, height, rgba } (RGBA rows, top row first).
+ */
+export const renderObservationFrame = ({
+    view = DEFAULT_OBSERVATION_VIEW,
+    trackMap,
+    pose,
+    target = null,
+    width = OBSERVATION_FRAME_WIDTH,
+    height = OBSERVATION_FRAME_HEIGHT
+}) => {
+    const input = {
+        boxes: trackMap?.boxes || [],
+        bounds: trackMap?.bounds || null,
+        target: Array.isArray(target) ? target : null,
+        x: asNum(pose?.x, 0),
+        y: asNum(pose?.y, 0.5),
+        z: asNum(pose?.z, 0),
+        headingRad: asNum(pose?.headingDeg, 0) * DEG_TO_RAD,
+        width,
+        height
+    };
+    const rgba = view === OBSERVATION_VIEWS.TOP_DOWN ? renderTopDown(input) : renderFirstPerson(input);
+    return { width, height, rgba };
+};
+
+/** Camera pose and target for renderObservationFrame from a sensor payload (worldX/Y/Z, headingDeg, targetX/Z). */
+export const observationSceneFromSensor = (sensor) => ({
+    pose: {
+        x: asNum(sensor?.worldX, 0),
+        y: asNum(sensor?.worldY, DEFAULT_CAR_SPAWN_POSITION[1]),
+        z: asNum(sensor?.worldZ, 0),
+        headingDeg: asNum(sensor?.headingDeg, 0)
+    },
+    target: Number.isFinite(sensor?.targetX) && Number.isFinite(sensor?.targetZ)
+        ? [sensor.targetX, DEFAULT_TARGET_POSITION[1], sensor.targetZ]
+        : null
+});
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const adler32 = (bytes) => {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i += 1) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+};
+
+const writeUint32 = (bytes, offset, value) => {
+    bytes[offset] = (value >>> 24) & 0xff;
+    bytes[offset + 1] = (value >>> 16) & 0xff;
+    bytes[offset + 2] = (value >>> 8) & 0xff;
+    bytes[offset + 3] = value & 0xff;
+};
+
+const pngChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length);
+    writeUint32(chunk, 0, data.length);
+    for (let i = 0; i < 4; i += 1) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    writeUint32(chunk, 8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+};
+
+// zlib stream of stored (uncompressed) deflate blocks: no compressor needed, in the browser or in Node.
+const zlibStored = (raw) => {
+    const MAX_BLOCK = 65535;
+    const blocks = Math.max(1, Math.ceil(raw.length / MAX_BLOCK));
+    const out = new Uint8Array(2 + (blocks * 5) + raw.length + 4);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let offset = 2;
+    for (let i = 0; i < blocks; i += 1) {
+        const block = raw.subarray(i * MAX_BLOCK, Math.min(raw.length, (i + 1) * MAX_BLOCK));
+        out[offset] = i === blocks - 1 ? 1 : 0;
+        out[offset + 1] = block.length & 0xff;
+        out[offset + 2] = (block.length >>> 8) & 0xff;
+        out[offset + 3] = ~block.length & 0xff;
+        out[offset + 4] = (~block.length >>> 8) & 0xff;
+        out.set(block, offset + 5);
+        offset += 5 + block.length;
+    }
+    writeUint32(out, offset, adler32(raw));
+    return out;
+};
+
+/** 8-bit RGB PNG bytes from RGBA pixels (alpha dropped). */
+export const encodePng = (width, height, rgba) => {
+    const raw = new Uint8Array(height * ((width * 3) + 1));
+    for (let row = 0; row < height; row += 1) {
+        const rowStart = row * ((width * 3) + 1);
+        raw[rowStart] = 0; // filter: none
+        for (let col = 0; col < width; col += 1) {
+            const from = ((row * width) + col) * 4;
+            const to = rowStart + 1 + (col * 3);
+            raw[to] = rgba[from];
+            raw[to + 1] = rgba[from + 1];
+            raw[to + 2] = rgba[from + 2];
+        }
+    }
+    const header = new Uint8Array(13);
+    writeUint32(header, 0, width);
+    writeUint32(header, 4, height);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk("IHDR", header),
+        pngChunk("IDAT", zlibStored(raw)),
+        pngChunk("IEND", new Uint8Array(0))
+    ];
+    const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+        png.set(part, offset);
+        offset += part.length;
+    });
+    return png;
+};
+
+const bytesToBase64 = (bytes) => {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Observation frame from RGBA pixels (a software render or a WebGL read-back):
+ * { view, source, width, height, hash, png } with `png` base64-encoded, as Ollama's `images` field takes it.
+ */
+export const buildObservationFrame = ({ view, source, width, height, rgba }) => {
+    const png = bytesToBase64(encodePng(width, height, rgba));
+    return { view, source, width, height, hash: hashSeed(png).toString(16).padStart(8, "0"), png };
+};
+
+/** Decision-log view of an observation: the frame's metadata and hash, without the pixels. */
+export const describeObservation = (mode, frame) => ({
+    mode,
+    view: frame?.view || null,
+    source: frame?.source || null,
+    width: frame?.width ?? null,
+    height: frame?.height ?? null,
+    hash: frame?.hash || null
+});
+
+/** {{observationNote}} text: what the attached frame shows and how to read directions in it. */
+export const formatObservationNoteForPrompt = (frame) => {
+    if (!frame) return "unavailable this cycle (no image attached)";
+    const colors = "walls are red-brown, the target is the cyan pillar, the floor is grey";
+    if (frame.view === OBSERVATION_VIEWS.TOP_DOWN) {
+        return `attached image, top-down view ${frame.width}x${frame.height}px, ${OBSERVATION_TOP_DOWN_SPAN_M}m wide, heading-up: `
+            + `you are the ${frame.source === "software" ? "white triangle" : "car"} near the bottom center facing up (up = forward, image left = your left); ${colors}`;
+    }
+    return `attached image, first-person camera ${frame.width}x${frame.height}px, ${OBSERVATION_FOV_DEG}deg horizontal field of view: `
+        + `image center = straight ahead, image left = your left; ${colors}`;
+};
@@ -0,0 +1,361 @@
+// Probabilistic occupancy grid from the 8-ray lidar: every ray lowers the log-odds of the cells it passes through and
+// raises the one it ends in when it hit a wall. Independent of the exploration memory's coarse visit grid (its own
+// resolution), it serves as a planner map and a visualization layer, and can be scored against the track walls.
+import { SENSOR_RAY_LOCAL_DIRECTIONS, boxFootprintDistance } from "./simulationCore.js";
+
+export const DEFAULT_OCCUPANCY_RESOLUTION = 0.5;
+export const OCCUPANCY_RESOLUTION_LIMITS = Object.freeze({ min: 0.1, max: 2 });
+
+// Inverse sensor model (log-odds increments) and clamping, so a cell can still flip after many observations.
+const LOG_ODDS_HIT = 0.85;
+const LOG_ODDS_MISS = -0.4;
+const LOG_ODDS_MIN = -2.5;
+const LOG_ODDS_MAX = 3.5;
+// Classification thresholds on the occupancy probability.
+export const OCCUPANCY_OCCUPIED_P = 0.65;
+export const OCCUPANCY_FREE_P = 0.35;
+
+export const OCCUPANCY_CELL_STATES = Object.freeze({
+    OCCUPIED: "occupied",
+    FREE: "free",
+    UNKNOWN: "unknown"
+});
+
+// A ray reading this close to the sensor range is a miss (nothing hit within range).
+const RAY_MISS_EPSILON = 0.05;
+// Hit points land exactly on the wall face; nudging them inward puts the endpoint in the wall's cell.
+const HIT_NUDGE_M = 0.02;
+// Planner map: cells within this distance of an occupied cell are blocked (car half-width), within twice it cost extra.
+const PLANNER_INFLATION_M = 1.0;
+const PLANNER_NEAR_WALL_COST = 0.5;
+const PLANNER_UNKNOWN_COST = 0.5;
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+const round = (value, digits) => Number(asFiniteNumber(value, 0).toFixed(digits));
+const cellKey = (ix, iz) => `${ix},${iz}`;
+const toProbability = (logOdds) => 1 - (1 / (1 + Math.exp(logOdds)));
+
+export const clampOccupancyResolution = (value) => Math.max(
+    OCCUPANCY_RESOLUTION_LIMITS.min,
+    Math.min(OCCUPANCY_RESOLUTION_LIMITS.max, asFiniteNumber(value, DEFAULT_OCCUPANCY_RESOLUTION))
+);
+
+const classify = (logOdds) => {
+    const p = toProbability(logOdds);
+    if (p >= OCCUPANCY_OCCUPIED_P) return OCCUPANCY_CELL_STATES.OCCUPIED;
+    if (p <= OCCUPANCY_FREE_P) return OCCUPANCY_CELL_STATES.FREE;
+    return OCCUPANCY_CELL_STATES.UNKNOWN;
+};
+
+/**
+ * Log-odds occupancy grid. `integrate(sensorData)` adds one 8-ray scan; rays that ended on the target cylinder read
+ * as clear in the logical distances, so they are skipped rather than clearing the cells behind the target.
+ */
+export const createOccupancyGrid = ({ resolution = DEFAULT_OCCUPANCY_RESOLUTION, worldBounds = null } = {}) => {
+    const state = {
+        resolution: clampOccupancyResolution(resolution),
+        worldBounds,
+        cells: new Map(),
+        scans: 0
+    };
+
+    const toCell = (x, z) => ({ ix: Math.floor(x / state.resolution), iz: Math.floor(z / state.resolution) });
+    const cellCenter = (ix, iz) => ({ x: (ix + 0.5) * state.resolution, z: (iz + 0.5) * state.resolution });
+    const logOddsAt = (ix, iz) => state.cells.get(cellKey(ix, iz)) ?? 0;
+
+    const addLogOdds = (ix, iz, delta) => {
+        const key = cellKey(ix, iz);
+        const next = Math.max(LOG_ODDS_MIN, Math.min(LOG_ODDS_MAX, (state.cells.get(key) ?? 0) + delta));
+        state.cells.set(key, next);
+    };
+
+    // Cells crossed by the segment, start cell first, end cell last (Amanatides-Woo traversal).
+    const traverse = (x0, z0, x1, z1, visit) => {
+        let { ix, iz } = toCell(x0, z0);
+        const end = toCell(x1, z1);
+        const dx = x1 - x0;
+        const dz = z1 - z0;
+        const stepX = Math.sign(dx);
+        const stepZ = Math.sign(dz);
+        let tMaxX = stepX !== 0 ? (((ix + (stepX > 0 ? 1 : 0)) * state.resolution) - x0) / dx : Infinity;
+        let tMaxZ = stepZ !== 0 ? (((iz + (stepZ > 0 ? 1 : 0)) * state.resolution) - z0) / dz : Infinity;
+        const tDeltaX = stepX !== 0 ? state.resolution / Math.abs(dx) : Infinity;
+        const tDeltaZ = stepZ !== 0 ? state.resolution / Math.abs(dz) : Infinity;
+        const maxSteps = Math.abs(end.ix - ix) + Math.abs(end.iz - iz) + 1;
+        for (let i = 0; i < maxSteps; i += 1) {
+            const last = ix === end.ix && iz === end.iz;
+            visit(ix, iz, last);
+            if (last) return;
+            if (tMaxX < tMaxZ) {
+                ix += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                iz += stepZ;
+                tMaxZ += tDeltaZ;
+            }
+        }
+        visit(end.ix, end.iz, true);
+    };
+
+    const integrate = (sensorData) => {
+        const x = sensorData?.worldX;
+        const z = sensorData?.worldZ;
+        if (!Number.isFinite(x) || !Number.isFinite(z)) return;
+        const range = asFiniteNumber(sensorData?.sensorRange, 10);
+        const heading = (asFiniteNumber(sensorData?.headingDeg, 0) * Math.PI) / 180;
+        const ux = Math.sin(heading);
+        const uz = Math.cos(heading);
+        const targetHits = sensorData?.targetHits || {};
+
+        SENSOR_RAY_LOCAL_DIRECTIONS.forEach((dir) => {
+            if (targetHits[dir.name]) return;
+            const rawX = (dir.x * uz) + (dir.z * ux);
+            const rawZ = (-dir.x * ux) + (dir.z * uz);
+            const len = Math.hypot(rawX, rawZ) || 1;
+            const distance = Math.max(0, Math.min(range, asFiniteNumber(sensorData?.[dir.name], range)));
+            const hit = distance < range - RAY_MISS_EPSILON;
+            const reach = hit ? distance + HIT_NUDGE_M : distance;
+            traverse(x, z, x + ((rawX / len) * reach), z + ((rawZ / len) * reach), (ix, iz, last) => {
+                addLogOdds(ix, iz, last && hit ? LOG_ODDS_HIT : LOG_ODDS_MISS);
+            });
+        });
+        state.scans += 1;
+    };
+
+    const probabilityAt = (x, z) => {
+        const { ix, iz } = toCell(x, z);
+        return toProbability(logOddsAt(ix, iz));
+    };
+
+    const isObserved = (ix, iz) => state.cells.has(cellKey(ix, iz));
+
+    const cellState = (ix, iz) => (state.cells.has(cellKey(ix, iz)) ? classify(logOddsAt(ix, iz)) : OCCUPANCY_CELL_STATES.UNKNOWN);
+
+    /** Every observed cell: { ix, iz, x, z, p, state }. */
+    const exportCells = () => Array.from(state.cells.entries()).map(([key, logOdds]) => {
+        const [ix, iz] = key.split(",").map(Number);
+        const center = cellCenter(ix, iz);
+        return { ix, iz, x: center.x, z: center.z, p: round(toProbability(logOdds), 3), state: classify(logOdds) };
+    });
+
+    /** Observed cells within `radiusM` of (x, z), for map overlays; `states` filters by classification. */
+    const exportLayer = ({ x, z, radiusM, states = null }) => exportCells().filter((cell) => (
+        Math.abs(cell.x - x) <= radiusM && Math.abs(cell.z - z) <= radiusM && (!states || states.includes(cell.state))
+    ));
+
+    const getStats = () => {
+        let occupied = 0;
+        let free = 0;
+        state.cells.forEach((logOdds) => {
+            const cls = classify(logOdds);
+            if (cls === OCCUPANCY_CELL_STATES.OCCUPIED) occupied += 1;
+            else if (cls === OCCUPANCY_CELL_STATES.FREE) free += 1;
+        });
+        return { resolution: state.resolution, scans: state.scans, observedCells: state.cells.size, occupiedCells: occupied, freeCells: free };
+    };
+
+    /**
+     * Planner view (the inBounds / isBlocked / isKnown / cost adapter of pathPlanner.js plus cell geometry and the
+     * knownCells() list frontier detection walks): occupied cells inflated by the car half-width are blocked, cells
+     * near them and unknown cells cost extra. Built once per call, so take a fresh one per plan.
+     */
+    const toPlannerGrid = ({ inflationM = PLANNER_INFLATION_M } = {}) => {
+        const inflateCells = Math.max(0, Math.ceil(inflationM / state.resolution));
+        const nearCells = inflateCells * 2;
+        const blocked = new Set();
+        const near = new Set();
+        state.cells.forEach((logOdds, key) => {
+            if (classify(logOdds) !== OCCUPANCY_CELL_STATES.OCCUPIED) return;
+            const [ox, oz] = key.split(",").map(Number);
+            for (let dz = -nearCells; dz <= nearCells; dz += 1) {
+                for (let dx = -nearCells; dx <= nearCells; dx += 1) {
+                    const d = Math.hypot(dx, dz);
+                    if (d <= inflateCells) blocked.add(cellKey(ox + dx, oz + dz));
+                    else if (d <= nearCells) near.add(cellKey(ox + dx, oz + dz));
+                }
+            }
+        });
+        const inBounds = (ix, iz) => {
+            if (!state.worldBounds) return true;
+            const center = cellCenter(ix, iz);
+            const b = state.worldBounds;
+            return center.x >= b.minX && center.x <= b.maxX && center.z >= b.minZ && center.z <= b.maxZ;
+        };
+        const isKnown = (ix, iz) => state.cells.has(cellKey(ix, iz));
+        return {
+            name: "occupancy",
+            cellSize: state.resolution,
+            toCell,
+            cellCenter,
+            inBounds,
+            isKnown,
+            isBlocked: (ix, iz) => !inBounds(ix, iz) || blocked.has(cellKey(ix, iz)),
+            cost: (ix, iz) => (isKnown(ix, iz) ? 0 : PLANNER_UNKNOWN_COST) + (near.has(cellKey(ix, iz)) ? PLANNER_NEAR_WALL_COST : 0),
+            knownCells: () => Array.from(state.cells.keys(), (key) => {
+                const [ix, iz] = key.split(",").map(Number);
+                return { ix, iz };
+            })
+        };
+    };
+
+    /** Raw log-odds per observed cell ({ resolution, scans, cells: [[ix, iz, logOdds]] }), for persisting the grid. */
+    const exportState = () => ({
+        resolution: state.resolution,
+        scans: state.scans,
+        cells: Array.from(state.cells.entries()).map(([key, logOdds]) => [...key.split(",").map(Number), round(logOdds, 3)])
+    });
+
+    /** Replace the grid with an exportState() payload recorded at the same resolution. Returns { ok, error }. */
+    const importState = (payload) => {
+        if (!payload || typeof payload !== "object" || !Array.isArray(payload.cells)) {
+            return { ok: false, error: "occupancy state needs a cells array" };
+        }
+        if (Math.abs(asFiniteNumber(payload.resolution, NaN) - state.resolution) > 1e-9) {
+            return { ok: false, error: `occupancy resolution ${payload.resolution} does not match ${state.resolution}` };
+        }
+        const cells = new Map();
+        for (const entry of payload.cells) {
+            if (!Array.isArray(entry) || entry.length < 3 || !entry.every(Number.isFinite)) {
+                return { ok: false, error: "occupancy cells must be [ix, iz, logOdds] numbers" };
+            }
+            cells.set(cellKey(Math.round(entry[0]), Math.round(entry[1])), Math.max(LOG_ODDS_MIN, Math.min(LOG_ODDS_MAX, entry[2])));
+        }
+        state.cells = cells;
+        state.scans = Math.max(0, Math.round(asFiniteNumber(payload.scans, 0)));
+        return { ok: true };
+    };
+
+    const reset = () => {
+        state.cells.clear();
+        state.scans = 0;
+    };
+
+    const setWorldBounds = (worldBounds) => {
+        state.worldBounds = worldBounds ?? null;
+        reset();
+    };
+
+    return {
+        resolution: state.resolution,
+        integrate,
+        probabilityAt,
+        isObserved,
+        cellState,
+        toCell,
+        cellCenter,
+        exportCells,
+        exportLayer,
+        getStats,
+        toPlannerGrid,
+        exportState,
+        importState,
+        reset,
+        setWorldBounds
+    };
+};
+
+const ratio = (num, den) => (den > 0 ? round(num / den, 4) : null);
+
+// Ground truth shared by the accuracy and coverage scores: a cell is wall when a box footprint comes closer than half
+// a cell to its center (the cell overlaps the wall).
+const wallTest = (boxes, resolution) => {
+    const walls = Array.isArray(boxes) ? boxes : [];
+    return (x, z) => walls.some((box) => boxFootprintDistance(x, z, box) < resolution / 2);
+};
+
+/**
+ * Score an occupancy grid against the map walls. Ground truth for a cell is "occupied" when a wall box footprint
+ * comes closer than half a cell to its center (the cell overlaps the wall). Only cells the grid classified (occupied or free) are scored;
+ * `observedShare` is the share of in-bounds free space (by cell count) the grid classified at all.
+ */
+export const evaluateOccupancyAccuracy = (grid, { boxes = [], bounds = null } = {}) => {
+    const resolution = grid.resolution;
+    const isWall = wallTest(boxes, resolution);
+    let tp = 0;
+    let fp = 0;
+    let tn = 0;
+    let fn = 0;
+    let observedFree = 0;
+    grid.exportCells().forEach((cell) => {
+        if (cell.state === OCCUPANCY_CELL_STATES.UNKNOWN) return;
+        const truth = isWall(cell.x, cell.z);
+        const predicted = cell.state === OCCUPANCY_CELL_STATES.OCCUPIED;
+        if (predicted && truth) tp += 1;
+        else if (predicted) fp += 1;
+        else if (truth) fn += 1;
+        else tn += 1;
+        if (!truth && bounds && cell.x >= bounds.minX && cell.x <= bounds.maxX && cell.z >= bounds.minZ && cell.z <= bounds.maxZ) {
+            observedFree += 1;
+        }
+    });
+
+    // In-bounds cells that are not wall: the area the grid could have mapped as free.
+    let freeSpaceCells = null;
+    if (bounds) {
+        freeSpaceCells = 0;
+        const min = grid.toCell(bounds.minX, bounds.minZ);
+        const max = grid.toCell(bounds.maxX, bounds.maxZ);
+        for (let iz = min.iz; iz <= max.iz; iz += 1) {
+            for (let ix = min.ix; ix <= max.ix; ix += 1) {
+                const center = grid.cellCenter(ix, iz);
+                const inside = center.x >= bounds.minX && center.x <= bounds.maxX && center.z >= bounds.minZ && center.z <= bounds.maxZ;
+                if (inside && !isWall(center.x, center.z)) freeSpaceCells += 1;
+            }
+        }
+    }
+
+    return {
+        resolution,
+        scoredCells: tp + fp + tn + fn,
+        truePositive: tp,
+        falsePositive: fp,
+        trueNegative: tn,
+        falseNegative: fn,
+        accuracy: ratio(tp + tn, tp + fp + tn + fn),
+        occupiedPrecision: ratio(tp, tp + fp),
+        occupiedRecall: ratio(tp, tp + fn),
+        freePrecision: ratio(tn, tn + fn),
+        observedShare: freeSpaceCells === null ? null : ratio(observedFree, freeSpaceCells)
+    };
+};
+
+/**
+ * Free space the car can reach on a map, at the grid's resolution: in-bounds non-wall cells 4-connected to the cell
+ * at `from` ({ x, z }, e.g. the spawn). The denominator of measureCoverage. Returns { resolution, cells: [[ix, iz]] }.
+ */
+export const computeReachableArea = (grid, { boxes = [], bounds = null } = {}, from) => {
+    const cells = [];
+    if (!bounds || !from) return { resolution: grid.resolution, cells };
+    const isWall = wallTest(boxes, grid.resolution);
+    const isOpen = (ix, iz) => {
+        const center = grid.cellCenter(ix, iz);
+        return center.x >= bounds.minX && center.x <= bounds.maxX && center.z >= bounds.minZ && center.z <= bounds.maxZ
+            && !isWall(center.x, center.z);
+    };
+    const start = grid.toCell(from.x, from.z);
+    if (!isOpen(start.ix, start.iz)) return { resolution: grid.resolution, cells };
+    const seen = new Set([cellKey(start.ix, start.iz)]);
+    const queue = [start];
+    while (queue.length > 0) {
+        const { ix, iz } = queue.pop();
+        cells.push([ix, iz]);
+        [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+            const key = cellKey(ix + dx, iz + dz);
+            if (seen.has(key)) return;
+            seen.add(key);
+            if (isOpen(ix + dx, iz + dz)) queue.push({ ix: ix + dx, iz: iz + dz });
+        });
+    }
+    return { resolution: grid.resolution, cells };
+};
+
+/** Share of the reachable area (computeReachableArea) the grid has observed, as { seenCells, reachableCells, coveragePct }. */
+export const measureCoverage = (grid, reachable) => {
+    const total = reachable?.cells?.length ?? 0;
+    if (total === 0) return { seenCells: 0, reachableCells: 0, coveragePct: null };
+    let seen = 0;
+    reachable.cells.forEach(([ix, iz]) => {
+        if (grid.isObserved(ix, iz)) seen += 1;
+    });
+    return { seenCells: seen, reachableCells: total, coveragePct: round((seen / total) * 100, 2) };
+};
@@ -1,3 +1,22 @@
+import { DEFAULT_LLM_BACKEND, normalizeLlmBackend, requestLlmCompletion } from "./llmProviders.js";
+import { isMockModel, requestMockCompletion, resolveMockProfile } from "./mockDriver.js";
+import {
+    DEFAULT_PROMPT_TEMPLATE,
+    PROMPT_TEMPLATE_KINDS,
+    getPromptTemplate,
+    promptTemplateUsesSlot,
+    renderPromptTemplate
+} from "./promptTemplates.js";
+import { applyActuationView, formatActuationViewForPrompt } from "./statePrediction.js";
+import { describeObservation, formatObservationNoteForPrompt, observationUsesImage } from "./observationFrames.js";
+import {
+    DEFAULT_RESPONSE_FORMAT,
+    DRIVING_DECISION_SCHEMA,
+    RESPONSE_FORMATS,
+    isResponseFormat,
+    validateDecisionPayload
+} from "./decisionSchema.js";
+
 export const OLLAMA_API_BASE = "http://localhost:11434/api";
 export const OLLAMA_GENERATE = `${OLLAMA_API_BASE}/generate`;
 export const OLLAMA_TAGS = `${OLLAMA_API_BASE}/tags`;
@@ -21,6 +40,7 @@ const SKILL_BURST_BACKOFF_LIMIT = 2;
 const SKILL_BURST_RELEASE_FRONT_DIST = 3.2;
 const MODEL_NUM_PREDICT_PRIMARY = 420;
 const MODEL_NUM_PREDICT_RETRY = 360;
+const MODEL_TEMPERATURE_DEFAULT = 0.2;
 const ACTION_PLAN_MAX_STEPS = 5;
 const ACTION_PLAN_MAX_TOTAL_SEC = 1.2;
 const ACTION_SIGN_DEADZONE = 0.08;
@@ -277,6 +297,28 @@ function buildTargetSignalProfile(sensorData) {
     };
 }
 
+function compactRoute(route) {
+    if (!route) return null;
+    if (!route.reachable) return { goal: route.goal, reachable: false };
+    return {
+        goal: route.goal,
+        reachable: true,
+        lengthM: route.lengthM,
+        costM: route.costM,
+        waypointCount: (route.waypoints || []).length,
+        next: route.next || null
+    };
+}
+
+function compactRoutes(routes) {
+    return {
+        grid: routes.grid || "memory",
+        recommended: routes.recommended || "NONE",
+        target: compactRoute(routes.target),
+        frontier: compactRoute(routes.frontier)
+    };
+}
+
 function buildCompactExplorationContext(explorationContext) {
     if (!explorationContext) return null;
 
@@ -290,6 +332,10 @@ function buildCompactExplorationContext(explorationContext) {
         memoryStats: explorationContext.memoryStats || null,
         frontier: (explorationContext.frontier || []).slice(0, 3),
         risky: (explorationContext.risky || []).slice(0, 2),
+        ...(explorationContext.routes ? { routes: compactRoutes(explorationContext.routes) } : {}),
+        ...(Array.isArray(explorationContext.frontierClusters)
+            ? { frontierClusters: explorationContext.frontierClusters.slice(0, 3) }
+            : {}),
         diagnostics: {
             candidateCount: diagnostics.candidateCount ?? 0,
             noGoRatio: diagnostics.noGoRatio ?? 0,
@@ -345,6 +391,15 @@ function candidateToPromptToken(candidate) {
     return `${sector}(${candidate.ix},${candidate.iz}) s=${score} r=${risk} v=${visits} th=${targetHits} tm=${targetMisses} ta=${targetAbsence}`;
 }
 
+function routeToPromptToken(route) {
+    if (!route) return "none";
+    if (!route.reachable) return `${route.goal}:unreachable`;
+    const next = route.next
+        ? `next=${normalizeSector(route.next.sector, "F")}(x${asNum(route.next.x, 0).toFixed(1)},z${asNum(route.next.z, 0).toFixed(1)}) ${asNum(route.next.distanceM, 0).toFixed(1)}m@${asNum(route.next.bearingDeg, 0).toFixed(0)}deg`
+        : "next=here";
+    return `${route.goal}:len=${asNum(route.lengthM, 0).toFixed(1)}m cost=${asNum(route.costM, 0).toFixed(1)} ${next}`;
+}
+
 function buildExplorationPromptDigest(compactExplorationContext) {
     if (!compactExplorationContext) return "none";
     const diagnostics = compactExplorationContext.diagnostics || {};
@@ -355,6 +410,16 @@ function buildExplorationPromptDigest(compactExplorationContext) {
     const sectorSafety = (diagnostics.sectorSafety || [])
         .map((s) => `${normalizeSector(s?.sector)}:safe${Math.round(asNum(s?.safeCount, 0))}/tot${Math.round(asNum(s?.totalCount, 0))}/ng${asNum(s?.noGoRatio, 0).toFixed(2)}`)
         .join(" ; ");
+    // Logs from before route planning have no routes; their digest (and re-rendered prompts) stay unchanged.
+    const routes = compactExplorationContext.routes;
+    const routeTokens = routes
+        ? [`route=${routes.recommended || "NONE"} target=${routeToPromptToken(routes.target)} frontier=${routeToPromptToken(routes.frontier)}`]
+        : [];
+    // Same for frontier clusters (schemaVersion 7): sector:distance@bearing/frontier length, largest first.
+    const clusters = compactExplorationContext.frontierClusters;
+    const clusterTokens = clusters
+        ? [`frontiers=${clusters.map((c) => `${normalizeSector(c?.sector)}:${asNum(c?.distanceM, 0).toFixed(1)}m@${Math.round(asNum(c?.bearingDeg, 0))}deg/${asNum(c?.sizeM, 0).toFixed(1)}m`).join(";") || "none"}`]
+        : [];
     return [
         `loop=${asNum(compactExplorationContext.loopRate, 0).toFixed(3)}`,
         `warn=${compactExplorationContext.loopWarning || "LOW"}`,
@@ -365,7 +430,9 @@ function buildExplorationPromptDigest(compactExplorationContext) {
         `targetCold=${Math.round(asNum(diagnostics.targetColdCount, 0))}/${Math.round(asNum(diagnostics.candidateCount, 0))}(${asNum(diagnostics.targetColdRatio, 0).toFixed(2)})`,
         `top=${top || "none"}`,
         `safe=${safe || "none"}`,
-        `sectorSafety=${sectorSafety || "none"}`
+        `sectorSafety=${sectorSafety || "none"}`,
+        ...routeTokens,
+        ...clusterTokens
     ].join(" | ");
 }
 
@@ -1054,9 +1121,8 @@ function ensureSmoothingState(state) {
     if (!Number.isFinite(state.targetLockHoldRemaining)) state.targetLockHoldRemaining = 0;
 }
 
-function updateContactTracking(state, sensorData) {
+function updateContactTracking(state, sensorData, now = Date.now()) {
     ensureSmoothingState(state);
-    const now = Date.now();
     const dtMs = Math.max(0, Math.min(2000, now - state.lastTickAt));
     state.lastTickAt = now;
 
@@ -1205,9 +1271,8 @@ function resolveStrategyModeWithContext(rawMode, signal, previousMode = null) {
     return { mode, corrected, reason };
 }
 
-function stabilizeStrategyModeWithHysteresis(state, desiredMode, signal) {
+function stabilizeStrategyModeWithHysteresis(state, desiredMode, signal, now = Date.now()) {
     ensureSmoothingState(state);
-    const now = Date.now();
     const previousMode = normalizeStrategyMode(state.lastStrategyMode, null);
 
     const clearPending = () => {
@@ -1327,10 +1392,18 @@ export async function getDrivingDecision(
     modelName = "gemma2:9b",
     smoothingState = { lastSteering: 0 },
     explorationContext = null,
-    runtimeDiagnostics = null
+    runtimeDiagnostics = null,
+    llmOptions = null
 ) {
     ensureSmoothingState(smoothingState);
-    const contactState = updateContactTracking(smoothingState, sensorData);
+    const llmBackend = normalizeLlmBackend(llmOptions?.backend, DEFAULT_LLM_BACKEND);
+    const temperature = clampNumber(llmOptions?.temperature, 0, 2, MODEL_TEMPERATURE_DEFAULT);
+    const numPredictPrimary = Math.round(clampNumber(llmOptions?.numPredict, 64, 4096, MODEL_NUM_PREDICT_PRIMARY));
+    const numPredictRetry = Math.min(numPredictPrimary, MODEL_NUM_PREDICT_RETRY);
+    // Headless runs pass the sim clock so contact/hysteresis timers follow simulated time, not wall time.
+    const clock = typeof llmOptions?.now === "function" ? llmOptions.now : Date.now;
+    const responseFormat = isResponseFormat(llmOptions?.responseFormat) ? llmOptions.responseFormat : DEFAULT_RESPONSE_FORMAT;
+    const contactState = updateContactTracking(smoothingState, sensorData, clock());
     const historyStr = actionHistory.length > 0 ? actionHistory.join(" -> ") : "None";
     const targetSignal = buildTargetSignalProfile(sensorData);
     const contextModeSignal = inferContextModeSignal(sensorData, contactState);
@@ -1349,157 +1422,89 @@ export async function getDrivingDecision(
     const fallbackMode = mapSignalToMode(targetSignal.mode);
     const previousStrategyMode = normalizeStrategyMode(smoothingState?.lastStrategyMode, null) || null;
 
-    console.log(`AI Driver using model: ${modelName}`);
-
-    const prompt = `
-You are the PRIMARY autonomous driving intelligence.
-Goal: Capture blue targets accurately and repeatedly.
-You are responsible for BOTH strategy and control each cycle.
-
-Current target status:
-- Distance: ${sensorData.distanceToTarget?.toFixed(1)}m
-- Angle: ${sensorData.angleToTarget?.toFixed(0)} deg
-
-Data:
-- Sensors (8 rays): L:${sensorData.left?.toFixed(1)} LD:${sensorData.leftDiag?.toFixed(1)} F:${sensorData.front?.toFixed(1)} RD:${sensorData.rightDiag?.toFixed(1)} R:${sensorData.right?.toFixed(1)} BL:${sensorData.backLeft?.toFixed(1)} B:${sensorData.back?.toFixed(1)} BR:${sensorData.backRight?.toFixed(1)}
-- Target Hits: ${JSON.stringify(sensorData.targetHits || {})}
-- Pose: X:${sensorData.worldX?.toFixed?.(1) ?? sensorData.worldX}, Z:${sensorData.worldZ?.toFixed?.(1) ?? sensorData.worldZ}, Heading:${sensorData.headingDeg?.toFixed?.(0) ?? sensorData.headingDeg}deg
-- Coordinate Convention: +X=EAST, -X=WEST, +Z=SOUTH, -Z=NORTH, Heading 0deg=+Z(SOUTH), +90deg=+X(EAST).
-- Speed: ${sensorData.speed?.toFixed(1)}
-- MoveDir: ${sensorData.moveDir?.toUpperCase()} (PathClear:${sensorData.blockedDist}m)
-- Last Actions: ${historyStr}
-- Stuck Status: ${sensorData.isStuck ? "STUCK" : "MOVING"}
-- Target Signal Mode: ${targetSignal.mode} (ContactCount=${targetSignal.targetHitCount}, AngleAbs=${targetSignal.angleAbs.toFixed(0)}, Dist=${targetSignal.distance.toFixed(1)}m)
-- Priority Weights: Target=${targetSignal.targetWeight.toFixed(2)}, ExplorationMemory=${targetSignal.explorationWeight.toFixed(2)}
-- Exploration Memory Digest: ${explorationMemoryDigest}
-- Strategic Snapshot Digest: ${strategicSnapshotDigest}
-- Collision Pressure Digest: ${collisionPressureDigest}
-- Strategy Priority: ${strategyPriorityDigest}
-- Previous Outcome Signal: ${JSON.stringify(previousOutcomeSignal)}
-- Previous Reflection Hint: ${previousReflectionHint}
-- Previous Skill: ${previousSkill}
-- Previous Strategy Mode: ${previousStrategyMode || "NONE"}
-- Expected Mode From Context: ${contextModeSignal.expectedMode}
-- LockHoldWindow: ${contextModeSignal.lockHoldWindow}
-- PseudoContactScore: ${contextModeSignal.pseudoContactScore.toFixed(2)} (ReliableDirectionCue=${contextModeSignal.reliableDirectionCue})
-- NoContactDurationMs: ${contextModeSignal.noContactMs}
-- NoContactCycles: ${contextModeSignal.noContactCycles}
-- ReacquireActive: ${contextModeSignal.reacquireActive}
-- ReacquireTurnHint: ${contextModeSignal.reacquireTurnDir > 0 ? "LEFT" : "RIGHT"}
-
-Rules:
-1) Choose one strategy mode: TARGET_LOCK / MEMORY_EXPLORE / ESCAPE_RECOVERY.
-2) Decide transition: HOLD or SWITCH. If mode changed from previous mode, transition must be SWITCH.
-3) Choose sector: L/F/R/B.
-4) Choose one skill: APPROACH_TARGET / MOVE_TO_FRONTIER / SCAN_SECTOR / BACKOFF_AND_TURN / HOLD_POSITION.
-5) Use target cues + memory cues together (LLM-led fusion).
-6) Avoid no-go memory cells (outsideBounds/barrierBlocked/obstacleDominant).
-7) If obstacle in front arc is very close or stuck, prioritize safe escape.
-7a) If LockHoldWindow=true and no critical danger, keep TARGET_LOCK.
-8) If ReacquireActive=true and no strong target cue, use MEMORY_EXPLORE and perform explicit scan behavior.
-9) Use Previous Outcome Signal to avoid repeating failed action.
-10) PseudoContactScore>=0.68 with ReliableDirectionCue=true is lock-ready even if direct targetHits are zero.
-11) Keep text concise: targetCue/memoryCue/riskCue/rationale/adjustment <= 12 words each.
-12) Always provide top-level reason object with code/summary/expectedThrottleSign/expectedSteeringSign.
-13) You may optionally provide an actions array (2-5 steps) for smoother trajectory.
-14) Each action step must include throttle, steering, duration, and reason object.
-15) Do not output markdown. JSON only.
-
-Return JSON with this schema:
-{
-  "strategy": {
-    "mode": "TARGET_LOCK|MEMORY_EXPLORE|ESCAPE_RECOVERY",
-    "transition": "HOLD|SWITCH",
-    "confidence": 0.0,
-    "chosenSector": "L|F|R|B",
-    "targetCue": "short text",
-    "memoryCue": "short text",
-    "riskCue": "short text",
-    "rationale": "one sentence"
-  },
-  "skill": {
-    "name": "APPROACH_TARGET|MOVE_TO_FRONTIER|SCAN_SECTOR|BACKOFF_AND_TURN|HOLD_POSITION",
-    "intensity": 0.0,
-    "rationale": "one sentence"
-  },
-  "reflection": {
-    "lastOutcomeAssessment": "short text",
-    "adjustment": "one sentence for next cycle"
-  },
-  "reason": {
-    "code": "UPPER_SNAKE_CASE",
-    "summary": "one sentence",
-    "expectedThrottleSign": -1,
-    "expectedSteeringSign": 1
-  },
-  "thought": "short driving intent",
-  "analysis": "Obstacle summary + target summary",
-  "control": {
-    "throttle": 0.0,
-    "steering": 0.0,
-    "duration": 0.2
-  },
-  "actions": [
-    {
-      "throttle": 0.2,
-      "steering": 0.1,
-      "duration": 0.25,
-      "reason": {
-        "code": "FORWARD_TURN_APPROACH",
-        "summary": "turn toward safer target side",
-        "expectedThrottleSign": 1,
-        "expectedSteeringSign": 1
-      }
-    },
-    {
-      "throttle": 0.2,
-      "steering": -0.1,
-      "duration": 0.25,
-      "reason": {
-        "code": "MICRO_CORRECTION",
-        "summary": "small correction for obstacle clearance",
-        "expectedThrottleSign": 1,
-        "expectedSteeringSign": -1
-      }
-    }
-  ]
-}
-`;
+    console.log(`AI Driver using model: ${modelName} (${llmBackend.provider})`);
+
+    // Camera observation ({ mode, frame }, observationFrames.js): the frame goes to the model as an image, the
+    // decision record keeps only its hash.
+    const observation = observationUsesImage(llmOptions?.observation?.mode) ? llmOptions.observation : null;
+    const observationFrame = typeof observation?.frame?.png === "string" ? observation.frame : null;
+    const promptTemplate = getPromptTemplate(llmOptions?.promptTemplate) || getPromptTemplate(DEFAULT_PROMPT_TEMPLATE);
+    const retryTemplate = getPromptTemplate(promptTemplate.retryTemplate, PROMPT_TEMPLATE_KINDS.RETRY);
+    const prompt = renderPromptTemplate(promptTemplate, {
+        targetDistance: `${sensorData.distanceToTarget?.toFixed(1)}`,
+        targetAngle: `${sensorData.angleToTarget?.toFixed(0)}`,
+        sensors: `L:${sensorData.left?.toFixed(1)} LD:${sensorData.leftDiag?.toFixed(1)} F:${sensorData.front?.toFixed(1)} RD:${sensorData.rightDiag?.toFixed(1)} R:${sensorData.right?.toFixed(1)} BL:${sensorData.backLeft?.toFixed(1)} B:${sensorData.back?.toFixed(1)} BR:${sensorData.backRight?.toFixed(1)}`,
+        targetHits: JSON.stringify(sensorData.targetHits || {}),
+        pose: `X:${sensorData.worldX?.toFixed?.(1) ?? sensorData.worldX}, Z:${sensorData.worldZ?.toFixed?.(1) ?? sensorData.worldZ}, Heading:${sensorData.headingDeg?.toFixed?.(0) ?? sensorData.headingDeg}deg`,
+        speed: `${sensorData.speed?.toFixed(1)}`,
+        moveDir: `${sensorData.moveDir?.toUpperCase()} (PathClear:${sensorData.blockedDist}m)`,
+        lastActions: historyStr,
+        stuckStatus: sensorData.isStuck ? "STUCK" : "MOVING",
+        targetSignal: `${targetSignal.mode} (ContactCount=${targetSignal.targetHitCount}, AngleAbs=${targetSignal.angleAbs.toFixed(0)}, Dist=${targetSignal.distance.toFixed(1)}m)`,
+        priorityWeights: `Target=${targetSignal.targetWeight.toFixed(2)}, ExplorationMemory=${targetSignal.explorationWeight.toFixed(2)}`,
+        explorationDigest: explorationMemoryDigest,
+        strategicSnapshotDigest,
+        collisionPressureDigest,
+        strategyPriority: strategyPriorityDigest,
+        previousOutcome: JSON.stringify(previousOutcomeSignal),
+        reflectionHint: previousReflectionHint,
+        previousSkill,
+        previousStrategyMode: previousStrategyMode || "NONE",
+        expectedMode: `${contextModeSignal.expectedMode}`,
+        lockHoldWindow: `${contextModeSignal.lockHoldWindow}`,
+        pseudoContact: `${contextModeSignal.pseudoContactScore.toFixed(2)} (ReliableDirectionCue=${contextModeSignal.reliableDirectionCue})`,
+        noContactMs: `${contextModeSignal.noContactMs}`,
+        noContactCycles: `${contextModeSignal.noContactCycles}`,
+        reacquireActive: `${contextModeSignal.reacquireActive}`,
+        reacquireTurnHint: contextModeSignal.reacquireTurnDir > 0 ? "LEFT" : "RIGHT",
+        actuationView: formatActuationViewForPrompt(sensorData.actuationView),
+        observationNote: formatObservationNoteForPrompt(observationFrame)
+    });
+    // The mock policy acts on the at-actuation view when the prompt shows one, as a latency-aware model would.
+    const mockSensorData = sensorData.actuationView && promptTemplateUsesSlot(promptTemplate.key, "actuationView")
+        ? applyActuationView(sensorData, sensorData.actuationView)
+        : sensorData;
 
     const startTime = performance.now();
     let retryPromptUsed = "";
 
-    const requestModelResponse = async (promptText, numPredict = MODEL_NUM_PREDICT_PRIMARY) => {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), OLLAMA_TIMEOUT_MS);
-        try {
-            const response = await fetch(OLLAMA_GENERATE, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                    model: modelName,
-                    prompt: promptText,
-                    stream: false,
-                    format: "json",
-                    options: {
-                        temperature: 0.2,
-                        num_predict: numPredict
-                    }
-                }),
-                signal: controller.signal
+    const mockProfile = isMockModel(modelName) ? resolveMockProfile(modelName, llmOptions?.mock) : null;
+    const mockTrace = [];
+    if (mockProfile) smoothingState.mockCycle = asNum(smoothingState.mockCycle, 0) + 1;
+    const mockMeta = () => (mockProfile ? { mock: { cycle: smoothingState.mockCycle, requests: mockTrace } } : {});
+    const observationMeta = () => (observation ? { observation: describeObservation(observation.mode, observationFrame) } : {});
+
+    const requestModelResponse = (promptText, numPredict = numPredictPrimary) => {
+        if (mockProfile) {
+            return requestMockCompletion({
+                sensorData: mockSensorData,
+                targetSignal,
+                contextModeSignal,
+                explorationContext: compactExplorationContext,
+                previousStrategyMode
+            }, {
+                profile: mockProfile,
+                cycle: smoothingState.mockCycle,
+                attempt: promptText === prompt ? "primary" : "retry",
+                timeoutMs: OLLAMA_TIMEOUT_MS,
+                trace: mockTrace
             });
-            if (!response.ok) {
-                throw new Error(`Ollama API error: ${response.statusText}`);
-            }
-            const data = await response.json();
-            return typeof data?.response === "string" ? data.response : "";
-        } finally {
-            clearTimeout(timeoutId);
         }
+        return requestLlmCompletion(llmBackend, {
+            model: modelName,
+            prompt: promptText,
+            // The strict-JSON retry only repairs the reply format; it does not need the frame again.
+            images: observationFrame && promptText === prompt ? [observationFrame.png] : [],
+            temperature,
+            numPredict,
+            json: true,
+            jsonSchema: responseFormat === RESPONSE_FORMATS.SCHEMA ? DRIVING_DECISION_SCHEMA : null,
+            timeoutMs: OLLAMA_TIMEOUT_MS
+        });
     };
 
     try {
-        let rawResponse = await requestModelResponse(prompt, MODEL_NUM_PREDICT_PRIMARY);
+        let rawResponse = await requestModelResponse(prompt, numPredictPrimary);
         let parsedResult = parseModelResponseJson(rawResponse);
         const shouldRetryForStrict = (
             !parsedResult?.data
@@ -1509,17 +1514,9 @@ Return JSON with this schema:
 
         if (shouldRetryForStrict) {
             const rawTail = stripCodeFences(rawResponse).replace(/\s+/g, " ").slice(-420);
-            retryPromptUsed = `
-Return ONLY one complete JSON object in the required schema.
-Your previous output was incomplete or malformed.
-Do not add comments.
-Keep text fields short (<= 10 words).
-If uncertain, still fill all required fields with safe defaults.
-Previous partial tail:
-${rawTail}
-`;
+            retryPromptUsed = renderPromptTemplate(retryTemplate, { rawTail });
             try {
-                const retryRaw = await requestModelResponse(retryPromptUsed, MODEL_NUM_PREDICT_RETRY);
+                const retryRaw = await requestModelResponse(retryPromptUsed, numPredictRetry);
                 const retryParsed = parseModelResponseJson(retryRaw);
                 if (retryParsed?.data && !isLikelyTruncatedJsonResponse(retryRaw)) {
                     rawResponse = retryRaw;
@@ -1534,6 +1531,8 @@ ${rawTail}
         }
 
         const latency = Math.round(performance.now() - startTime);
+        // Field-level schema check of whatever was parsed (strict, repaired or loosely recovered).
+        const schemaViolations = parsedResult?.data ? validateDecisionPayload(parsedResult.data) : null;
         const promptForLog = retryPromptUsed
             ? `${prompt}\n\n[TRUNCATION_RETRY]\n${retryPromptUsed}`
             : prompt;
@@ -1581,7 +1580,7 @@ ${rawTail}
             if (modeResolved.corrected) {
                 strategyConfidence = Math.min(strategyConfidence, 0.55);
             }
-            const hysteresisResolved = stabilizeStrategyModeWithHysteresis(smoothingState, strategyMode, contextModeSignal);
+            const hysteresisResolved = stabilizeStrategyModeWithHysteresis(smoothingState, strategyMode, contextModeSignal, clock());
             strategyMode = hysteresisResolved.mode;
             if (hysteresisResolved.held) {
                 strategyConfidence = Math.min(strategyConfidence, 0.72);
@@ -1815,8 +1814,14 @@ ${rawTail}
                 raw: rawResponse,
                 prompt: promptForLog,
                 model: modelName,
+                promptTemplate: promptTemplate.key,
+                provider: mockProfile ? "mock" : llmBackend.provider,
+                ...mockMeta(),
+                ...observationMeta(),
                 parseMethod: parsedResult.method,
                 parseRecovered: !!parsedResult.recovered,
+                responseFormat,
+                schemaViolations,
                 safetyGuard: guardResult
             };
         } catch (e) {
@@ -1850,8 +1855,14 @@ ${rawTail}
                 raw: rawResponse,
                 prompt: promptForLog,
                 model: modelName,
+                promptTemplate: promptTemplate.key,
+                provider: mockProfile ? "mock" : llmBackend.provider,
+                ...mockMeta(),
+                ...observationMeta(),
                 parseMethod: retryPromptUsed ? "unparseable_model_output_retry" : "unparseable_model_output",
-                parseRecovered: false
+                parseRecovered: false,
+                responseFormat,
+                schemaViolations
             };
         }
     } catch (err) {
@@ -1891,8 +1902,14 @@ ${rawTail}
             raw: err.message,
             prompt,
             model: modelName,
+            promptTemplate: promptTemplate.key,
+            provider: mockProfile ? "mock" : llmBackend.provider,
+            ...mockMeta(),
+            ...observationMeta(),
             parseMethod: isTimeout ? "api_timeout" : "api_error",
-            parseRecovered: false
+            parseRecovered: false,
+            responseFormat,
+            schemaViolations: null
         };
     }
 }
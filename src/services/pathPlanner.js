@@ -0,0 +1,145 @@
+// Grid path planning for the exploration memory: A* over an 8-connected cell grid with per-cell traversal costs and
+// blocked (no-go) cells. Plans are rebuilt from scratch for every decision; at the arena sizes used here (at most a
+// few thousand cells) that stays well under a millisecond, so incremental replanning (D* Lite) is not needed.
+
+const SQRT2 = Math.SQRT2;
+const NEIGHBOR_STEPS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+export const PLANNER_MAX_EXPANSIONS = 20000;
+
+const nodeKey = (ix, iz) => `${ix},${iz}`;
+
+/** Octile distance between two cells (admissible for 8-connected moves costing 1 / sqrt(2)). */
+export const octileDistance = (a, b) => {
+    const dx = Math.abs(a.ix - b.ix);
+    const dz = Math.abs(a.iz - b.iz);
+    return Math.max(dx, dz) + ((SQRT2 - 1) * Math.min(dx, dz));
+};
+
+// Binary min-heap on `priority`.
+const createHeap = () => {
+    const items = [];
+    const push = (item) => {
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = (i * 2) + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+    return { push, pop, size: () => items.length };
+};
+
+/**
+ * A* from `start` to the first cell where `isGoal(ix, iz)` holds. `grid` provides inBounds(ix, iz),
+ * isBlocked(ix, iz) and cost(ix, iz) (extra cost of entering a cell, >= 0). Diagonal moves may not cut a blocked
+ * corner. With the default zero heuristic this is Dijkstra, i.e. the cheapest of several goals.
+ * Returns { found, cells: [{ ix, iz }] (start first), cost, expanded }.
+ */
+export const planGridPath = (grid, start, { isGoal, heuristic = () => 0, maxExpansions = PLANNER_MAX_EXPANSIONS } = {}) => {
+    const open = createHeap();
+    const best = new Map([[nodeKey(start.ix, start.iz), 0]]);
+    const parents = new Map();
+    const closed = new Set();
+    open.push({ ix: start.ix, iz: start.iz, g: 0, priority: heuristic(start.ix, start.iz) });
+    let expanded = 0;
+
+    while (open.size() > 0 && expanded < maxExpansions) {
+        const node = open.pop();
+        const key = nodeKey(node.ix, node.iz);
+        if (closed.has(key)) continue;
+        closed.add(key);
+        expanded += 1;
+
+        if (isGoal(node.ix, node.iz)) {
+            const cells = [{ ix: node.ix, iz: node.iz }];
+            let cursor = key;
+            while (parents.has(cursor)) {
+                cursor = parents.get(cursor);
+                const [ix, iz] = cursor.split(",").map(Number);
+                cells.unshift({ ix, iz });
+            }
+            return { found: true, cells, cost: node.g, expanded };
+        }
+
+        for (const [dx, dz] of NEIGHBOR_STEPS) {
+            const nix = node.ix + dx;
+            const niz = node.iz + dz;
+            if (!grid.inBounds(nix, niz) || grid.isBlocked(nix, niz)) continue;
+            const diagonal = dx !== 0 && dz !== 0;
+            if (diagonal && (grid.isBlocked(node.ix + dx, node.iz) || grid.isBlocked(node.ix, node.iz + dz))) continue;
+            const neighborKey = nodeKey(nix, niz);
+            if (closed.has(neighborKey)) continue;
+            const g = node.g + (diagonal ? SQRT2 : 1) + Math.max(0, grid.cost(nix, niz));
+            if (g >= (best.get(neighborKey) ?? Infinity)) continue;
+            best.set(neighborKey, g);
+            parents.set(neighborKey, key);
+            open.push({ ix: nix, iz: niz, g, priority: g + heuristic(nix, niz) });
+        }
+    }
+    return { found: false, cells: [], cost: null, expanded };
+};
+
+/** Keep only the cells where a grid path changes direction (plus both ends). */
+export const simplifyGridPath = (cells) => {
+    if (cells.length <= 2) return cells.slice();
+    const kept = [cells[0]];
+    for (let i = 1; i < cells.length - 1; i += 1) {
+        const prev = cells[i - 1];
+        const cell = cells[i];
+        const next = cells[i + 1];
+        if ((cell.ix - prev.ix) !== (next.ix - cell.ix) || (cell.iz - prev.iz) !== (next.iz - cell.iz)) kept.push(cell);
+    }
+    kept.push(cells[cells.length - 1]);
+    return kept;
+};
+
+// Whether the straight segment between two cell centers stays on unblocked cells (sampled every quarter cell).
+const hasLineOfSight = (grid, from, to) => {
+    const dx = to.ix - from.ix;
+    const dz = to.iz - from.iz;
+    const samples = Math.ceil(Math.max(Math.abs(dx), Math.abs(dz)) * 4);
+    for (let i = 1; i < samples; i += 1) {
+        const ix = Math.round(from.ix + ((dx * i) / samples));
+        const iz = Math.round(from.iz + ((dz * i) / samples));
+        if (grid.isBlocked(ix, iz)) return false;
+    }
+    return true;
+};
+
+/**
+ * String-pull a grid path: keep a cell only where the straight line from the last kept cell would cross a blocked
+ * cell, so the waypoints are the corners a car would actually steer for.
+ */
+export const smoothGridPath = (grid, cells) => {
+    if (cells.length <= 2) return cells.slice();
+    const kept = [cells[0]];
+    for (let i = 2; i < cells.length; i += 1) {
+        if (!hasLineOfSight(grid, kept[kept.length - 1], cells[i])) kept.push(cells[i - 1]);
+    }
+    kept.push(cells[cells.length - 1]);
+    return kept;
+};
@@ -0,0 +1,418 @@
+// Prompt registry: the driving and strict-JSON retry prompts as named, versioned templates with declared input
+// slots. Templates are keyed "<id>@<version>"; the key is selectable per experiment condition (llmOptions.promptTemplate)
+// and stamped on every decision record and telemetry sample.
+
+export const PROMPT_TEMPLATE_KINDS = Object.freeze({
+    DRIVING: "driving",
+    RETRY: "retry"
+});
+
+// Inputs getDrivingDecision fills for driving templates (pre-formatted strings).
+export const DRIVING_PROMPT_SLOTS = Object.freeze([
+    "targetDistance",
+    "targetAngle",
+    "sensors",
+    "targetHits",
+    "pose",
+    "speed",
+    "moveDir",
+    "lastActions",
+    "stuckStatus",
+    "targetSignal",
+    "priorityWeights",
+    "explorationDigest",
+    "strategicSnapshotDigest",
+    "collisionPressureDigest",
+    "strategyPriority",
+    "previousOutcome",
+    "reflectionHint",
+    "previousSkill",
+    "previousStrategyMode",
+    "expectedMode",
+    "lockHoldWindow",
+    "pseudoContact",
+    "noContactMs",
+    "noContactCycles",
+    "reacquireActive",
+    "reacquireTurnHint",
+    "actuationView",
+    "observationNote"
+]);
+export const RETRY_PROMPT_SLOTS = Object.freeze(["rawTail"]);
+
+const SLOT_PATTERN = /\{\{([A-Za-z][A-Za-z0-9]*)\}\}/g;
+const KEY_PATTERN = /^([a-z][a-z0-9-]*)@([1-9][0-9]*)$/;
+
+const definePromptTemplate = ({ id, version, kind, description, slots, text, retryTemplate = null }) => {
+    const used = [...new Set([...text.matchAll(SLOT_PATTERN)].map((match) => match[1]))];
+    const undeclared = used.filter((slot) => !slots.includes(slot));
+    if (undeclared.length > 0) throw new Error(`Prompt template ${id}@${version} uses undeclared slots: ${undeclared.join(", ")}`);
+    return Object.freeze({ key: `${id}@${version}`, id, version, kind, description, slots, text, retryTemplate });
+};
+
+// driving@1 is the original inline prompt, verbatim, so logs from before the registry still match it.
+const DRIVING_V1_TEXT = `
+You are the PRIMARY autonomous driving intelligence.
+Goal: Capture blue targets accurately and repeatedly.
+You are responsible for BOTH strategy and control each cycle.
+
+Current target status:
+- Distance: {{targetDistance}}m
+- Angle: {{targetAngle}} deg
+
+Data:
+- Sensors (8 rays): {{sensors}}
+- Target Hits: {{targetHits}}
+- Pose: {{pose}}
+- Coordinate Convention: +X=EAST, -X=WEST, +Z=SOUTH, -Z=NORTH, Heading 0deg=+Z(SOUTH), +90deg=+X(EAST).
+- Speed: {{speed}}
+- MoveDir: {{moveDir}}
+- Last Actions: {{lastActions}}
+- Stuck Status: {{stuckStatus}}
+- Target Signal Mode: {{targetSignal}}
+- Priority Weights: {{priorityWeights}}
+- Exploration Memory Digest: {{explorationDigest}}
+- Strategic Snapshot Digest: {{strategicSnapshotDigest}}
+- Collision Pressure Digest: {{collisionPressureDigest}}
+- Strategy Priority: {{strategyPriority}}
+- Previous Outcome Signal: {{previousOutcome}}
+- Previous Reflection Hint: {{reflectionHint}}
+- Previous Skill: {{previousSkill}}
+- Previous Strategy Mode: {{previousStrategyMode}}
+- Expected Mode From Context: {{expectedMode}}
+- LockHoldWindow: {{lockHoldWindow}}
+- PseudoContactScore: {{pseudoContact}}
+- NoContactDurationMs: {{noContactMs}}
+- NoContactCycles: {{noContactCycles}}
+- ReacquireActive: {{reacquireActive}}
+- ReacquireTurnHint: {{reacquireTurnHint}}
+
+Rules:
+1) Choose one strategy mode: TARGET_LOCK / MEMORY_EXPLORE / ESCAPE_RECOVERY.
+2) Decide transition: HOLD or SWITCH. If mode changed from previous mode, transition must be SWITCH.
+3) Choose sector: L/F/R/B.
+4) Choose one skill: APPROACH_TARGET / MOVE_TO_FRONTIER / SCAN_SECTOR / BACKOFF_AND_TURN / HOLD_POSITION.
+5) Use target cues + memory cues together (LLM-led fusion).
+6) Avoid no-go memory cells (outsideBounds/barrierBlocked/obstacleDominant).
+7) If obstacle in front arc is very close or stuck, prioritize safe escape.
+7a) If LockHoldWindow=true and no critical danger, keep TARGET_LOCK.
+8) If ReacquireActive=true and no strong target cue, use MEMORY_EXPLORE and perform explicit scan behavior.
+9) Use Previous Outcome Signal to avoid repeating failed action.
+10) PseudoContactScore>=0.68 with ReliableDirectionCue=true is lock-ready even if direct targetHits are zero.
+11) Keep text concise: targetCue/memoryCue/riskCue/rationale/adjustment <= 12 words each.
+12) Always provide top-level reason object with code/summary/expectedThrottleSign/expectedSteeringSign.
+13) You may optionally provide an actions array (2-5 steps) for smoother trajectory.
+14) Each action step must include throttle, steering, duration, and reason object.
+15) Do not output markdown. JSON only.
+
+Return JSON with this schema:
+{
+  "strategy": {
+    "mode": "TARGET_LOCK|MEMORY_EXPLORE|ESCAPE_RECOVERY",
+    "transition": "HOLD|SWITCH",
+    "confidence": 0.0,
+    "chosenSector": "L|F|R|B",
+    "targetCue": "short text",
+    "memoryCue": "short text",
+    "riskCue": "short text",
+    "rationale": "one sentence"
+  },
+  "skill": {
+    "name": "APPROACH_TARGET|MOVE_TO_FRONTIER|SCAN_SECTOR|BACKOFF_AND_TURN|HOLD_POSITION",
+    "intensity": 0.0,
+    "rationale": "one sentence"
+  },
+  "reflection": {
+    "lastOutcomeAssessment": "short text",
+    "adjustment": "one sentence for next cycle"
+  },
+  "reason": {
+    "code": "UPPER_SNAKE_CASE",
+    "summary": "one sentence",
+    "expectedThrottleSign": -1,
+    "expectedSteeringSign": 1
+  },
+  "thought": "short driving intent",
+  "analysis": "Obstacle summary + target summary",
+  "control": {
+    "throttle": 0.0,
+    "steering": 0.0,
+    "duration": 0.2
+  },
+  "actions": [
+    {
+      "throttle": 0.2,
+      "steering": 0.1,
+      "duration": 0.25,
+      "reason": {
+        "code": "FORWARD_TURN_APPROACH",
+        "summary": "turn toward safer target side",
+        "expectedThrottleSign": 1,
+        "expectedSteeringSign": 1
+      }
+    },
+    {
+      "throttle": 0.2,
+      "steering": -0.1,
+      "duration": 0.25,
+      "reason": {
+        "code": "MICRO_CORRECTION",
+        "summary": "small correction for obstacle clearance",
+        "expectedThrottleSign": 1,
+        "expectedSteeringSign": -1
+      }
+    }
+  ]
+}
+`;
+
+const DRIVING_COMPACT_V1_TEXT = `
+You are the autonomous driving intelligence. Capture blue targets safely and repeatedly.
+Decide strategy and control for this cycle.
+
+Current target status:
+- Distance: {{targetDistance}}m
+- Angle: {{targetAngle}} deg
+
+Data:
+- Sensors (8 rays): {{sensors}}
+- Target Hits: {{targetHits}}
+- Pose: {{pose}}
+- Coordinate Convention: +X=EAST, -X=WEST, +Z=SOUTH, -Z=NORTH, Heading 0deg=+Z(SOUTH), +90deg=+X(EAST).
+- Speed: {{speed}}
+- MoveDir: {{moveDir}}
+- Last Actions: {{lastActions}}
+- Stuck Status: {{stuckStatus}}
+- Target Signal Mode: {{targetSignal}}
+- Priority Weights: {{priorityWeights}}
+- Exploration Memory Digest: {{explorationDigest}}
+- Strategic Snapshot Digest: {{strategicSnapshotDigest}}
+- Collision Pressure Digest: {{collisionPressureDigest}}
+- Strategy Priority: {{strategyPriority}}
+- Previous Outcome Signal: {{previousOutcome}}
+- Previous Reflection Hint: {{reflectionHint}}
+- Previous Skill: {{previousSkill}}
+- Previous Strategy Mode: {{previousStrategyMode}}
+- Expected Mode From Context: {{expectedMode}}
+- LockHoldWindow: {{lockHoldWindow}}
+- PseudoContactScore: {{pseudoContact}}
+- NoContactDurationMs: {{noContactMs}}
+- NoContactCycles: {{noContactCycles}}
+- ReacquireActive: {{reacquireActive}}
+- ReacquireTurnHint: {{reacquireTurnHint}}
+
+Rules:
+1) Mode: TARGET_LOCK / MEMORY_EXPLORE / ESCAPE_RECOVERY. transition=SWITCH only if mode changed from previous mode.
+2) Sector: L/F/R/B. Skill: APPROACH_TARGET / MOVE_TO_FRONTIER / SCAN_SECTOR / BACKOFF_AND_TURN / HOLD_POSITION.
+3) Safety first: escape if the front arc is very close or stuck; avoid no-go memory cells.
+4) Keep TARGET_LOCK while LockHoldWindow=true; scan with MEMORY_EXPLORE while ReacquireActive=true.
+5) Do not repeat an action the Previous Outcome Signal marked as failed.
+6) Text fields <= 8 words. JSON only, no markdown.
+
+Return JSON:
+{
+  "strategy": { "mode": "TARGET_LOCK|MEMORY_EXPLORE|ESCAPE_RECOVERY", "transition": "HOLD|SWITCH", "confidence": 0.0, "chosenSector": "L|F|R|B", "targetCue": "", "memoryCue": "", "riskCue": "", "rationale": "" },
+  "skill": { "name": "APPROACH_TARGET|MOVE_TO_FRONTIER|SCAN_SECTOR|BACKOFF_AND_TURN|HOLD_POSITION", "intensity": 0.0, "rationale": "" },
+  "reflection": { "lastOutcomeAssessment": "", "adjustment": "" },
+  "reason": { "code": "UPPER_SNAKE_CASE", "summary": "", "expectedThrottleSign": 0, "expectedSteeringSign": 0 },
+  "thought": "",
+  "analysis": "",
+  "control": { "throttle": 0.0, "steering": 0.0, "duration": 0.2 }
+}
+`;
+
+// Version 2 of both driving templates adds the latency-compensated "at actuation" view (statePrediction.js).
+const ACTUATION_VIEW_LINE = "- ReacquireTurnHint: {{reacquireTurnHint}}\n- Actuation Latency View: {{actuationView}}";
+const ACTUATION_VIEW_RULE = "Controls apply at AT_ACTUATION in the Actuation Latency View, not NOW: judge clearance and target bearing there.";
+
+const withActuationView = (text, ruleAnchor, rule) => {
+    const withLine = text.replace("- ReacquireTurnHint: {{reacquireTurnHint}}", ACTUATION_VIEW_LINE);
+    return withLine.replace(ruleAnchor, `${ruleAnchor}\n${rule}`);
+};
+
+const DRIVING_V2_TEXT = withActuationView(
+    DRIVING_V1_TEXT,
+    "7a) If LockHoldWindow=true and no critical danger, keep TARGET_LOCK.",
+    `7b) ${ACTUATION_VIEW_RULE}`
+);
+
+const DRIVING_COMPACT_V2_TEXT = withActuationView(
+    DRIVING_COMPACT_V1_TEXT,
+    "3) Safety first: escape if the front arc is very close or stuck; avoid no-go memory cells.",
+    `3a) ${ACTUATION_VIEW_RULE}`
+);
+
+// Vision templates render the camera frame note (observationFrames.js); the image itself rides in the request.
+const OBSERVATION_RULE = "The attached camera frame is current: use it to confirm walls ahead and where the cyan target is.";
+
+const DRIVING_VISION_V1_TEXT = DRIVING_V1_TEXT
+    .replace("- Target Hits: {{targetHits}}", "- Target Hits: {{targetHits}}\n- Camera Frame: {{observationNote}}")
+    .replace(
+        "7a) If LockHoldWindow=true and no critical danger, keep TARGET_LOCK.",
+        `7a) If LockHoldWindow=true and no critical danger, keep TARGET_LOCK.\n7b) ${OBSERVATION_RULE}`
+    );
+
+const DRIVING_VISION_V2_TEXT = withActuationView(
+    DRIVING_VISION_V1_TEXT,
+    `7b) ${OBSERVATION_RULE}`,
+    `7c) ${ACTUATION_VIEW_RULE}`
+);
+
+// Image-only condition: no ray distances, target bearing, pose or map digests; the frame is the only view of the scene.
+const DRIVING_VISION_ONLY_V1_TEXT = `
+You are the autonomous driving intelligence. Capture the cyan target pillar safely and repeatedly.
+You see the scene ONLY through the attached camera frame. Decide strategy and control for this cycle.
+
+Data:
+- Camera Frame: {{observationNote}}
+- Speed: {{speed}}
+- Last Actions: {{lastActions}}
+- Stuck Status: {{stuckStatus}}
+- Collision Pressure Digest: {{collisionPressureDigest}}
+- Previous Outcome Signal: {{previousOutcome}}
+- Previous Reflection Hint: {{reflectionHint}}
+- Previous Skill: {{previousSkill}}
+- Previous Strategy Mode: {{previousStrategyMode}}
+
+Rules:
+1) Mode: TARGET_LOCK when the target is visible, MEMORY_EXPLORE to search, ESCAPE_RECOVERY when a wall fills the view or stuck.
+2) transition=SWITCH only if mode changed from previous mode.
+3) Steer toward the target: positive steering turns left. If no target is visible, turn toward the most open side.
+4) Sector: L/F/R/B. Skill: APPROACH_TARGET / MOVE_TO_FRONTIER / SCAN_SECTOR / BACKOFF_AND_TURN / HOLD_POSITION.
+5) Do not repeat an action the Previous Outcome Signal marked as failed.
+6) Text fields <= 8 words. JSON only, no markdown.
+
+Return JSON:
+{
+  "strategy": { "mode": "TARGET_LOCK|MEMORY_EXPLORE|ESCAPE_RECOVERY", "transition": "HOLD|SWITCH", "confidence": 0.0, "chosenSector": "L|F|R|B", "targetCue": "", "memoryCue": "", "riskCue": "", "rationale": "" },
+  "skill": { "name": "APPROACH_TARGET|MOVE_TO_FRONTIER|SCAN_SECTOR|BACKOFF_AND_TURN|HOLD_POSITION", "intensity": 0.0, "rationale": "" },
+  "reflection": { "lastOutcomeAssessment": "", "adjustment": "" },
+  "reason": { "code": "UPPER_SNAKE_CASE", "summary": "", "expectedThrottleSign": 0, "expectedSteeringSign": 0 },
+  "thought": "",
+  "analysis": "",
+  "control": { "throttle": 0.0, "steering": 0.0, "duration": 0.2 }
+}
+`;
+
+const STRICT_JSON_RETRY_V1_TEXT = `
+Return ONLY one complete JSON object in the required schema.
+Your previous output was incomplete or malformed.
+Do not add comments.
+Keep text fields short (<= 10 words).
+If uncertain, still fill all required fields with safe defaults.
+Previous partial tail:
+{{rawTail}}
+`;
+
+export const PROMPT_TEMPLATES = Object.freeze([
+    definePromptTemplate({
+        id: "driving",
+        version: 1,
+        kind: PROMPT_TEMPLATE_KINDS.DRIVING,
+        description: "Full rules and schema with a two-step actions example.",
+        slots: DRIVING_PROMPT_SLOTS,
+        text: DRIVING_V1_TEXT,
+        retryTemplate: "strict-json-retry@1"
+    }),
+    definePromptTemplate({
+        id: "driving",
+        version: 2,
+        kind: PROMPT_TEMPLATE_KINDS.DRIVING,
+        description: "driving@1 plus the now / at-actuation latency view.",
+        slots: DRIVING_PROMPT_SLOTS,
+        text: DRIVING_V2_TEXT,
+        retryTemplate: "strict-json-retry@1"
+    }),
+    definePromptTemplate({
+        id: "driving-compact",
+        version: 1,
+        kind: PROMPT_TEMPLATE_KINDS.DRIVING,
+        description: "Same inputs, condensed rules and a single-line schema without the actions example.",
+        slots: DRIVING_PROMPT_SLOTS,
+        text: DRIVING_COMPACT_V1_TEXT,
+        retryTemplate: "strict-json-retry@1"
+    }),
+    definePromptTemplate({
+        id: "driving-compact",
+        version: 2,
+        kind: PROMPT_TEMPLATE_KINDS.DRIVING,
+        description: "driving-compact@1 plus the now / at-actuation latency view.",
+        slots: DRIVING_PROMPT_SLOTS,
+        text: DRIVING_COMPACT_V2_TEXT,
+        retryTemplate: "strict-json-retry@1"
+    }),
+    definePromptTemplate({
+        id: "driving-vision",
+        version: 1,
+        kind: PROMPT_TEMPLATE_KINDS.DRIVING,
+        description: "driving@1 plus an attached camera frame (text+image observation).",
+        slots: DRIVING_PROMPT_SLOTS,
+        text: DRIVING_VISION_V1_TEXT,
+        retryTemplate: "strict-json-retry@1"
+    }),
+    definePromptTemplate({
+        id: "driving-vision",
+        version: 2,
+        kind: PROMPT_TEMPLATE_KINDS.DRIVING,
+        description: "driving-vision@1 plus the now / at-actuation latency view (image observation with latency compensation).",
+        slots: DRIVING_PROMPT_SLOTS,
+        text: DRIVING_VISION_V2_TEXT,
+        retryTemplate: "strict-json-retry@1"
+    }),
+    definePromptTemplate({
+        id: "driving-vision-only",
+        version: 1,
+        kind: PROMPT_TEMPLATE_KINDS.DRIVING,
+        description: "Camera frame plus motion history only, no sensor numbers (image-only observation).",
+        slots: DRIVING_PROMPT_SLOTS,
+        text: DRIVING_VISION_ONLY_V1_TEXT,
+        retryTemplate: "strict-json-retry@1"
+    }),
+    definePromptTemplate({
+        id: "strict-json-retry",
+        version: 1,
+        kind: PROMPT_TEMPLATE_KINDS.RETRY,
+        description: "Re-ask for one complete JSON object after a truncated or malformed reply.",
+        slots: RETRY_PROMPT_SLOTS,
+        text: STRICT_JSON_RETRY_V1_TEXT
+    })
+]);
+
+export const DEFAULT_PROMPT_TEMPLATE = "driving@1";
+
+/** UI/CLI listing of the selectable (driving) templates. */
+export const PROMPT_TEMPLATE_OPTIONS = Object.freeze(
+    PROMPT_TEMPLATES
+        .filter((template) => template.kind === PROMPT_TEMPLATE_KINDS.DRIVING)
+        .map((template) => ({ key: template.key, description: template.description }))
+);
+
+/**
+ * Look up a template by "<id>@<version>", or by bare id for its latest version.
+ * Returns null for unknown keys or when the template is not of `kind`.
+ */
+export const getPromptTemplate = (key, kind = PROMPT_TEMPLATE_KINDS.DRIVING) => {
+    if (typeof key !== "string") return null;
+    const text = key.trim();
+    const match = KEY_PATTERN.exec(text);
+    const candidates = PROMPT_TEMPLATES.filter((template) => (match
+        ? template.id === match[1] && template.version === Number(match[2])
+        : template.id === text));
+    const template = candidates.sort((a, b) => b.version - a.version)[0] || null;
+    return template && template.kind === kind ? template : null;
+};
+
+export const isPromptTemplateKey = (key) => getPromptTemplate(key) !== null;
+
+/** Whether a driving template's text renders `slot` (templates share the slot list but not every slot is used). */
+export const promptTemplateUsesSlot = (key, slot) => {
+    const template = getPromptTemplate(key);
+    return !!template && template.text.includes(`{{${slot}}}`);
+};
+
+/** Fill a template's {{slot}} placeholders. Every declared slot must be provided. */
+export const renderPromptTemplate = (template, slots = {}) => {
+    const missing = template.slots.filter((slot) => slots[slot] === undefined);
+    if (missing.length > 0) throw new Error(`Prompt template ${template.key} is missing slots: ${missing.join(", ")}`);
+    return template.text.replace(SLOT_PATTERN, (_, slot) => String(slots[slot]));
+};
@@ -0,0 +1,262 @@
+// Replay of an exported all-logs bundle: telemetry frames, decision records and collision events on one
+// timeline, plus a cursor that rebuilds the exploration heatmap up to any frame.
+import { createExplorationMemory } from "./explorationMemory.js";
+import { resolveTrackMapId } from "./mapGenerator.js";
+import { SENSOR_RAY_LOCAL_DIRECTIONS } from "./simulationCore.js";
+import { parseTrackMapPayload } from "./trackMaps.js";
+
+export const REPLAY_MIN_FRAMES = 2;
+export const REPLAY_MEMORY_CELL_SIZE = 2.0;
+
+const DEG_TO_RAD = Math.PI / 180;
+const SENSOR_MOUNT_HEIGHT = 0.5;
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+
+const toEpochMs = (value) => {
+    if (typeof value === "number" && Number.isFinite(value)) return value;
+    const parsed = typeof value === "string" ? Date.parse(value) : NaN;
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+// Older bundles have no targetX/targetZ; rebuild the target from the car pose, heading and target angle.
+const resolveFrameTarget = (point) => {
+    if (Number.isFinite(point?.targetX) && Number.isFinite(point?.targetZ)) return [point.targetX, 1, point.targetZ];
+    const bearing = (asFiniteNumber(point?.headingDeg, 0) + asFiniteNumber(point?.targetAngle, 0)) * DEG_TO_RAD;
+    const distance = asFiniteNumber(point?.distanceToTarget, 0);
+    return [
+        asFiniteNumber(point?.worldX, 0) + (Math.sin(bearing) * distance),
+        1,
+        asFiniteNumber(point?.worldZ, 0) + (Math.cos(bearing) * distance)
+    ];
+};
+
+const RAY_NAMES = SENSOR_RAY_LOCAL_DIRECTIONS.map((dir) => dir.name);
+
+const buildFrame = (point, t0) => ({
+    t: point.time - t0,
+    time: point.time,
+    worldX: asFiniteNumber(point.worldX, 0),
+    worldY: asFiniteNumber(point.worldY, 0),
+    worldZ: asFiniteNumber(point.worldZ, 0),
+    headingDeg: asFiniteNumber(point.headingDeg, 0),
+    target: resolveFrameTarget(point),
+    distanceToTarget: asFiniteNumber(point.distanceToTarget, 0),
+    sensorRange: asFiniteNumber(point.sensorRange, 10),
+    readings: Object.fromEntries(RAY_NAMES.map((name) => [name, asFiniteNumber(point[name], asFiniteNumber(point.sensorRange, 10))])),
+    targetHits: point.targetHits && typeof point.targetHits === "object" ? { ...point.targetHits } : {},
+    isStuck: !!point.isStuck,
+    steering: asFiniteNumber(point.steering, 0),
+    throttle: asFiniteNumber(point.throttle, 0),
+    speed: asFiniteNumber(point.speed, 0),
+    targetsReached: asFiniteNumber(point.targetsReached, 0),
+    collisionCount: asFiniteNumber(point.collisionCount, 0),
+    strategyMode: point.aiStrategyMode || "UNKNOWN",
+    recoveryPhase: point.recoveryPhase || "NONE",
+    decisionIndex: -1
+});
+
+// A record is logged after its action plan ran, so the decision covers [time - plan duration, time].
+const buildDecision = (record, index, t0) => {
+    const endMs = toEpochMs(record?.time);
+    if (endMs === null) return null;
+    const executed = Array.isArray(record.action_plan_executed) ? record.action_plan_executed : [];
+    const planMs = executed.reduce((sum, step) => sum + (asFiniteNumber(step?.duration, 0) * 1000), 0);
+    return {
+        index,
+        t: endMs - planMs - t0,
+        endT: endMs - t0,
+        time: record.time,
+        model: record.ai_model || "",
+        provider: record.ai_provider || "",
+        promptTemplate: record.ai_prompt_template || "",
+        prompt: typeof record.ai_prompt === "string" ? record.ai_prompt : "",
+        raw: typeof record.ai_raw === "string" ? record.ai_raw : JSON.stringify(record.ai_raw ?? null),
+        parseMethod: record.ai_parse_method || "",
+        parseRecovered: !!record.ai_parse_recovered,
+        responseFormat: record.ai_response_format || "",
+        schemaViolations: Array.isArray(record.ai_schema_violations) ? record.ai_schema_violations : [],
+        safetyGuard: record.safety_guard || null,
+        controls: record.controls || { throttle: 0, steering: 0 },
+        actionPlan: executed,
+        reason: record.ai_reason || null,
+        strategyMode: record.ai_parsed?.strategy?.mode || "",
+        outcome: record.outcome || null,
+        // Raw decisionLog entry, kept for counterfactual re-decision.
+        record
+    };
+};
+
+/**
+ * Resolve the layout a bundle was recorded on: the embedded track map payload when present (browser bundles),
+ * otherwise its id (built-in or generated). Returns { map, warning }.
+ */
+const resolveReplayTrackMap = (node) => {
+    if (node && typeof node === "object" && Array.isArray(node.walls)) {
+        const parsed = parseTrackMapPayload(node);
+        if (parsed.ok) return { map: parsed.map, warning: null };
+        return { map: null, warning: `Embedded track map is invalid (${parsed.error}).` };
+    }
+    const id = typeof node?.id === "string" ? node.id : null;
+    if (!id) return { map: null, warning: "Bundle has no track map; the current map is kept." };
+    const map = resolveTrackMapId(id);
+    if (!map) return { map: null, warning: `Unknown track map "${id}"; the current map is kept.` };
+    const warning = node.fingerprint && node.fingerprint !== map.fingerprint
+        ? `Track map "${id}" changed since this run (fingerprint ${node.fingerprint} -> ${map.fingerprint}).`
+        : null;
+    return { map, warning };
+};
+
+/**
+ * Parse an all-logs bundle ({ files: { telemetry, driveLog, collisionEvents }, trackMap, ... }) into a replay.
+ * Returns { ok: false, error } when there is nothing to replay.
+ */
+export const parseReplayBundle = (payload) => {
+    if (!payload || typeof payload !== "object") return { ok: false, error: "root must be an object" };
+    const files = payload.files && typeof payload.files === "object" ? payload.files : payload;
+    const points = (Array.isArray(files.telemetry) ? files.telemetry : [])
+        .filter((point) => point && Number.isFinite(point.time))
+        .sort((a, b) => a.time - b.time);
+    if (points.length < REPLAY_MIN_FRAMES) {
+        return { ok: false, error: `bundle needs at least ${REPLAY_MIN_FRAMES} telemetry samples (found ${points.length})` };
+    }
+
+    const t0 = points[0].time;
+    const frames = points.map((point) => buildFrame(point, t0));
+    const decisions = (Array.isArray(files.driveLog) ? files.driveLog : [])
+        .map((record, index) => buildDecision(record, index, t0))
+        .filter(Boolean)
+        .sort((a, b) => a.t - b.t);
+    const collisions = (Array.isArray(files.collisionEvents) ? files.collisionEvents : [])
+        .map((evt) => {
+            const timeMs = toEpochMs(evt?.time);
+            return timeMs === null ? null : {
+                t: timeMs - t0,
+                worldX: Number.isFinite(evt.worldX) ? evt.worldX : null,
+                worldZ: Number.isFinite(evt.worldZ) ? evt.worldZ : null,
+                region: evt.region || "UNKNOWN",
+                wallId: evt.wallId || null,
+                impactVelocity: asFiniteNumber(evt.impactVelocity, 0)
+            };
+        })
+        .filter(Boolean);
+
+    // Latest decision that had started by each frame.
+    let cursor = -1;
+    frames.forEach((frame) => {
+        while (cursor + 1 < decisions.length && decisions[cursor + 1].t <= frame.t) cursor += 1;
+        frame.decisionIndex = cursor;
+    });
+
+    const { map, warning } = resolveReplayTrackMap(payload.trackMap);
+    const warnings = warning ? [warning] : [];
+    // The bundle carries the memory a run ended with, not the one it started from.
+    if (asFiniteNumber(payload.memoryStart?.priorCells, 0) > 0) {
+        warnings.push(`Run started from a ${payload.memoryStart.mode} map (${payload.memoryStart.priorCells} cells); the replayed heatmap starts empty.`);
+    }
+    return {
+        ok: true,
+        replay: {
+            meta: {
+                model: payload.model || decisions[0]?.model || "",
+                runner: payload.runner || "browser",
+                seed: Number.isFinite(payload.seed) ? payload.seed : null,
+                exportedAt: payload.exportedAt || null,
+                sessionPrefix: payload.sessionPrefix || ""
+            },
+            trackMap: map,
+            warnings,
+            frames,
+            decisions,
+            collisions,
+            durationMs: frames[frames.length - 1].t
+        }
+    };
+};
+
+/** Index of the last frame at or before `t` (ms from replay start). */
+export const findReplayFrameIndex = (replay, t) => {
+    const frames = replay?.frames || [];
+    let lo = 0;
+    let hi = frames.length - 1;
+    if (hi < 0) return -1;
+    if (t <= frames[0].t) return 0;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (frames[mid].t <= t) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+};
+
+/**
+ * World-space sensor ray segments for a frame (same local directions as castSensorRays).
+ * Target hits read as clear in the logged distances, so they are drawn at full range.
+ */
+export const buildReplayRaySegments = (frame) => {
+    const heading = frame.headingDeg * DEG_TO_RAD;
+    const ux = Math.sin(heading);
+    const uz = Math.cos(heading);
+    const origin = [frame.worldX, SENSOR_MOUNT_HEIGHT, frame.worldZ];
+    return SENSOR_RAY_LOCAL_DIRECTIONS.map((dir) => {
+        const rawX = (dir.x * uz) + (dir.z * ux);
+        const rawZ = (-dir.x * ux) + (dir.z * uz);
+        const len = Math.hypot(rawX, rawZ) || 1;
+        const distance = frame.readings[dir.name];
+        const kind = frame.targetHits[dir.name] ? "target" : (distance < frame.sensorRange - 0.05 ? "obstacle" : "clear");
+        return {
+            name: dir.name,
+            kind,
+            from: origin,
+            to: [origin[0] + ((rawX / len) * distance), SENSOR_MOUNT_HEIGHT, origin[2] + ((rawZ / len) * distance)]
+        };
+    });
+};
+
+/**
+ * Scrub cursor over a replay. seek(index) feeds frames into a fresh exploration memory (replaying from the
+ * start when moving backwards) and returns { frame, decision, collisions, heatCells, memory }.
+ * Telemetry is sampled less often than the live sensor loop, so the heatmap approximates the recorded one.
+ */
+export const createReplayCursor = (replay, { worldBounds = null } = {}) => {
+    const memory = createExplorationMemory({
+        cellSize: REPLAY_MEMORY_CELL_SIZE,
+        sensorRange: 10.0,
+        worldBounds: worldBounds || replay?.trackMap?.bounds || null
+    });
+    let appliedIndex = -1;
+
+    const feed = (frame) => {
+        memory.update({ ...frame.readings, ...frame }, frame.time);
+    };
+
+    const seek = (rawIndex) => {
+        const frames = replay.frames;
+        const index = Math.max(0, Math.min(frames.length - 1, Math.round(asFiniteNumber(rawIndex, 0))));
+        if (index < appliedIndex) {
+            memory.reset();
+            appliedIndex = -1;
+        }
+        for (let i = appliedIndex + 1; i <= index; i += 1) feed(frames[i]);
+        appliedIndex = index;
+
+        const frame = frames[index];
+        const heatCells = memory.exportCells().map((cell) => ({
+            x: (cell.ix + 0.5) * REPLAY_MEMORY_CELL_SIZE,
+            z: (cell.iz + 0.5) * REPLAY_MEMORY_CELL_SIZE,
+            visits: cell.visits,
+            risk: cell.riskEMA
+        }));
+        return {
+            index,
+            frame,
+            decision: frame.decisionIndex >= 0 ? replay.decisions[frame.decisionIndex] : null,
+            collisions: replay.collisions.filter((evt) => evt.t <= frame.t),
+            rays: buildReplayRaySegments(frame),
+            heatCells,
+            memory
+        };
+    };
+
+    return { seek };
+};
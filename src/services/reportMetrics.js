@@ -0,0 +1,599 @@
+// Report metric registry: every statistic in the session report (stat boxes, AI review summary) is a metric plugin.
+// A plugin declares the telemetry fields it reads, folds samples into its own state, finalizes that state into stat
+// values and says how they are shown. New metrics are added with registerReportMetric without touching the report code.
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const asNumber = (value, fallback = null) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+const percent = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+const formatOrNA = (value, digits, suffix = "") => (value === null ? "N/A" : `${value.toFixed(digits)}${suffix}`);
+
+export const STRATEGY_MODES = Object.freeze(["TARGET_LOCK", "MEMORY_EXPLORE", "ESCAPE_RECOVERY"]);
+// Minimum obstacle distance (m) below which a sample counts as a safety risk / danger.
+export const SAFETY_RISK_DISTANCE = 2.5;
+
+export const normalizeStrategyMode = (mode) => {
+    const raw = typeof mode === "string" ? mode.trim().toUpperCase() : "";
+    return STRATEGY_MODES.includes(raw) ? raw : "UNKNOWN";
+};
+
+const inferContactDirection = (pt) => {
+    const hits = pt?.targetHits || {};
+    const hitLeft = !!hits.left || !!hits.leftDiag;
+    const hitRight = !!hits.right || !!hits.rightDiag;
+    const hitFront = !!hits.front;
+
+    if (hitLeft && !hitRight) return "LEFT";
+    if (hitRight && !hitLeft) return "RIGHT";
+    if (hitFront || (hitLeft && hitRight)) return "STRAIGHT";
+    return null;
+};
+
+/** Values derived once per sample and shared by every metric's reduce(state, pt, sample). */
+export const describeReportSample = (pt) => {
+    const steer = asNumber(pt.steering);
+    const minObstacle = asNumber(pt.minObstacleDist);
+    const strategyMode = normalizeStrategyMode(pt.aiStrategyMode);
+    return {
+        ts: asNumber(pt.time),
+        steer,
+        minObstacle,
+        targetContact: !!pt.targetContact || asNumber(pt.targetHitCount, 0) > 0,
+        strategyMode,
+        hasStrategyMode: strategyMode !== "UNKNOWN",
+        isDanger: !!pt.isStuck || (minObstacle !== null && minObstacle < SAFETY_RISK_DISTANCE)
+    };
+};
+
+const COLLISION_REGION_FIELDS = Object.freeze({
+    OUTER_NORTH: "collisionOuterNorthCount",
+    OUTER_SOUTH: "collisionOuterSouthCount",
+    OUTER_EAST: "collisionOuterEastCount",
+    OUTER_WEST: "collisionOuterWestCount",
+    INNER_OBSTACLE: "collisionInnerObstacleCount",
+    OUTSIDE_BOUNDS: "collisionOutsideBoundsCount"
+});
+
+/**
+ * Built-in metrics, in report order. Plugin shape:
+ *   id, label            unique id and human name
+ *   fields               telemetry fields read (a metric whose fields never occur is reported as not measured)
+ *   init()               fresh per-session state
+ *   reduce(state, pt, sample)   fold one sample; `sample` is describeReportSample(pt)
+ *   finalize(state, context)    -> { statKey: value }; context is { count, durationSeconds, firstTs, lastTs }
+ *   reportBoxes          [{ label, value(stats) -> text, color?(stats) -> css color }] for the report stat grid
+ *   summaryLines(stats)  -> ["Name: value", ...] for the AI review data summary (optional)
+ */
+export const BUILTIN_REPORT_METRICS = Object.freeze([
+    {
+        id: "targetCaptures",
+        label: "Target captures",
+        fields: ["targetsReached"],
+        init: () => ({ captures: 0 }),
+        reduce: (state, pt) => {
+            const captureCount = asNumber(pt.targetsReached);
+            if (captureCount !== null) state.captures = Math.max(state.captures, captureCount);
+        },
+        finalize: (state, { durationSeconds }) => ({
+            targetCaptures: state.captures,
+            capturesPerMinute: durationSeconds > 0 ? state.captures / (durationSeconds / 60) : 0
+        }),
+        reportBoxes: [
+            { label: "Target Captures", value: (stats) => `${stats.targetCaptures}` },
+            { label: "Captures / Min", value: (stats) => stats.capturesPerMinute.toFixed(2) }
+        ],
+        summaryLines: (stats) => [
+            `Target Captures: ${stats.targetCaptures}`,
+            `Captures per Minute: ${stats.capturesPerMinute.toFixed(2)}`
+        ]
+    },
+    {
+        id: "intentionality",
+        label: "Intentionality",
+        fields: ["intentionality"],
+        init: () => ({ sum: 0, samples: 0 }),
+        reduce: (state, pt) => {
+            const intent = asNumber(pt.intentionality);
+            if (intent === null) return;
+            state.sum += intent;
+            state.samples += 1;
+        },
+        finalize: (state) => ({ avgIntentionality: state.samples > 0 ? state.sum / state.samples : 0 }),
+        reportBoxes: [{
+            label: "Intentionality",
+            value: (stats) => stats.avgIntentionality.toFixed(3),
+            color: (stats) => (stats.avgIntentionality > 0.5 ? "#4ade80" : "#facc15")
+        }],
+        summaryLines: (stats) => [`Intentionality Score: ${stats.avgIntentionality.toFixed(3)}`]
+    },
+    {
+        id: "steeringLogic",
+        label: "Steering logic",
+        fields: ["steering", "targetAngle"],
+        init: () => ({ steerAbsSum: 0, steerSamples: 0, aligned: 0, samples: 0 }),
+        reduce: (state, pt, { steer }) => {
+            if (steer === null) return;
+            state.steerAbsSum += Math.abs(steer);
+            state.steerSamples += 1;
+            const angle = asNumber(pt.targetAngle);
+            if (angle === null) return;
+            // Current vehicle convention in this app: positive steering = left, negative steering = right.
+            const isAligned = (angle > 5 && steer > 0) || (angle < -5 && steer < 0) || Math.abs(angle) <= 5;
+            if (isAligned) state.aligned += 1;
+            state.samples += 1;
+        },
+        finalize: (state) => ({
+            avgSteeringActivity: state.steerSamples > 0 ? state.steerAbsSum / state.steerSamples : 0,
+            logicAccuracy: percent(state.aligned, state.samples)
+        }),
+        reportBoxes: [{ label: "Logic Accuracy", value: (stats) => `${stats.logicAccuracy.toFixed(1)}%` }],
+        summaryLines: (stats) => [`Logic Consistency: ${stats.logicAccuracy.toFixed(1)}%`]
+    },
+    {
+        id: "contactFollow",
+        label: "Target contact follow",
+        fields: ["targetContact", "targetHitCount", "targetHits", "steering", "minObstacleDist"],
+        init: () => ({ contacts: 0, followed: 0, samples: 0 }),
+        reduce: (state, pt, { targetContact, minObstacle, steer }) => {
+            if (!targetContact) return;
+            state.contacts += 1;
+            // Contact-follow quality: when contact exists and front arc is not critical, did steering follow contact direction?
+            if ((minObstacle !== null && minObstacle <= 3.0) || steer === null) return;
+            const contactDirection = inferContactDirection(pt);
+            if (!contactDirection) return;
+            const follows =
+                (contactDirection === "LEFT" && steer > 0.1) ||
+                (contactDirection === "RIGHT" && steer < -0.1) ||
+                (contactDirection === "STRAIGHT" && Math.abs(steer) <= 0.35);
+            if (follows) state.followed += 1;
+            state.samples += 1;
+        },
+        finalize: (state, { count }) => ({
+            targetContactRatio: percent(state.contacts, count),
+            contactFollowAccuracy: state.samples > 0 ? percent(state.followed, state.samples) : null
+        }),
+        reportBoxes: [{ label: "Contact Follow", value: (stats) => formatOrNA(stats.contactFollowAccuracy, 1, "%") }],
+        summaryLines: (stats) => [
+            `Target Contact Ratio: ${stats.targetContactRatio.toFixed(1)}%`,
+            `Contact-Follow Accuracy: ${formatOrNA(stats.contactFollowAccuracy, 1, "%")}`
+        ]
+    },
+    {
+        id: "progressEfficiency",
+        label: "Progress efficiency",
+        fields: ["progressDelta"],
+        init: () => ({ toward: 0, away: 0, samples: 0 }),
+        reduce: (state, pt) => {
+            const progress = asNumber(pt.progressDelta);
+            if (progress === null) return;
+            if (progress > 0.03) state.toward += 1;
+            else if (progress < -0.03) state.away += 1;
+            state.samples += 1;
+        },
+        finalize: (state) => ({
+            progressEfficiency: state.samples > 0 ? percent(state.toward, state.toward + state.away) : null
+        }),
+        reportBoxes: [{ label: "Progress Efficiency", value: (stats) => formatOrNA(stats.progressEfficiency, 1, "%") }],
+        summaryLines: (stats) => [`Progress Efficiency (toward target vs away): ${formatOrNA(stats.progressEfficiency, 1, "%")}`]
+    },
+    {
+        id: "safetyRisk",
+        label: "Safety risk",
+        fields: ["minObstacleDist"],
+        init: () => ({ risky: 0 }),
+        reduce: (state, pt, { minObstacle }) => {
+            if (minObstacle !== null && minObstacle < SAFETY_RISK_DISTANCE) state.risky += 1;
+        },
+        finalize: (state, { count }) => ({ safetyRiskRatio: percent(state.risky, count) }),
+        reportBoxes: [{ label: "Safety Risk", value: (stats) => `${stats.safetyRiskRatio.toFixed(1)}%` }],
+        summaryLines: (stats) => [`Safety Risk Ratio (min obstacle < ${SAFETY_RISK_DISTANCE}m): ${stats.safetyRiskRatio.toFixed(1)}%`]
+    },
+    {
+        id: "stuck",
+        label: "Stuck time",
+        fields: ["isStuck"],
+        init: () => ({ stuck: 0 }),
+        reduce: (state, pt) => {
+            if (pt.isStuck) state.stuck += 1;
+        },
+        finalize: (state, { count }) => ({ stuckRatio: percent(state.stuck, count) }),
+        reportBoxes: [{ label: "Stuck Ratio", value: (stats) => `${stats.stuckRatio.toFixed(1)}%` }],
+        summaryLines: (stats) => [`Stuck Ratio: ${stats.stuckRatio.toFixed(1)}%`]
+    },
+    {
+        id: "reverseTime",
+        label: "Reverse time",
+        fields: ["throttle"],
+        init: () => ({ reversing: 0 }),
+        reduce: (state, pt) => {
+            if (asNumber(pt.throttle, 0) < -0.1) state.reversing += 1;
+        },
+        finalize: (state, { count }) => ({ reverseTimeRatio: percent(state.reversing, count) }),
+        reportBoxes: [{ label: "Reverse Time", value: (stats) => `${stats.reverseTimeRatio.toFixed(1)}%` }],
+        summaryLines: (stats) => [`Reverse Time: ${stats.reverseTimeRatio.toFixed(1)}%`]
+    },
+    {
+        id: "speed",
+        label: "Speed",
+        fields: ["speed"],
+        init: () => ({ sum: 0, samples: 0 }),
+        reduce: (state, pt) => {
+            const speed = asNumber(pt.speed);
+            if (speed === null) return;
+            state.sum += speed;
+            state.samples += 1;
+        },
+        finalize: (state) => ({ avgSpeed: state.samples > 0 ? state.sum / state.samples : 0 }),
+        reportBoxes: [{ label: "Average Speed", value: (stats) => stats.avgSpeed.toFixed(2) }],
+        summaryLines: (stats) => [`Average Speed: ${stats.avgSpeed.toFixed(2)}`]
+    },
+    {
+        id: "aiLatency",
+        label: "AI latency",
+        fields: ["aiLatencyMs"],
+        init: () => ({ sum: 0, samples: 0 }),
+        reduce: (state, pt) => {
+            const latency = asNumber(pt.aiLatencyMs);
+            if (latency === null) return;
+            state.sum += latency;
+            state.samples += 1;
+        },
+        finalize: (state) => ({ avgAiLatencyMs: state.samples > 0 ? state.sum / state.samples : null }),
+        reportBoxes: [{ label: "Avg AI Latency", value: (stats) => formatOrNA(stats.avgAiLatencyMs, 0, "ms") }],
+        summaryLines: (stats) => [`Average AI Latency: ${formatOrNA(stats.avgAiLatencyMs, 0, "ms")}`]
+    },
+    {
+        id: "strategy",
+        label: "Strategy mode",
+        fields: ["aiStrategyMode", "aiStrategyTransition", "aiStrategyConfidence", "distanceToTarget", "targetAngle"],
+        init: () => ({
+            samples: 0,
+            switches: 0,
+            confidenceSum: 0,
+            confidenceSamples: 0,
+            aligned: 0,
+            contactSamples: 0,
+            lockOnContact: 0,
+            dangerSamples: 0,
+            escapeOnDanger: 0
+        }),
+        reduce: (state, pt, { strategyMode, hasStrategyMode, targetContact, isDanger }) => {
+            if (isDanger) {
+                state.dangerSamples += 1;
+                if (strategyMode === "ESCAPE_RECOVERY") state.escapeOnDanger += 1;
+            }
+            if (targetContact) {
+                state.contactSamples += 1;
+                if (strategyMode === "TARGET_LOCK") state.lockOnContact += 1;
+            }
+            if (!hasStrategyMode) return;
+
+            state.samples += 1;
+            const transition = typeof pt.aiStrategyTransition === "string" ? pt.aiStrategyTransition.toUpperCase() : "HOLD";
+            if (transition === "SWITCH") state.switches += 1;
+            const confidence = asNumber(pt.aiStrategyConfidence);
+            if (confidence !== null) {
+                state.confidenceSum += confidence;
+                state.confidenceSamples += 1;
+            }
+
+            const angleAbs = Math.abs(asNumber(pt.targetAngle, 180));
+            const distance = asNumber(pt.distanceToTarget, 99);
+            const expectTargetLock = targetContact || (distance < 14 && angleAbs <= 35 && !isDanger);
+            const expectedMode = isDanger ? "ESCAPE_RECOVERY" : expectTargetLock ? "TARGET_LOCK" : "MEMORY_EXPLORE";
+            if (strategyMode === expectedMode) state.aligned += 1;
+        },
+        finalize: (state, { count }) => {
+            const knownSamples = Math.max(1, state.samples);
+            return {
+                strategyCoverage: percent(state.samples, count),
+                strategyModeAlignment: percent(state.aligned, knownSamples),
+                strategyAvgConfidence: state.confidenceSamples > 0 ? state.confidenceSum / state.confidenceSamples : null,
+                strategySwitchRate: percent(state.switches, knownSamples),
+                targetLockWhenContactRate: percent(state.lockOnContact, Math.max(1, state.contactSamples)),
+                escapeWhenDangerRate: percent(state.escapeOnDanger, Math.max(1, state.dangerSamples))
+            };
+        },
+        reportBoxes: [
+            { label: "Strategy Coverage", value: (stats) => `${stats.strategyCoverage.toFixed(1)}%` },
+            { label: "Strategy Alignment", value: (stats) => `${stats.strategyModeAlignment.toFixed(1)}%` },
+            { label: "Strategy Confidence", value: (stats) => formatOrNA(stats.strategyAvgConfidence, 3) },
+            { label: "Strategy Switch Rate", value: (stats) => `${stats.strategySwitchRate.toFixed(1)}%` },
+            { label: "TargetLock@Contact", value: (stats) => `${stats.targetLockWhenContactRate.toFixed(1)}%` },
+            { label: "Escape@Danger", value: (stats) => `${stats.escapeWhenDangerRate.toFixed(1)}%` }
+        ],
+        summaryLines: (stats) => [
+            `Strategy Coverage: ${stats.strategyCoverage.toFixed(1)}%`,
+            `Strategy Mode Alignment: ${stats.strategyModeAlignment.toFixed(1)}%`,
+            `Strategy Avg Confidence: ${formatOrNA(stats.strategyAvgConfidence, 3)}`,
+            `TargetLock@Contact: ${stats.targetLockWhenContactRate.toFixed(1)}%`,
+            `Escape@Danger: ${stats.escapeWhenDangerRate.toFixed(1)}%`
+        ]
+    },
+    {
+        id: "memorySelection",
+        label: "Memory selection",
+        fields: ["memoryNoGoRatio", "memorySelectedNoGo", "memorySelectedWeight"],
+        init: () => ({ noGoSum: 0, noGoSamples: 0, selectedNoGo: 0, selections: 0, weightSum: 0, weightSamples: 0 }),
+        // Only samples with a strategy decision carry a memory selection.
+        reduce: (state, pt, { hasStrategyMode }) => {
+            if (!hasStrategyMode) return;
+            const noGoRatio = asNumber(pt.memoryNoGoRatio);
+            if (noGoRatio !== null) {
+                state.noGoSum += clamp(noGoRatio, 0, 1);
+                state.noGoSamples += 1;
+            }
+            const selectedWeight = asNumber(pt.memorySelectedWeight);
+            if (selectedWeight !== null) {
+                state.weightSum += selectedWeight;
+                state.weightSamples += 1;
+            }
+            state.selections += 1;
+            if (pt.memorySelectedNoGo) state.selectedNoGo += 1;
+        },
+        finalize: (state) => ({
+            memoryNoGoRatioAvg: state.noGoSamples > 0 ? percent(state.noGoSum, state.noGoSamples) : null,
+            memorySelectedNoGoRate: state.selections > 0 ? percent(state.selectedNoGo, state.selections) : null,
+            memorySelectedWeightAvg: state.weightSamples > 0 ? state.weightSum / state.weightSamples : null
+        }),
+        reportBoxes: [
+            { label: "Memory No-Go (avg)", value: (stats) => formatOrNA(stats.memoryNoGoRatioAvg, 1, "%") },
+            { label: "Selected No-Go", value: (stats) => formatOrNA(stats.memorySelectedNoGoRate, 1, "%") },
+            { label: "Selected Weight", value: (stats) => formatOrNA(stats.memorySelectedWeightAvg, 3) }
+        ],
+        summaryLines: (stats) => [
+            `Memory No-Go Ratio (avg): ${formatOrNA(stats.memoryNoGoRatioAvg, 1, "%")}`,
+            `Memory Selected No-Go Rate: ${formatOrNA(stats.memorySelectedNoGoRate, 1, "%")}`,
+            `Memory Selected Weight (avg): ${formatOrNA(stats.memorySelectedWeightAvg, 3)}`
+        ]
+    },
+    {
+        id: "coverage",
+        label: "Exploration coverage",
+        fields: ["coveragePct"],
+        init: () => ({ lastPct: null, halfTs: null }),
+        // Coverage (share of the reachable area seen) only grows; keep the latest value and when it first reached 50%.
+        reduce: (state, pt, { ts }) => {
+            const coveragePct = asNumber(pt.coveragePct);
+            if (coveragePct === null) return;
+            state.lastPct = coveragePct;
+            if (state.halfTs === null && coveragePct >= 50 && ts !== null) state.halfTs = ts;
+        },
+        finalize: (state, { firstTs }) => ({
+            coverageFinalPct: state.lastPct,
+            coverageHalfSeconds: state.halfTs !== null && firstTs !== null ? (state.halfTs - firstTs) / 1000 : null
+        }),
+        reportBoxes: [
+            { label: "Coverage (final)", value: (stats) => formatOrNA(stats.coverageFinalPct, 1, "%") },
+            { label: "Coverage 50% at", value: (stats) => formatOrNA(stats.coverageHalfSeconds, 1, "s") }
+        ]
+    },
+    {
+        id: "collisions",
+        label: "Collisions",
+        fields: ["collisionCount", "sameWallCollisionCount", "sameWallConsecutiveCollisionCount", ...Object.values(COLLISION_REGION_FIELDS)],
+        // Collision counters are cumulative per session, so the maxima are the session totals.
+        init: () => ({
+            collisionCount: 0,
+            sameWallCollisionCount: 0,
+            sameWallConsecutiveCollisionCount: 0,
+            byRegion: Object.fromEntries(Object.keys(COLLISION_REGION_FIELDS).map((region) => [region, 0]))
+        }),
+        reduce: (state, pt) => {
+            state.collisionCount = Math.max(state.collisionCount, asNumber(pt.collisionCount, 0));
+            state.sameWallCollisionCount = Math.max(state.sameWallCollisionCount, asNumber(pt.sameWallCollisionCount, 0));
+            state.sameWallConsecutiveCollisionCount = Math.max(state.sameWallConsecutiveCollisionCount, asNumber(pt.sameWallConsecutiveCollisionCount, 0));
+            Object.entries(COLLISION_REGION_FIELDS).forEach(([region, field]) => {
+                state.byRegion[region] = Math.max(state.byRegion[region], asNumber(pt[field], 0));
+            });
+        },
+        finalize: (state, { durationSeconds }) => ({
+            collisionCount: state.collisionCount,
+            sameWallCollisionCount: state.sameWallCollisionCount,
+            sameWallConsecutiveCollisionCount: state.sameWallConsecutiveCollisionCount,
+            collisionsPerMinute: durationSeconds > 0 ? state.collisionCount / (durationSeconds / 60) : 0,
+            collisionByRegion: { ...state.byRegion }
+        }),
+        reportBoxes: [
+            { label: "Collision Count", value: (stats) => `${stats.collisionCount}` },
+            { label: "Same-Wall Repeat", value: (stats) => `${stats.sameWallCollisionCount}` },
+            { label: "Consecutive Same-Wall", value: (stats) => `${stats.sameWallConsecutiveCollisionCount}` },
+            { label: "Collisions / Min", value: (stats) => (Number.isFinite(stats.collisionsPerMinute) ? stats.collisionsPerMinute.toFixed(2) : "0.00") },
+            {
+                label: "Wall Collision (N/S/E/W)",
+                value: ({ collisionByRegion: region }) => `N:${region.OUTER_NORTH} S:${region.OUTER_SOUTH} E:${region.OUTER_EAST} W:${region.OUTER_WEST}`
+            },
+            { label: "Inner Obstacle Hits", value: (stats) => `${stats.collisionByRegion.INNER_OBSTACLE}` },
+            { label: "Outside Bounds Hits", value: (stats) => `${stats.collisionByRegion.OUTSIDE_BOUNDS}` }
+        ],
+        summaryLines: ({ collisionByRegion: region, ...stats }) => [
+            `Collision Count: ${stats.collisionCount}`,
+            `Same-Wall Collision Repeat: ${stats.sameWallCollisionCount}`,
+            `Consecutive Same-Wall Repeat: ${stats.sameWallConsecutiveCollisionCount}`,
+            `Collisions per Minute: ${stats.collisionsPerMinute.toFixed(2)}`,
+            `Collision By Region: N=${region.OUTER_NORTH}, S=${region.OUTER_SOUTH}, E=${region.OUTER_EAST}, W=${region.OUTER_WEST}, InnerObs=${region.INNER_OBSTACLE}, OOB=${region.OUTSIDE_BOUNDS}`
+        ]
+    },
+    {
+        id: "strategyModeShare",
+        label: "Strategy mode share",
+        fields: ["aiStrategyMode"],
+        init: () => ({ known: 0, counts: Object.fromEntries(STRATEGY_MODES.map((mode) => [mode, 0])) }),
+        reduce: (state, pt, { strategyMode, hasStrategyMode }) => {
+            if (!hasStrategyMode) return;
+            state.known += 1;
+            state.counts[strategyMode] += 1;
+        },
+        finalize: (state) => ({
+            strategyModeShare: Object.fromEntries(STRATEGY_MODES.map((mode) => [mode, percent(state.counts[mode], Math.max(1, state.known))]))
+        }),
+        reportBoxes: [
+            { label: "Mode Share: LOCK", value: (stats) => `${stats.strategyModeShare.TARGET_LOCK.toFixed(1)}%` },
+            { label: "Mode Share: EXPLORE", value: (stats) => `${stats.strategyModeShare.MEMORY_EXPLORE.toFixed(1)}%` },
+            { label: "Mode Share: ESCAPE", value: (stats) => `${stats.strategyModeShare.ESCAPE_RECOVERY.toFixed(1)}%` }
+        ],
+        summaryLines: (stats) => [
+            `Mode Share: ${STRATEGY_MODES.map((mode) => `${mode}=${stats.strategyModeShare[mode].toFixed(1)}%`).join(", ")}`
+        ]
+    },
+    {
+        id: "dataCompleteness",
+        label: "Data completeness",
+        fields: ["distanceToTarget", "speed", "minObstacleDist", "targetHits", "aiLatencyMs", "aiStrategyMode", "aiStrategyConfidence"],
+        init: () => ({
+            distanceToTarget: 0,
+            speed: 0,
+            minObstacleDist: 0,
+            targetHits: 0,
+            aiLatencyMs: 0,
+            aiStrategyMode: 0,
+            aiStrategyConfidence: 0
+        }),
+        reduce: (state, pt, { minObstacle, hasStrategyMode }) => {
+            if (asNumber(pt.distanceToTarget) !== null) state.distanceToTarget += 1;
+            if (asNumber(pt.speed) !== null) state.speed += 1;
+            if (minObstacle !== null) state.minObstacleDist += 1;
+            if (pt.targetHits && typeof pt.targetHits === "object") state.targetHits += 1;
+            if (asNumber(pt.aiLatencyMs) !== null) state.aiLatencyMs += 1;
+            if (hasStrategyMode) state.aiStrategyMode += 1;
+            if (asNumber(pt.aiStrategyConfidence) !== null) state.aiStrategyConfidence += 1;
+        },
+        finalize: (state, { count }) => {
+            const keys = Object.keys(state);
+            return { dataCompleteness: keys.reduce((acc, key) => acc + percent(state[key], count), 0) / keys.length };
+        },
+        reportBoxes: [{ label: "Data Completeness", value: (stats) => `${stats.dataCompleteness.toFixed(1)}%` }],
+        summaryLines: (stats) => [`Data Completeness: ${stats.dataCompleteness.toFixed(1)}%`]
+    }
+]);
+
+const validateReportMetric = (metric, registered) => {
+    if (!metric || typeof metric !== "object") return { ok: false, error: "Report metric must be an object." };
+    const id = typeof metric.id === "string" ? metric.id.trim() : "";
+    if (!id) return { ok: false, error: "Report metric needs an id." };
+    if (registered.some((entry) => entry.id === id)) return { ok: false, error: `Report metric ${id} is already registered.` };
+    if (!Array.isArray(metric.fields) || metric.fields.length === 0 || !metric.fields.every((field) => typeof field === "string" && field)) {
+        return { ok: false, error: `Report metric ${id}: fields must list the telemetry fields it reads.` };
+    }
+    for (const key of ["init", "reduce", "finalize"]) {
+        if (typeof metric[key] !== "function") return { ok: false, error: `Report metric ${id}: ${key} must be a function.` };
+    }
+    const boxes = metric.reportBoxes ?? [];
+    if (!Array.isArray(boxes) || !boxes.every((box) => box && typeof box.label === "string" && typeof box.value === "function")) {
+        return { ok: false, error: `Report metric ${id}: reportBoxes must be [{ label, value(stats) }].` };
+    }
+    if (metric.summaryLines !== undefined && typeof metric.summaryLines !== "function") {
+        return { ok: false, error: `Report metric ${id}: summaryLines must be a function.` };
+    }
+    return { ok: true, id };
+};
+
+/**
+ * Ordered set of metric plugins. register(metric) appends (report order = registration order) and returns
+ * { ok, id } or { ok: false, error }; unregister(id) removes one; list() returns the current plugins.
+ */
+export const createReportMetricRegistry = (metrics = BUILTIN_REPORT_METRICS) => {
+    const entries = [];
+
+    const register = (metric) => {
+        const checked = validateReportMetric(metric, entries);
+        if (!checked.ok) return checked;
+        entries.push(Object.freeze({
+            ...metric,
+            id: checked.id,
+            label: metric.label || checked.id,
+            fields: Object.freeze([...metric.fields]),
+            reportBoxes: Object.freeze([...(metric.reportBoxes ?? [])])
+        }));
+        return checked;
+    };
+
+    const unregister = (id) => {
+        const index = entries.findIndex((entry) => entry.id === id);
+        if (index < 0) return { ok: false, error: `Report metric ${id} is not registered.` };
+        entries.splice(index, 1);
+        return { ok: true, id };
+    };
+
+    metrics.forEach((metric) => {
+        const registered = register(metric);
+        if (!registered.ok) throw new Error(registered.error);
+    });
+
+    return { register, unregister, list: () => entries.slice() };
+};
+
+/** Registry behind the session report (HTML report and AI review). */
+export const defaultReportMetricRegistry = createReportMetricRegistry();
+export const registerReportMetric = (metric) => defaultReportMetricRegistry.register(metric);
+
+/**
+ * Runs every metric over the telemetry history. Returns null for an empty history, else the merged stat values plus
+ * { count, durationSeconds, unmeasuredMetrics: [{ id, label, failed, reason }] }. A metric that throws or whose fields never
+ * occur in the history is listed in unmeasuredMetrics; a thrown metric contributes no values. A stat key already set
+ * by an earlier metric is kept and the later value dropped with a warning.
+ */
+export const computeReportMetrics = (history, metrics = defaultReportMetricRegistry.list()) => {
+    if (!Array.isArray(history) || history.length === 0) return null;
+
+    const states = new Map(metrics.map((metric) => [metric.id, metric.init()]));
+    const failures = new Map();
+    const seenFields = new Set();
+    const fail = (metric, stage, err) => {
+        failures.set(metric.id, `${stage} failed: ${err?.message || err}`);
+        console.warn(`Report metric ${metric.id} ${stage} failed:`, err);
+    };
+
+    let firstTs = null;
+    let lastTs = null;
+    history.forEach((pt) => {
+        const sample = describeReportSample(pt);
+        if (sample.ts !== null) {
+            if (firstTs === null || sample.ts < firstTs) firstTs = sample.ts;
+            if (lastTs === null || sample.ts > lastTs) lastTs = sample.ts;
+        }
+        metrics.forEach((metric) => {
+            if (failures.has(metric.id)) return;
+            metric.fields.forEach((field) => {
+                if (pt[field] !== undefined && pt[field] !== null) seenFields.add(field);
+            });
+            try {
+                metric.reduce(states.get(metric.id), pt, sample);
+            } catch (err) {
+                fail(metric, "reduce", err);
+            }
+        });
+    });
+
+    const count = history.length;
+    const durationSeconds = (firstTs !== null && lastTs !== null && lastTs > firstTs)
+        ? (lastTs - firstTs) / 1000
+        : count * 0.1;
+    const context = { count, durationSeconds, firstTs, lastTs };
+
+    const stats = { count, durationSeconds };
+    metrics.forEach((metric) => {
+        if (failures.has(metric.id)) return;
+        let values;
+        try {
+            values = metric.finalize(states.get(metric.id), context) || {};
+        } catch (err) {
+            fail(metric, "finalize", err);
+            return;
+        }
+        Object.entries(values).forEach(([key, value]) => {
+            if (key in stats) console.warn(`Report metric ${metric.id} redefines stat ${key}; keeping the earlier value.`);
+            else stats[key] = value;
+        });
+    });
+
+    stats.unmeasuredMetrics = metrics
+        .map((metric) => {
+            if (failures.has(metric.id)) return { id: metric.id, label: metric.label, failed: true, reason: failures.get(metric.id) };
+            if (!metric.fields.some((field) => seenFields.has(field))) {
+                return { id: metric.id, label: metric.label, failed: false, reason: `no ${metric.fields.join("/")} in the telemetry` };
+            }
+            return null;
+        })
+        .filter(Boolean);
+    return stats;
+};
@@ -0,0 +1,362 @@
+// Cross-run comparison shared by the browser experiment panel and scripts/compare-runs.js: per-run metrics from
+// experiment summaries, run summaries and all-logs bundles, per-condition bootstrap confidence intervals and
+// pairwise Mann-Whitney U tests (Holm-adjusted per metric).
+import { DEFAULT_EXPERIMENT_SEED, createSeededRandom } from "./seededRandom.js";
+
+export const RUN_COMPARISON_SCHEMA_ID = "gemma-autodrive-run-comparison";
+
+// `better` says which direction wins; it only labels the pairwise rows, the tests are two-sided.
+export const COMPARISON_METRICS = Object.freeze([
+    { key: "capturesPerMin", label: "Captures / min", better: "higher" },
+    { key: "collisionsPerMin", label: "Collisions / min", better: "lower" },
+    { key: "avgLatencyMs", label: "AI latency (ms)", better: "lower" },
+    { key: "stalenessMs", label: "Decision age (ms)", better: "lower" },
+    { key: "loopRate", label: "Loop rate", better: "lower" }
+]);
+
+export const DEFAULT_BOOTSTRAP_ITERATIONS = 2000;
+export const DEFAULT_COMPARISON_CONFIDENCE = 0.95;
+export const DEFAULT_COMPARISON_ALPHA = 0.05;
+// Above this many rank assignments the U test falls back to the tie-corrected normal approximation.
+const EXACT_U_MAX_COMBINATIONS = 20000;
+
+const asFiniteNumber = (value, fallback = null) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+const round = (value, digits = 3) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+const meanOf = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const safeTag = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9_-]/g, "_");
+
+const medianOf = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const quantileOf = (sorted, q) => {
+    if (sorted.length === 0) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + ((sorted[hi] - sorted[lo]) * (pos - lo));
+};
+
+/**
+ * Comparison metrics of one run. With telemetry they come from the samples (captures = targetsReached, collisions =
+ * the last collisionCount, staleness = mean decisionAgeMs, loop rate = mean memoryRevisitRate); without it captures,
+ * collisions and latency fall back to the run result's metrics and staleness / loop rate stay null.
+ */
+export const summarizeRunForComparison = (result = {}, telemetry = null) => {
+    const points = Array.isArray(telemetry) ? telemetry.filter((point) => point && typeof point === "object") : [];
+    const metrics = result?.metrics || {};
+    const fallbackMinutes = (asFiniteNumber(result?.simTimeMs) ?? asFiniteNumber(result?.runSeconds, 0) * 1000) / 60000;
+    let minutes = fallbackMinutes;
+    let captures = asFiniteNumber(metrics.maxTargetHitCount);
+    let collisions = asFiniteNumber(metrics.collisionCount);
+    let avgLatencyMs = asFiniteNumber(metrics.avgLatencyMs);
+    let stalenessMs = null;
+    let loopRate = null;
+    if (points.length > 1) {
+        const span = asFiniteNumber(points[points.length - 1].time, 0) - asFiniteNumber(points[0].time, 0);
+        if (span > 0) minutes = span / 60000;
+        captures = Math.max(0, ...points.map((point) => asFiniteNumber(point.targetsReached, 0)));
+        collisions = asFiniteNumber(points[points.length - 1].collisionCount, collisions);
+        const latencies = points.map((point) => asFiniteNumber(point.aiLatencyMs, 0)).filter((value) => value > 0);
+        avgLatencyMs = latencies.length > 0 ? meanOf(latencies) : avgLatencyMs;
+        stalenessMs = meanOf(points.map((point) => asFiniteNumber(point.decisionAgeMs)).filter(Number.isFinite));
+        loopRate = meanOf(points.map((point) => asFiniteNumber(point.memoryRevisitRate)).filter(Number.isFinite));
+    }
+    const perMinute = (count) => (Number.isFinite(count) && minutes > 0 ? count / minutes : null);
+    return {
+        conditionId: String(result?.conditionId || "unknown"),
+        label: result?.label || result?.conditionId || "unknown",
+        model: result?.model || null,
+        repeat: asFiniteNumber(result?.repeat),
+        runTag: result?.runTag || null,
+        seed: asFiniteNumber(result?.seed),
+        status: result?.status || null,
+        source: points.length > 1 ? "telemetry" : "summary",
+        minutes: round(minutes),
+        metrics: {
+            capturesPerMin: round(perMinute(captures)),
+            collisionsPerMin: round(perMinute(collisions)),
+            avgLatencyMs: round(avgLatencyMs, 1),
+            stalenessMs: round(stalenessMs, 1),
+            loopRate: round(loopRate)
+        }
+    };
+};
+
+const classifyDocument = (data) => {
+    if (Array.isArray(data?.results)) return "experiment";
+    if (data && typeof data === "object" && typeof data.conditionId === "string" && data.metrics) return "run";
+    if (Array.isArray(data?.files?.telemetry)) return "allLogs";
+    if (Array.isArray(data) && data.some((item) => item && Number.isFinite(item.time) && "targetsReached" in item)) return "telemetry";
+    return null;
+};
+
+/**
+ * Collect comparison runs from loaded JSON documents ([{ name, data }]): experiment summaries (results, plus the
+ * telemetry of browser single-bundle runArtifacts), per-run summaries, and all-logs bundles or telemetry files whose
+ * file name carries a run's runTag. Runs are de-duplicated by runTag; runs with status ERROR are skipped.
+ * Returns { runs, skipped } where `skipped` names documents that were not recognized.
+ */
+export const collectComparisonRuns = (documents = []) => {
+    const results = [];
+    const telemetryByTag = new Map();
+    const skipped = [];
+    (Array.isArray(documents) ? documents : []).forEach(({ name = "", data }) => {
+        const kind = classifyDocument(data);
+        if (kind === "experiment") {
+            data.results.forEach((result) => results.push(result));
+            (Array.isArray(data.runArtifacts) ? data.runArtifacts : []).forEach((artifact) => {
+                if (artifact?.runTag && Array.isArray(artifact?.files?.telemetry)) {
+                    telemetryByTag.set(safeTag(artifact.runTag), artifact.files.telemetry);
+                }
+            });
+        } else if (kind === "run") {
+            results.push(data);
+        } else if (kind === "allLogs" || kind === "telemetry") {
+            telemetryByTag.set(`file:${String(name).toLowerCase()}`, kind === "allLogs" ? data.files.telemetry : data);
+        } else {
+            skipped.push(name || "(unnamed)");
+        }
+    });
+    const findTelemetry = (runTag) => {
+        const tag = safeTag(runTag);
+        if (!tag) return null;
+        if (telemetryByTag.has(tag)) return telemetryByTag.get(tag);
+        for (const [key, telemetry] of telemetryByTag) {
+            if (key.startsWith("file:") && safeTag(key.slice(5)).includes(tag)) return telemetry;
+        }
+        return null;
+    };
+    const seen = new Set();
+    const runs = [];
+    results.forEach((result) => {
+        if (!result || result.status === "ERROR") return;
+        const key = result.runTag ? safeTag(result.runTag) : `${result.conditionId}|${result.repeat}|${runs.length}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        runs.push(summarizeRunForComparison(result, findTelemetry(result.runTag)));
+    });
+    return { runs, skipped };
+};
+
+/**
+ * Percentile bootstrap CI of a statistic (mean by default) of `values`, drawing resamples from `random`.
+ */
+export const bootstrapCi = (values, { random, iterations = DEFAULT_BOOTSTRAP_ITERATIONS, confidence = DEFAULT_COMPARISON_CONFIDENCE, statistic = meanOf } = {}) => {
+    if (values.length === 0) return { low: null, high: null };
+    if (values.length === 1) return { low: values[0], high: values[0] };
+    const rng = random || createSeededRandom(DEFAULT_EXPERIMENT_SEED);
+    const stats = [];
+    for (let i = 0; i < iterations; i += 1) {
+        const sample = values.map(() => values[Math.floor(rng.next() * values.length)]);
+        stats.push(statistic(sample));
+    }
+    stats.sort((a, b) => a - b);
+    const tail = (1 - confidence) / 2;
+    return { low: quantileOf(stats, tail), high: quantileOf(stats, 1 - tail) };
+};
+
+/** Percentile bootstrap CI of mean(a) - mean(b), resampling each group independently. */
+export const bootstrapMeanDiffCi = (a, b, { random, iterations = DEFAULT_BOOTSTRAP_ITERATIONS, confidence = DEFAULT_COMPARISON_CONFIDENCE } = {}) => {
+    if (a.length === 0 || b.length === 0) return { low: null, high: null };
+    const rng = random || createSeededRandom(DEFAULT_EXPERIMENT_SEED);
+    const diffs = [];
+    for (let i = 0; i < iterations; i += 1) {
+        const meanA = meanOf(a.map(() => a[Math.floor(rng.next() * a.length)]));
+        const meanB = meanOf(b.map(() => b[Math.floor(rng.next() * b.length)]));
+        diffs.push(meanA - meanB);
+    }
+    diffs.sort((x, y) => x - y);
+    const tail = (1 - confidence) / 2;
+    return { low: quantileOf(diffs, tail), high: quantileOf(diffs, 1 - tail) };
+};
+
+// Midranks (1-based) of the pooled values, plus the tie group sizes for the variance correction.
+const rankPooled = (values) => {
+    const order = values.map((value, index) => ({ value, index })).sort((x, y) => x.value - y.value);
+    const ranks = new Array(values.length);
+    const ties = [];
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1].value === order[i].value) j += 1;
+        const rank = (i + j + 2) / 2;
+        for (let k = i; k <= j; k += 1) ranks[order[k].index] = rank;
+        if (j > i) ties.push(j - i + 1);
+        i = j + 1;
+    }
+    return { ranks, ties };
+};
+
+const binomial = (n, k) => {
+    let result = 1;
+    for (let i = 1; i <= k; i += 1) result = (result * (n - k + i)) / i;
+    return result;
+};
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26 erf, |error| < 1.5e-7).
+const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + (0.3275911 * x));
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - (poly * Math.exp(-x * x));
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+};
+
+/**
+ * Two-sided Mann-Whitney U test of a vs b. Exact (enumerating rank assignments, ties included) while the number of
+ * assignments is small, which covers the usual 1-6 repeats per condition; otherwise the tie-corrected normal
+ * approximation with continuity correction. `effect` is the rank-biserial correlation (positive: a tends higher).
+ */
+export const mannWhitneyU = (a, b) => {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 === 0 || n2 === 0) return null;
+    const { ranks, ties } = rankPooled([...a, ...b]);
+    const rankSumA = ranks.slice(0, n1).reduce((sum, r) => sum + r, 0);
+    const u1 = rankSumA - ((n1 * (n1 + 1)) / 2);
+    const u2 = (n1 * n2) - u1;
+    const center = (n1 * n2) / 2;
+    const observed = Math.abs(u1 - center);
+    const total = n1 + n2;
+    let p;
+    let method;
+    if (binomial(total, n1) <= EXACT_U_MAX_COMBINATIONS) {
+        method = "exact";
+        let extreme = 0;
+        let count = 0;
+        const walk = (start, left, rankSum) => {
+            if (left === 0) {
+                count += 1;
+                if (Math.abs(rankSum - ((n1 * (n1 + 1)) / 2) - center) >= observed - 1e-9) extreme += 1;
+                return;
+            }
+            for (let i = start; i <= total - left; i += 1) walk(i + 1, left - 1, rankSum + ranks[i]);
+        };
+        walk(0, n1, 0);
+        p = extreme / count;
+    } else {
+        method = "normal";
+        const tieTerm = ties.reduce((sum, t) => sum + ((t * t * t) - t), 0) / (total * (total - 1));
+        const sigma = Math.sqrt(((n1 * n2) / 12) * ((total + 1) - tieTerm));
+        p = sigma > 0 ? 2 * (1 - normalCdf(Math.max(0, observed - 0.5) / sigma)) : 1;
+    }
+    return {
+        u: Math.min(u1, u2),
+        p: Math.min(1, p),
+        effect: (u1 - u2) / (n1 * n2),
+        method
+    };
+};
+
+/** Holm step-down adjustment; returns adjusted p-values in the input order (nulls stay null). */
+export const holmAdjust = (pValues) => {
+    const indexed = pValues.map((p, index) => ({ p, index })).filter((item) => Number.isFinite(item.p)).sort((x, y) => x.p - y.p);
+    const adjusted = pValues.map(() => null);
+    let running = 0;
+    indexed.forEach((item, rank) => {
+        running = Math.max(running, Math.min(1, (indexed.length - rank) * item.p));
+        adjusted[item.index] = running;
+    });
+    return adjusted;
+};
+
+/**
+ * Aggregate runs per condition and test every condition pair (or every condition against `baselineConditionId`).
+ * Bootstrap streams are forked per metric and condition (pair) from `seed`, so the report is reproducible and does not
+ * depend on input order. A pair is flagged `winner` when its Holm-adjusted p is below `alpha`.
+ */
+export const buildRunComparison = (runs = [], {
+    metrics = COMPARISON_METRICS,
+    baselineConditionId = null,
+    iterations = DEFAULT_BOOTSTRAP_ITERATIONS,
+    confidence = DEFAULT_COMPARISON_CONFIDENCE,
+    alpha = DEFAULT_COMPARISON_ALPHA,
+    seed = DEFAULT_EXPERIMENT_SEED
+} = {}) => {
+    const root = createSeededRandom(seed);
+    const groups = new Map();
+    (Array.isArray(runs) ? runs : []).forEach((run) => {
+        if (!groups.has(run.conditionId)) groups.set(run.conditionId, { conditionId: run.conditionId, label: run.label, model: run.model, runs: [] });
+        groups.get(run.conditionId).runs.push(run);
+    });
+    const valuesOf = (group, key) => group.runs.map((run) => run.metrics?.[key]).filter(Number.isFinite);
+
+    const conditions = Array.from(groups.values()).map((group) => ({
+        conditionId: group.conditionId,
+        label: group.label,
+        model: group.model,
+        runs: group.runs.length,
+        telemetryRuns: group.runs.filter((run) => run.source === "telemetry").length,
+        metrics: Object.fromEntries(metrics.map(({ key }) => {
+            const values = valuesOf(group, key);
+            const ci = bootstrapCi(values, { random: root.fork(`${key}|${group.conditionId}`), iterations, confidence });
+            return [key, {
+                n: values.length,
+                mean: round(meanOf(values)),
+                median: round(medianOf(values)),
+                ciLow: round(ci.low),
+                ciHigh: round(ci.high),
+                values
+            }];
+        }))
+    }));
+
+    const ids = conditions.map((condition) => condition.conditionId);
+    if (baselineConditionId !== null && !ids.includes(baselineConditionId)) {
+        return { ok: false, error: `Baseline condition "${baselineConditionId}" has no runs (conditions: ${ids.join(", ")})` };
+    }
+    const pairIds = baselineConditionId !== null
+        ? ids.filter((id) => id !== baselineConditionId).map((id) => [id, baselineConditionId])
+        : ids.flatMap((a, i) => ids.slice(i + 1).map((b) => [a, b]));
+
+    const pairs = metrics.flatMap(({ key, better }) => {
+        const rows = pairIds.map(([a, b]) => {
+            const valuesA = valuesOf(groups.get(a), key);
+            const valuesB = valuesOf(groups.get(b), key);
+            const test = mannWhitneyU(valuesA, valuesB);
+            const ci = bootstrapMeanDiffCi(valuesA, valuesB, { random: root.fork(`${key}|${a}|${b}`), iterations, confidence });
+            const diff = valuesA.length > 0 && valuesB.length > 0 ? meanOf(valuesA) - meanOf(valuesB) : null;
+            return {
+                metric: key,
+                a,
+                b,
+                nA: valuesA.length,
+                nB: valuesB.length,
+                diff: round(diff),
+                ciLow: round(ci.low),
+                ciHigh: round(ci.high),
+                u: test ? test.u : null,
+                p: test ? round(test.p, 4) : null,
+                effect: test ? round(test.effect) : null,
+                method: test ? test.method : null,
+                better
+            };
+        });
+        const adjusted = holmAdjust(rows.map((row) => row.p));
+        return rows.map((row, index) => {
+            const pHolm = round(adjusted[index], 4);
+            const significant = Number.isFinite(pHolm) && pHolm < alpha && row.diff !== 0;
+            const aWins = row.better === "lower" ? row.diff < 0 : row.diff > 0;
+            return { ...row, pHolm, winner: significant ? (aWins ? row.a : row.b) : null };
+        });
+    });
+
+    return {
+        ok: true,
+        schema: RUN_COMPARISON_SCHEMA_ID,
+        version: 1,
+        seed: root.seed,
+        iterations,
+        confidence,
+        alpha,
+        baselineConditionId,
+        metrics: metrics.map(({ key, label, better }) => ({ key, label, better })),
+        runs,
+        conditions,
+        pairs
+    };
+};
@@ -0,0 +1,92 @@
+// Seeded PRNG for reproducible run conditions: target respawn sequence, recovery turn choice, spawn jitter and
+// injected sensor faults.
+// Each concern draws from its own sub-stream so, e.g., an extra recovery does not shift the target sequence.
+
+export const DEFAULT_EXPERIMENT_SEED = 1337;
+export const SPAWN_JITTER = Object.freeze({
+    positionM: 1.0,
+    yawDeg: 6
+});
+
+/** FNV-1a 32-bit hash; turns string seeds (and seed|label keys) into uint32 seeds. */
+export function hashSeed(value) {
+    const text = String(value ?? "");
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i += 1) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Coerce a config/user seed to uint32. Numbers are truncated, non-empty strings hashed; anything else -> fallback.
+ */
+export function normalizeSeed(raw, fallback = null) {
+    if (typeof raw === "number" && Number.isFinite(raw)) return Math.floor(Math.abs(raw)) >>> 0;
+    if (typeof raw === "string" && raw.trim().length > 0) {
+        const text = raw.trim();
+        return /^\d+$/.test(text) ? Number(text) >>> 0 : hashSeed(text);
+    }
+    return fallback;
+}
+
+/** Fresh seed for ad-hoc (non-experiment) sessions; it is recorded so the session can still be replayed. */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * mulberry32 generator. `next()` returns [0, 1); `fork(label)` derives an independent stream.
+ */
+export function createSeededRandom(seed) {
+    const initialSeed = normalizeSeed(seed, DEFAULT_EXPERIMENT_SEED);
+    let state = initialSeed;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        seed: initialSeed,
+        next,
+        range: (min, max) => min + (next() * (max - min)),
+        chance: (probability = 0.5) => next() < probability,
+        fork: (label) => createSeededRandom(hashSeed(`${initialSeed}|${label}`))
+    };
+}
+
+/**
+ * Per-run seed from the experiment seed. It depends on the repeat index only, so every AB condition in the
+ * same repeat sees the same target sequence and spawn jitter.
+ */
+export function deriveRunSeed(baseSeed, repeat = 1) {
+    return hashSeed(`${normalizeSeed(baseSeed, DEFAULT_EXPERIMENT_SEED)}|repeat|${repeat}`);
+}
+
+/** The run streams consumed by the browser session and the headless runner. */
+export function createRunRandomStreams(seed) {
+    const root = createSeededRandom(seed);
+    return {
+        seed: root.seed,
+        target: root.fork("target"),
+        recovery: root.fork("recovery"),
+        spawn: root.fork("spawn"),
+        sensor: root.fork("sensor")
+    };
+}
+
+/**
+ * Jitter a spawn pose (position x/z and yaw) around its base. Keeps y and pitch/roll untouched.
+ */
+export function sampleSpawnPose(rng, basePosition, baseRotation = [0, 0, 0], jitter = SPAWN_JITTER) {
+    const dx = rng.range(-jitter.positionM, jitter.positionM);
+    const dz = rng.range(-jitter.positionM, jitter.positionM);
+    const dyaw = rng.range(-jitter.yawDeg, jitter.yawDeg) * (Math.PI / 180);
+    return {
+        position: [basePosition[0] + dx, basePosition[1], basePosition[2] + dz],
+        rotation: [baseRotation[0], baseRotation[1] + dyaw, baseRotation[2]]
+    };
+}
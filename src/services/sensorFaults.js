@@ -0,0 +1,172 @@
+// Sensor fault injection shared by the browser session and the headless runner: Gaussian range noise, ray
+// dropouts, stuck-at readings, false target hits, heading bias and delayed delivery, applied to the
+// onSensorUpdate payload before the driver, the safety guards and the exploration memory see it.
+import { SENSOR_RAY_LOCAL_DIRECTIONS } from "./simulationCore.js";
+
+// physicsSettings / physicsPatch keys and their accepted ranges. All zero = exact sensors (the default). Rates are
+// per ray and sensor sample (~20 Hz); the noise is a standard deviation in meters, the bias in degrees.
+export const SENSOR_FAULT_LIMITS = Object.freeze({
+    sensorNoiseStdM: [0, 3],
+    sensorDropoutRate: [0, 0.5],
+    sensorStuckRate: [0, 0.2],
+    sensorFalseTargetRate: [0, 0.2],
+    sensorHeadingBiasDeg: [-30, 30],
+    sensorDelayMs: [0, 1500]
+});
+export const SENSOR_FAULT_KEYS = Object.freeze(Object.keys(SENSOR_FAULT_LIMITS));
+export const DEFAULT_SENSOR_FAULTS = Object.freeze(Object.fromEntries(SENSOR_FAULT_KEYS.map((key) => [key, 0])));
+
+// Named levels for the factorial `sensorFaults` axis.
+export const SENSOR_FAULT_PRESETS = Object.freeze({
+    none: { ...DEFAULT_SENSOR_FAULTS },
+    noisy: { ...DEFAULT_SENSOR_FAULTS, sensorNoiseStdM: 0.3, sensorDropoutRate: 0.05 },
+    degraded: {
+        sensorNoiseStdM: 0.6,
+        sensorDropoutRate: 0.15,
+        sensorStuckRate: 0.005,
+        sensorFalseTargetRate: 0.03,
+        sensorHeadingBiasDeg: 5,
+        sensorDelayMs: 300
+    }
+});
+
+// How long a ray keeps repeating its last reading once it sticks.
+export const SENSOR_STUCK_HOLD_MS = 1500;
+
+const RAY_NAMES = SENSOR_RAY_LOCAL_DIRECTIONS.map((dir) => dir.name);
+const clampValue = (value, min, max) => Math.max(min, Math.min(max, value));
+const percent = (rate) => `${Number((rate * 100).toFixed(1))}%`;
+
+/**
+ * Pick the fault keys out of a physicsSettings object, clamped to SENSOR_FAULT_LIMITS; missing keys are 0.
+ */
+export const normalizeSensorFaults = (settings) => {
+    const source = settings && typeof settings === "object" ? settings : {};
+    return Object.fromEntries(SENSOR_FAULT_KEYS.map((key) => {
+        const [min, max] = SENSOR_FAULT_LIMITS[key];
+        const value = Number(source[key]);
+        return [key, Number.isFinite(value) ? clampValue(value, min, max) : 0];
+    }));
+};
+
+export const hasSensorFaults = (settings) => {
+    const faults = normalizeSensorFaults(settings);
+    return SENSOR_FAULT_KEYS.some((key) => faults[key] !== 0);
+};
+
+/** Short label for UI and logs, e.g. "noise=0.3m drop=5%"; "off" when every fault is 0. */
+export const describeSensorFaults = (settings) => {
+    const faults = normalizeSensorFaults(settings);
+    const parts = [];
+    if (faults.sensorNoiseStdM > 0) parts.push(`noise=${faults.sensorNoiseStdM}m`);
+    if (faults.sensorDropoutRate > 0) parts.push(`drop=${percent(faults.sensorDropoutRate)}`);
+    if (faults.sensorStuckRate > 0) parts.push(`stuck=${percent(faults.sensorStuckRate)}`);
+    if (faults.sensorFalseTargetRate > 0) parts.push(`ghost=${percent(faults.sensorFalseTargetRate)}`);
+    if (faults.sensorHeadingBiasDeg !== 0) parts.push(`bias=${faults.sensorHeadingBiasDeg}deg`);
+    if (faults.sensorDelayMs > 0) parts.push(`delay=${faults.sensorDelayMs}ms`);
+    return parts.length > 0 ? parts.join(" ") : "off";
+};
+
+const wrapDeg = (deg) => {
+    const wrapped = ((deg + 180) % 360 + 360) % 360 - 180;
+    return wrapped === -180 ? 180 : wrapped;
+};
+
+// Same selection as buildSensorPayload, on the corrupted readings.
+const blockedDistFor = (moveDir, readings, fallback) => {
+    if (moveDir === "FORWARD") return readings.front;
+    if (moveDir === "BACKWARD") return readings.back;
+    if (moveDir === "DRIFT") return Math.min(readings.left, readings.right);
+    return fallback;
+};
+
+/**
+ * Stateful fault injector for one run. `random` is a seeded stream (createRunRandomStreams().sensor), so the
+ * same seed and fault settings reproduce the same corruption. `apply(payload, settings, nowMs)` returns the
+ * payload the driver perceives, with a `sensorFault` summary attached, or null while delayed delivery has
+ * nothing old enough yet. Pose, speed, target distance and the stuck flag stay exact (only delayed).
+ * With every fault at 0 the payload is returned untouched and no random draws are made.
+ */
+export const createSensorFaultInjector = (random) => {
+    const state = { stuck: {}, lastReadings: {}, queue: [] };
+    const gaussian = () => {
+        // Box-Muller; 1 - next() keeps the log argument in (0, 1].
+        const u = 1 - random.next();
+        const v = random.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+
+    const corrupt = (payload, faults, nowMs) => {
+        const range = Number.isFinite(payload.sensorRange) ? payload.sensorRange : 10;
+        const readings = {};
+        const targetHits = { ...(payload.targetHits || {}) };
+        const summary = { dropouts: 0, stuckRays: 0, falseTargets: 0, ageMs: 0 };
+        for (const name of RAY_NAMES) {
+            let value = Number.isFinite(payload[name]) ? payload[name] : range;
+            const stuck = state.stuck[name];
+            if (stuck && nowMs < stuck.until) {
+                value = stuck.value;
+                summary.stuckRays += 1;
+            } else {
+                delete state.stuck[name];
+                if (faults.sensorNoiseStdM > 0) value = clampValue(value + gaussian() * faults.sensorNoiseStdM, 0, range);
+                // A dropped ray returns nothing, which reads as clear space at full range.
+                if (faults.sensorDropoutRate > 0 && random.chance(faults.sensorDropoutRate)) {
+                    value = range;
+                    summary.dropouts += 1;
+                }
+                if (faults.sensorStuckRate > 0 && Number.isFinite(state.lastReadings[name]) && random.chance(faults.sensorStuckRate)) {
+                    value = state.lastReadings[name];
+                    state.stuck[name] = { value, until: nowMs + SENSOR_STUCK_HOLD_MS };
+                    summary.stuckRays += 1;
+                }
+            }
+            if (faults.sensorFalseTargetRate > 0 && !targetHits[name] && random.chance(faults.sensorFalseTargetRate)) {
+                targetHits[name] = true;
+                summary.falseTargets += 1;
+            }
+            readings[name] = value;
+            state.lastReadings[name] = value;
+        }
+        // Heading bias: the car believes it faces `bias` degrees further left, so the target bearing shifts right.
+        const bias = faults.sensorHeadingBiasDeg;
+        return {
+            ...payload,
+            ...readings,
+            targetHits,
+            headingDeg: bias !== 0 ? wrapDeg(payload.headingDeg + bias) : payload.headingDeg,
+            angleToTarget: bias !== 0 ? wrapDeg(payload.angleToTarget - bias) : payload.angleToTarget,
+            blockedDist: blockedDistFor(payload.moveDir, readings, payload.blockedDist),
+            sensorFault: summary
+        };
+    };
+
+    return {
+        apply(payload, settings, nowMs) {
+            if (!payload) return payload;
+            if (!hasSensorFaults(settings)) {
+                state.queue = [];
+                return payload;
+            }
+            const faults = normalizeSensorFaults(settings);
+            const corrupted = corrupt(payload, faults, nowMs);
+            if (faults.sensorDelayMs <= 0) {
+                state.queue = [];
+                return corrupted;
+            }
+            // Delayed delivery: hand over the newest sample that is at least sensorDelayMs old.
+            state.queue.push({ at: nowMs, sensor: corrupted });
+            let delivered = null;
+            while (state.queue.length > 0 && nowMs - state.queue[0].at >= faults.sensorDelayMs) {
+                delivered = state.queue.shift();
+            }
+            if (!delivered) return null;
+            return { ...delivered.sensor, sensorFault: { ...delivered.sensor.sensorFault, ageMs: nowMs - delivered.at } };
+        },
+        reset() {
+            state.stuck = {};
+            state.lastReadings = {};
+            state.queue = [];
+        }
+    };
+};
@@ -0,0 +1,146 @@
+// Persistent session library: every finished run (manual session or experiment run) is stored in IndexedDB as its
+// all-logs bundle plus a small index entry, so a page reload does not lose what was never downloaded.
+import { summarizeRunForComparison } from "./runComparison.js";
+
+export const SESSION_LIBRARY_DB_NAME = "gemma-autodrive-session-library";
+export const SESSION_LIBRARY_DB_VERSION = 1;
+// Oldest runs are dropped beyond this; bundles with camera frames run to several MB each.
+export const SESSION_LIBRARY_MAX_ENTRIES = 100;
+
+const ENTRY_STORE = "entries";
+const BUNDLE_STORE = "bundles";
+
+/** Library key: the session prefix (buildSessionPrefix) plus the experiment run tag, "manual" for manual sessions. */
+export const buildSessionLibraryId = (sessionPrefix, runTag = null) => `${sessionPrefix}::${runTag || "manual"}`;
+
+/**
+ * Index entry listed by the session browser without loading the bundle. `run` carries what the bundle does not:
+ * { runTag, conditionId, label, status }. Headline metrics come from the telemetry (summarizeRunForComparison).
+ */
+export const buildSessionLibraryEntry = (bundle, run = {}) => {
+    const telemetry = Array.isArray(bundle?.files?.telemetry) ? bundle.files.telemetry : [];
+    const conditionId = run.conditionId || "manual";
+    const summary = summarizeRunForComparison({
+        conditionId,
+        label: run.label || conditionId,
+        model: bundle?.model || null,
+        runTag: run.runTag || null,
+        seed: bundle?.seed,
+        status: run.status || "DONE"
+    }, telemetry);
+    const first = telemetry[0]?.time;
+    const last = telemetry[telemetry.length - 1]?.time;
+    return {
+        id: buildSessionLibraryId(bundle?.sessionPrefix, run.runTag),
+        sessionPrefix: bundle?.sessionPrefix || "",
+        runTag: run.runTag || null,
+        conditionId,
+        label: summary.label,
+        model: summary.model,
+        seed: summary.seed,
+        status: summary.status,
+        trackMapId: bundle?.trackMap?.id || null,
+        savedAt: Date.now(),
+        startedAt: Number.isFinite(first) ? first : null,
+        durationMs: Number.isFinite(first) && Number.isFinite(last) ? last - first : 0,
+        telemetrySamples: telemetry.length,
+        decisionCount: Array.isArray(bundle?.files?.driveLog) ? bundle.files.driveLog.length : 0,
+        targetsReached: Math.max(0, ...telemetry.map((point) => point?.targetsReached || 0)),
+        collisionCount: telemetry[telemetry.length - 1]?.collisionCount ?? 0,
+        metrics: summary.metrics,
+        reportStatus: bundle?.reportStatus || "not_requested"
+    };
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("IndexedDB transaction aborted."));
+});
+
+/**
+ * IndexedDB-backed library. Every method resolves to { ok, ... } or { ok: false, error } (no IndexedDB, quota
+ * exceeded, blocked upgrade); nothing throws. `indexedDB` is injectable for environments without a global one.
+ */
+export const createSessionLibrary = ({ indexedDB = globalThis.indexedDB, maxEntries = SESSION_LIBRARY_MAX_ENTRIES } = {}) => {
+    let dbPromise = null;
+    const openDatabase = () => {
+        if (!indexedDB) return Promise.reject(new Error("IndexedDB is not available."));
+        if (!dbPromise) {
+            const request = indexedDB.open(SESSION_LIBRARY_DB_NAME, SESSION_LIBRARY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(ENTRY_STORE)) db.createObjectStore(ENTRY_STORE, { keyPath: "id" });
+                if (!db.objectStoreNames.contains(BUNDLE_STORE)) db.createObjectStore(BUNDLE_STORE, { keyPath: "id" });
+            };
+            request.onblocked = () => console.warn("Session library upgrade is blocked by another open tab.");
+            dbPromise = requestResult(request).catch((err) => {
+                dbPromise = null;
+                throw err;
+            });
+        }
+        return dbPromise;
+    };
+    const failure = (err) => ({ ok: false, error: err?.message || String(err || "IndexedDB error") });
+
+    const list = async () => {
+        try {
+            const db = await openDatabase();
+            const entries = await requestResult(db.transaction(ENTRY_STORE, "readonly").objectStore(ENTRY_STORE).getAll());
+            return { ok: true, entries: entries.sort((a, b) => b.savedAt - a.savedAt) };
+        } catch (err) {
+            return failure(err);
+        }
+    };
+
+    const remove = async (id) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction([ENTRY_STORE, BUNDLE_STORE], "readwrite");
+            transaction.objectStore(ENTRY_STORE).delete(id);
+            transaction.objectStore(BUNDLE_STORE).delete(id);
+            await transactionDone(transaction);
+            return { ok: true };
+        } catch (err) {
+            return failure(err);
+        }
+    };
+
+    // Saving the same session prefix + run tag again replaces the stored run.
+    const save = async (bundle, run = {}) => {
+        try {
+            if (!bundle?.sessionPrefix) throw new Error("Bundle has no sessionPrefix.");
+            const db = await openDatabase();
+            const entry = buildSessionLibraryEntry(bundle, run);
+            const transaction = db.transaction([ENTRY_STORE, BUNDLE_STORE], "readwrite");
+            transaction.objectStore(ENTRY_STORE).put(entry);
+            transaction.objectStore(BUNDLE_STORE).put({ id: entry.id, bundle });
+            await transactionDone(transaction);
+
+            const listed = await list();
+            const dropped = listed.ok ? listed.entries.slice(maxEntries) : [];
+            for (const old of dropped) await remove(old.id);
+            return { ok: true, entry, dropped: dropped.length };
+        } catch (err) {
+            return failure(err);
+        }
+    };
+
+    const load = async (id) => {
+        try {
+            const db = await openDatabase();
+            const record = await requestResult(db.transaction(BUNDLE_STORE, "readonly").objectStore(BUNDLE_STORE).get(id));
+            if (!record) return { ok: false, error: `Run ${id} is not in the session library.` };
+            return { ok: true, bundle: record.bundle };
+        } catch (err) {
+            return failure(err);
+        }
+    };
+
+    return { available: !!indexedDB, save, list, load, remove };
+};
@@ -0,0 +1,613 @@
+import * as CANNON from "cannon-es";
+
+// Framework-independent car physics + 8-ray sensor model.
+// Car.jsx renders on top of the same control law / sensor functions; createHeadlessSimulation steps it without a canvas.
+
+export const SIM_FIXED_TIMESTEP_SEC = 1 / 60;
+export const SIM_SENSOR_EVERY_N_STEPS = 3;
+export const CAR_COLLIDER_SIZE = Object.freeze([2, 1, 4]);
+export const CAR_BODY_SETTINGS = Object.freeze({
+    mass: 200,
+    linearDamping: 0.95,
+    angularDamping: 0.95,
+    friction: 0.5,
+    restitution: 0.0
+});
+export const DEFAULT_CAR_SPAWN_POSITION = Object.freeze([0, 0.65, -10]);
+export const DEFAULT_CAR_SPAWN_ROTATION = Object.freeze([0, 0, 0]);
+export const GROUND_FRICTION = 0.0;
+export const TARGET_RADIUS = 0.5;
+export const TARGET_HEIGHT = 4;
+export const DEFAULT_TARGET_POSITION = Object.freeze([0, 1, 15]);
+// Inner playable area (walls sit at +/-20); softMargin is the wall-proximity band used by memory/collision logic.
+export const TRACK_WORLD_BOUNDS = Object.freeze({
+    minX: -19,
+    maxX: 19,
+    minZ: -19,
+    maxZ: 19,
+    softMargin: 3.5
+});
+
+// Same layout the Track component used to hardcode (outer walls, Monolith, four pillars).
+// `kind` tells the collision classifier whether a box is part of the arena boundary.
+export const DEFAULT_TRACK_BOXES = Object.freeze([
+    { id: "wall_north", kind: "outer", position: [0, 1, -20], args: [40, 2, 1] },
+    { id: "wall_south", kind: "outer", position: [0, 1, 20], args: [40, 2, 1] },
+    { id: "wall_west", kind: "outer", position: [-20, 1, 0], args: [1, 2, 40] },
+    { id: "wall_east", kind: "outer", position: [20, 1, 0], args: [1, 2, 40] },
+    { id: "monolith", kind: "obstacle", position: [0, 1, 0], args: [10, 2, 2] },
+    { id: "pillar_nw", kind: "obstacle", position: [-10, 1, -10], args: [2, 2, 2] },
+    { id: "pillar_se", kind: "obstacle", position: [10, 1, 10], args: [2, 2, 2] },
+    { id: "pillar_sw", kind: "obstacle", position: [-10, 1, 10], args: [2, 2, 2] },
+    { id: "pillar_ne", kind: "obstacle", position: [10, 1, -10], args: [2, 2, 2] }
+]);
+
+const MAX_SPEED = 25;
+const SENSOR_MOUNT_HEIGHT = 0.5;
+const COLLISION_EVENT_MIN_IMPACT = 0.9;
+const COLLISION_EVENT_COOLDOWN_MS = 250;
+const CRASH_STALL_MIN_IMPACT = 2.0;
+const CRASH_STALL_MS = 1000;
+
+// Car-local ray directions (+Z forward, +X left), in the order Car.jsx has always cast them.
+export const SENSOR_RAY_LOCAL_DIRECTIONS = Object.freeze([
+    { name: "left", x: 1.0, z: 0.0 },
+    { name: "leftDiag", x: 0.5, z: 0.5 },
+    { name: "front", x: 0.0, z: 1.0 },
+    { name: "rightDiag", x: -0.5, z: 0.5 },
+    { name: "right", x: -1.0, z: 0.0 },
+    { name: "backRight", x: -0.5, z: -0.5 },
+    { name: "back", x: 0.0, z: -1.0 },
+    { name: "backLeft", x: 0.5, z: -0.5 }
+]);
+
+const asNum = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+const clampValue = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Planar distance from (x, z) to a box footprint (0 inside). Honors the box yaw (rotation[1]).
+ */
+export function boxFootprintDistance(x, z, box) {
+    const [cx, , cz] = box.position;
+    const [sx, , sz] = box.args;
+    const yaw = Array.isArray(box.rotation) ? asNum(box.rotation[1], 0) : 0;
+    const dx = x - cx;
+    const dz = z - cz;
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const localX = (dx * cos) - (dz * sin);
+    const localZ = (dx * sin) + (dz * cos);
+    return Math.hypot(
+        Math.max(Math.abs(localX) - (sx / 2), 0),
+        Math.max(Math.abs(localZ) - (sz / 2), 0)
+    );
+}
+
+const nearestBoundsSide = (x, z, worldBounds) => {
+    const distances = [
+        ["OUTER_WEST", Math.abs(x - worldBounds.minX)],
+        ["OUTER_EAST", Math.abs(worldBounds.maxX - x)],
+        ["OUTER_NORTH", Math.abs(z - worldBounds.minZ)],
+        ["OUTER_SOUTH", Math.abs(worldBounds.maxZ - z)]
+    ];
+    return distances.reduce((best, entry) => (entry[1] < best[1] ? entry : best));
+};
+
+/**
+ * Nearest track box to (x, z), or null when no boxes are given.
+ */
+export function findNearestTrackBox(x, z, boxes) {
+    if (!Array.isArray(boxes) || boxes.length === 0 || !Number.isFinite(x) || !Number.isFinite(z)) return null;
+    let nearest = null;
+    boxes.forEach((box) => {
+        const distance = boxFootprintDistance(x, z, box);
+        if (!nearest || distance < nearest.distance) nearest = { box, distance };
+    });
+    return nearest;
+}
+
+/**
+ * Collision region for the car position at impact. With the track boxes, the nearest box decides:
+ * `outer` boxes map to the bounds side they sit on, anything else is INNER_OBSTACLE. Without boxes the
+ * rectangular edge-band fallback is used.
+ */
+export function classifyCollisionRegion(x, z, worldBounds, boxes = null) {
+    if (!worldBounds || !Number.isFinite(x) || !Number.isFinite(z)) return "UNKNOWN";
+    if (x < worldBounds.minX || x > worldBounds.maxX || z < worldBounds.minZ || z > worldBounds.maxZ) {
+        return "OUTSIDE_BOUNDS";
+    }
+    const nearest = findNearestTrackBox(x, z, boxes);
+    if (nearest) {
+        if (nearest.box.kind !== "outer") return "INNER_OBSTACLE";
+        return nearestBoundsSide(nearest.box.position[0], nearest.box.position[2], worldBounds)[0];
+    }
+    const edgeBand = 2.6;
+    const distWest = Math.abs(x - worldBounds.minX);
+    const distEast = Math.abs(worldBounds.maxX - x);
+    const distNorth = Math.abs(z - worldBounds.minZ);
+    const distSouth = Math.abs(worldBounds.maxZ - z);
+    const minEdge = Math.min(distWest, distEast, distNorth, distSouth);
+    if (minEdge > edgeBand) return "INNER_OBSTACLE";
+    if (minEdge === distWest) return "OUTER_WEST";
+    if (minEdge === distEast) return "OUTER_EAST";
+    if (minEdge === distNorth) return "OUTER_NORTH";
+    return "OUTER_SOUTH";
+}
+
+/**
+ * Planar forward unit vector from a [x, y, z, w] quaternion (car local +Z).
+ */
+export function forwardFromQuaternion(quaternion) {
+    const [qx, qy, qz, qw] = Array.isArray(quaternion) ? quaternion : [0, 0, 0, 1];
+    // Rotate (0, 0, 1) by q.
+    const fx = 2 * ((qx * qz) + (qw * qy));
+    const fy = 2 * ((qy * qz) - (qw * qx));
+    const fz = 1 - (2 * ((qx * qx) + (qy * qy)));
+    return { x: fx, y: fy, z: fz };
+}
+
+export function headingDegFromForward(forward) {
+    return Math.atan2(asNum(forward?.x, 0), asNum(forward?.z, 1)) * (180 / Math.PI);
+}
+
+/**
+ * Arcade control law: direct velocity + yaw rate from throttle/steering (single channel).
+ */
+export function computeArcadeVelocity({ velocity, position, forward, controls, physicsSettings, isStalled = false }) {
+    let currentVy = asNum(velocity?.[1], 0);
+    if (currentVy > 0.5) currentVy = 0.5; // Cap upward velocity
+    if (asNum(position?.[1], 0) > 2.5) currentVy -= 0.5; // Extra gravity if off ground
+
+    const moveSpeed = asNum(physicsSettings?.speedForce, 8000) * 0.002;
+    const turnSpeed = asNum(physicsSettings?.turnTorque, 200) * 0.01;
+    const throttleInput = isStalled ? 0 : asNum(controls?.throttle, 0);
+    const steeringInput = asNum(controls?.steering, 0);
+
+    let vx;
+    let vz;
+    if (Math.abs(throttleInput) > 0.05) {
+        vx = asNum(forward?.x, 0) * moveSpeed * throttleInput;
+        vz = asNum(forward?.z, 1) * moveSpeed * throttleInput;
+    } else {
+        // Strong braking when idle
+        vx = asNum(velocity?.[0], 0) * 0.80;
+        vz = asNum(velocity?.[2], 0) * 0.80;
+    }
+
+    return {
+        velocity: [vx, currentVy, vz],
+        angularVelocity: [0, steeringInput * turnSpeed, 0],
+        throttleInput
+    };
+}
+
+/**
+ * Next (smoothed) sensor range from speed and control intent.
+ */
+export function computeSensorRange(previousRange, { speed, controls, throttleInput, physicsSettings }) {
+    const sensorRangeMin = Math.max(4.0, asNum(physicsSettings?.sensorRangeMin, 7.0));
+    const sensorRangeMax = Math.max(sensorRangeMin + 0.5, asNum(physicsSettings?.sensorRangeMax, 14.0));
+    const sensorDynamic = physicsSettings?.sensorDynamic !== false;
+    const speedNorm = clampValue(asNum(speed, 0) / MAX_SPEED, 0, 1);
+    const steeringMag = Math.abs(asNum(controls?.steering, 0));
+    const throttle = asNum(throttleInput, 0);
+    const movingForward = throttle > 0.12;
+    const movingBackward = throttle < -0.12;
+    const stuckRisk = Math.abs(throttle) > 0.2 && asNum(speed, 0) < 0.8;
+    const rangeSpan = sensorRangeMax - sensorRangeMin;
+    let desiredSensorRange = sensorRangeMin + (rangeSpan * (0.25 + (speedNorm * 0.55)));
+
+    if (movingForward) desiredSensorRange += rangeSpan * (0.22 * (1 - steeringMag));
+    if (stuckRisk) desiredSensorRange += rangeSpan * 0.2;
+    if (steeringMag > 0.45) desiredSensorRange -= rangeSpan * 0.18;
+    if (movingBackward) desiredSensorRange -= rangeSpan * 0.12;
+
+    desiredSensorRange = clampValue(desiredSensorRange, sensorRangeMin, sensorRangeMax);
+    if (!sensorDynamic) {
+        desiredSensorRange = (sensorRangeMin + sensorRangeMax) * 0.5;
+    }
+
+    const previous = asNum(previousRange, desiredSensorRange);
+    const smoothed = previous + ((desiredSensorRange - previous) * 0.2);
+    return clampValue(smoothed, sensorRangeMin, sensorRangeMax);
+}
+
+function rayBoxDistance(ox, oy, oz, dx, dz, box) {
+    const [bx, by, bz] = box.position;
+    const [sx, sy, sz] = box.args;
+    if (oy < by - (sy / 2) || oy > by + (sy / 2)) return null;
+    const yaw = asNum(box.rotation?.[1], 0);
+    // Move the ray into the box frame (undo yaw about Y).
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const relX = ox - bx;
+    const relZ = oz - bz;
+    const lox = (relX * cos) - (relZ * sin);
+    const loz = (relX * sin) + (relZ * cos);
+    const ldx = (dx * cos) - (dz * sin);
+    const ldz = (dx * sin) + (dz * cos);
+    const hx = sx / 2;
+    const hz = sz / 2;
+
+    let tMin = 0;
+    let tMax = Number.POSITIVE_INFINITY;
+    const slabs = [[lox, ldx, hx], [loz, ldz, hz]];
+    for (const [o, d, h] of slabs) {
+        if (Math.abs(d) < 1e-9) {
+            if (o < -h || o > h) return null;
+            continue;
+        }
+        let t1 = (-h - o) / d;
+        let t2 = (h - o) / d;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    return tMin;
+}
+
+function rayTargetDistance(ox, oy, oz, dx, dz, targetPosition) {
+    if (!Array.isArray(targetPosition)) return null;
+    const [tx, ty, tz] = targetPosition;
+    if (oy < ty - (TARGET_HEIGHT / 2) || oy > ty + (TARGET_HEIGHT / 2)) return null;
+    const fx = ox - tx;
+    const fz = oz - tz;
+    const b = (fx * dx) + (fz * dz);
+    const c = (fx * fx) + (fz * fz) - (TARGET_RADIUS * TARGET_RADIUS);
+    const disc = (b * b) - c;
+    if (disc < 0) return null;
+    const sqrtDisc = Math.sqrt(disc);
+    const t1 = -b - sqrtDisc;
+    const t2 = -b + sqrtDisc;
+    if (t1 >= 0) return t1;
+    if (t2 >= 0) return 0;
+    return null;
+}
+
+/**
+ * Nearest hit of one horizontal ray from `origin` ([x, y, z]) along the unit direction (dx, dz): static boxes and the
+ * target cylinder. Returns { distance, isTarget }, or null when nothing is hit.
+ */
+export function castWorldRay(origin, dx, dz, { boxes = DEFAULT_TRACK_BOXES, targetPosition = null } = {}) {
+    const [ox, oy, oz] = origin;
+    let nearest = null;
+    let nearestIsTarget = false;
+    (Array.isArray(boxes) ? boxes : []).forEach((box) => {
+        const t = rayBoxDistance(ox, oy, oz, dx, dz, box);
+        if (t !== null && (nearest === null || t < nearest)) {
+            nearest = t;
+            nearestIsTarget = false;
+        }
+    });
+    const targetT = rayTargetDistance(ox, oy, oz, dx, dz, targetPosition);
+    if (targetT !== null && (nearest === null || targetT < nearest)) {
+        nearest = targetT;
+        nearestIsTarget = true;
+    }
+    return nearest === null ? null : { distance: nearest, isTarget: nearestIsTarget };
+}
+
+/**
+ * Cast the 8 sensor rays against static boxes and the target cylinder.
+ * Target hits are reported in targetHits but read as clear in the logical distances.
+ */
+export function castSensorRays({ position, forward, sensorRange, boxes = DEFAULT_TRACK_BOXES, targetPosition = null }) {
+    const range = asNum(sensorRange, 10);
+    const fx = asNum(forward?.x, 0);
+    const fz = asNum(forward?.z, 1);
+    const norm = Math.hypot(fx, fz) || 1;
+    const ux = fx / norm;
+    const uz = fz / norm;
+    const ox = asNum(position?.[0], 0);
+    const oy = asNum(position?.[1], 0) + SENSOR_MOUNT_HEIGHT;
+    const oz = asNum(position?.[2], 0);
+
+    const readings = {};
+    const targetHits = {};
+    const rays = [];
+
+    SENSOR_RAY_LOCAL_DIRECTIONS.forEach((dir) => {
+        const rawX = (dir.x * uz) + (dir.z * ux);
+        const rawZ = (-dir.x * ux) + (dir.z * uz);
+        const len = Math.hypot(rawX, rawZ) || 1;
+        const dx = rawX / len;
+        const dz = rawZ / len;
+
+        const hit = castWorldRay([ox, oy, oz], dx, dz, { boxes, targetPosition });
+
+        let visualDist = range;
+        let logicalDist = range;
+        let kind = "clear";
+        if (hit && hit.distance < range) {
+            visualDist = hit.distance;
+            if (hit.isTarget) {
+                kind = "target";
+            } else {
+                logicalDist = hit.distance;
+                kind = "obstacle";
+            }
+        }
+        readings[dir.name] = logicalDist;
+        targetHits[dir.name] = kind === "target";
+        rays.push({ name: dir.name, local: { x: dir.x, z: dir.z }, visualDist, kind });
+    });
+
+    return { readings, targetHits, rays };
+}
+
+/**
+ * Assemble the onSensorUpdate payload (same shape Car.jsx has always emitted).
+ */
+export function buildSensorPayload({
+    readings,
+    targetHits,
+    sensorRange,
+    position,
+    velocity,
+    forward,
+    targetPosition,
+    controls
+}) {
+    const px = asNum(position?.[0], 0);
+    const py = asNum(position?.[1], 0);
+    const pz = asNum(position?.[2], 0);
+    const vx = asNum(velocity?.[0], 0);
+    const vy = asNum(velocity?.[1], 0);
+    const vz = asNum(velocity?.[2], 0);
+    const currentSpeed = Math.hypot(vx, vy, vz);
+    const fNorm = Math.hypot(asNum(forward?.x, 0), asNum(forward?.z, 1)) || 1;
+    const f2x = asNum(forward?.x, 0) / fNorm;
+    const f2z = asNum(forward?.z, 1) / fNorm;
+
+    let angleToTarget = 0;
+    let distanceToTarget = 0;
+    if (Array.isArray(targetPosition)) {
+        const tx = targetPosition[0] - px;
+        const tz = targetPosition[2] - pz;
+        distanceToTarget = Math.hypot(tx, tz);
+        const t2x = distanceToTarget > 1e-6 ? tx / distanceToTarget : f2x;
+        const t2z = distanceToTarget > 1e-6 ? tz / distanceToTarget : f2z;
+        const dot = (f2x * t2x) + (f2z * t2z);
+        const crossY = (f2z * t2x) - (f2x * t2z);
+        angleToTarget = Math.atan2(crossY, dot) * (180 / Math.PI);
+    }
+
+    let moveDir = "IDLE";
+    let blockedDist = 99;
+    if (currentSpeed > 0.5) {
+        const dotFwd = ((asNum(forward?.x, 0) * vx) + (asNum(forward?.y, 0) * vy) + (asNum(forward?.z, 1) * vz)) / currentSpeed;
+        if (dotFwd > 0.7) {
+            moveDir = "FORWARD";
+            blockedDist = readings.front;
+        } else if (dotFwd < -0.7) {
+            moveDir = "BACKWARD";
+            blockedDist = readings.back;
+        } else {
+            moveDir = "DRIFT";
+            blockedDist = Math.min(readings.left, readings.right);
+        }
+    }
+
+    const isMovingInput = Math.abs(asNum(controls?.throttle, 0)) > 0.1;
+    const isStuck = isMovingInput && currentSpeed < 0.5;
+
+    return {
+        ...readings,
+        sensorRange,
+        worldX: px,
+        worldY: py,
+        worldZ: pz,
+        headingDeg: headingDegFromForward(forward),
+        targetX: Array.isArray(targetPosition) ? asNum(targetPosition[0], 0) : null,
+        targetZ: Array.isArray(targetPosition) ? asNum(targetPosition[2], 0) : null,
+        targetHits,
+        angleToTarget,
+        distanceToTarget,
+        speed: currentSpeed,
+        verticalSpeed: vy,
+        grounded: py <= 1.2,
+        isStuck,
+        moveDir,
+        blockedDist
+    };
+}
+
+/**
+ * Impact bookkeeping shared by the renderer and the headless sim: emits throttled collision events
+ * and reports when the engine should stall. `now` is wall clock in the browser and sim clock headless.
+ */
+export function createCollisionTracker({ worldBounds = null, boxes = null, onCollisionEvent = null, now = () => Date.now() } = {}) {
+    let eventCooldownUntil = 0;
+    let stallUntil = 0;
+    return {
+        handleImpact({ impactVelocity, worldX, worldZ, otherBodyId = null }) {
+            const speed = Math.abs(asNum(impactVelocity, 0));
+            const nowMs = now();
+            if (speed > COLLISION_EVENT_MIN_IMPACT && nowMs > eventCooldownUntil) {
+                const posX = Number.isFinite(worldX) ? worldX : null;
+                const posZ = Number.isFinite(worldZ) ? worldZ : null;
+                if (typeof onCollisionEvent === "function") {
+                    const nearestBox = findNearestTrackBox(posX, posZ, boxes);
+                    onCollisionEvent({
+                        time: new Date(nowMs).toISOString(),
+                        impactVelocity: Number(speed.toFixed(3)),
+                        region: classifyCollisionRegion(posX, posZ, worldBounds, boxes),
+                        wallId: nearestBox ? nearestBox.box.id : null,
+                        worldX: posX === null ? null : Number(posX.toFixed(3)),
+                        worldZ: posZ === null ? null : Number(posZ.toFixed(3)),
+                        otherBodyId: Number.isFinite(otherBodyId) ? otherBodyId : null
+                    });
+                }
+                eventCooldownUntil = nowMs + COLLISION_EVENT_COOLDOWN_MS;
+            }
+            if (speed > CRASH_STALL_MIN_IMPACT && nowMs > stallUntil) {
+                stallUntil = nowMs + CRASH_STALL_MS;
+                return { stalled: true };
+            }
+            return { stalled: false };
+        },
+        isStalled() {
+            return now() < stallUntil;
+        }
+    };
+}
+
+/**
+ * Headless simulation: cannon-es world + the sensor model above, stepped at a fixed timestep.
+ * Emits the same onSensorUpdate payload as Car.jsx every SIM_SENSOR_EVERY_N_STEPS steps.
+ */
+export function createHeadlessSimulation(options = {}) {
+    const fixedDt = asNum(options.fixedDt, SIM_FIXED_TIMESTEP_SEC);
+    const sensorEvery = Math.max(1, Math.round(asNum(options.sensorEveryNSteps, SIM_SENSOR_EVERY_N_STEPS)));
+    const boxes = Array.isArray(options.boxes) ? options.boxes : DEFAULT_TRACK_BOXES;
+    const worldBounds = options.worldBounds || null;
+    const startEpochMs = asNum(options.startEpochMs, Date.now());
+    const onSensorUpdate = typeof options.onSensorUpdate === "function" ? options.onSensorUpdate : null;
+
+    const state = {
+        stepCount: 0,
+        simTimeMs: 0,
+        controls: { throttle: 0, steering: 0 },
+        physicsSettings: { ...(options.physicsSettings || {}) },
+        targetPosition: Array.isArray(options.targetPosition) ? [...options.targetPosition] : null,
+        sensorRange: null,
+        lastSensorData: null
+    };
+
+    const now = () => startEpochMs + state.simTimeMs;
+    const collisionTracker = createCollisionTracker({
+        worldBounds,
+        boxes,
+        onCollisionEvent: options.onCollisionEvent,
+        now
+    });
+
+    const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.8, 0) });
+    world.allowSleep = false;
+
+    const groundMaterial = new CANNON.Material({ friction: asNum(options.groundFriction, GROUND_FRICTION), restitution: 0 });
+    const ground = new CANNON.Body({ type: CANNON.Body.STATIC, shape: new CANNON.Plane(), material: groundMaterial });
+    ground.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+    world.addBody(ground);
+
+    boxes.forEach((box) => {
+        const [sx, sy, sz] = box.args;
+        const body = new CANNON.Body({
+            type: CANNON.Body.STATIC,
+            shape: new CANNON.Box(new CANNON.Vec3(sx / 2, sy / 2, sz / 2)),
+            position: new CANNON.Vec3(...box.position)
+        });
+        if (Array.isArray(box.rotation)) body.quaternion.setFromEuler(...box.rotation);
+        world.addBody(body);
+    });
+
+    const carMaterial = new CANNON.Material({ friction: CAR_BODY_SETTINGS.friction, restitution: CAR_BODY_SETTINGS.restitution });
+    const car = new CANNON.Body({
+        mass: CAR_BODY_SETTINGS.mass,
+        shape: new CANNON.Box(new CANNON.Vec3(CAR_COLLIDER_SIZE[0] / 2, CAR_COLLIDER_SIZE[1] / 2, CAR_COLLIDER_SIZE[2] / 2)),
+        linearDamping: CAR_BODY_SETTINGS.linearDamping,
+        angularDamping: CAR_BODY_SETTINGS.angularDamping,
+        angularFactor: new CANNON.Vec3(0, 1, 0),
+        material: carMaterial,
+        allowSleep: false
+    });
+    world.addBody(car);
+
+    car.addEventListener("collide", (e) => {
+        const impactVelocity = e?.contact?.getImpactVelocityAlongNormal ? e.contact.getImpactVelocityAlongNormal() : 0;
+        const result = collisionTracker.handleImpact({
+            impactVelocity,
+            worldX: car.position.x,
+            worldZ: car.position.z,
+            otherBodyId: e?.body?.id
+        });
+        if (result.stalled) car.velocity.set(0, 0, 0);
+    });
+
+    const placeCar = (position = DEFAULT_CAR_SPAWN_POSITION, rotation = DEFAULT_CAR_SPAWN_ROTATION) => {
+        car.position.set(...position);
+        car.quaternion.setFromEuler(...rotation);
+        car.velocity.set(0, 0, 0);
+        car.angularVelocity.set(0, 0, 0);
+        state.sensorRange = null;
+    };
+    placeCar(options.spawnPosition, options.spawnRotation);
+
+    const readPose = () => ({
+        position: [car.position.x, car.position.y, car.position.z],
+        velocity: [car.velocity.x, car.velocity.y, car.velocity.z],
+        forward: forwardFromQuaternion([car.quaternion.x, car.quaternion.y, car.quaternion.z, car.quaternion.w])
+    });
+
+    const sampleSensors = (throttleInput) => {
+        const pose = readPose();
+        const speed = Math.hypot(...pose.velocity);
+        state.sensorRange = computeSensorRange(state.sensorRange, {
+            speed,
+            controls: state.controls,
+            throttleInput,
+            physicsSettings: state.physicsSettings
+        });
+        const { readings, targetHits } = castSensorRays({
+            position: pose.position,
+            forward: pose.forward,
+            sensorRange: state.sensorRange,
+            boxes,
+            targetPosition: state.targetPosition
+        });
+        state.lastSensorData = buildSensorPayload({
+            readings,
+            targetHits,
+            sensorRange: state.sensorRange,
+            ...pose,
+            targetPosition: state.targetPosition,
+            controls: state.controls
+        });
+        if (onSensorUpdate) onSensorUpdate(state.lastSensorData);
+        return state.lastSensorData;
+    };
+
+    const step = () => {
+        const pose = readPose();
+        const command = computeArcadeVelocity({
+            ...pose,
+            controls: state.controls,
+            physicsSettings: state.physicsSettings,
+            isStalled: collisionTracker.isStalled()
+        });
+        car.velocity.set(...command.velocity);
+        car.angularVelocity.set(...command.angularVelocity);
+        world.step(fixedDt);
+        state.stepCount += 1;
+        state.simTimeMs = Math.round(state.stepCount * fixedDt * 1000);
+        if (state.stepCount % sensorEvery === 0) sampleSensors(command.throttleInput);
+    };
+
+    return {
+        step,
+        /** Advance by `seconds` of sim time (rounded down to whole fixed steps). */
+        advance(seconds) {
+            const steps = Math.max(0, Math.floor(asNum(seconds, 0) / fixedDt));
+            for (let i = 0; i < steps; i += 1) step();
+            return state.lastSensorData;
+        },
+        setControls(controls) {
+            state.controls = {
+                throttle: clampValue(asNum(controls?.throttle, 0), -1, 1),
+                steering: clampValue(asNum(controls?.steering, 0), -1, 1)
+            };
+        },
+        setPhysicsSettings(patch) {
+            state.physicsSettings = { ...state.physicsSettings, ...(patch || {}) };
+        },
+        setTargetPosition(position) {
+            state.targetPosition = Array.isArray(position) ? [...position] : null;
+        },
+        resetCar: placeCar,
+        getSensorData: () => state.lastSensorData,
+        getControls: () => ({ ...state.controls }),
+        getSimTimeMs: () => state.simTimeMs,
+        now
+    };
+}
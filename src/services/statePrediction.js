@@ -0,0 +1,227 @@
+// Latency-compensated state prediction: where the car will be when a decision's controls start to apply, projected
+// from the recent decision-latency distribution (telemetry aiLatencyMs) and the controls commanded while the model
+// thinks. The prompt shows this "at actuation" view next to the observed "now" view; once the reply lands, the
+// prediction is scored against the state actually reached.
+import { SENSOR_RAY_LOCAL_DIRECTIONS } from "./simulationCore.js";
+import {
+    PIPELINE_DEFAULT_HORIZON_MS,
+    PIPELINE_MAX_HORIZON_MS,
+    PIPELINE_MIN_HORIZON_MS,
+    buildPredictedSensorSnapshot,
+    describePipelinePose,
+    predictPoseAlongPlan
+} from "./decisionPipeline.js";
+
+export const LATENCY_COMPENSATION_MODES = Object.freeze({
+    OFF: "off",
+    PREDICT: "predict"
+});
+export const DEFAULT_LATENCY_COMPENSATION = LATENCY_COMPENSATION_MODES.OFF;
+
+export const isLatencyCompensationMode = (value) => Object.values(LATENCY_COMPENSATION_MODES).includes(value);
+
+// Driving template that renders the {{actuationView}} slot; used when a compensated condition sets none.
+export const LATENCY_COMPENSATION_PROMPT_TEMPLATE = "driving@2";
+
+/** llmOptions for a decision call: compensated runs without an explicit prompt template get the one with the view. */
+export const resolveCompensatedLlmOptions = (llmOptions, mode) => {
+    if (mode !== LATENCY_COMPENSATION_MODES.PREDICT || llmOptions?.promptTemplate) return llmOptions;
+    return { ...(llmOptions || {}), promptTemplate: LATENCY_COMPENSATION_PROMPT_TEMPLATE };
+};
+
+// Horizon = this quantile of the last ACTUATION_LATENCY_WINDOW decision latencies, clamped like the pipeline horizon.
+export const ACTUATION_LATENCY_WINDOW = 12;
+export const ACTUATION_LATENCY_QUANTILE = 0.5;
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAY_NAMES = SENSOR_RAY_LOCAL_DIRECTIONS.map((dir) => dir.name);
+const FRONT_ARC_RAYS = ["front", "leftDiag", "rightDiag"];
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+const round = (value, digits) => Number(asFiniteNumber(value, 0).toFixed(digits));
+
+const quantileOf = (sorted, q) => {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + ((sorted[upper] - sorted[lower]) * (position - lower));
+};
+
+/**
+ * Decision latencies recorded in telemetry, oldest first, one per decision: samples repeat the latest decision's
+ * aiLatencyMs, so consecutive samples of the same decision (same time - decisionAgeMs) are counted once.
+ */
+export const collectTelemetryLatencies = (points = [], window = ACTUATION_LATENCY_WINDOW) => {
+    const samples = Array.isArray(points) ? points : [];
+    const latencies = [];
+    let lastStamp = null;
+    for (let i = samples.length - 1; i >= 0 && latencies.length < window; i -= 1) {
+        const point = samples[i];
+        const latency = asFiniteNumber(point?.aiLatencyMs, 0);
+        if (latency <= 0 || !Number.isFinite(point?.decisionAgeMs)) continue;
+        const stamp = Math.round(point.time - point.decisionAgeMs);
+        if (stamp === lastStamp) continue;
+        lastStamp = stamp;
+        latencies.unshift(latency);
+    }
+    return latencies;
+};
+
+/** Latency distribution summary and the prediction horizon derived from it: { samples, p50Ms, p90Ms, horizonMs }. */
+export const summarizeLatencyDistribution = (latencies = []) => {
+    const sorted = latencies.filter((value) => Number.isFinite(value) && value > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return { samples: 0, p50Ms: null, p90Ms: null, horizonMs: PIPELINE_DEFAULT_HORIZON_MS };
+    }
+    const horizon = quantileOf(sorted, ACTUATION_LATENCY_QUANTILE);
+    return {
+        samples: sorted.length,
+        p50Ms: Math.round(quantileOf(sorted, 0.5)),
+        p90Ms: Math.round(quantileOf(sorted, 0.9)),
+        horizonMs: Math.round(Math.max(PIPELINE_MIN_HORIZON_MS, Math.min(PIPELINE_MAX_HORIZON_MS, horizon)))
+    };
+};
+
+const describeRays = (sensor) => Object.fromEntries(RAY_NAMES.map((name) => [name, round(sensor?.[name], 2)]));
+
+const describeState = (sensor) => ({
+    ...describePipelinePose(sensor),
+    distanceToTarget: round(sensor?.distanceToTarget, 2),
+    angleToTarget: round(sensor?.angleToTarget, 1),
+    rays: describeRays(sensor)
+});
+
+// World-frame unit vector of each sensor ray for a heading (same rotation as castSensorRays).
+const rayDirections = (headingDeg) => {
+    const ux = Math.sin(headingDeg * DEG_TO_RAD);
+    const uz = Math.cos(headingDeg * DEG_TO_RAD);
+    return SENSOR_RAY_LOCAL_DIRECTIONS.map((dir) => {
+        const rawX = (dir.x * uz) + (dir.z * ux);
+        const rawZ = (-dir.x * ux) + (dir.z * uz);
+        const len = Math.hypot(rawX, rawZ) || 1;
+        return { name: dir.name, x: rawX / len, z: rawZ / len };
+    });
+};
+
+/**
+ * The measured rays carried to the predicted pose. Each measured hit is taken as a wall face across its ray; a
+ * predicted ray reads the distance to the face of the measured ray pointing closest to it. Rays that measured
+ * clear space (full range, including dropouts) stay clear. Uses only what the car perceived, faults included.
+ */
+const projectMeasuredRays = (sensor, pose) => {
+    const range = asFiniteNumber(sensor?.sensorRange, 10);
+    const measured = rayDirections(asFiniteNumber(sensor?.headingDeg, 0));
+    const dx = pose.worldX - asFiniteNumber(sensor?.worldX, 0);
+    const dz = pose.worldZ - asFiniteNumber(sensor?.worldZ, 0);
+    return Object.fromEntries(rayDirections(pose.headingDeg).map((ray) => {
+        let nearest = measured[0];
+        let alignment = -Infinity;
+        for (const candidate of measured) {
+            const dot = (ray.x * candidate.x) + (ray.z * candidate.z);
+            if (dot > alignment) {
+                nearest = candidate;
+                alignment = dot;
+            }
+        }
+        const distance = asFiniteNumber(sensor?.[nearest.name], range);
+        if (distance >= range) return [ray.name, range];
+        const remaining = distance - ((dx * nearest.x) + (dz * nearest.z));
+        return [ray.name, Math.max(0, Math.min(range, remaining / alignment))];
+    }));
+};
+
+/**
+ * Sensor state after `horizonMs` of `steps` (empty: zero controls, i.e. braking). `sensor` must be the perceived
+ * payload (after the run's sensor fault injector): the pose is dead-reckoned from it and its 8 rays are projected to
+ * the predicted pose (raySource "projected"), so noise, dropouts, stuck rays, false target hits and heading bias
+ * carry into the at-actuation view. Nothing is looked up in the map. Returns { horizonMs, raySource, snapshot }.
+ */
+export const predictActuationState = ({ sensor, steps = [], horizonMs, physicsSettings = {} }) => {
+    const pose = predictPoseAlongPlan(sensor, steps, horizonMs, physicsSettings);
+    const snapshot = buildPredictedSensorSnapshot(sensor, pose);
+    return { horizonMs: pose.horizonMs, raySource: "projected", snapshot: { ...snapshot, ...projectMeasuredRays(sensor, pose) } };
+};
+
+/**
+ * The "now" / "at actuation" pair shown to the model and logged on the decision record (sensor_snapshot.actuationView).
+ */
+export const buildActuationView = (sensor, prediction, latency) => ({
+    horizonMs: prediction.horizonMs,
+    latencySamples: latency.samples,
+    latencyP50Ms: latency.p50Ms,
+    latencyP90Ms: latency.p90Ms,
+    raySource: prediction.raySource,
+    now: describeState(sensor),
+    atActuation: describeState(prediction.snapshot)
+});
+
+const formatState = (state) => {
+    const r = state.rays;
+    return `X:${state.worldX.toFixed(1)} Z:${state.worldZ.toFixed(1)} Heading:${state.headingDeg.toFixed(0)}deg Speed:${state.speed.toFixed(1)}`
+        + ` Rays L:${r.left.toFixed(1)} LD:${r.leftDiag.toFixed(1)} F:${r.front.toFixed(1)} RD:${r.rightDiag.toFixed(1)} R:${r.right.toFixed(1)}`
+        + ` BL:${r.backLeft.toFixed(1)} B:${r.back.toFixed(1)} BR:${r.backRight.toFixed(1)}`
+        + ` Target:${state.distanceToTarget.toFixed(1)}m@${state.angleToTarget.toFixed(0)}deg`;
+};
+
+/** Prompt text for the {{actuationView}} slot. */
+export const formatActuationViewForPrompt = (view) => {
+    if (!view || !view.now || !view.atActuation) return "n/a (no latency compensation)";
+    const spread = view.latencySamples > 0 ? `latency p50 ${view.latencyP50Ms}ms, p90 ${view.latencyP90Ms}ms` : "no latency samples yet";
+    return `controls apply in ~${view.horizonMs}ms (${spread}). NOW ${formatState(view.now)} | AT_ACTUATION ${formatState(view.atActuation)}`;
+};
+
+/** Sensor fields of the "at actuation" state (pose, target geometry, rays) laid over the observed sensor. */
+export const applyActuationView = (sensor, view) => {
+    if (!view?.atActuation) return sensor;
+    const state = view.atActuation;
+    return {
+        ...sensor,
+        ...state.rays,
+        worldX: state.worldX,
+        worldZ: state.worldZ,
+        headingDeg: state.headingDeg,
+        speed: state.speed,
+        distanceToTarget: state.distanceToTarget,
+        angleToTarget: state.angleToTarget
+    };
+};
+
+const wrapDeg = (deg) => {
+    let value = deg;
+    while (value <= -180) value += 360;
+    while (value > 180) value -= 360;
+    return value;
+};
+
+const stateError = (state, actual) => {
+    const rayErrors = RAY_NAMES.map((name) => Math.abs(state.rays[name] - actual.rays[name]));
+    return {
+        positionM: round(Math.hypot(state.worldX - actual.worldX, state.worldZ - actual.worldZ), 3),
+        headingDeg: round(Math.abs(wrapDeg(state.headingDeg - actual.headingDeg)), 2),
+        speed: round(Math.abs(state.speed - actual.speed), 3),
+        rayMeanAbsM: round(rayErrors.reduce((sum, value) => sum + value, 0) / rayErrors.length, 3),
+        // Positive: the view promised more front clearance than the car had.
+        frontArcBiasM: round(
+            Math.min(...FRONT_ARC_RAYS.map((name) => state.rays[name])) - Math.min(...FRONT_ARC_RAYS.map((name) => actual.rays[name])),
+            3
+        )
+    };
+};
+
+/**
+ * Score a view against the sensor state when the controls actually applied, `latencyMs` after the request.
+ * `error` is the prediction's error; `nowError` is the error of assuming the car did not move, as a baseline.
+ */
+export const scoreActuationPrediction = (view, actualSensor, latencyMs) => {
+    const actual = describeState(actualSensor);
+    return {
+        horizonMs: view.horizonMs,
+        latencyMs: Math.round(asFiniteNumber(latencyMs, 0)),
+        horizonErrorMs: Math.round(asFiniteNumber(latencyMs, 0) - view.horizonMs),
+        raySource: view.raySource,
+        predicted: view.atActuation,
+        actual,
+        error: stateError(view.atActuation, actual),
+        nowError: stateError(view.now, actual)
+    };
+};
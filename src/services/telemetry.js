@@ -0,0 +1,218 @@
+// Telemetry sample builder shared by the browser session (100ms UI interval) and the headless runner.
+import { createInitialCollisionStats } from "./collisionStats.js";
+import { createInitialReasonValidationStats } from "./decisionRuntime.js";
+
+export const TELEMETRY_SAMPLE_INTERVAL_MS = 100;
+
+/** Initial AI-loop meta (latest decision, override and memory-selection state) sampled into telemetry. */
+export const createInitialAiMeta = () => ({
+    latency: 0,
+    thought: "",
+    analysis: "",
+    reasonCode: "",
+    reasonSummary: "",
+    reasonSource: "none",
+    reasonValidationLast: "NONE",
+    reasonBlockedTotal: 0,
+    reasonPassRate: 1,
+    strategyMode: "UNKNOWN",
+    strategyTransition: "HOLD",
+    strategySector: "F",
+    strategyConfidence: 0,
+    skillName: "UNKNOWN",
+    skillIntensity: 0,
+    reflectionAdjustment: "",
+    parseMethod: "",
+    parseRecovered: false,
+    model: "",
+    promptTemplate: "",
+    responseFormat: "",
+    schemaViolationCount: 0,
+    decisionLoop: "",
+    pipelineStatus: "",
+    source: "IDLE",
+    isThinking: false,
+    safetyOverride: false,
+    overrideReason: "",
+    lastDecisionAt: 0,
+    memoryNoGoRatio: 0,
+    memoryRevisitRate: 0,
+    memoryCurrentWeight: 0,
+    memorySelectedWeight: 0,
+    memorySelectedNoGo: false,
+    memorySelectedSector: "F",
+    memorySelectionReason: "",
+    directionCooldownApplied: false,
+    directionCooldownRemainingMs: 0,
+    directionLastSign: 0
+});
+
+/**
+ * Build one telemetry point. `previousDistance` is the distance at the previous sample (for progressDelta);
+ * `collisionSnapshot` is a snapshotCollisionStats() result.
+ */
+export const buildTelemetryPoint = ({
+    sensor,
+    controls,
+    previousDistance = null,
+    aiMeta,
+    collisionSnapshot,
+    calibration = null,
+    reasonStats = null,
+    targetsReached = 0,
+    recoveryPhase = null,
+    explorationContext = null,
+    coverage = null,
+    now = Date.now()
+}) => {
+    const current = sensor || {};
+    const controlsNow = controls || {};
+    const meta = aiMeta || createInitialAiMeta();
+    const collisions = collisionSnapshot || createInitialCollisionStats();
+    const calibrationSnapshot = calibration || {};
+    const reasonStatsSnapshot = reasonStats || createInitialReasonValidationStats();
+    const hits = current.targetHits || {};
+    const sensorFault = current.sensorFault || null;
+    const targetHitCount = Object.values(hits).filter(Boolean).length;
+    const targetContact = targetHitCount > 0;
+
+    // 1) Goal alignment signal
+    const intentionality = Math.cos(current.angleToTarget * Math.PI / 180);
+    const lastDistance = previousDistance ?? current.distanceToTarget ?? 0;
+    const currentDistance = current.distanceToTarget ?? lastDistance;
+    const progressDelta = lastDistance - currentDistance;
+
+    // 2) Environment pressure summary
+    const obstacleDistances = [
+        current.front,
+        current.leftDiag,
+        current.rightDiag,
+        current.left,
+        current.right,
+        current.back,
+        current.backLeft,
+        current.backRight
+    ].map(v => typeof v === "number" ? v : 10);
+    const minObstacleDist = Math.min(...obstacleDistances);
+    const reasonPassRate = reasonStatsSnapshot.totalSteps > 0
+        ? reasonStatsSnapshot.passedSteps / reasonStatsSnapshot.totalSteps
+        : 1;
+
+    // 3) Full telemetry point
+    const point = {
+        time: now,
+        worldX: current.worldX ?? 0,
+        worldY: current.worldY ?? 0,
+        worldZ: current.worldZ ?? 0,
+        headingDeg: current.headingDeg ?? 0,
+        targetAngle: current.angleToTarget ?? 0,
+        targetX: current.targetX ?? null,
+        targetZ: current.targetZ ?? null,
+        distanceToTarget: currentDistance,
+        progressDelta,
+        steering: controlsNow.steering ?? 0,
+        throttle: controlsNow.throttle ?? 0,
+        intentionality,
+        speed: current.speed ?? 0,
+        verticalSpeed: current.verticalSpeed ?? 0,
+        grounded: !!current.grounded,
+        sensorRange: current.sensorRange ?? 10,
+        isStuck: !!current.isStuck,
+        moveDir: current.moveDir || "IDLE",
+        blockedDist: current.blockedDist ?? 99,
+        front: current.front ?? 10,
+        leftDiag: current.leftDiag ?? 10,
+        rightDiag: current.rightDiag ?? 10,
+        left: current.left ?? 10,
+        right: current.right ?? 10,
+        back: current.back ?? 10,
+        backLeft: current.backLeft ?? 10,
+        backRight: current.backRight ?? 10,
+        minObstacleDist,
+        // Injected sensor faults in the sample the driver saw (sensorFaults.js); the readings above include them.
+        sensorFaultActive: !!sensorFault,
+        sensorFaultDropouts: sensorFault?.dropouts ?? 0,
+        sensorFaultStuckRays: sensorFault?.stuckRays ?? 0,
+        sensorFaultFalseTargets: sensorFault?.falseTargets ?? 0,
+        sensorFaultAgeMs: sensorFault?.ageMs ?? 0,
+        targetHits: hits,
+        targetHitCount,
+        targetContact,
+        targetsReached,
+        recoveryPhase: recoveryPhase || "NONE",
+        aiLatencyMs: meta.latency || 0,
+        aiReasonCode: meta.reasonCode || "",
+        aiReasonSource: meta.reasonSource || "none",
+        aiReasonValidationLast: meta.reasonValidationLast || "NONE",
+        aiReasonBlockedTotal: meta.reasonBlockedTotal ?? 0,
+        aiReasonPassRate: meta.reasonPassRate ?? reasonPassRate,
+        aiStrategyMode: meta.strategyMode || "UNKNOWN",
+        aiStrategyTransition: meta.strategyTransition || "HOLD",
+        aiStrategySector: meta.strategySector || "F",
+        aiStrategyConfidence: meta.strategyConfidence ?? 0,
+        aiSkillName: meta.skillName || "UNKNOWN",
+        aiSkillIntensity: meta.skillIntensity ?? 0,
+        aiParseMethod: meta.parseMethod || "",
+        aiParseRecovered: !!meta.parseRecovered,
+        aiModel: meta.model || "",
+        aiPromptTemplate: meta.promptTemplate || "",
+        aiResponseFormat: meta.responseFormat || "",
+        aiSchemaViolationCount: meta.schemaViolationCount ?? 0,
+        aiDecisionLoop: meta.decisionLoop || "",
+        aiPipelineStatus: meta.pipelineStatus || "",
+        aiThinking: !!meta.isThinking,
+        aiSource: meta.source || "AI",
+        safetyOverride: !!meta.safetyOverride,
+        overrideReason: meta.overrideReason || "",
+        decisionAgeMs: meta.lastDecisionAt ? now - meta.lastDecisionAt : null,
+        memoryNoGoRatio: meta.memoryNoGoRatio ?? null,
+        memoryRevisitRate: meta.memoryRevisitRate ?? null,
+        memoryCurrentWeight: meta.memoryCurrentWeight ?? null,
+        memorySelectedWeight: meta.memorySelectedWeight ?? null,
+        memorySelectedNoGo: !!meta.memorySelectedNoGo,
+        memorySelectedSector: meta.memorySelectedSector || "F",
+        memorySelectionReason: meta.memorySelectionReason || "",
+        directionCooldownApplied: !!meta.directionCooldownApplied,
+        directionCooldownRemainingMs: meta.directionCooldownRemainingMs ?? 0,
+        directionLastSign: meta.directionLastSign ?? 0,
+        collisionCount: collisions.totalCount,
+        sameWallCollisionCount: collisions.sameWallRepeatCount,
+        sameWallConsecutiveCollisionCount: collisions.sameWallConsecutiveRepeatCount,
+        collisionLastRegion: collisions.lastRegion,
+        collisionLastAt: collisions.lastCollisionAt || null,
+        collisionOuterNorthCount: collisions.byRegion.OUTER_NORTH,
+        collisionOuterSouthCount: collisions.byRegion.OUTER_SOUTH,
+        collisionOuterEastCount: collisions.byRegion.OUTER_EAST,
+        collisionOuterWestCount: collisions.byRegion.OUTER_WEST,
+        collisionInnerObstacleCount: collisions.byRegion.INNER_OBSTACLE,
+        collisionOutsideBoundsCount: collisions.byRegion.OUTSIDE_BOUNDS,
+        calibrationApplied: !!calibrationSnapshot.applied,
+        calibrationHeadingSign: calibrationSnapshot.headingSign ?? 1,
+        calibrationHeadingOffsetDeg: calibrationSnapshot.headingOffsetDeg ?? 0,
+        calibrationHeadingConfidence: calibrationSnapshot.headingConfidence ?? 0,
+        calibrationSteeringSign: calibrationSnapshot.steeringSign ?? 1,
+        calibrationSteeringConfidence: calibrationSnapshot.steeringConfidence ?? 0,
+        reasonTotalSteps: reasonStatsSnapshot.totalSteps,
+        reasonPassedSteps: reasonStatsSnapshot.passedSteps,
+        reasonBlockedSteps: reasonStatsSnapshot.blockedSteps,
+        reasonMissingModelReasonSteps: reasonStatsSnapshot.missingModelReasonSteps,
+        reasonSignMismatchSteps: reasonStatsSnapshot.signMismatchSteps
+    };
+
+    if (explorationContext) {
+        point.memoryLoopRate = explorationContext.loopRate ?? 0;
+        point.memoryRecommendedSector = explorationContext.preferredSector || "UNKNOWN";
+        point.memoryMappedCells = explorationContext.memoryStats?.mappedCells ?? 0;
+        point.memorySensorRange = explorationContext.memoryStats?.sensorRange ?? (current.sensorRange ?? 10);
+        point.memoryCurrentCellVisits = explorationContext.currentCell?.visits ?? 0;
+        point.memoryCandidateCount = explorationContext.diagnostics?.candidateCount ?? 0;
+        point.memorySafeCandidateCount = explorationContext.diagnostics?.safeCandidateCount ?? 0;
+        point.memoryNoGoCandidateCount = explorationContext.diagnostics?.noGoCandidateCount ?? 0;
+    }
+    if (coverage) {
+        point.coveragePct = coverage.coveragePct;
+        point.coverageSeenCells = coverage.seenCells;
+    }
+
+    return point;
+};
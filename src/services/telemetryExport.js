@@ -0,0 +1,233 @@
+// Tabular telemetry export (CSV and NDJSON) for pandas / R: every telemetry point becomes one flat row with a fixed
+// column set, described by a versioned data dictionary (docs/AI_DRIVER_LOGGING_SPEC.md lists the same fields).
+import { SENSOR_RAY_LOCAL_DIRECTIONS } from "./simulationCore.js";
+
+export const TELEMETRY_COLUMNS_SCHEMA_ID = "gemma-autodrive-telemetry-columns";
+// Bump when a column is renamed, removed or changes meaning; appending columns at the end also bumps it.
+export const TELEMETRY_COLUMNS_VERSION = 1;
+export const TELEMETRY_TABLE_FORMATS = Object.freeze(["csv", "ndjson"]);
+
+const RAY_NAMES = SENSOR_RAY_LOCAL_DIRECTIONS.map((dir) => dir.name);
+const capitalize = (text) => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+
+// [name, type, unit, description, get?]; type is number / integer / boolean / string. Empty cells are null / absent.
+const column = (group) => ([name, type, unit, description, get = null]) => ({ name, type, unit, group, description, get });
+
+const RUN_COLUMNS = [
+    ["runTag", "string", "", "Run tag of the experiment run (empty for a manual session)"],
+    ["conditionId", "string", "", "Experiment condition id (empty for a manual session)"]
+].map(column("run"));
+
+const MOTION_COLUMNS = [
+    ["time", "integer", "ms", "Sample time, epoch ms (simulated clock in headless runs)"],
+    ["worldX", "number", "m", "Car position X"],
+    ["worldY", "number", "m", "Car position Y (height)"],
+    ["worldZ", "number", "m", "Car position Z"],
+    ["headingDeg", "number", "deg", "Perceived heading"],
+    ["speed", "number", "m/s", "Horizontal speed"],
+    ["verticalSpeed", "number", "m/s", "Vertical speed"],
+    ["grounded", "boolean", "", "Wheels on the ground"],
+    ["steering", "number", "", "Applied steering, -1 to 1"],
+    ["throttle", "number", "", "Applied throttle, -1 to 1"],
+    ["isStuck", "boolean", "", "Stuck detector fired"],
+    ["moveDir", "string", "", "FORWARD / BACKWARD / DRIFT / IDLE"],
+    ["blockedDist", "number", "m", "Ray distance in the direction of travel"]
+].map(column("motion"));
+
+const TARGET_COLUMNS = [
+    ["targetX", "number", "m", "Active target X"],
+    ["targetZ", "number", "m", "Active target Z"],
+    ["distanceToTarget", "number", "m", "Distance to the active target"],
+    ["targetAngle", "number", "deg", "Perceived bearing to the target (angleToTarget)"],
+    ["progressDelta", "number", "m", "Distance closed since the previous sample"],
+    ["intentionality", "number", "", "cos(targetAngle); 1 = facing the target"],
+    ...RAY_NAMES.map((name) => [
+        `targetHit${capitalize(name)}`, "boolean", "", `Ray ${name} hits the target (targetHits.${name})`,
+        (point) => !!point.targetHits?.[name]
+    ]),
+    ["targetHitCount", "integer", "", "Rays hitting the target"],
+    ["targetContact", "boolean", "", "At least one ray hits the target"],
+    ["targetsReached", "integer", "", "Targets captured so far"],
+    ["recoveryPhase", "string", "", "Stuck recovery phase (NONE when driving normally)"]
+].map(column("target"));
+
+const OBSTACLE_COLUMNS = [
+    ["sensorRange", "number", "m", "Ray range"],
+    ...RAY_NAMES.map((name) => [name, "number", "m", `Ray ${name} distance`]),
+    ["minObstacleDist", "number", "m", "Shortest of the eight rays"]
+].map(column("obstacle"));
+
+const SENSOR_FAULT_COLUMNS = [
+    ["sensorFaultActive", "boolean", "", "Sample passed through the fault injector"],
+    ["sensorFaultDropouts", "integer", "rays", "Dropped rays in the sample"],
+    ["sensorFaultStuckRays", "integer", "rays", "Stuck rays in the sample"],
+    ["sensorFaultFalseTargets", "integer", "rays", "False target hits in the sample"],
+    ["sensorFaultAgeMs", "number", "ms", "Age of the delivered sample under delayed delivery"]
+].map(column("sensorFault"));
+
+const AI_COLUMNS = [
+    ["aiLatencyMs", "number", "ms", "Latency of the latest decision"],
+    ["decisionAgeMs", "number", "ms", "Time since the latest decision (empty before the first)"],
+    ["aiSource", "string", "", "Source of the applied controls"],
+    ["aiThinking", "boolean", "", "A decision request is in flight"],
+    ["aiModel", "string", "", "Model of the latest decision"],
+    ["aiPromptTemplate", "string", "", "Prompt template <id>@<version>"],
+    ["aiResponseFormat", "string", "", "schema / json"],
+    ["aiParseMethod", "string", "", "How the response was parsed"],
+    ["aiParseRecovered", "boolean", "", "Parse needed recovery"],
+    ["aiSchemaViolationCount", "integer", "", "Schema violations in the latest response"],
+    ["aiDecisionLoop", "string", "", "stop_think / pipelined"],
+    ["aiPipelineStatus", "string", "", "on_time / shifted / rejected (empty for stop-and-think)"],
+    ["aiReasonCode", "string", "", "Reason code of the latest decision"],
+    ["aiReasonSource", "string", "", "Where the reason came from"],
+    ["aiReasonValidationLast", "string", "", "Latest reason validation result"],
+    ["aiReasonBlockedTotal", "integer", "", "Decisions blocked by reason validation"],
+    ["aiReasonPassRate", "number", "", "Share of decisions passing reason validation"]
+].map(column("ai"));
+
+const STRATEGY_COLUMNS = [
+    ["aiStrategyMode", "string", "", "Strategy mode"],
+    ["aiStrategyTransition", "string", "", "Strategy transition"],
+    ["aiStrategySector", "string", "", "Chosen sector"],
+    ["aiStrategyConfidence", "number", "", "Strategy confidence, 0 to 1"],
+    ["aiSkillName", "string", "", "Skill applied"],
+    ["aiSkillIntensity", "number", "", "Skill intensity"]
+].map(column("strategy"));
+
+const SAFETY_COLUMNS = [
+    ["safetyOverride", "boolean", "", "Safety guard replaced the decision"],
+    ["overrideReason", "string", "", "Why the guard intervened"],
+    ["directionCooldownApplied", "boolean", "", "Direction cooldown held the turn sign"],
+    ["directionCooldownRemainingMs", "number", "ms", "Cooldown remaining"],
+    ["directionLastSign", "integer", "", "Last committed turn sign (-1 / 0 / 1)"]
+].map(column("safety"));
+
+const MEMORY_COLUMNS = [
+    ["memoryNoGoRatio", "number", "", "Share of candidate cells marked no-go"],
+    ["memoryRevisitRate", "number", "", "Share of visits to already visited cells"],
+    ["memoryCurrentWeight", "number", "", "Heatmap weight of the current cell"],
+    ["memorySelectedWeight", "number", "", "Heatmap weight of the selected cell"],
+    ["memorySelectedNoGo", "boolean", "", "Selected cell is no-go"],
+    ["memorySelectedSector", "string", "", "Sector of the selected cell"],
+    ["memorySelectionReason", "string", "", "Why the cell was selected"],
+    ["memoryLoopRate", "number", "", "Loop rate of the exploration context"],
+    ["memoryRecommendedSector", "string", "", "Sector the memory recommends"],
+    ["memoryMappedCells", "integer", "cells", "Cells in the exploration memory"],
+    ["memorySensorRange", "number", "m", "Sensor range the memory maps with"],
+    ["memoryCurrentCellVisits", "integer", "", "Visits to the current cell"],
+    ["memoryCandidateCount", "integer", "", "Candidate cells considered"],
+    ["memorySafeCandidateCount", "integer", "", "Safe candidate cells"],
+    ["memoryNoGoCandidateCount", "integer", "", "No-go candidate cells"],
+    ["coveragePct", "number", "%", "Share of the reachable free space observed by the occupancy grid"],
+    ["coverageSeenCells", "integer", "cells", "Observed reachable cells"]
+].map(column("memory"));
+
+const COLLISION_COLUMNS = [
+    ["collisionCount", "integer", "", "Collisions so far"],
+    ["sameWallCollisionCount", "integer", "", "Repeat collisions with the same wall"],
+    ["sameWallConsecutiveCollisionCount", "integer", "", "Consecutive repeat collisions with the same wall"],
+    ["collisionLastRegion", "string", "", "Region of the latest collision"],
+    ["collisionLastAt", "integer", "ms", "Time of the latest collision, epoch ms"],
+    ["collisionOuterNorthCount", "integer", "", "Collisions with the north outer wall"],
+    ["collisionOuterSouthCount", "integer", "", "Collisions with the south outer wall"],
+    ["collisionOuterEastCount", "integer", "", "Collisions with the east outer wall"],
+    ["collisionOuterWestCount", "integer", "", "Collisions with the west outer wall"],
+    ["collisionInnerObstacleCount", "integer", "", "Collisions with inner obstacles"],
+    ["collisionOutsideBoundsCount", "integer", "", "Collisions outside the map bounds"]
+].map(column("collision"));
+
+const CALIBRATION_COLUMNS = [
+    ["calibrationApplied", "boolean", "", "Heading / steering calibration applied"],
+    ["calibrationHeadingSign", "integer", "", "Heading sign (-1 / 1)"],
+    ["calibrationHeadingOffsetDeg", "number", "deg", "Heading offset"],
+    ["calibrationHeadingConfidence", "number", "", "Heading calibration confidence"],
+    ["calibrationSteeringSign", "integer", "", "Steering sign (-1 / 1)"],
+    ["calibrationSteeringConfidence", "number", "", "Steering calibration confidence"]
+].map(column("calibration"));
+
+const REASON_COLUMNS = [
+    ["reasonTotalSteps", "integer", "", "Reason validation steps"],
+    ["reasonPassedSteps", "integer", "", "Steps that passed"],
+    ["reasonBlockedSteps", "integer", "", "Steps that were blocked"],
+    ["reasonMissingModelReasonSteps", "integer", "", "Steps without a model reason"],
+    ["reasonSignMismatchSteps", "integer", "", "Steps whose reason contradicted the steering sign"]
+].map(column("reason"));
+
+/** Fixed column order of TELEMETRY_COLUMNS_VERSION. */
+export const TELEMETRY_COLUMNS = Object.freeze([
+    ...RUN_COLUMNS,
+    ...MOTION_COLUMNS,
+    ...TARGET_COLUMNS,
+    ...OBSTACLE_COLUMNS,
+    ...SENSOR_FAULT_COLUMNS,
+    ...AI_COLUMNS,
+    ...STRATEGY_COLUMNS,
+    ...SAFETY_COLUMNS,
+    ...MEMORY_COLUMNS,
+    ...COLLISION_COLUMNS,
+    ...CALIBRATION_COLUMNS,
+    ...REASON_COLUMNS
+].map((entry) => Object.freeze(entry)));
+
+/** The data dictionary written next to tabular exports. */
+export const buildTelemetryDataDictionary = () => ({
+    schema: TELEMETRY_COLUMNS_SCHEMA_ID,
+    version: TELEMETRY_COLUMNS_VERSION,
+    formats: [...TELEMETRY_TABLE_FORMATS],
+    columns: TELEMETRY_COLUMNS.map(({ name, type, unit, group, description }) => ({ name, type, unit, group, description }))
+});
+
+const cellValue = (col, point, runInfo) => {
+    const raw = col.get ? col.get(point) : col.group === "run" ? runInfo[col.name] : point[col.name];
+    if (raw === undefined || raw === null) return null;
+    if (col.type === "boolean") return !!raw;
+    if (col.type === "number" || col.type === "integer") {
+        const value = Number(raw);
+        return Number.isFinite(value) ? value : null;
+    }
+    return String(raw);
+};
+
+/**
+ * Flatten one telemetry point into an object keyed by column name, in TELEMETRY_COLUMNS order. `runInfo` fills the
+ * run columns ({ runTag, conditionId }) so rows of several runs can be concatenated.
+ */
+export const flattenTelemetryPoint = (point, runInfo = {}) => {
+    const source = point && typeof point === "object" ? point : {};
+    const info = runInfo || {};
+    return Object.fromEntries(TELEMETRY_COLUMNS.map((col) => [col.name, cellValue(col, source, info)]));
+};
+
+const csvCell = (value) => {
+    if (value === null) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+/** RFC 4180 CSV with a header row; booleans as true / false, null as an empty cell. */
+export const buildTelemetryCsv = (telemetry, runInfo = {}) => {
+    const lines = [TELEMETRY_COLUMNS.map((col) => col.name).join(",")];
+    for (const point of Array.isArray(telemetry) ? telemetry : []) {
+        const row = flattenTelemetryPoint(point, runInfo);
+        lines.push(TELEMETRY_COLUMNS.map((col) => csvCell(row[col.name])).join(","));
+    }
+    return `${lines.join("\r\n")}\r\n`;
+};
+
+/** One flat JSON object per line, every column present (null when empty). */
+export const buildTelemetryNdjson = (telemetry, runInfo = {}) => (Array.isArray(telemetry) ? telemetry : [])
+    .map((point) => `${JSON.stringify(flattenTelemetryPoint(point, runInfo))}\n`)
+    .join("");
+
+/**
+ * Serialize telemetry in one of TELEMETRY_TABLE_FORMATS. Returns { ok, content, extension, mime } or { ok: false, error }.
+ */
+export const buildTelemetryTable = (telemetry, format = "csv", runInfo = {}) => {
+    if (!TELEMETRY_TABLE_FORMATS.includes(format)) {
+        return { ok: false, error: `Unknown telemetry table format "${format}" (expected ${TELEMETRY_TABLE_FORMATS.join(" / ")}).` };
+    }
+    if (format === "ndjson") {
+        return { ok: true, content: buildTelemetryNdjson(telemetry, runInfo), extension: "ndjson", mime: "application/x-ndjson" };
+    }
+    return { ok: true, content: buildTelemetryCsv(telemetry, runInfo), extension: "csv", mime: "text/csv" };
+};
@@ -0,0 +1,157 @@
+// Live telemetry sink: streams telemetry samples, decision records and collision events as NDJSON over a WebSocket
+// to a local collector (scripts/telemetry-collector.js), so long sweeps can be watched live and a crashed tab keeps
+// what was already sent.
+
+export const TELEMETRY_SINK_DEFAULT_URL = "ws://localhost:8787";
+export const TELEMETRY_SINK_RECORD_TYPES = Object.freeze(["run_start", "telemetry", "decision", "collision", "run_end"]);
+// Records held while the socket is connecting or down; the oldest are dropped beyond this (about 8 min of samples).
+export const TELEMETRY_SINK_MAX_BUFFERED = 5000;
+export const TELEMETRY_SINK_RECONNECT_MS = Object.freeze({ initial: 500, max: 5000 });
+
+// WebSocket readyState values (not all WebSocket implementations expose the constants).
+const SOCKET_OPEN = 1;
+// Above this many unsent bytes on the socket, records queue up here instead.
+const SOCKET_BACKPRESSURE_BYTES = 4 * 1024 * 1024;
+
+/** Accepts ws:// and wss:// URLs only. Returns { ok, url } or { ok: false, error }. */
+export const normalizeTelemetrySinkUrl = (value) => {
+    const text = String(value ?? "").trim();
+    if (!text) return { ok: false, error: "Stream URL is empty." };
+    try {
+        const parsed = new URL(text);
+        if (parsed.protocol !== "ws:" && parsed.protocol !== "wss:") {
+            return { ok: false, error: `Stream URL must be ws:// or wss:// (got ${parsed.protocol}).` };
+        }
+        return { ok: true, url: parsed.toString() };
+    } catch {
+        return { ok: false, error: `Invalid stream URL: ${text}` };
+    }
+};
+
+/**
+ * Reconnecting WebSocket sink. Each record is one NDJSON line
+ * `{ type, seq, sentAt, ...getContext(), data }`; `getContext()` supplies the session prefix and run tag at send time.
+ * `onStatus(status)` fires on connection state changes. `send` never throws: without a connection records are buffered
+ * up to `maxBuffered` and flushed (batched, one message of several lines) on reconnect.
+ */
+export const createTelemetrySink = ({
+    url,
+    WebSocketImpl = globalThis.WebSocket,
+    getContext = () => ({}),
+    onStatus = () => {},
+    maxBuffered = TELEMETRY_SINK_MAX_BUFFERED
+} = {}) => {
+    const state = {
+        socket: null,
+        phase: "idle",
+        seq: 0,
+        sent: 0,
+        dropped: 0,
+        queue: [],
+        stopped: false,
+        reconnectTimer: null,
+        reconnectMs: TELEMETRY_SINK_RECONNECT_MS.initial,
+        error: ""
+    };
+
+    const status = () => ({
+        url,
+        phase: state.phase,
+        sent: state.sent,
+        buffered: state.queue.length,
+        dropped: state.dropped,
+        error: state.error
+    });
+    const setPhase = (phase, error = state.error) => {
+        state.phase = phase;
+        state.error = error;
+        onStatus(status());
+    };
+
+    const flush = () => {
+        const socket = state.socket;
+        if (!socket || socket.readyState !== SOCKET_OPEN || state.queue.length === 0) return;
+        if (socket.bufferedAmount > SOCKET_BACKPRESSURE_BYTES) return;
+        const lines = state.queue;
+        state.queue = [];
+        socket.send(lines.join(""));
+        state.sent += lines.length;
+    };
+
+    const scheduleReconnect = () => {
+        if (state.stopped || state.reconnectTimer) return;
+        const waitMs = state.reconnectMs;
+        state.reconnectMs = Math.min(TELEMETRY_SINK_RECONNECT_MS.max, state.reconnectMs * 2);
+        state.reconnectTimer = setTimeout(() => {
+            state.reconnectTimer = null;
+            connect();
+        }, waitMs);
+    };
+
+    const connect = () => {
+        if (state.stopped) return;
+        if (typeof WebSocketImpl !== "function") {
+            setPhase("error", "WebSocket is not available in this environment.");
+            return;
+        }
+        let socket;
+        try {
+            socket = new WebSocketImpl(url);
+        } catch (err) {
+            setPhase("error", err?.message || "WebSocket could not be created.");
+            scheduleReconnect();
+            return;
+        }
+        state.socket = socket;
+        setPhase("connecting");
+        socket.onopen = () => {
+            state.reconnectMs = TELEMETRY_SINK_RECONNECT_MS.initial;
+            setPhase("open", "");
+            flush();
+        };
+        socket.onerror = () => {
+            state.error = `Cannot reach ${url}.`;
+        };
+        socket.onclose = () => {
+            if (state.socket !== socket) return;
+            state.socket = null;
+            if (state.stopped) {
+                setPhase("closed");
+                return;
+            }
+            setPhase("reconnecting");
+            scheduleReconnect();
+        };
+    };
+
+    const send = (type, data) => {
+        if (state.stopped) return;
+        state.seq += 1;
+        const record = { type, seq: state.seq, sentAt: Date.now(), ...getContext(), data };
+        let line;
+        try {
+            line = `${JSON.stringify(record)}\n`;
+        } catch (err) {
+            console.warn(`Telemetry sink skipped a ${type} record: ${err?.message || err}`);
+            return;
+        }
+        state.queue.push(line);
+        if (state.queue.length > maxBuffered) {
+            state.dropped += state.queue.length - maxBuffered;
+            state.queue.splice(0, state.queue.length - maxBuffered);
+        }
+        flush();
+    };
+
+    const close = () => {
+        state.stopped = true;
+        if (state.reconnectTimer) clearTimeout(state.reconnectTimer);
+        state.reconnectTimer = null;
+        flush();
+        if (state.socket) state.socket.close(1000, "sink closed");
+        else setPhase("closed");
+    };
+
+    connect();
+    return { send, close, status };
+};
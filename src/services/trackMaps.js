@@ -0,0 +1,385 @@
+// Data-driven track maps: bounds, wall boxes, spawn poses, target spawn zones and ground friction.
+// Built-in layouts are written in the same JSON shape a user can load from file (see README "Track maps").
+import {
+    DEFAULT_CAR_SPAWN_POSITION,
+    DEFAULT_CAR_SPAWN_ROTATION,
+    DEFAULT_TARGET_POSITION,
+    DEFAULT_TRACK_BOXES,
+    GROUND_FRICTION,
+    TRACK_WORLD_BOUNDS,
+    boxFootprintDistance
+} from "./simulationCore.js";
+import { hashSeed } from "./seededRandom.js";
+
+export const TRACK_MAP_SCHEMA_ID = "gemma-autodrive-track-map";
+export const TRACK_MAP_SCHEMA_VERSION = 1;
+export const DEFAULT_TRACK_MAP_ID = "arena";
+export const TARGET_WALL_CLEARANCE_M = 1.5;
+
+// How the next target is chosen after a capture (experiment condition axis).
+export const TARGET_SPAWN_POLICIES = Object.freeze({
+    WEIGHTED_ZONES: "weighted_zones", // weighted zone pick, uniform inside the zone
+    ROUND_ROBIN: "round_robin", // zones in map order, one per capture
+    FAR_FROM_CAR: "far_from_car" // best of several weighted candidates by distance from the car
+});
+export const DEFAULT_TARGET_SPAWN_POLICY = TARGET_SPAWN_POLICIES.WEIGHTED_ZONES;
+
+const TARGET_SAMPLE_MAX_ATTEMPTS = 8;
+const WALL_HEIGHT = 2;
+const DEG_TO_RAD = Math.PI / 180;
+
+const asFiniteNumber = (value, fallback = 0) => (typeof value === "number" && Number.isFinite(value) ? value : fallback);
+const clampValue = (value, min, max) => Math.max(min, Math.min(max, value));
+const isFiniteTriple = (value) => Array.isArray(value) && value.length === 3 && value.every((v) => typeof v === "number" && Number.isFinite(v));
+
+// Outer walls of a 40 x 40 arena (inner faces at +/-19.5), shared by every built-in layout.
+const outerWalls = () => [
+    { id: "wall_north", kind: "outer", position: [0, 1, -20], size: [40, WALL_HEIGHT, 1] },
+    { id: "wall_south", kind: "outer", position: [0, 1, 20], size: [40, WALL_HEIGHT, 1] },
+    { id: "wall_west", kind: "outer", position: [-20, 1, 0], size: [1, WALL_HEIGHT, 40] },
+    { id: "wall_east", kind: "outer", position: [20, 1, 0], size: [1, WALL_HEIGHT, 40] }
+];
+const hWall = (id, z, x0, x1) => ({ id, kind: "obstacle", position: [(x0 + x1) / 2, 1, z], size: [x1 - x0, WALL_HEIGHT, 1] });
+const vWall = (id, x, z0, z1) => ({ id, kind: "obstacle", position: [x, 1, (z0 + z1) / 2], size: [1, WALL_HEIGHT, z1 - z0] });
+const crate = (id, x, z, w, d, yawDeg = 0) => ({ id, kind: "obstacle", position: [x, 1, z], size: [w, WALL_HEIGHT, d], yawDeg });
+
+const ARENA_BOUNDS = { ...TRACK_WORLD_BOUNDS };
+
+const BUILTIN_TRACK_MAP_SOURCES = [
+    {
+        schema: TRACK_MAP_SCHEMA_ID,
+        version: TRACK_MAP_SCHEMA_VERSION,
+        id: "arena",
+        label: "Arena (Monolith + pillars)",
+        description: "Original open arena: four outer walls, the center Monolith and four pillars.",
+        bounds: ARENA_BOUNDS,
+        groundFriction: GROUND_FRICTION,
+        walls: DEFAULT_TRACK_BOXES.map(({ args, ...box }) => ({ ...box, size: args })),
+        spawnPoses: [{ id: "south_center", position: [...DEFAULT_CAR_SPAWN_POSITION], yawDeg: DEFAULT_CAR_SPAWN_ROTATION[1] / DEG_TO_RAD }],
+        targetZones: [{ id: "arena", minX: -15, maxX: 15, minZ: -15, maxZ: 15 }],
+        initialTarget: [...DEFAULT_TARGET_POSITION]
+    },
+    {
+        schema: TRACK_MAP_SCHEMA_ID,
+        version: TRACK_MAP_SCHEMA_VERSION,
+        id: "corridors",
+        label: "Serpentine corridors",
+        description: "Four ~9m lanes joined by alternating end gaps; the target sits in the far lanes.",
+        bounds: ARENA_BOUNDS,
+        groundFriction: GROUND_FRICTION,
+        walls: [
+            ...outerWalls(),
+            hWall("divider_1", -10, -20, 12),
+            hWall("divider_2", 0, -12, 20),
+            hWall("divider_3", 10, -20, 12)
+        ],
+        spawnPoses: [{ id: "lane1_west", position: [-15, 0.65, -15], yawDeg: 90 }],
+        targetZones: [
+            { id: "lane2", minX: -16, maxX: 16, minZ: -7, maxZ: -3, weight: 1 },
+            { id: "lane3", minX: -16, maxX: 16, minZ: 3, maxZ: 7, weight: 1 },
+            { id: "lane4", minX: -16, maxX: 16, minZ: 13, maxZ: 17, weight: 2 }
+        ],
+        initialTarget: [-15, 1, 15]
+    },
+    {
+        schema: TRACK_MAP_SCHEMA_ID,
+        version: TRACK_MAP_SCHEMA_VERSION,
+        id: "maze",
+        label: "Maze (8m cells)",
+        description: "5 x 5 grid of 8m cells with interior walls; dead ends and a single long route to the north-east.",
+        bounds: ARENA_BOUNDS,
+        groundFriction: GROUND_FRICTION,
+        walls: [
+            ...outerWalls(),
+            hWall("h_-12_a", -12, -12, 4),
+            hWall("h_-12_b", -12, 12, 20),
+            hWall("h_-4_a", -4, -20, -12),
+            hWall("h_-4_b", -4, -4, 12),
+            hWall("h_4_a", 4, -12, -4),
+            hWall("h_4_b", 4, 4, 20),
+            hWall("h_12_a", 12, -20, -4),
+            hWall("h_12_b", 12, 4, 12),
+            vWall("v_-12", -12, 4, 12),
+            vWall("v_-4", -4, -20, -12),
+            vWall("v_4", 4, -4, 4),
+            vWall("v_12", 12, -12, -4)
+        ],
+        spawnPoses: [{ id: "sw_cell", position: [-16, 0.65, -16], yawDeg: 0 }],
+        targetZones: [
+            { id: "ne_cell", minX: 14, maxX: 18, minZ: 14, maxZ: 18, weight: 2 },
+            { id: "center_cell", minX: -2, maxX: 2, minZ: -2, maxZ: 2, weight: 1 },
+            { id: "nw_cell", minX: -18, maxX: -14, minZ: 14, maxZ: 18, weight: 1 },
+            { id: "se_cell", minX: 14, maxX: 18, minZ: -18, maxZ: -14, weight: 1 }
+        ],
+        initialTarget: [0, 1, 0]
+    },
+    {
+        schema: TRACK_MAP_SCHEMA_ID,
+        version: TRACK_MAP_SCHEMA_VERSION,
+        id: "cluttered",
+        label: "Cluttered room",
+        description: "Open room with ten crates of mixed size and yaw.",
+        bounds: ARENA_BOUNDS,
+        groundFriction: GROUND_FRICTION,
+        walls: [
+            ...outerWalls(),
+            crate("crate_a", -12, -4, 3, 3),
+            crate("crate_b", -5, -12, 2, 4),
+            crate("crate_c", 6, -6, 4, 2, 30),
+            crate("crate_d", 13, 2, 3, 3),
+            crate("crate_e", -8, 6, 2, 2),
+            crate("crate_f", 2, 8, 5, 1.5, -20),
+            crate("crate_g", -14, 14, 3, 2),
+            crate("crate_h", 10, 13, 2, 5),
+            crate("crate_i", 0, 0, 2, 2, 45),
+            crate("crate_j", 15, -13, 2, 2)
+        ],
+        spawnPoses: [{ id: "south_center", position: [0, 0.65, -15], yawDeg: 0 }],
+        targetZones: [{ id: "room", minX: -16, maxX: 16, minZ: -10, maxZ: 16 }],
+        initialTarget: [0, 1, 14]
+    }
+];
+
+const normalizeBounds = (node) => {
+    if (!node || typeof node !== "object") return null;
+    const minX = asFiniteNumber(node.minX, Number.NaN);
+    const maxX = asFiniteNumber(node.maxX, Number.NaN);
+    const minZ = asFiniteNumber(node.minZ, Number.NaN);
+    const maxZ = asFiniteNumber(node.maxZ, Number.NaN);
+    if (![minX, maxX, minZ, maxZ].every(Number.isFinite) || minX >= maxX || minZ >= maxZ) return null;
+    return {
+        minX,
+        maxX,
+        minZ,
+        maxZ,
+        softMargin: clampValue(asFiniteNumber(node.softMargin, TRACK_WORLD_BOUNDS.softMargin), 0, Math.min(maxX - minX, maxZ - minZ) / 2)
+    };
+};
+
+const insideBounds = (bounds, x, z) => x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ;
+
+const yawRotation = (node) => {
+    if (isFiniteTriple(node.rotation)) return [...node.rotation];
+    const yawDeg = asFiniteNumber(node.yawDeg, 0);
+    return yawDeg === 0 ? null : [0, yawDeg * DEG_TO_RAD, 0];
+};
+
+/**
+ * Validate a map JSON payload and return the normalized map used by the scene, sim and memory.
+ * Walls come out in the sim box shape ({ id, kind, position, args, rotation? }).
+ */
+export const parseTrackMapPayload = (payload) => {
+    if (!payload || typeof payload !== "object") {
+        return { ok: false, error: "root must be an object" };
+    }
+    const schemaId = typeof payload.schema === "string" ? payload.schema.trim() : "";
+    if (schemaId && schemaId !== TRACK_MAP_SCHEMA_ID) {
+        return { ok: false, error: `Invalid track map schema: ${schemaId}`, schemaId };
+    }
+    const id = typeof payload.id === "string" && payload.id.trim() ? payload.id.trim() : "";
+    if (!id) return { ok: false, error: "map id is required" };
+
+    const bounds = normalizeBounds(payload.bounds);
+    if (!bounds) return { ok: false, error: "bounds must define minX < maxX and minZ < maxZ" };
+
+    if (!Array.isArray(payload.walls)) return { ok: false, error: "walls must be an array" };
+    const boxes = [];
+    for (let i = 0; i < payload.walls.length; i += 1) {
+        const wall = payload.walls[i] || {};
+        const size = wall.size ?? wall.args;
+        if (!isFiniteTriple(wall.position) || !isFiniteTriple(size) || size.some((v) => v <= 0)) {
+            return { ok: false, error: `walls[${i}] needs a numeric position [x,y,z] and positive size [w,h,d]` };
+        }
+        const box = {
+            id: typeof wall.id === "string" && wall.id.trim() ? wall.id.trim() : `wall_${i}`,
+            kind: wall.kind === "outer" ? "outer" : "obstacle",
+            position: [...wall.position],
+            args: [...size]
+        };
+        const rotation = yawRotation(wall);
+        if (rotation) box.rotation = rotation;
+        boxes.push(box);
+    }
+
+    const spawnNodes = Array.isArray(payload.spawnPoses) && payload.spawnPoses.length > 0
+        ? payload.spawnPoses
+        : [{ position: [...DEFAULT_CAR_SPAWN_POSITION] }];
+    const spawnPoses = [];
+    for (let i = 0; i < spawnNodes.length; i += 1) {
+        const node = spawnNodes[i] || {};
+        if (!isFiniteTriple(node.position) || !insideBounds(bounds, node.position[0], node.position[2])) {
+            return { ok: false, error: `spawnPoses[${i}] needs a position [x,y,z] inside bounds` };
+        }
+        spawnPoses.push({
+            id: typeof node.id === "string" && node.id.trim() ? node.id.trim() : `spawn_${i}`,
+            position: [...node.position],
+            rotation: yawRotation(node) || [0, 0, 0]
+        });
+    }
+
+    const zoneNodes = Array.isArray(payload.targetZones) && payload.targetZones.length > 0
+        ? payload.targetZones
+        : [{
+            id: "bounds",
+            minX: bounds.minX + bounds.softMargin,
+            maxX: bounds.maxX - bounds.softMargin,
+            minZ: bounds.minZ + bounds.softMargin,
+            maxZ: bounds.maxZ - bounds.softMargin
+        }];
+    const targetZones = [];
+    for (let i = 0; i < zoneNodes.length; i += 1) {
+        const zoneBounds = normalizeBounds(zoneNodes[i]);
+        if (!zoneBounds) return { ok: false, error: `targetZones[${i}] must define minX < maxX and minZ < maxZ` };
+        targetZones.push({
+            id: typeof zoneNodes[i].id === "string" && zoneNodes[i].id.trim() ? zoneNodes[i].id.trim() : `zone_${i}`,
+            minX: clampValue(zoneBounds.minX, bounds.minX, bounds.maxX),
+            maxX: clampValue(zoneBounds.maxX, bounds.minX, bounds.maxX),
+            minZ: clampValue(zoneBounds.minZ, bounds.minZ, bounds.maxZ),
+            maxZ: clampValue(zoneBounds.maxZ, bounds.minZ, bounds.maxZ),
+            weight: Math.max(0.01, asFiniteNumber(zoneNodes[i].weight, 1))
+        });
+    }
+
+    const firstZone = targetZones[0];
+    const initialTarget = isFiniteTriple(payload.initialTarget)
+        ? [...payload.initialTarget]
+        : [(firstZone.minX + firstZone.maxX) / 2, 1, (firstZone.minZ + firstZone.maxZ) / 2];
+
+    const layout = {
+        bounds,
+        groundFriction: clampValue(asFiniteNumber(payload.groundFriction, GROUND_FRICTION), 0, 2),
+        boxes,
+        spawnPoses,
+        targetZones,
+        initialTarget
+    };
+    return {
+        ok: true,
+        schemaId,
+        version: Number.isFinite(payload.version) ? Math.round(payload.version) : null,
+        map: {
+            id,
+            label: typeof payload.label === "string" && payload.label.trim() ? payload.label.trim() : id,
+            description: typeof payload.description === "string" ? payload.description : "",
+            // Identifies the layout in logs even when two maps share an id.
+            fingerprint: hashSeed(JSON.stringify(layout)).toString(16).padStart(8, "0"),
+            ...layout,
+            // Provenance/metrics from the map generator; not part of the layout fingerprint.
+            ...(payload.generator && typeof payload.generator === "object" ? { generator: { ...payload.generator } } : {}),
+            ...(payload.difficulty && typeof payload.difficulty === "object" ? { difficulty: { ...payload.difficulty } } : {})
+        }
+    };
+};
+
+const BUILTIN_TRACK_MAPS = Object.freeze(BUILTIN_TRACK_MAP_SOURCES.map((source) => {
+    const parsed = parseTrackMapPayload(source);
+    if (!parsed.ok) throw new Error(`Built-in track map ${source.id} is invalid: ${parsed.error}`);
+    return Object.freeze(parsed.map);
+}));
+
+export const TRACK_MAP_OPTIONS = Object.freeze(BUILTIN_TRACK_MAPS.map((map) => ({ id: map.id, label: map.label })));
+
+/** Built-in map by id, or null. */
+export const getTrackMap = (id) => BUILTIN_TRACK_MAPS.find((map) => map.id === id) || null;
+
+export const DEFAULT_TRACK_MAP = getTrackMap(DEFAULT_TRACK_MAP_ID);
+
+/**
+ * Exportable JSON for a normalized map (inverse of parseTrackMapPayload).
+ */
+export const buildTrackMapPayload = (map) => ({
+    schema: TRACK_MAP_SCHEMA_ID,
+    version: TRACK_MAP_SCHEMA_VERSION,
+    id: map.id,
+    label: map.label,
+    description: map.description,
+    bounds: { ...map.bounds },
+    groundFriction: map.groundFriction,
+    walls: map.boxes.map((box) => ({
+        id: box.id,
+        kind: box.kind,
+        position: [...box.position],
+        size: [...box.args],
+        ...(box.rotation ? { yawDeg: Number((box.rotation[1] / DEG_TO_RAD).toFixed(3)) } : {})
+    })),
+    spawnPoses: map.spawnPoses.map((pose) => ({
+        id: pose.id,
+        position: [...pose.position],
+        yawDeg: Number((pose.rotation[1] / DEG_TO_RAD).toFixed(3))
+    })),
+    targetZones: map.targetZones.map((zone) => ({ ...zone })),
+    initialTarget: [...map.initialTarget],
+    ...(map.generator ? { generator: { ...map.generator } } : {}),
+    ...(map.difficulty ? { difficulty: { ...map.difficulty } } : {})
+});
+
+/** Compact map identity for drive logs and meta exports. */
+export const describeTrackMap = (map) => ({
+    id: map?.id || DEFAULT_TRACK_MAP_ID,
+    label: map?.label || "",
+    fingerprint: map?.fingerprint || "",
+    difficulty: map?.difficulty || null
+});
+
+/**
+ * Spawn pose for a session. Only draws from `rng` when the map offers more than one pose,
+ * so single-spawn maps keep the same spawn-jitter sequence per seed.
+ */
+export const pickSpawnPose = (map, rng = null) => {
+    const poses = map?.spawnPoses?.length ? map.spawnPoses : DEFAULT_TRACK_MAP.spawnPoses;
+    const index = poses.length > 1 && rng ? Math.min(poses.length - 1, Math.floor(rng.next() * poses.length)) : 0;
+    return { position: [...poses[index].position], rotation: [...poses[index].rotation] };
+};
+
+const FAR_FROM_CAR_CANDIDATES = 4;
+
+export const isTargetSpawnPolicy = (value) => Object.values(TARGET_SPAWN_POLICIES).includes(value);
+
+const pickWeightedZone = (zones, totalWeight, rng) => {
+    if (zones.length === 1) return zones[0];
+    let roll = rng.next() * totalWeight;
+    return zones.find((entry) => {
+        roll -= entry.weight;
+        return roll < 0;
+    }) || zones[zones.length - 1];
+};
+
+/**
+ * Next target position. The zone comes from `policy` (see TARGET_SPAWN_POLICIES); the point is uniform
+ * inside the zone, retried while it lands within TARGET_WALL_CLEARANCE_M of a wall box.
+ * `captureIndex` drives round_robin and `carPosition` drives far_from_car.
+ */
+export const sampleTrackTarget = (map, rng, { policy = DEFAULT_TARGET_SPAWN_POLICY, captureIndex = 0, carPosition = null } = {}) => {
+    const zones = map?.targetZones?.length ? map.targetZones : DEFAULT_TRACK_MAP.targetZones;
+    const boxes = Array.isArray(map?.boxes) ? map.boxes : [];
+    const totalWeight = zones.reduce((sum, zone) => sum + zone.weight, 0);
+    const samplePoint = (pickZone) => {
+        let candidate = null;
+        for (let attempt = 0; attempt < TARGET_SAMPLE_MAX_ATTEMPTS; attempt += 1) {
+            const zone = pickZone();
+            candidate = [rng.range(zone.minX, zone.maxX), 1, rng.range(zone.minZ, zone.maxZ)];
+            const clear = boxes.every((box) => boxFootprintDistance(candidate[0], candidate[2], box) >= TARGET_WALL_CLEARANCE_M);
+            if (clear) break;
+        }
+        return candidate;
+    };
+
+    if (policy === TARGET_SPAWN_POLICIES.ROUND_ROBIN) {
+        const zone = zones[Math.max(0, Math.floor(asFiniteNumber(captureIndex, 0))) % zones.length];
+        return samplePoint(() => zone);
+    }
+    if (policy === TARGET_SPAWN_POLICIES.FAR_FROM_CAR && Array.isArray(carPosition)) {
+        let best = null;
+        let bestDistance = -1;
+        for (let i = 0; i < FAR_FROM_CAR_CANDIDATES; i += 1) {
+            const candidate = samplePoint(() => pickWeightedZone(zones, totalWeight, rng));
+            const distance = Math.hypot(candidate[0] - carPosition[0], candidate[2] - carPosition[2]);
+            if (distance > bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+    return samplePoint(() => pickWeightedZone(zones, totalWeight, rng));
+};